@@ -0,0 +1,564 @@
+/// Debug Adapter Protocol server for an interpreter Instance.
+///
+/// This lets editors like VS Code attach to a running instance: their
+/// breakpoints, stepping and stack inspection requests are mapped onto
+/// `setBreakpoint`, the stepping API, and `stackTrace()`. Messages are
+/// exchanged over a stream pair using DAP's Content-Length framing.
+///
+/// There's nothing for the adapter to launch; the host program calls
+/// into the instance's exports as usual, and execution stops whenever it
+/// hits a breakpoint while the adapter is attached. The instance must be
+/// created with `{debug: true}` for breakpoints to work.
+///
+/// See https://microsoft.github.io/debug-adapter-protocol/
+
+// There's only the one thread of execution, as far as DAP is concerned.
+const threadId = 1;
+
+function requestMap(command) {
+    return '_request' + command[0].toUpperCase() + command.slice(1);
+}
+
+function basename(path) {
+    return path.split(/[\\/]/).pop();
+}
+
+function formatValue(value) {
+    if (Object.is(value, -0)) {
+        return '-0';
+    }
+    if (typeof value === 'function') {
+        return value.name ? `function ${value.name}` : 'function';
+    }
+    return String(value);
+}
+
+/// A variable listing a wasm value of the given type.
+function wasmVariable(name, value, type) {
+    return {
+        name,
+        value: formatValue(value),
+        type: type || undefined,
+        variablesReference: 0
+    };
+}
+
+class DebugAdapter {
+    constructor(instance, input, output=input) {
+        this.instance = instance;
+        this.input = input;
+        this.output = output;
+
+        this._seq = 1;
+        this._deferred = [];
+        this._buffer = Buffer.alloc(0);
+        this._linesStartAt1 = true;
+        this._columnsStartAt1 = true;
+
+        // Breakpoints we've set, per source path, and by instruction
+        this._sourceBreakpoints = new Map();
+        this._instructionBreakpoints = [];
+        this._breakpointIds = 0;
+        // How many of them hold each offset, so clearing one leaves the
+        // others; offsets the host had set a breakpoint on already are
+        // left to it.
+        this._holds = new Map();
+
+        // State while stopped in the debugger hook
+        this._resume = null;
+        this._frames = null;
+        this._references = new Map();
+        this._pauseRequested = false;
+        this._singleStep = false;
+
+        this._previousDebugger = instance.debugger;
+        instance.debugger = () => this._stopped();
+
+        this._onData = (data) => this._receive(data);
+        this._onEnd = () => this.close();
+        input.on('data', this._onData);
+        input.on('end', this._onEnd);
+    }
+
+    /// Detach from the instance and the streams, clearing our breakpoints
+    /// and letting execution continue if it's stopped.
+    close() {
+        if (!this.input) {
+            return;
+        }
+        const instance = this.instance;
+        for (let breakpoints of this._sourceBreakpoints.values()) {
+            this._clearBreakpoints(breakpoints);
+        }
+        this._clearBreakpoints(this._instructionBreakpoints);
+        this._sourceBreakpoints.clear();
+        this._instructionBreakpoints = [];
+        this._holds.clear();
+        if (this._pauseRequested) {
+            instance.singleStep = this._singleStep;
+            this._pauseRequested = false;
+        }
+        instance.debugger = this._previousDebugger;
+        if (this._resume) {
+            this._continue(() => {});
+        }
+        this.input.removeListener('data', this._onData);
+        this.input.removeListener('end', this._onEnd);
+        this.input = null;
+    }
+
+    _receive(data) {
+        this._buffer = Buffer.concat([this._buffer, data]);
+        while (this.input) {
+            const headerEnd = this._buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+            const header = this._buffer.subarray(0, headerEnd).toString('ascii');
+            const match = /Content-Length:\s*(\d+)/i.exec(header);
+            if (!match) {
+                // There's no telling where the next message starts.
+                this._error('Expected Content-Length header in DAP message');
+                this._event('terminated');
+                this.close();
+                return;
+            }
+            const start = headerEnd + 4;
+            const end = start + Number(match[1]);
+            if (this._buffer.length < end) {
+                return;
+            }
+            const json = this._buffer.subarray(start, end).toString('utf-8');
+            this._buffer = this._buffer.subarray(end);
+            let message;
+            try {
+                message = JSON.parse(json);
+            } catch (e) {
+                this._error(`Invalid DAP message: ${e.message}`);
+                continue;
+            }
+            if (message && message.type === 'request') {
+                this._dispatch(message);
+            }
+        }
+    }
+
+    /// Report a problem with the client's messages, which has no request
+    /// to respond to, as output on the debug console.
+    _error(message) {
+        this._event('output', {category: 'stderr', output: message + '\n'});
+    }
+
+    _send(message) {
+        if (!this.output) {
+            return;
+        }
+        message.seq = this._seq++;
+        const json = JSON.stringify(message);
+        this.output.write(`Content-Length: ${Buffer.byteLength(json, 'utf-8')}\r\n\r\n${json}`);
+    }
+
+    _event(event, body=undefined) {
+        this._send({type: 'event', event, body});
+    }
+
+    _dispatch(request) {
+        const response = {
+            type: 'response',
+            request_seq: request.seq,
+            command: request.command,
+            success: true
+        };
+        this._deferred = [];
+        try {
+            const command = request.command;
+            const handler = typeof command === 'string' && command ? requestMap(command) : null;
+            if (!handler || !this[handler]) {
+                throw new RangeError(`Unrecognized request ${command}`);
+            }
+            const body = this[handler](request.arguments || {});
+            if (body !== undefined) {
+                response.body = body;
+            }
+        } catch (e) {
+            response.success = false;
+            response.message = e.message;
+            this._deferred = [];
+        }
+        this._send(response);
+        for (let callback of this._deferred) {
+            callback();
+        }
+    }
+
+    /// Do something once the response to the current request is sent.
+    _defer(callback) {
+        this._deferred.push(callback);
+    }
+
+    /// Called from the instance's debugger hook; stays stopped until the
+    /// client asks to continue or step.
+    _stopped() {
+        const instance = this.instance;
+        const [top] = instance.stackTrace(-1);
+        const offset = top.sourceLocation.offset;
+
+        // Breakpoints are still hit in the middle of a step.
+        let reason;
+        if (this._pauseRequested) {
+            instance.singleStep = this._singleStep;
+            this._pauseRequested = false;
+            reason = 'pause';
+        } else if (instance.hasBreakpoint(offset)) {
+            reason = 'breakpoint';
+        } else {
+            reason = 'step';
+        }
+
+        const hitBreakpointIds = [];
+        for (let breakpoints of [...this._sourceBreakpoints.values(), this._instructionBreakpoints]) {
+            for (let breakpoint of breakpoints) {
+                if (breakpoint.offsets.includes(offset)) {
+                    hitBreakpointIds.push(breakpoint.id);
+                }
+            }
+        }
+
+        return new Promise((resolve) => {
+            this._resume = resolve;
+            this._event('stopped', {
+                reason,
+                threadId,
+                allThreadsStopped: true,
+                hitBreakpointIds: reason === 'breakpoint' ? hitBreakpointIds : undefined
+            });
+        });
+    }
+
+    _continue(action) {
+        if (!this._resume) {
+            throw new Error('Not stopped');
+        }
+        action();
+        const resume = this._resume;
+        this._resume = null;
+        this._frames = null;
+        this._references.clear();
+        resume();
+    }
+
+    _granularity(args) {
+        // DAP's default is by statement, which is as close as we get to lines
+        return args.granularity === 'instruction' ? 'instruction' : 'line';
+    }
+
+    _clientLine(line) {
+        return this._linesStartAt1 ? line : line - 1;
+    }
+
+    _clientColumn(column) {
+        return this._columnsStartAt1 ? column : column - 1;
+    }
+
+    _clearBreakpoints(breakpoints) {
+        for (let breakpoint of breakpoints) {
+            for (let offset of breakpoint.held) {
+                const count = this._holds.get(offset) - 1;
+                if (count) {
+                    this._holds.set(offset, count);
+                } else {
+                    this._holds.delete(offset);
+                    this.instance.clearBreakpoint(offset);
+                }
+            }
+        }
+    }
+
+    _setBreakpoint(location, id=++this._breakpointIds) {
+        const instance = this.instance;
+        const existing = new Set(instance.breakpoints().map((loc) => loc.offset));
+        let offsets;
+        try {
+            offsets = instance.setBreakpoint(location).map((loc) => loc.offset);
+        } catch (e) {
+            return {id, offsets: [], held: [], error: e};
+        }
+        const held = offsets.filter((offset) => this._holds.has(offset) || !existing.has(offset));
+        for (let offset of held) {
+            this._holds.set(offset, (this._holds.get(offset) || 0) + 1);
+        }
+        return {id, offsets, held, error: null};
+    }
+
+    _frame(frameId) {
+        if (!this._resume) {
+            throw new Error('Not stopped');
+        }
+        if (!this._frames) {
+            // Innermost first, the opposite of stackTrace()
+            this._frames = this.instance.stackTrace().reverse();
+        }
+        const frame = this._frames[frameId - 1];
+        if (!frame && frameId !== undefined) {
+            throw new RangeError(`Unknown frame ${frameId}`);
+        }
+        return frame;
+    }
+
+    _reference(variables) {
+        const ref = this._references.size + 1;
+        this._references.set(ref, variables);
+        return ref;
+    }
+
+    _requestInitialize(args) {
+        this._linesStartAt1 = args.linesStartAt1 !== false;
+        this._columnsStartAt1 = args.columnsStartAt1 !== false;
+        // Once the capabilities are out, ask for the breakpoints
+        this._defer(() => this._event('initialized'));
+        return {
+            supportsConfigurationDoneRequest: true,
+            supportsSteppingGranularity: true,
+            supportsInstructionBreakpoints: true
+        };
+    }
+
+    _requestLaunch(args) {
+        // Nothing to launch; execution is driven by the host.
+    }
+
+    _requestAttach(args) {
+    }
+
+    _requestConfigurationDone(args) {
+    }
+
+    _requestSetExceptionBreakpoints(args) {
+        return {breakpoints: []};
+    }
+
+    _requestDisconnect(args) {
+        this._defer(() => this.close());
+    }
+
+    _requestSetBreakpoints(args) {
+        const source = args.source || {};
+        const path = source.path || source.name;
+        if (!path) {
+            throw new TypeError('Expected a source path');
+        }
+        const old = this._sourceBreakpoints.get(path) || [];
+        this._clearBreakpoints(old);
+
+        const requested = args.breakpoints || (args.lines || []).map((line) => ({line}));
+        const breakpoints = [];
+        const body = requested.map((bp) => {
+            const line = this._linesStartAt1 ? bp.line : bp.line + 1;
+            const column = bp.column === undefined ? 0
+                : (this._columnsStartAt1 ? bp.column : bp.column + 1);
+            const suffix = column ? `:${line}:${column}` : `:${line}`;
+
+            // Client paths are local, while the debug info has the paths
+            // from the build; fall back to matching on the file name.
+            const id = ++this._breakpointIds;
+            let breakpoint;
+            for (let file of new Set([path, basename(path)])) {
+                breakpoint = this._setBreakpoint(file + suffix, id);
+                if (!breakpoint.error) {
+                    break;
+                }
+            }
+            breakpoints.push(breakpoint);
+
+            if (breakpoint.error) {
+                return {
+                    id: breakpoint.id,
+                    verified: false,
+                    message: breakpoint.error.message,
+                    line: bp.line
+                };
+            }
+            // Report where it actually landed, which may be a later line
+            const info = this.instance.lineInfo(breakpoint.offsets[0]);
+            return {
+                id: breakpoint.id,
+                verified: true,
+                line: info ? this._clientLine(info.line) : bp.line,
+                column: info && info.column ? this._clientColumn(info.column) : undefined,
+                instructionReference: `0x${breakpoint.offsets[0].toString(16)}`
+            };
+        });
+        this._sourceBreakpoints.set(path, breakpoints);
+        return {breakpoints: body};
+    }
+
+    _requestSetInstructionBreakpoints(args) {
+        this._clearBreakpoints(this._instructionBreakpoints);
+        this._instructionBreakpoints = [];
+        const body = (args.breakpoints || []).map((bp) => {
+            const reference = String(bp.instructionReference);
+            const offset = /^(0x)?[0-9a-f]+$/i.test(reference)
+                ? parseInt(reference, 16) + (bp.offset || 0)
+                : NaN;
+            // The instance finds the instruction the offset falls in, if any.
+            const breakpoint = Number.isInteger(offset) ? this._setBreakpoint(offset) : {
+                id: ++this._breakpointIds,
+                offsets: [],
+                held: [],
+                error: new RangeError(`Invalid instruction reference ${reference}`)
+            };
+            this._instructionBreakpoints.push(breakpoint);
+            if (breakpoint.error) {
+                return {
+                    id: breakpoint.id,
+                    verified: false,
+                    message: breakpoint.error.message,
+                    instructionReference: reference
+                };
+            }
+            return {
+                id: breakpoint.id,
+                verified: true,
+                instructionReference: `0x${breakpoint.offsets[0].toString(16)}`
+            };
+        });
+        return {breakpoints: body};
+    }
+
+    _requestThreads(args) {
+        return {
+            threads: [{id: threadId, name: 'main'}]
+        };
+    }
+
+    _requestContinue(args) {
+        this._continue(() => {});
+        return {allThreadsContinued: true};
+    }
+
+    _requestNext(args) {
+        const granularity = this._granularity(args);
+        this._continue(() => this.instance.stepOver({granularity}));
+    }
+
+    _requestStepIn(args) {
+        const granularity = this._granularity(args);
+        this._continue(() => this.instance.stepInto({granularity}));
+    }
+
+    _requestStepOut(args) {
+        const granularity = this._granularity(args);
+        this._continue(() => this.instance.stepOut({granularity}));
+    }
+
+    _requestPause(args) {
+        if (this._resume || this._pauseRequested) {
+            return;
+        }
+        // Stop at whatever runs next
+        this._pauseRequested = true;
+        this._singleStep = this.instance.singleStep;
+        this.instance.singleStep = true;
+    }
+
+    _requestStackTrace(args) {
+        this._frame();
+        const frames = this._frames;
+        const start = args.startFrame || 0;
+        const end = args.levels ? start + args.levels : frames.length;
+        const stackFrames = frames.slice(start, end).map((frame, i) => {
+            const location = frame.sourceLocation;
+            const stackFrame = {
+                id: start + i + 1,
+                name: frame.functionName || frame.name,
+                line: frame.line ? this._clientLine(frame.line) : 0,
+                column: frame.column ? this._clientColumn(frame.column) : 0,
+                instructionPointerReference: `0x${location.offset.toString(16)}`
+            };
+            if (frame.file) {
+                stackFrame.source = {
+                    name: basename(frame.file),
+                    path: frame.file
+                };
+            } else {
+                stackFrame.presentationHint = 'subtle';
+            }
+            return stackFrame;
+        });
+        return {
+            stackFrames,
+            totalFrames: frames.length
+        };
+    }
+
+    _requestScopes(args) {
+        const frame = this._frame(args.frameId);
+        const localTypes = frame.localTypes || [];
+        const stackTypes = frame.stackTypes || [];
+        const locals = (frame.locals || []).map((value, index) => {
+            return wasmVariable(`$var${index}`, value, localTypes[index]);
+        });
+        const stack = (frame.stack || []).map((value, index) => {
+            return wasmVariable(`[${index}]`, value, stackTypes[index]);
+        });
+        const scopes = [];
+        if (frame.variables) {
+            // Those the DWARF debug info describes, as the source has them
+            const variables = frame.variables.map((variable) => ({
+                name: variable.name,
+                value: variable.value === undefined ? '<unavailable>' : formatValue(variable.value),
+                type: variable.type || undefined,
+                variablesReference: 0
+            }));
+            scopes.push({
+                name: 'Source variables',
+                presentationHint: 'locals',
+                variablesReference: this._reference(variables),
+                namedVariables: variables.length,
+                expensive: false
+            });
+        }
+        scopes.push(
+            {
+                name: 'Locals',
+                presentationHint: frame.variables ? undefined : 'locals',
+                variablesReference: this._reference(locals),
+                namedVariables: locals.length,
+                expensive: false
+            },
+            {
+                name: 'Stack',
+                variablesReference: this._reference(stack),
+                indexedVariables: stack.length,
+                expensive: false
+            }
+        );
+        return {scopes};
+    }
+
+    _requestVariables(args) {
+        const variables = this._references.get(args.variablesReference);
+        if (!variables) {
+            throw new RangeError(`Unknown variables reference ${args.variablesReference}`);
+        }
+        const start = args.start || 0;
+        const end = args.count ? start + args.count : variables.length;
+        return {
+            variables: variables.slice(start, end)
+        };
+    }
+}
+
+/// Attach a Debug Adapter Protocol server to an instance, speaking DAP
+/// over the given readable and writable streams. If only one stream is
+/// given, such as a socket, it's used both ways.
+///
+/// Returns the DebugAdapter; call its `close()` method to detach.
+function createDebugAdapter(instance, input, output=input) {
+    return new DebugAdapter(instance, input, output);
+}
+
+module.exports = {
+    DebugAdapter,
+    createDebugAdapter
+};
@@ -0,0 +1,1390 @@
+/// Reader for the DWARF debugging info that C/C++ toolchains emit into
+/// WebAssembly custom sections with `-g`.
+///
+/// Only what's needed for source-level debugging is decoded: the line
+/// number programs from `.debug_line`, and from `.debug_info` the names
+/// and code ranges of functions, and their parameters and local variables
+/// with their types and locations. DWARF versions 2 through 5 are
+/// accepted.
+///
+/// In WebAssembly, DWARF addresses are offsets from the start of the code
+/// section's payload; they're converted here to module offsets, so they
+/// line up with the `SourceLocation` offsets used by the interpreter.
+
+// Tags and attributes we care about
+const DW_TAG_formal_parameter = 0x05;
+const DW_TAG_lexical_block = 0x0b;
+const DW_TAG_pointer_type = 0x0f;
+const DW_TAG_typedef = 0x16;
+const DW_TAG_base_type = 0x24;
+const DW_TAG_const_type = 0x26;
+const DW_TAG_subprogram = 0x2e;
+const DW_TAG_variable = 0x34;
+const DW_TAG_volatile_type = 0x35;
+const DW_TAG_restrict_type = 0x37;
+
+const DW_AT_location = 0x02;
+const DW_AT_name = 0x03;
+const DW_AT_byte_size = 0x0b;
+const DW_AT_stmt_list = 0x10;
+const DW_AT_low_pc = 0x11;
+const DW_AT_high_pc = 0x12;
+const DW_AT_comp_dir = 0x1b;
+const DW_AT_abstract_origin = 0x31;
+const DW_AT_encoding = 0x3e;
+const DW_AT_frame_base = 0x40;
+const DW_AT_specification = 0x47;
+const DW_AT_type = 0x49;
+const DW_AT_ranges = 0x55;
+const DW_AT_linkage_name = 0x6e;
+const DW_AT_str_offsets_base = 0x72;
+const DW_AT_addr_base = 0x73;
+const DW_AT_rnglists_base = 0x74;
+const DW_AT_loclists_base = 0x8c;
+const DW_AT_MIPS_linkage_name = 0x2007;
+
+// Base type encodings, by the names variables' types report them as
+const encodings = new Map([
+    [0x01, 'address'],
+    [0x02, 'boolean'],
+    [0x04, 'float'],
+    [0x05, 'signed'],
+    [0x06, 'signed'],
+    [0x07, 'unsigned'],
+    [0x08, 'unsigned'],
+    [0x10, 'unsigned']
+]);
+
+// Attribute forms
+const forms = {
+    addr: 0x01,
+    block2: 0x03,
+    block4: 0x04,
+    data2: 0x05,
+    data4: 0x06,
+    data8: 0x07,
+    string: 0x08,
+    block: 0x09,
+    block1: 0x0a,
+    data1: 0x0b,
+    flag: 0x0c,
+    sdata: 0x0d,
+    strp: 0x0e,
+    udata: 0x0f,
+    ref_addr: 0x10,
+    ref1: 0x11,
+    ref2: 0x12,
+    ref4: 0x13,
+    ref8: 0x14,
+    ref_udata: 0x15,
+    indirect: 0x16,
+    sec_offset: 0x17,
+    exprloc: 0x18,
+    flag_present: 0x19,
+    strx: 0x1a,
+    addrx: 0x1b,
+    ref_sup4: 0x1c,
+    strp_sup: 0x1d,
+    data16: 0x1e,
+    line_strp: 0x1f,
+    ref_sig8: 0x20,
+    implicit_const: 0x21,
+    loclistx: 0x22,
+    rnglistx: 0x23,
+    ref_sup8: 0x24,
+    strx1: 0x25,
+    strx2: 0x26,
+    strx3: 0x27,
+    strx4: 0x28,
+    addrx1: 0x29,
+    addrx2: 0x2a,
+    addrx3: 0x2b,
+    addrx4: 0x2c,
+    GNU_addr_index: 0x1f01,
+    GNU_str_index: 0x1f02,
+    GNU_ref_alt: 0x1f20,
+    GNU_strp_alt: 0x1f21
+};
+
+const constantForms = new Set([
+    forms.data1,
+    forms.data2,
+    forms.data4,
+    forms.data8,
+    forms.sdata,
+    forms.udata,
+    forms.implicit_const
+]);
+
+const unitRefForms = new Set([
+    forms.ref1,
+    forms.ref2,
+    forms.ref4,
+    forms.ref8,
+    forms.ref_udata
+]);
+
+// Line number program content types (DWARF 5)
+const DW_LNCT_path = 1;
+const DW_LNCT_directory_index = 2;
+
+// Range and location list entry kinds (DWARF 5). Location lists have
+// `default_location` at 5, shifting the rest up by one.
+const DW_RLE_end_of_list = 0;
+const DW_RLE_base_addressx = 1;
+const DW_RLE_startx_endx = 2;
+const DW_RLE_startx_length = 3;
+const DW_RLE_offset_pair = 4;
+const DW_RLE_base_address = 5;
+const DW_RLE_start_end = 6;
+const DW_RLE_start_length = 7;
+const DW_LLE_default_location = 5;
+
+// Location expression operations
+const DW_OP_addr = 0x03;
+const DW_OP_deref = 0x06;
+const DW_OP_const1u = 0x08;
+const DW_OP_const1s = 0x09;
+const DW_OP_const2u = 0x0a;
+const DW_OP_const2s = 0x0b;
+const DW_OP_const4u = 0x0c;
+const DW_OP_const4s = 0x0d;
+const DW_OP_const8u = 0x0e;
+const DW_OP_const8s = 0x0f;
+const DW_OP_constu = 0x10;
+const DW_OP_consts = 0x11;
+const DW_OP_dup = 0x12;
+const DW_OP_drop = 0x13;
+const DW_OP_minus = 0x1c;
+const DW_OP_plus = 0x22;
+const DW_OP_plus_uconst = 0x23;
+const DW_OP_lit0 = 0x30;
+const DW_OP_lit31 = 0x4f;
+const DW_OP_fbreg = 0x91;
+const DW_OP_implicit_value = 0x9e;
+const DW_OP_stack_value = 0x9f;
+const DW_OP_WASM_location = 0xed;
+
+// Dead-stripped code gets its addresses zeroed or set to a tombstone
+// by the linker; those ranges would overlap live code, so skip them.
+function isDeadAddress(address) {
+    return address === 0 || address >= 0xfffffffe;
+}
+
+function isAbsolutePath(path) {
+    return path.startsWith('/') || /^[A-Za-z]:[\\/]/.test(path);
+}
+
+function joinPath(dir, name) {
+    if (!dir || isAbsolutePath(name)) {
+        return name;
+    }
+    return dir.endsWith('/') ? dir + name : `${dir}/${name}`;
+}
+
+/// Does the full path from the debug info match a path as given by the
+/// user? Either may use backslashes; a relative query matches any path
+/// ending with it on a directory boundary, so `foobar.c` or `src/foobar.c`
+/// will find `/home/me/project/src/foobar.c`.
+function matchesPath(path, query) {
+    path = path.replace(/\\/g, '/');
+    query = query.replace(/\\/g, '/');
+    return path === query || path.endsWith('/' + query);
+}
+
+/// Thrown for DWARF data that's malformed, or uses something not
+/// supported here.
+class DwarfError extends RangeError {
+    constructor(message) {
+        super(message);
+        this.name = 'DwarfError';
+    }
+}
+
+class Reader {
+    constructor(bytes, pos=0) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = pos;
+    }
+
+    check(length) {
+        if (this.pos + length > this.bytes.length) {
+            throw new DwarfError('DWARF data out of bounds');
+        }
+    }
+
+    u8() {
+        this.check(1);
+        return this.bytes[this.pos++];
+    }
+
+    s8() {
+        return this.u8() << 24 >> 24;
+    }
+
+    u16() {
+        this.check(2);
+        const val = this.view.getUint16(this.pos, true);
+        this.pos += 2;
+        return val;
+    }
+
+    u24() {
+        return this.u16() | (this.u8() << 16);
+    }
+
+    u32() {
+        this.check(4);
+        const val = this.view.getUint32(this.pos, true);
+        this.pos += 4;
+        return val;
+    }
+
+    u64() {
+        this.check(8);
+        // Addresses and offsets all fit in a double for wasm32
+        const val = Number(this.view.getBigUint64(this.pos, true));
+        this.pos += 8;
+        return val;
+    }
+
+    uleb() {
+        let result = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = this.u8();
+            result += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+        return result;
+    }
+
+    sleb() {
+        let result = 0;
+        let scale = 1;
+        let byte;
+        do {
+            byte = this.u8();
+            result += (byte & 0x7f) * scale;
+            scale *= 128;
+        } while (byte & 0x80);
+        if (byte & 0x40) {
+            result -= scale;
+        }
+        return result;
+    }
+
+    sized(size) {
+        switch (size) {
+            case 1: return this.u8();
+            case 2: return this.u16();
+            case 4: return this.u32();
+            case 8: return this.u64();
+            default:
+                throw new DwarfError(`Unsupported DWARF value size ${size}`);
+        }
+    }
+
+    skip(length) {
+        this.check(length);
+        this.pos += length;
+    }
+
+    bytesOf(length) {
+        this.check(length);
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    cstring() {
+        const end = this.bytes.indexOf(0, this.pos);
+        if (end === -1) {
+            throw new DwarfError('Unterminated DWARF string');
+        }
+        const str = Reader.decoder.decode(this.bytes.subarray(this.pos, end));
+        this.pos = end + 1;
+        return str;
+    }
+
+    /// Read an initial length field, returning the end position of the
+    /// unit and whether it's in the 64-bit format.
+    unitLength() {
+        let length = this.u32();
+        let offsetSize = 4;
+        if (length === 0xffffffff) {
+            length = this.u64();
+            offsetSize = 8;
+        } else if (length >= 0xfffffff0) {
+            throw new DwarfError('Reserved DWARF unit length');
+        }
+        const end = this.pos + length;
+        if (end > this.bytes.length) {
+            throw new DwarfError('DWARF unit out of bounds');
+        }
+        return {end, offsetSize};
+    }
+}
+Reader.decoder = new TextDecoder('utf-8');
+
+/// Evaluate a DWARF location expression, as given for variables by
+/// `DebugInfo.prototype.variables()`. The context supplies the state of
+/// the frame: `local(index)` and `global(index)` for the values of wasm
+/// locals and globals, `load(address)` for a 32-bit word of memory, and
+/// `frameBase` for the function's frame base expression.
+///
+/// Returns `{value}` for a variable held in a local or global, or whose
+/// value was computed, `{bytes}` for a constant given as its bytes in
+/// memory, `{address}` for one in memory, or null if the expression can't
+/// be evaluated here.
+function evaluateLocation(expression, context) {
+    const reader = new Reader(expression);
+    const stack = [];
+    const pop = () => {
+        if (!stack.length) {
+            throw new DwarfError('DWARF expression stack underflow');
+        }
+        return stack.pop();
+    };
+    let register = false;
+    while (reader.pos < expression.length) {
+        const op = reader.u8();
+        register = false;
+        if (op >= DW_OP_lit0 && op <= DW_OP_lit31) {
+            stack.push(op - DW_OP_lit0);
+            continue;
+        }
+        switch (op) {
+            case DW_OP_addr:
+                stack.push(reader.u32());
+                break;
+            case DW_OP_deref:
+                stack.push(context.load(pop()));
+                break;
+            case DW_OP_const1u:
+                stack.push(reader.u8());
+                break;
+            case DW_OP_const1s:
+                stack.push(reader.s8());
+                break;
+            case DW_OP_const2u:
+                stack.push(reader.u16());
+                break;
+            case DW_OP_const2s:
+                stack.push(reader.u16() << 16 >> 16);
+                break;
+            case DW_OP_const4u:
+                stack.push(reader.u32());
+                break;
+            case DW_OP_const4s:
+                stack.push(reader.u32() | 0);
+                break;
+            case DW_OP_const8u:
+            case DW_OP_const8s:
+                stack.push(reader.u64());
+                break;
+            case DW_OP_constu:
+                stack.push(reader.uleb());
+                break;
+            case DW_OP_consts:
+                stack.push(reader.sleb());
+                break;
+            case DW_OP_dup: {
+                const top = pop();
+                stack.push(top, top);
+                break;
+            }
+            case DW_OP_drop:
+                pop();
+                break;
+            case DW_OP_minus: {
+                const right = pop();
+                stack.push(pop() - right);
+                break;
+            }
+            case DW_OP_plus:
+                stack.push(pop() + pop());
+                break;
+            case DW_OP_plus_uconst:
+                stack.push(pop() + reader.uleb());
+                break;
+            case DW_OP_fbreg: {
+                const offset = reader.sleb();
+                const base = context.frameBase && evaluateLocation(context.frameBase, context);
+                if (!base || !('value' in base)) {
+                    return null;
+                }
+                stack.push(Number(base.value) + offset);
+                break;
+            }
+            case DW_OP_implicit_value:
+                return {bytes: reader.bytesOf(reader.uleb())};
+            case DW_OP_stack_value:
+                return {value: pop()};
+            case DW_OP_WASM_location: {
+                // Names a wasm local, global or operand stack slot; as the
+                // last operation the variable is in it, as in a register.
+                const kind = reader.u8();
+                const index = (kind === 3) ? reader.u32() : reader.uleb();
+                if (kind === 0) {
+                    stack.push(context.local(index));
+                } else if (kind === 1 || kind === 3) {
+                    stack.push(context.global(index));
+                } else {
+                    // Operand stack slots aren't tracked by index.
+                    return null;
+                }
+                register = true;
+                break;
+            }
+            default:
+                // Pieces, registers of other targets, and the like
+                return null;
+        }
+    }
+    if (!stack.length) {
+        return null;
+    }
+    return register ? {value: stack[stack.length - 1]} : {address: stack[stack.length - 1]};
+}
+
+/// Source info for the code at a given module offset.
+class LineInfo {
+    constructor(file, line, column) {
+        this.file = file;
+        this.line = line;
+        this.column = column;
+    }
+
+    toString() {
+        return this.column ? `${this.file}:${this.line}:${this.column}` : `${this.file}:${this.line}`;
+    }
+}
+
+/// Decoded DWARF data for a module.
+///
+/// Use `DebugInfo.fromModule` to get one from a parsed module, if it has
+/// debug sections.
+class DebugInfo {
+    constructor(sections, codeOffset) {
+        this.codeOffset = codeOffset;
+        this._sections = sections;
+        this._abbrevs = new Map();
+        this._lineTables = new Map();
+
+        // Rows of the line tables, sorted by offset.
+        // Each row covers the code up to the next row in its sequence,
+        // and the last one up to the sequence's end.
+        this.rows = [];
+
+        // Functions with their code ranges, sorted by offset
+        this.functions = [];
+
+        if (sections['.debug_info'] && sections['.debug_abbrev']) {
+            this._readUnits();
+        } else if (sections['.debug_line']) {
+            // Without any units we don't know where the line programs
+            // start, but a bare section normally holds just one.
+            this._readLineTable(0, '', '');
+        }
+
+        this.rows.sort((a, b) => a.offset - b.offset);
+        this.functions.sort((a, b) => a.offset - b.offset || b.end - a.end);
+    }
+
+    /// Return a DebugInfo for the DWARF sections of a parsed module, or
+    /// null if there are none.
+    static fromModule(mod) {
+        const sections = {};
+        for (let custom of mod.customs) {
+            if (custom.name.startsWith('.debug_') && !sections[custom.name]) {
+                sections[custom.name] = custom.data;
+            }
+        }
+        if (!sections['.debug_line'] || mod.codeOffset === null) {
+            return null;
+        }
+        return new DebugInfo(sections, mod.codeOffset);
+    }
+
+    /// Source file, line and column for the instruction at the given module
+    /// offset, as a LineInfo. Returns null if no line info covers it.
+    lookup(offset) {
+        const row = this._find(this.rows, offset);
+        if (!row || row.line === 0) {
+            return null;
+        }
+        return new LineInfo(row.file, row.line, row.column);
+    }
+
+    /// Name of the innermost function covering the given module offset,
+    /// or null if unknown.
+    functionName(offset) {
+        const func = this._find(this.functions, offset);
+        return func ? func.name : null;
+    }
+
+    /// Parameters and local variables in scope at the given module offset,
+    /// as `{name, type, location, frameBase}` objects. The type is as
+    /// `{name, encoding, size}`, or null if unknown. The location and
+    /// frame base are DWARF expressions to give to `evaluateLocation()`;
+    /// the location is null where the variable is optimized out.
+    variables(offset) {
+        const range = this._find(this.functions, offset);
+        if (!range) {
+            return [];
+        }
+        const {variables, frameBase} = range.func;
+        return variables.filter((variable) => {
+            return !variable.scope || variable.scope.some(([start, stop]) => offset >= start && offset < stop);
+        }).map((variable) => {
+            let location = variable.location;
+            if (Array.isArray(location)) {
+                const entry = location.find((entry) => offset >= entry.offset && offset < entry.end);
+                location = entry ? entry.expression : null;
+            }
+            return {name: variable.name, type: variable.type, location, frameBase};
+        });
+    }
+
+    /// Find the module offsets of code starting the given line of a source
+    /// file, optionally narrowed to a column. If the line has no code of
+    /// its own, the next line that does is used, the way native debuggers
+    /// will slide a breakpoint forward.
+    ///
+    /// Returns an array of offsets, which is empty if nothing matched.
+    findLine(file, line, column=0) {
+        const candidates = this.rows.filter((row) => {
+            return row.isStmt && matchesPath(row.file, file) && row.line >= line &&
+                (!column || row.line > line || row.column === column);
+        });
+        if (!candidates.length) {
+            return [];
+        }
+        const target = Math.min(...candidates.map((row) => row.line));
+        return candidates.filter((row) => {
+            // Only the first row of a run on the same line; the rest are
+            // later columns of the same statement.
+            return row.line === target && !(row.previous &&
+                row.previous.line === row.line &&
+                row.previous.file === row.file);
+        }).map((row) => row.offset);
+    }
+
+    /// List all source files referred to by the line tables.
+    files() {
+        return Array.from(new Set(this.rows.map((row) => row.file))).sort();
+    }
+
+    _find(list, offset) {
+        // Binary search for the last entry starting at or before the offset
+        let low = 0;
+        let high = list.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (list[mid].offset <= offset) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        // Nested or overlapping ranges may put the covering entry earlier.
+        for (let i = low - 1; i >= 0; i--) {
+            const entry = list[i];
+            if (offset < entry.end) {
+                return entry;
+            }
+            if (list === this.rows) {
+                // Line table rows don't nest, so the closest one decides.
+                break;
+            }
+        }
+        return null;
+    }
+
+    _string(offset, section='.debug_str') {
+        const bytes = this._sections[section];
+        if (!bytes) {
+            throw new DwarfError(`Missing DWARF section ${section}`);
+        }
+        return new Reader(bytes, offset).cstring();
+    }
+
+    _readAbbrevs(offset) {
+        if (this._abbrevs.has(offset)) {
+            return this._abbrevs.get(offset);
+        }
+        const reader = new Reader(this._sections['.debug_abbrev'], offset);
+        const abbrevs = new Map();
+        for (;;) {
+            const code = reader.uleb();
+            if (code === 0) {
+                break;
+            }
+            const tag = reader.uleb();
+            const hasChildren = reader.u8() !== 0;
+            const attrs = [];
+            for (;;) {
+                const name = reader.uleb();
+                const form = reader.uleb();
+                if (name === 0 && form === 0) {
+                    break;
+                }
+                const value = form === forms.implicit_const ? reader.sleb() : null;
+                attrs.push({name, form, value});
+            }
+            abbrevs.set(code, {tag, hasChildren, attrs});
+        }
+        this._abbrevs.set(offset, abbrevs);
+        return abbrevs;
+    }
+
+    _readUnits() {
+        const reader = new Reader(this._sections['.debug_info']);
+        while (reader.pos < reader.bytes.length) {
+            const unitOffset = reader.pos;
+            const {end, offsetSize} = reader.unitLength();
+            const version = reader.u16();
+            if (version < 2 || version > 5) {
+                throw new DwarfError(`Unsupported DWARF version ${version}`);
+            }
+            let unitType = 0x01; // DW_UT_compile
+            let addressSize;
+            let abbrevOffset;
+            if (version >= 5) {
+                unitType = reader.u8();
+                addressSize = reader.u8();
+                abbrevOffset = reader.sized(offsetSize);
+                if (unitType === 0x02 || unitType === 0x06) {
+                    // type units: signature and type offset
+                    reader.skip(8 + offsetSize);
+                } else if (unitType === 0x04 || unitType === 0x05) {
+                    // skeleton and split units: dwo id
+                    reader.skip(8);
+                }
+            } else {
+                abbrevOffset = reader.sized(offsetSize);
+                addressSize = reader.u8();
+            }
+            const unit = {
+                offset: unitOffset,
+                version,
+                offsetSize,
+                addressSize,
+                abbrevs: this._readAbbrevs(abbrevOffset),
+                strOffsetsBase: 8,
+                addrBase: 8,
+                rnglistsBase: 12,
+                loclistsBase: 12,
+                baseAddress: 0,
+                entries: null,
+                types: null
+            };
+            this._readEntries(reader, unit, end);
+            reader.pos = end;
+        }
+    }
+
+    _readEntries(reader, unit, end) {
+        // Entries by offset, for following references between them
+        const entries = new Map();
+        const parents = [];
+        let root = null;
+        while (reader.pos < end) {
+            const offset = reader.pos;
+            const code = reader.uleb();
+            if (code === 0) {
+                // End of a list of children
+                parents.pop();
+                continue;
+            }
+            const abbrev = unit.abbrevs.get(code);
+            if (!abbrev) {
+                throw new DwarfError(`Unknown DWARF abbreviation ${code}`);
+            }
+            const attrs = new Map();
+            for (let spec of abbrev.attrs) {
+                attrs.set(spec.name, this._readAttribute(reader, unit, spec.form, spec.value));
+            }
+            const entry = {offset, tag: abbrev.tag, attrs, children: []};
+            entries.set(offset, entry);
+            if (parents.length) {
+                parents[parents.length - 1].children.push(entry);
+            }
+            if (abbrev.hasChildren) {
+                parents.push(entry);
+            }
+            if (!root) {
+                root = entry;
+                // Bases for indexed strings, addresses and lists apply to
+                // the whole unit, including the root's own attributes.
+                if (attrs.has(DW_AT_str_offsets_base)) {
+                    unit.strOffsetsBase = attrs.get(DW_AT_str_offsets_base).value;
+                }
+                if (attrs.has(DW_AT_addr_base)) {
+                    unit.addrBase = attrs.get(DW_AT_addr_base).value;
+                }
+                if (attrs.has(DW_AT_rnglists_base)) {
+                    unit.rnglistsBase = attrs.get(DW_AT_rnglists_base).value;
+                }
+                if (attrs.has(DW_AT_loclists_base)) {
+                    unit.loclistsBase = attrs.get(DW_AT_loclists_base).value;
+                }
+                // Range and location lists are relative to this.
+                if (attrs.has(DW_AT_low_pc)) {
+                    unit.baseAddress = this._attrAddress(unit, attrs.get(DW_AT_low_pc));
+                }
+            }
+        }
+        if (!root) {
+            return;
+        }
+        unit.entries = entries;
+        unit.types = new Map();
+
+        if (root.attrs.has(DW_AT_stmt_list)) {
+            const compDir = root.attrs.has(DW_AT_comp_dir)
+                ? this._attrString(unit, root.attrs.get(DW_AT_comp_dir))
+                : '';
+            const name = root.attrs.has(DW_AT_name)
+                ? this._attrString(unit, root.attrs.get(DW_AT_name))
+                : '';
+            this._readLineTable(root.attrs.get(DW_AT_stmt_list).value, compDir, name);
+        }
+
+        for (let entry of entries.values()) {
+            if (entry.tag !== DW_TAG_subprogram) {
+                continue;
+            }
+            // Declarations have no code; optimized code may be split
+            // into several ranges.
+            const ranges = this._entryRanges(unit, entry);
+            if (!ranges || !ranges.length) {
+                continue;
+            }
+            const name = this._entryName(unit, entry, 0);
+            if (name === null) {
+                continue;
+            }
+            const frameBase = entry.attrs.get(DW_AT_frame_base);
+            const func = {
+                name,
+                frameBase: frameBase ? this._attrLocation(unit, frameBase) : null,
+                variables: []
+            };
+            this._readVariables(unit, entry, null, func.variables);
+            for (let [start, stop] of ranges) {
+                this.functions.push({
+                    offset: this.codeOffset + start,
+                    end: this.codeOffset + stop,
+                    name,
+                    func
+                });
+            }
+        }
+        // The entries are only needed while reading the unit.
+        unit.entries = null;
+    }
+
+    /// Collect the parameters and variables of a function, descending into
+    /// lexical blocks but not inlined or nested functions. Variables in a
+    /// block are only in scope within its ranges.
+    _readVariables(unit, entry, scope, variables) {
+        for (let child of entry.children) {
+            if (child.tag === DW_TAG_formal_parameter || child.tag === DW_TAG_variable) {
+                const attrs = child.attrs;
+                const name = this._entryName(unit, child, 0);
+                if (name === null || !attrs.has(DW_AT_location)) {
+                    continue;
+                }
+                variables.push({
+                    name,
+                    type: attrs.has(DW_AT_type) ? this._type(unit, attrs.get(DW_AT_type), 0) : null,
+                    location: this._attrLocation(unit, attrs.get(DW_AT_location)),
+                    scope
+                });
+            } else if (child.tag === DW_TAG_lexical_block) {
+                const ranges = this._entryRanges(unit, child);
+                const inner = ranges
+                    ? ranges.map(([start, stop]) => [this.codeOffset + start, this.codeOffset + stop])
+                    : scope;
+                this._readVariables(unit, child, inner, variables);
+            }
+        }
+    }
+
+    /// Code ranges of an entry, as pairs of start and end addresses, or
+    /// null if it has none. Dead-stripped ranges are left out.
+    _entryRanges(unit, entry) {
+        const attrs = entry.attrs;
+        const low = attrs.get(DW_AT_low_pc);
+        const high = attrs.get(DW_AT_high_pc);
+        if (low && high) {
+            const start = this._attrAddress(unit, low);
+            const stop = constantForms.has(high.form)
+                ? start + high.value
+                : this._attrAddress(unit, high);
+            return isDeadAddress(start) ? [] : [[start, stop]];
+        }
+        const ranges = attrs.get(DW_AT_ranges);
+        if (!ranges) {
+            return null;
+        }
+        const list = [];
+        this._readList(unit, ranges, false, (start, stop) => {
+            if (!isDeadAddress(start) && stop > start) {
+                list.push([start, stop]);
+            }
+        });
+        return list;
+    }
+
+    /// Where a variable lives: an expression, or for a location list, an
+    /// array of `{offset, end, expression}` entries by module offset.
+    _attrLocation(unit, attr) {
+        if (attr.value instanceof Uint8Array) {
+            return attr.value;
+        }
+        const list = [];
+        this._readList(unit, attr, true, (start, stop, expression) => {
+            if (!isDeadAddress(start) && stop > start) {
+                list.push({
+                    offset: this.codeOffset + start,
+                    end: this.codeOffset + stop,
+                    expression
+                });
+            }
+        });
+        return list;
+    }
+
+    /// Walk a range list (from `.debug_ranges` or `.debug_rnglists`) or a
+    /// location list (from `.debug_loc` or `.debug_loclists`), calling back
+    /// with the start and end address of each entry, and for locations,
+    /// its expression.
+    _readList(unit, attr, locations, callback) {
+        const v5 = unit.version >= 5;
+        const section = locations
+            ? (v5 ? '.debug_loclists' : '.debug_loc')
+            : (v5 ? '.debug_rnglists' : '.debug_ranges');
+        const bytes = this._sections[section];
+        if (!bytes) {
+            throw new DwarfError(`Missing DWARF section ${section}`);
+        }
+        let offset = attr.value;
+        if (attr.form === forms.loclistx || attr.form === forms.rnglistx) {
+            // Indexes go through a table of offsets after the header.
+            const base = locations ? unit.loclistsBase : unit.rnglistsBase;
+            offset = base + new Reader(bytes, base + offset * unit.offsetSize).sized(unit.offsetSize);
+        }
+        const reader = new Reader(bytes, offset);
+        let base = unit.baseAddress;
+        const expression = () => {
+            if (!locations) {
+                return null;
+            }
+            return reader.bytesOf(v5 ? reader.uleb() : reader.u16());
+        };
+
+        if (!v5) {
+            const selector = unit.addressSize === 8 ? 2 ** 64 - 1 : 0xffffffff;
+            for (;;) {
+                const start = reader.sized(unit.addressSize);
+                const stop = reader.sized(unit.addressSize);
+                if (start === 0 && stop === 0) {
+                    return;
+                }
+                if (start === selector) {
+                    base = stop;
+                    continue;
+                }
+                callback(base + start, base + stop, expression());
+            }
+        }
+
+        const address = () => this._indexedAddress(unit, reader.uleb());
+        for (;;) {
+            let kind = reader.u8();
+            if (locations && kind === DW_LLE_default_location) {
+                // Applies wherever no other entry does; not used for wasm.
+                expression();
+                continue;
+            }
+            if (locations && kind > DW_LLE_default_location) {
+                kind--;
+            }
+            switch (kind) {
+                case DW_RLE_end_of_list:
+                    return;
+                case DW_RLE_base_addressx:
+                    base = address();
+                    break;
+                case DW_RLE_startx_endx: {
+                    const start = address();
+                    callback(start, address(), expression());
+                    break;
+                }
+                case DW_RLE_startx_length: {
+                    const start = address();
+                    callback(start, start + reader.uleb(), expression());
+                    break;
+                }
+                case DW_RLE_offset_pair: {
+                    const start = base + reader.uleb();
+                    callback(start, base + reader.uleb(), expression());
+                    break;
+                }
+                case DW_RLE_base_address:
+                    base = reader.sized(unit.addressSize);
+                    break;
+                case DW_RLE_start_end: {
+                    const start = reader.sized(unit.addressSize);
+                    callback(start, reader.sized(unit.addressSize), expression());
+                    break;
+                }
+                case DW_RLE_start_length: {
+                    const start = reader.sized(unit.addressSize);
+                    callback(start, start + reader.uleb(), expression());
+                    break;
+                }
+                default:
+                    throw new DwarfError(`Unknown DWARF list entry kind ${kind}`);
+            }
+        }
+    }
+
+    /// Describe the type an attribute refers to, as `{name, encoding,
+    /// size}`. The encoding is one of 'signed', 'unsigned', 'float',
+    /// 'boolean' or 'address' for types whose values can be shown, and
+    /// null for others, such as structs and arrays.
+    _type(unit, ref, depth) {
+        const target = unitRefForms.has(ref.form) ? unit.offset + ref.value : ref.value;
+        if (unit.types.has(target)) {
+            return unit.types.get(target);
+        }
+        const entry = unit.entries.get(target);
+        const inner = () => {
+            const next = entry.attrs.get(DW_AT_type);
+            return next && depth < 8 ? this._type(unit, next, depth + 1) : null;
+        };
+        let type = {name: null, encoding: null, size: null};
+        if (entry) {
+            const name = entry.attrs.has(DW_AT_name)
+                ? this._attrString(unit, entry.attrs.get(DW_AT_name))
+                : null;
+            const size = entry.attrs.has(DW_AT_byte_size)
+                ? entry.attrs.get(DW_AT_byte_size).value
+                : null;
+            switch (entry.tag) {
+                case DW_TAG_base_type: {
+                    const encoding = entry.attrs.get(DW_AT_encoding);
+                    type = {name, encoding: encoding ? encodings.get(encoding.value) || null : null, size};
+                    break;
+                }
+                case DW_TAG_pointer_type: {
+                    const pointee = inner();
+                    const pointeeName = pointee && pointee.name || 'void';
+                    type = {name: `${pointeeName} *`, encoding: 'address', size: size || unit.addressSize};
+                    break;
+                }
+                case DW_TAG_typedef:
+                    type = Object.assign({}, inner() || type, {name});
+                    break;
+                case DW_TAG_const_type:
+                case DW_TAG_volatile_type:
+                case DW_TAG_restrict_type: {
+                    const qualifier = {
+                        [DW_TAG_const_type]: 'const',
+                        [DW_TAG_volatile_type]: 'volatile',
+                        [DW_TAG_restrict_type]: 'restrict'
+                    }[entry.tag];
+                    const qualified = inner() || type;
+                    type = Object.assign({}, qualified, {name: `${qualifier} ${qualified.name || 'void'}`});
+                    break;
+                }
+                default:
+                    type = {name, encoding: null, size};
+                    break;
+            }
+        }
+        unit.types.set(target, type);
+        return type;
+    }
+
+    _entryName(unit, entry, depth) {
+        const attrs = entry.attrs;
+        if (attrs.has(DW_AT_name)) {
+            return this._attrString(unit, attrs.get(DW_AT_name));
+        }
+        for (let name of [DW_AT_linkage_name, DW_AT_MIPS_linkage_name]) {
+            if (attrs.has(name)) {
+                return this._attrString(unit, attrs.get(name));
+            }
+        }
+        // Out-of-line definitions and inlined copies refer back to the
+        // declaration, which holds the name.
+        for (let name of [DW_AT_specification, DW_AT_abstract_origin]) {
+            const ref = attrs.get(name);
+            if (ref && depth < 8) {
+                const target = unitRefForms.has(ref.form)
+                    ? unit.offset + ref.value
+                    : ref.value;
+                const origin = unit.entries.get(target);
+                if (origin) {
+                    return this._entryName(unit, origin, depth + 1);
+                }
+            }
+        }
+        return null;
+    }
+
+    _readAttribute(reader, unit, form, implicitValue) {
+        let value;
+        switch (form) {
+            case forms.addr:
+                value = reader.sized(unit.addressSize);
+                break;
+            case forms.data1:
+            case forms.ref1:
+            case forms.flag:
+            case forms.strx1:
+            case forms.addrx1:
+                value = reader.u8();
+                break;
+            case forms.data2:
+            case forms.ref2:
+            case forms.strx2:
+            case forms.addrx2:
+                value = reader.u16();
+                break;
+            case forms.strx3:
+            case forms.addrx3:
+                value = reader.u24();
+                break;
+            case forms.data4:
+            case forms.ref4:
+            case forms.ref_sup4:
+            case forms.strx4:
+            case forms.addrx4:
+                value = reader.u32();
+                break;
+            case forms.data8:
+            case forms.ref8:
+            case forms.ref_sig8:
+            case forms.ref_sup8:
+                value = reader.u64();
+                break;
+            case forms.data16:
+                reader.skip(16);
+                value = null;
+                break;
+            case forms.sdata:
+                value = reader.sleb();
+                break;
+            case forms.udata:
+            case forms.ref_udata:
+            case forms.strx:
+            case forms.addrx:
+            case forms.loclistx:
+            case forms.rnglistx:
+            case forms.GNU_addr_index:
+            case forms.GNU_str_index:
+                value = reader.uleb();
+                break;
+            case forms.string:
+                value = reader.cstring();
+                break;
+            case forms.strp:
+            case forms.line_strp:
+            case forms.sec_offset:
+            case forms.strp_sup:
+            case forms.GNU_ref_alt:
+            case forms.GNU_strp_alt:
+                value = reader.sized(unit.offsetSize);
+                break;
+            case forms.ref_addr:
+                value = reader.sized(unit.version == 2 ? unit.addressSize : unit.offsetSize);
+                break;
+            case forms.block1:
+                value = reader.bytesOf(reader.u8());
+                break;
+            case forms.block2:
+                value = reader.bytesOf(reader.u16());
+                break;
+            case forms.block4:
+                value = reader.bytesOf(reader.u32());
+                break;
+            case forms.block:
+            case forms.exprloc:
+                value = reader.bytesOf(reader.uleb());
+                break;
+            case forms.flag_present:
+                value = true;
+                break;
+            case forms.implicit_const:
+                value = implicitValue;
+                break;
+            case forms.indirect:
+                return this._readAttribute(reader, unit, reader.uleb(), implicitValue);
+            default:
+                throw new DwarfError(`Unknown DWARF form ${form}`);
+        }
+        return {form, value};
+    }
+
+    _attrString(unit, attr) {
+        switch (attr.form) {
+            case forms.string:
+                return attr.value;
+            case forms.strp:
+                return this._string(attr.value);
+            case forms.line_strp:
+                return this._string(attr.value, '.debug_line_str');
+            case forms.strx:
+            case forms.strx1:
+            case forms.strx2:
+            case forms.strx3:
+            case forms.strx4:
+            case forms.GNU_str_index: {
+                const offsets = this._sections['.debug_str_offsets'];
+                if (!offsets) {
+                    throw new DwarfError('Missing DWARF section .debug_str_offsets');
+                }
+                const reader = new Reader(offsets, unit.strOffsetsBase + attr.value * unit.offsetSize);
+                return this._string(reader.sized(unit.offsetSize));
+            }
+            default:
+                // Supplementary object files aren't supported
+                return null;
+        }
+    }
+
+    _attrAddress(unit, attr) {
+        if (attr.form === forms.addr) {
+            return attr.value;
+        }
+        return this._indexedAddress(unit, attr.value);
+    }
+
+    _indexedAddress(unit, index) {
+        const addrs = this._sections['.debug_addr'];
+        if (!addrs) {
+            throw new DwarfError('Missing DWARF section .debug_addr');
+        }
+        const reader = new Reader(addrs, unit.addrBase + index * unit.addressSize);
+        return reader.sized(unit.addressSize);
+    }
+
+    /// Decode the file names of a DWARF 5 line table header.
+    _readEntryFormat(reader, unit) {
+        const formats = [];
+        const formatCount = reader.u8();
+        for (let i = 0; i < formatCount; i++) {
+            formats.push({type: reader.uleb(), form: reader.uleb()});
+        }
+        const entries = [];
+        const count = reader.uleb();
+        for (let i = 0; i < count; i++) {
+            const entry = {path: '', dir: 0};
+            for (let {type, form} of formats) {
+                const attr = this._readAttribute(reader, unit, form, null);
+                if (type === DW_LNCT_path) {
+                    entry.path = this._attrString(unit, attr) || '';
+                } else if (type === DW_LNCT_directory_index) {
+                    entry.dir = attr.value;
+                }
+            }
+            entries.push(entry);
+        }
+        return entries;
+    }
+
+    _readLineTable(offset, compDir, unitName) {
+        if (this._lineTables.has(offset)) {
+            return;
+        }
+        this._lineTables.set(offset, true);
+
+        const reader = new Reader(this._sections['.debug_line'], offset);
+        const {end, offsetSize} = reader.unitLength();
+        const version = reader.u16();
+        if (version < 2 || version > 5) {
+            throw new DwarfError(`Unsupported DWARF line table version ${version}`);
+        }
+        let addressSize = 4;
+        if (version >= 5) {
+            addressSize = reader.u8();
+            reader.u8(); // segment selector size
+        }
+        const headerLength = reader.sized(offsetSize);
+        const programStart = reader.pos + headerLength;
+        const minInstLength = reader.u8();
+        if (version >= 4) {
+            reader.u8(); // max ops per instruction, only for VLIW
+        }
+        const defaultIsStmt = reader.u8() !== 0;
+        const lineBase = reader.s8();
+        const lineRange = reader.u8();
+        const opcodeBase = reader.u8();
+        const opcodeLengths = [0];
+        for (let i = 1; i < opcodeBase; i++) {
+            opcodeLengths.push(reader.u8());
+        }
+
+        const unit = {version, offsetSize, addressSize, strOffsetsBase: 8, addrBase: 8};
+        let dirs;
+        let files;
+        if (version >= 5) {
+            dirs = this._readEntryFormat(reader, unit).map((entry) => entry.path);
+            files = this._readEntryFormat(reader, unit);
+        } else {
+            // Directory and file zero are those of the compile unit.
+            dirs = [compDir];
+            files = [{path: unitName, dir: 0}];
+            for (let dir; (dir = reader.cstring()) !== '';) {
+                dirs.push(dir);
+            }
+            for (let path; (path = reader.cstring()) !== '';) {
+                const dir = reader.uleb();
+                reader.uleb(); // modification time
+                reader.uleb(); // length
+                files.push({path, dir});
+            }
+        }
+        const filePath = (index) => {
+            const file = files[index];
+            if (!file) {
+                return '';
+            }
+            let dir = dirs[file.dir] || '';
+            if (!isAbsolutePath(dir)) {
+                dir = joinPath(compDir, dir);
+            }
+            return joinPath(dir, file.path);
+        };
+        const filePaths = new Map();
+        const pathFor = (index) => {
+            if (!filePaths.has(index)) {
+                filePaths.set(index, filePath(index));
+            }
+            return filePaths.get(index);
+        };
+
+        // Run the line number state machine
+        reader.pos = programStart;
+        let address, file, line, column, isStmt;
+        let sequence = [];
+        const reset = () => {
+            address = 0;
+            file = 1;
+            line = 1;
+            column = 0;
+            isStmt = defaultIsStmt;
+            sequence = [];
+        };
+        const emit = () => {
+            sequence.push({
+                offset: this.codeOffset + address,
+                end: 0,
+                file: pathFor(file),
+                line,
+                column,
+                isStmt,
+                previous: sequence.length ? sequence[sequence.length - 1] : null
+            });
+        };
+        const endSequence = () => {
+            if (sequence.length && !isDeadAddress(sequence[0].offset - this.codeOffset)) {
+                const stop = this.codeOffset + address;
+                for (let i = 0; i < sequence.length; i++) {
+                    const next = sequence[i + 1];
+                    sequence[i].end = next ? next.offset : stop;
+                }
+                // Rows with nothing between them and the next don't
+                // cover any code.
+                for (let row of sequence) {
+                    if (row.end > row.offset) {
+                        this.rows.push(row);
+                    }
+                }
+            }
+            reset();
+        };
+        reset();
+        while (reader.pos < end) {
+            const opcode = reader.u8();
+            if (opcode >= opcodeBase) {
+                // Special opcodes advance both address and line
+                const adjusted = opcode - opcodeBase;
+                address += Math.floor(adjusted / lineRange) * minInstLength;
+                line += lineBase + (adjusted % lineRange);
+                emit();
+                continue;
+            }
+            switch (opcode) {
+                case 0: {
+                    // Extended opcodes
+                    const length = reader.uleb();
+                    const next = reader.pos + length;
+                    const sub = reader.u8();
+                    switch (sub) {
+                        case 1: // DW_LNE_end_sequence
+                            endSequence();
+                            break;
+                        case 2: // DW_LNE_set_address
+                            address = reader.sized(length - 1);
+                            break;
+                        case 3: // DW_LNE_define_file
+                            files.push({path: reader.cstring(), dir: reader.uleb()});
+                            break;
+                        default:
+                            // discriminators and vendor extensions
+                            break;
+                    }
+                    reader.pos = next;
+                    break;
+                }
+                case 1: // DW_LNS_copy
+                    emit();
+                    break;
+                case 2: // DW_LNS_advance_pc
+                    address += reader.uleb() * minInstLength;
+                    break;
+                case 3: // DW_LNS_advance_line
+                    line += reader.sleb();
+                    break;
+                case 4: // DW_LNS_set_file
+                    file = reader.uleb();
+                    break;
+                case 5: // DW_LNS_set_column
+                    column = reader.uleb();
+                    break;
+                case 6: // DW_LNS_negate_stmt
+                    isStmt = !isStmt;
+                    break;
+                case 8: // DW_LNS_const_add_pc
+                    address += Math.floor((255 - opcodeBase) / lineRange) * minInstLength;
+                    break;
+                case 9: // DW_LNS_fixed_advance_pc
+                    address += reader.u16();
+                    break;
+                default:
+                    // basic block, prologue/epilogue markers, isa, and
+                    // unknown standard opcodes: skip their operands
+                    for (let i = 0; i < opcodeLengths[opcode]; i++) {
+                        reader.uleb();
+                    }
+                    break;
+            }
+        }
+    }
+}
+
+module.exports = {
+    DebugInfo,
+    DwarfError,
+    LineInfo,
+    evaluateLocation
+};
@@ -0,0 +1,616 @@
+/// GDB remote serial protocol stub for an interpreter Instance, so LLDB
+/// can attach with `process connect` / `gdb-remote` and debug the module
+/// using its DWARF info.
+///
+/// This follows the WebAssembly extensions LLDB understands, as also
+/// implemented by other wasm runtimes' stubs:
+///
+/// * Addresses are 64 bits, with the address space in the top two bits
+///   and a module id in bits 32-61. Space 0 is linear memory, and space 1
+///   is the module binary itself, so code addresses are module offsets.
+///   There's no way to name a module's other memories, so only its first
+///   can be read and written.
+/// * The only register is the pc, as a code address.
+/// * `qWasmCallStack`, `qWasmLocal`, `qWasmGlobal` and `qWasmStackValue`
+///   read the call stack, locals, globals and value stack.
+/// * `qXfer:libraries:read` lists the module, which LLDB then reads
+///   through memory packets to find the DWARF.
+///
+/// Breakpoints (`Z0`) map to `setBreakpoint`, `s` to `stepInto` and `c`
+/// to continuing from the `debugger` hook. As with the debug adapter, the
+/// host program drives execution by calling exports, and the instance
+/// must be created with `{debug: true}`.
+
+const {NaNBits, v128Text} = require('./runtime.js');
+
+// There's only the one module, and one thread of execution.
+const moduleId = 0n;
+const threadId = 1;
+
+const addressSpaces = {
+    memory: 0n,
+    object: 1n
+};
+
+// Signals for stop replies
+const SIGINT = 2;
+const SIGTRAP = 5;
+
+const triple = 'wasm32-unknown-unknown-wasm';
+
+function codeAddress(offset) {
+    return (addressSpaces.object << 62n) | (moduleId << 32n) | BigInt(offset);
+}
+
+function hex(bytes) {
+    return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function hexString(str) {
+    return hex(Buffer.from(str, 'utf-8'));
+}
+
+function unhex(str) {
+    const bytes = new Uint8Array(str.length >> 1);
+    for (let i = 0; i < bytes.length; i++) {
+        bytes[i] = parseInt(str.substr(i * 2, 2), 16);
+    }
+    return bytes;
+}
+
+function hex64(value) {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setBigUint64(0, BigInt.asUintN(64, value), true);
+    return hex(bytes);
+}
+
+/// Encode a wasm value as little-endian hex bytes for its type.
+/// v128s come in the text form frames dump them in.
+function hexValue(type, value) {
+    const sizes = {i64: 8, f64: 8, v128: 16};
+    const bytes = new Uint8Array(sizes[type] || 4);
+    const view = new DataView(bytes.buffer);
+    switch (type) {
+        case 'v128':
+            value.split(' ').slice(1).forEach((lane, index) => {
+                view.setUint32(index * 4, Number(lane), true);
+            });
+            break;
+        case 'i32':
+            view.setInt32(0, value, true);
+            break;
+        case 'i64':
+            view.setBigInt64(0, value, true);
+            break;
+        case 'f32':
+            if (value instanceof NaNBits) {
+                view.setInt32(0, value.bits, true);
+            } else {
+                view.setFloat32(0, value, true);
+            }
+            break;
+        case 'f64':
+            if (value instanceof NaNBits) {
+                view.setBigInt64(0, value.bits, true);
+            } else {
+                view.setFloat64(0, value, true);
+            }
+            break;
+        default:
+            throw new RangeError(`Unexpected value type ${type}`);
+    }
+    return hex(bytes);
+}
+
+function checksum(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum = (sum + data.charCodeAt(i)) & 0xff;
+    }
+    return sum.toString(16).padStart(2, '0');
+}
+
+function escape(data) {
+    return data.replace(/[#$}*]/g, (c) => '}' + String.fromCharCode(c.charCodeAt(0) ^ 0x20));
+}
+
+function unescape(data) {
+    return data.replace(/}([\s\S])/g, (_, c) => String.fromCharCode(c.charCodeAt(0) ^ 0x20));
+}
+
+function packetMap(name) {
+    return '_packet' + name;
+}
+
+class GdbStub {
+    constructor(instance, input, output=input) {
+        this.instance = instance;
+        this.input = input;
+        this.output = output;
+
+        this._buffer = '';
+        this._ack = true;
+
+        // Breakpoint addresses from the debugger, and the instructions
+        // they were set on.
+        this._breakpoints = new Map();
+
+        // State while stopped in the debugger hook
+        this._resume = null;
+        this._frames = null;
+        this._signal = SIGTRAP;
+        this._stepped = false;
+        this._running = false;
+        this._reported = false;
+        this._pauseRequested = false;
+        this._singleStep = false;
+
+        this._previousDebugger = instance.debugger;
+        instance.debugger = () => this._stopped();
+
+        this._onData = (data) => this._receive(data);
+        this._onEnd = () => this.close();
+        input.on('data', this._onData);
+        input.on('end', this._onEnd);
+    }
+
+    /// Detach from the instance and the streams, clearing our breakpoints
+    /// and letting execution continue if it's stopped.
+    close() {
+        if (!this.input) {
+            return;
+        }
+        const instance = this.instance;
+        for (let offset of this._breakpoints.values()) {
+            instance.clearBreakpoint(offset);
+        }
+        this._breakpoints.clear();
+        if (this._pauseRequested) {
+            instance.singleStep = this._singleStep;
+            this._pauseRequested = false;
+        }
+        instance.debugger = this._previousDebugger;
+        if (this._resume) {
+            this._continue(() => {});
+        }
+        this.input.removeListener('data', this._onData);
+        this.input.removeListener('end', this._onEnd);
+        this.input = null;
+    }
+
+    _receive(data) {
+        this._buffer += data.toString('latin1');
+        for (;;) {
+            // Interrupts come as a bare ^C outside of packets
+            const interrupt = this._buffer.indexOf('\x03');
+            const start = this._buffer.indexOf('$');
+            if (interrupt !== -1 && (start === -1 || interrupt < start)) {
+                this._buffer = this._buffer.slice(interrupt + 1);
+                this._interrupt();
+                continue;
+            }
+            if (start === -1) {
+                // Acks and noise
+                this._buffer = '';
+                return;
+            }
+            const end = this._buffer.indexOf('#', start);
+            if (end === -1 || this._buffer.length < end + 3) {
+                this._buffer = this._buffer.slice(start);
+                return;
+            }
+            const data = this._buffer.slice(start + 1, end);
+            const sum = this._buffer.slice(end + 1, end + 3);
+            this._buffer = this._buffer.slice(end + 3);
+            if (this._ack) {
+                if (sum.toLowerCase() !== checksum(data)) {
+                    this._write('-');
+                    continue;
+                }
+                this._write('+');
+            }
+            this._dispatch(unescape(data));
+        }
+    }
+
+    _write(str) {
+        if (this.output) {
+            this.output.write(Buffer.from(str, 'latin1'));
+        }
+    }
+
+    _send(data) {
+        data = escape(data);
+        this._write(`$${data}#${checksum(data)}`);
+    }
+
+    _dispatch(packet) {
+        // Packets are named by their leading letter, or the word up to
+        // the first separator for the q/Q/v families.
+        let name = packet[0];
+        let args = packet.slice(1);
+        if ('qQv'.includes(name)) {
+            const match = /^([a-zA-Z]+)[:;,]?([\s\S]*)$/.exec(packet);
+            name = match[1];
+            args = match[2];
+        } else if (name === '?') {
+            name = 'Halt';
+        }
+        const handler = packetMap(name);
+        let reply;
+        try {
+            // An empty reply means the packet isn't supported
+            reply = this[handler] ? this[handler](args) : '';
+        } catch (e) {
+            reply = 'E01';
+        }
+        if (reply !== null) {
+            this._send(reply);
+        }
+    }
+
+    /// Called from the instance's debugger hook; stays stopped until the
+    /// debugger asks to continue or step.
+    _stopped() {
+        if (this._pauseRequested) {
+            this.instance.singleStep = this._singleStep;
+            this._pauseRequested = false;
+        }
+        return new Promise((resolve) => {
+            this._resume = resolve;
+            this._frames = null;
+            // If the debugger thinks we're already stopped, this gets
+            // reported when it next asks to continue.
+            this._reported = false;
+            if (this._running) {
+                this._report();
+            }
+        });
+    }
+
+    _report() {
+        this._running = false;
+        this._reported = true;
+        this._send(this._stopReply());
+    }
+
+    _continue(action, stepped=false) {
+        action();
+        this._stepped = stepped;
+        const resume = this._resume;
+        this._resume = null;
+        this._frames = null;
+        this._signal = SIGTRAP;
+        resume();
+    }
+
+    /// Stop at whatever runs next.
+    _interrupt() {
+        if (this._resume || this._pauseRequested) {
+            return;
+        }
+        this._signal = SIGINT;
+        this._pauseRequested = true;
+        this._singleStep = this.instance.singleStep;
+        this.instance.singleStep = true;
+    }
+
+    /// Call stack, innermost first; empty if not stopped.
+    _getFrames() {
+        if (!this._resume) {
+            return [];
+        }
+        if (!this._frames) {
+            this._frames = this.instance.stackTrace().reverse();
+        }
+        return this._frames;
+    }
+
+    _pc() {
+        const [frame] = this._getFrames();
+        return codeAddress(frame ? frame.sourceLocation.offset : 0);
+    }
+
+    _stopReply() {
+        const pc = this._pc();
+        const signal = this._signal.toString(16).padStart(2, '0');
+        const reason = this._signal === SIGINT ? 'signal'
+            : (this._stepped ? 'trace' : 'breakpoint');
+        return `T${signal}thread:${threadId};thread-pcs:${pc.toString(16)};00:${hex64(pc)};reason:${reason};`;
+    }
+
+    _frame(index) {
+        const frame = this._getFrames()[Number(index)];
+        if (!frame) {
+            throw new RangeError(`No frame ${index}`);
+        }
+        return frame;
+    }
+
+    /// Decode a 64-bit address into its space and offset.
+    _address(str) {
+        const address = BigInt('0x' + str);
+        return {
+            space: address >> 62n,
+            offset: Number(address & 0xffffffffn)
+        };
+    }
+
+    _addressBytes(space) {
+        if (space === addressSpaces.memory) {
+            const memory = this.instance._memories[0];
+            return memory ? new Uint8Array(memory.buffer) : new Uint8Array(0);
+        }
+        if (space === addressSpaces.object) {
+            // Precompiled optimized modules don't carry the binary.
+            return this.instance._module._bytes || new Uint8Array(0);
+        }
+        throw new RangeError('Unknown address space');
+    }
+
+    _packetqSupported(args) {
+        return 'PacketSize=20000;QStartNoAckMode+;qXfer:libraries:read+';
+    }
+
+    _packetQStartNoAckMode(args) {
+        this._send('OK');
+        this._ack = false;
+        return null;
+    }
+
+    _packetqHostInfo(args) {
+        return `triple:${hexString(triple)};ptrsize:4;endian:little;`;
+    }
+
+    _packetqProcessInfo(args) {
+        return `pid:1;parent-pid:1;triple:${hexString(triple)};ptrsize:4;endian:little;`;
+    }
+
+    _packetqAttached(args) {
+        return '1';
+    }
+
+    _packetqC(args) {
+        return `QC${threadId}`;
+    }
+
+    _packetqfThreadInfo(args) {
+        return `m${threadId}`;
+    }
+
+    _packetqsThreadInfo(args) {
+        return 'l';
+    }
+
+    _packetqThreadStopInfo(args) {
+        return this._stopReply();
+    }
+
+    _packetH(args) {
+        return 'OK';
+    }
+
+    _packetHalt(args) {
+        this._reported = true;
+        return this._stopReply();
+    }
+
+    _packetqRegisterInfo(args) {
+        if (parseInt(args, 16) !== 0) {
+            return 'E45';
+        }
+        return 'name:pc;alt-name:pc;bitsize:64;offset:0;encoding:uint;format:hex;' +
+            'set:General Purpose Registers;gcc:16;dwarf:16;generic:pc;';
+    }
+
+    _packetg(args) {
+        return hex64(this._pc());
+    }
+
+    _packetp(args) {
+        if (parseInt(args, 16) !== 0) {
+            return 'E45';
+        }
+        return hex64(this._pc());
+    }
+
+    _packetm(args) {
+        const [addr, length] = args.split(',');
+        const {space, offset} = this._address(addr);
+        const bytes = this._addressBytes(space);
+        const end = Math.min(offset + parseInt(length, 16), bytes.length);
+        if (offset >= end) {
+            return 'E03';
+        }
+        return hex(bytes.subarray(offset, end));
+    }
+
+    _packetM(args) {
+        const [addr, rest] = args.split(',');
+        const [length, data] = rest.split(':');
+        const {space, offset} = this._address(addr);
+        if (space !== addressSpaces.memory) {
+            // Code is read-only; breakpoints go through Z0.
+            return 'E03';
+        }
+        const bytes = this._addressBytes(space);
+        if (offset + parseInt(length, 16) > bytes.length) {
+            return 'E03';
+        }
+        bytes.set(unhex(data), offset);
+        return 'OK';
+    }
+
+    _packetqMemoryRegionInfo(args) {
+        const {space, offset} = this._address(args);
+        const bytes = this._addressBytes(space);
+        const base = space << 62n | moduleId << 32n;
+        if (offset >= bytes.length) {
+            return 'E03';
+        }
+        const permissions = space === addressSpaces.memory ? 'rw' : 'rx';
+        return `start:${base.toString(16)};size:${bytes.length.toString(16)};permissions:${permissions};`;
+    }
+
+    _packetZ(args) {
+        const [type, addr] = args.split(',');
+        if (type !== '0' && type !== '1') {
+            return '';
+        }
+        const {space, offset} = this._address(addr);
+        if (space !== addressSpaces.object) {
+            return 'E03';
+        }
+        if (!this._breakpoints.has(addr)) {
+            // Addresses from the line tables may point at non-instructions
+            // like a function's local declarations; the instance finds
+            // the instruction they belong to.
+            let location;
+            try {
+                [location] = this.instance.setBreakpoint(offset);
+            } catch (e) {
+                return 'E03';
+            }
+            this._breakpoints.set(addr, location.offset);
+        }
+        return 'OK';
+    }
+
+    _packetz(args) {
+        const [type, addr] = args.split(',');
+        if (type !== '0' && type !== '1') {
+            return '';
+        }
+        if (this._breakpoints.has(addr)) {
+            const instruction = this._breakpoints.get(addr);
+            this._breakpoints.delete(addr);
+            // Another address may have landed on the same instruction.
+            if (!Array.from(this._breakpoints.values()).includes(instruction)) {
+                this.instance.clearBreakpoint(instruction);
+            }
+        }
+        return 'OK';
+    }
+
+    _packetc(args) {
+        this._running = true;
+        if (this._resume && !this._reported) {
+            this._report();
+        } else if (this._resume) {
+            this._continue(() => {});
+        }
+        return null;
+    }
+
+    _packets(args) {
+        this._running = true;
+        if (this._resume && !this._reported) {
+            this._report();
+        } else if (this._resume) {
+            this._continue(() => this.instance.stepInto(), true);
+        } else {
+            // Not in any code yet; stop wherever it starts.
+            this._interrupt();
+            this._signal = SIGTRAP;
+            this._stepped = true;
+        }
+        return null;
+    }
+
+    _packetvCont(args) {
+        if (args === '?') {
+            return 'vCont;c;C;s;S';
+        }
+        // Only one thread, so the first action applies
+        const [action] = args.split(';').filter((part) => part);
+        switch (action[0]) {
+            case 'c':
+            case 'C':
+                return this._packetc('');
+            case 's':
+            case 'S':
+                return this._packets('');
+            default:
+                return '';
+        }
+    }
+
+    _packetqXfer(args) {
+        const match = /^libraries:read::([0-9a-fA-F]+),([0-9a-fA-F]+)$/.exec(args);
+        if (!match) {
+            return '';
+        }
+        const xml = '<library-list>' +
+            `<library name="module.wasm"><section address="0x${codeAddress(0).toString(16)}"/></library>` +
+            '</library-list>';
+        const start = parseInt(match[1], 16);
+        const chunk = xml.substr(start, parseInt(match[2], 16));
+        return (start + chunk.length >= xml.length ? 'l' : 'm') + chunk;
+    }
+
+    _packetqWasmCallStack(args) {
+        return this._getFrames().map((frame) => hex64(codeAddress(frame.sourceLocation.offset))).join('');
+    }
+
+    _packetqWasmLocal(args) {
+        const [frameIndex, index] = args.split(';').map(Number);
+        const frame = this._frame(frameIndex);
+        if (!frame.locals || index >= frame.locals.length) {
+            return 'E03';
+        }
+        return hexValue(frame.localTypes[index], frame.locals[index]);
+    }
+
+    _packetqWasmGlobal(args) {
+        const [, index] = args.split(';').map(Number);
+        const info = this.instance._mod.globals[index];
+        if (!info) {
+            return 'E03';
+        }
+        const global = this.instance._globals[index];
+        if (info.type === 'v128') {
+            // Its value can't be seen from JS.
+            return hexValue(info.type, v128Text(global._value));
+        }
+        return hexValue(info.type, global.value);
+    }
+
+    _packetqWasmStackValue(args) {
+        const [frameIndex, index] = args.split(';').map(Number);
+        const frame = this._frame(frameIndex);
+        if (!frame.stack || index >= frame.stack.length) {
+            return 'E03';
+        }
+        return hexValue(frame.stackTypes[index], frame.stack[index]);
+    }
+
+    _packetqSymbol(args) {
+        return 'OK';
+    }
+
+    _packetD(args) {
+        this._send('OK');
+        this.close();
+        return null;
+    }
+
+    _packetk(args) {
+        // There's no process to kill; just let it go.
+        this.close();
+        return null;
+    }
+}
+
+/// Attach a GDB remote protocol stub to an instance, speaking over the
+/// given readable and writable streams. If only one stream is given,
+/// such as a socket, it's used both ways.
+///
+/// Returns the GdbStub; call its `close()` method to detach.
+function createGdbStub(instance, input, output=input) {
+    return new GdbStub(instance, input, output);
+}
+
+module.exports = {
+    GdbStub,
+    createGdbStub
+};
@@ -1,80 +1,12 @@
-const binaryen = require('binaryen');
-const b = binaryen;
+const {parse} = require('./parser.js');
+const runtime = require('./runtime.js');
+const {DebugInfo, LineInfo} = require('./dwarf.js');
+const {DebugAdapter, createDebugAdapter} = require('./debug-adapter.js');
+const {GdbStub, createGdbStub} = require('./gdb-stub.js');
 
-const Global = WebAssembly.Global;
-const Memory = WebAssembly.Memory;
+const {Global, Memory, Table, Instance, Frame, SourceLocation, defaultValue, range, signature} = runtime;
 
-const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-
-/// Clone of WebAssembly.Table that lets us store JS async functions
-class Table {
-    constructor({element, initial, maximum=undefined}) {
-        if (element !== 'anyfunc') {
-            throw new TypeError('Interpreter only supports anyfunc tables');
-        }
-        if (initial !== (initial | 0)) {
-            throw new TypeError('invalid initial');
-        }
-        if (initial < 0 || initial > 2**32 - 1) {
-            throw new RangeError('initial out of range');
-        }
-
-        const hasMaximum = (maximum !== undefined);
-        if (hasMaximum) {
-            if (maximum !== (maximum | 0)) {
-                throw new TypeError('maximum must be number')
-            }
-            if (maximum < 0 || maximum > 2**32 - 1) {
-                throw new RangeError('maximum out of range');
-            }
-            if (maximum < initial) {
-                throw new RangeError('maximum smaller than initial');
-            }
-        }
-
-        this._maximum = maximum;
-        this._hasMaximum = hasMaximum;
-
-        this._values = new Array(initial);
-        for (let i = 0; i < initial; i++) {
-            this._values[i] = null;
-        }
-
-        Object.defineProperty(this, 'length', {
-            get: function () {
-                return this._values.length;
-            }
-        });
-    }
-
-    get(index) {
-        if (index !== (index | 0) || index < 0 || index > this.length) {
-            throw new RangeError('invalid index');
-        }
-        return this._values[index];
-    }
-
-    set(index, value) {
-        if (!(value instanceof Function)) {
-            throw new TypeError('not a function');
-        }
-        if (index !== (index | 0) || index < 0 || index > this.length) {
-            throw new RangeError('invalid index');
-        }
-        this._values[index] = value;
-    }
-
-    grow(number) {
-        if (this._maximum && this.length + number > this._maximum) {
-            throw new RangeError('out of range');
-        }
-        for (let i = 0; i < number; i++) {
-            this._values.push(null);
-        }
-    }
-}
-
-// binaryen wants a Uint8Array
+// the parser wants a Uint8Array
 function normalizeBuffer(bufferSource) {
     if (bufferSource instanceof ArrayBuffer) {
         return new Uint8Array(bufferSource);
@@ -86,314 +18,122 @@ function normalizeBuffer(bufferSource) {
 }
 
 /// Module class for reading a WebAssembly module.
-class Module {
-    constructor(bufferSource, {debug=false}) {
-        this._mod = null;
-        this._debug = debug;
-
-        let input = normalizeBuffer(bufferSource);
-        if (!b.isReady) {
-            // copy in case the array changes later
-            input = input.slice();
+/// Functions are compiled to JS once the module is parsed, and
+/// may be saved as JS source with `toSource()`.
+///
+/// Compiling with `metered: true` counts loop iterations and calls,
+/// so instances can be given `fuel`, `yieldEvery` and `signal` options,
+/// and exported functions can take a `{signal}` to abort a call. It's off
+/// by default, as checking in slows down tight loops.
+class Module extends runtime.Module {
+    constructor(bufferSource, {debug=false, preserveNaN=false, metered=false}) {
+        // copy in case the array changes later
+        const input = normalizeBuffer(bufferSource).slice();
+        super(Promise.resolve().then(() => compileModule(input, {debug, preserveNaN, metered})));
+    }
+
+    /// Serialize the compiled module as the source of a standalone ES
+    /// module, whose default export is an equivalent Module that can be
+    /// instantiated without the parser or compiler, and without eval.
+    /// It imports what it needs from `runtime.js`, which can be given
+    /// as another specifier for your bundler or server.
+    ///
+    /// Debug builds keep the module binary for debuggers to read.
+    /// Optimized builds leave it out, along with its custom sections,
+    /// so they don't have DWARF source lines.
+    toSource({runtime: specifier='terok-nor/runtime.js'}={}) {
+        if (!this.isReady) {
+            throw new Error('Module must be compiled before saving to source');
         }
-
-        this.isReady = false;
-        this.ready = b.ready.then(async () => {
-            // @todo move the compilation in here
-            // also allow reconstituting the JS source
-            // and not having to touch binaryen
-            this._mod = b.readBinary(input);
-            this.isReady = true;
-            return this;
+        const mod = this._mod;
+        const debug = this._debug;
+        // The code is all in the factories.
+        const stripped = Object.assign({}, mod, {
+            funcs: mod.funcs.map((func) => Object.assign({}, func, {body: null})),
+            globals: mod.globals.map((global) => Object.assign({}, global, {init: null})),
+            elements: mod.elements.map((segment) => Object.assign({}, segment, {offset: null})),
+            datas: mod.datas.map((segment) => Object.assign({}, segment, {offset: null})),
+            customs: debug ? mod.customs.map(({name, byteOffset, data}) => {
+                return {name, byteOffset, byteLength: data.length};
+            }) : []
         });
+        const factories = (list) => `[${
+            list.map((factory) => factory ? factory.toString() : `null`).join(`,\n`)
+        }]`;
+        const constants = this._constants;
+        return `import runtime from ${JSON.stringify(specifier)};
+
+export default new runtime.Module({
+    debug: ${serialize(debug)},
+    preserveNaN: ${serialize(this._preserveNaN)},
+    metered: ${serialize(this._metered)},
+    mod: ${serialize(stripped)},
+    bytes: ${serialize(debug ? this._bytes : null)},
+    functions: ${factories(this._functions)},
+    globals: ${factories(constants.globals)},
+    elements: ${factories(constants.elements)},
+    datas: ${factories(constants.datas)},
+    breakpoints: ${serialize(Array.from(this._breakpointIndexes.keys()))},
+    sequences: ${serialize(this._sequences)}
+});
+`;
     }
 }
 
-function extendInts(arr) {
-    // @todo extend in larger increments ;)
-    const extended = new Int32Array(arr.length + 1);
-    extended.set(arr);
-    return extended;
-}
-
-class Instance {
-
-    constructor(module, imports) {
-        this.exports = {};
-
-        // For debugging support
-        this._debug = module._debug;
-        this._singleStep = false;
-        this._activeBreakpoints = new Int32Array();
-        this._sequenceIndexes = new Int32Array();
-        this._breakpoints = new Set();
-        this._breakpointIndexes = new Map();
-        this._sequences = [];
-        this._activeSequences = new Int32Array();
-        this.debugger = null;
-
-        this._mod = module._mod;
-        this._globals = {};
-        this._funcs = {};
-        this._functionNames = new Map();
-
-        // @todo support multiples
-        this._memory = null;
-        this._table = null;
-
-        this._stackTracers = [];
-
-        this.isReady = false;
-        this.ready = b.ready.then(async () => {
-            const mod = this._mod;
-
-            // Memory
-            if (mod.hasMemory()) {
-                const memory = mod.getMemoryInfo();
-                if (memory.module !== '') {
-                    const imported = imports[memory.module][memory.base];
-                    if (imported instanceof Memory) {
-                        this._memory = imported;
-                    } else {
-                        throw new TypeError('Imported memory is not a WebAssembly memory');
-                    }
-                } else {
-                    const memInit = {
-                        initial: memory.initial
-                    };
-                    if (memory.max) {
-                        memInit.maximum = memory.max;
-                    }
-                    if (memory.shared) {
-                        throw new Error('Shared memory not yet supported');
-                    }
-                    this._memory = new Memory(memInit);
-                }
-                const buffer = this._memory.buffer;
-                const numSegments = mod.getNumMemorySegments();
-                const heap = new Uint8Array(buffer);
-                for (let i = 0; i < numSegments; i++) {
-                    const segment = mod.getMemorySegmentInfoByIndex(i);
-                    if (!segment.passive) {
-                        const offset = await evaluateConstant(segment.offset);
-                        heap.set(offset, segment.data);
-                    }
-                }
-            } else {
-                throw new Error('Currently requires a memory');
-            }
-
-            const evaluateConstant = async (expr) => {
-                const func = Compiler.compileExpression(this, expr);
-                return await func();
-            };
-
-            // Globals
-            for (let i = 0; i < mod.getNumGlobals(); i++) {
-                const info = b.getGlobalInfo(mod.getGlobalByIndex(i));
-                const init = await evaluateConstant(info.init);
-                const global = new Global({
-                    value: typeCode(info.type),
-                    mutable: info.mutable
-                }, init);
-                this._globals[info.name] = global;
-            }
-
-            // Prep internally-callable functions
-            for (let i = 0; i < mod.getNumFunctions(); i++) {
-                const func = b.getFunctionInfo(mod.getFunctionByIndex(i));
-                let thunk;
-                if (func.module === '') {
-                    // Regular, non-imported function
-                    thunk = Compiler.compileFunction(this, func);
-                } else {
-                    // Imports; note import functions may be sync or async.
-                    const imported = imports[func.module][func.base];
-                    if (imported instanceof Function) {
-                        // @todo reuse thunk functions for same types?
-                        const argNames = b.expandType(func.params).map((_, index) => `param${index}`);
-                        const argList = argNames.join(', ');
-                        let result;
-                        const code = `
-                            return async (${argList}) => {
-                                ${
-                                    result = `await imported(${argList})`,
-                                    func.results === b.none
-                                        ? `${result};`
-                                        : `return ${coerceValue(func.results, result)};`
-                                }
-                            };
-                        `;
-                        thunk = (new Function('imported', code))(imported);
-                    } else {
-                        throw new RangeError("Expected function for import");
-                    }
-                }
-                this._funcs[func.name] = thunk;
-                this._functionNames.set(thunk, func.name);
-            }
-
-            // Function table
-            const numTables = mod.getNumTables();
-            if (numTables > 1) {
-                throw new RangeError('Multiple tables not yet supported');
-            }
-            if (numTables > 0) {
-                const table = b.getTableInfo(mod.getTableByIndex(0));
-                if (table.module !== '') {
-                    // @todo untested so far
-                    this._table = imports[table.module][table.base];
-                } else {
-                    const init = {
-                        element: 'anyfunc', // @todo how to get the element type? may need to extend again
-                        initial: table.initial
-                    };
-                    if (table.max !== undefined) {
-                        init.maximum = table.max;
-                    }
-                    this._table = new Table(init);
-                }
-
-                const funcTable = mod.getFunctionTable();
-                for (let segment of funcTable.segments) {
-                    let offset = await evaluateConstant(segment.offset);
-                    const end = offset + segment.names.length;
-                    if (this._table.length < end) {
-                        this._table.grow(end - this._table.length);
-                    }
-                    for (let name of segment.names) {
-                        this._table.set(offset++, this._funcs[name]);
-                    }
-                }
-            }
-
-            // Set up the exports...
-            for (let i = 0; i < mod.getNumExports(); i++) {
-                const ref = mod.getExportByIndex(i);
-                const exp = b.getExportInfo(ref);
-
-                let exported;
-                switch (exp.kind) {
-                    case b.ExternalFunction:
-                        exported = this._funcs[exp.value];
-                        break;
-                    case b.ExternalTable:
-                        exported = this._table;
-                        break;
-                    case b.ExternalMemory:
-                        exported = this._memory;
-                        break;
-                    case b.ExternalGlobal:
-                        exported = this._globals[exp.value];
-                        break;
-                    default:
-                        throw new RangeError("Unexpected export type");
-                }
-                this.exports[exp.name] = exported;
-            }
-
-            this.isReady = true;
-            return this;
-        });
-    }
-
-    /// Generate a full stack trace, dumping stacks and locals from
-    /// the internal state of each function on the call stack.
-    /// These are Frame objects.
-    stackTrace(start=undefined, end=undefined) {
-        const stack = this._stackTracers.slice(start, end);
-        return stack.map((dump) => dump());
-    }
-
-    setBreakpoint(sourceLocation) {
-        if (!this.hasBreakpoint(sourceLocation)) {
-            const index = this._breakpointIndex(sourceLocation);
-            if (!this._singleStep) {
-                this._activeBreakpoints[index] = 1;
-    
-                const sequence = this._sequenceIndexes[index];
-                if (sequence != -1) {
-                    this._activeSequences[sequence]++;
-                }
-            }
-        }
-    }
-
-    clearBreakpoint(sourceLocation) {
-        if (this.hasBreakpoint(sourceLocation)) {
-            const index = this._breakpointIndex(sourceLocation);
-            if (!this._singleStep) {
-                this._activeBreakpoints[index] = 0;
-
-                const sequence = this._sequenceIndexes[index];
-                if (sequence != -1) {
-                    this._activeSequences[sequence]--;
-                }
-            }
-            this._breakpoints.delete(sourceLocation);
+/// Parse and compile a module binary into the form loaded by
+/// runtime.Module. Compiled code is built into factory functions
+/// taking the runtime and instance, which return the function.
+function compileModule(bytes, options) {
+    const {debug, preserveNaN, metered} = options;
+    const mod = parse(bytes);
+    const breakpoints = new BreakpointMap();
+    const build = (source) => new Function('runtime', 'instance', source);
+    const constant = (expr, type) => {
+        return build(Compiler.compileExpression(options, breakpoints, expr, type));
+    };
+    const functions = mod.funcs.map((func) => {
+        if (func.import) {
+            return null;
         }
-    }
-
-    hasBreakpoint(sourceLocation) {
-        return this._breakpoints.has(sourceLocation);
-    }
-
-    breakpoints() {
-        return Array.from(this._breakpoints.keys());
-    }
-
-    get singleStep() {
-        return this._singleStep;
-    }
+        // Where execution can stop, for resolving breakpoints.
+        func.offsets = instructionOffsets(func);
+        return build(Compiler.compileFunction(options, breakpoints, func));
+    });
+    return {
+        debug,
+        preserveNaN,
+        metered,
+        mod,
+        bytes,
+        functions,
+        globals: mod.globals.map((global) => global.import ? null : constant(global.init, global.type)),
+        // Passive segments have no offset.
+        elements: mod.elements.map((segment) => segment.offset && constant(segment.offset, 'i32')),
+        datas: mod.datas.map((segment) => segment.offset && constant(segment.offset, mod.memories[segment.memory].address)),
+        breakpoints: Array.from(breakpoints.indexes.keys()),
+        sequences: breakpoints.sequences
+    };
+}
 
-    set singleStep(val) {
-        val = Boolean(val);
-        if (val == this._singleStep) {
-            return;
-        }
-        if (val) {
-            // Set the breakpoint bitmaps ALL ON
-            this._activeBreakpoints.fill(1);
-            this._activeSequences.fill(1);
-        } else {
-            // Set the breakpoint bitmaps to their correct values
-            this._activeBreakpoints.fill(0);
-            this._activeSequences.fill(0);
-            for (let index of this._breakpoints) {
-                this._activeBreakpoints[index] = 1;
-                const sequence = this._sequenceIndexes[index];
-                if (sequence > -1) {
-                    this._activeSequences[sequence]++;
-                }
-            }
-        }
-        this._singleStep = val;
+/// Numbers the instructions compiled code can stop at in debug mode,
+/// by module offset, giving their indexes into the instance's
+/// breakpoint bitmap. Runs of uninterruptible instructions are
+/// numbered as sequences too.
+class BreakpointMap {
+    constructor() {
+        this.indexes = new Map();
+        this.sequences = [];
     }
 
-    _breakpointIndex(sourceLocation) {
-        const nodes = this._breakpointIndexes;
-        if (nodes.has(sourceLocation)) {
-            return nodes.get(sourceLocation);
-        } else {
-            const index = this._activeBreakpoints.length;
-            this._activeBreakpoints = extendInts(this._activeBreakpoints);
-            this._sequenceIndexes = extendInts(this._sequenceIndexes);
-            this._sequenceIndexes[index] = -1;
-
-            nodes.set(sourceLocation, index);
-            return index;
+    index(offset) {
+        if (!this.indexes.has(offset)) {
+            this.indexes.set(offset, this.indexes.size);
         }
+        return this.indexes.get(offset);
     }
 
-    _registerSequence(sourceLocations) {
-        const indexes = sourceLocations.map((loc) => this._breakpointIndex(loc));
-        const sequence = this._sequences.push(indexes) - 1;
-        this._activeSequences = extendInts(this._activeSequences);
-        for (let loc of sourceLocations) {
-            const index = this._breakpointIndex(loc);
-            this._sequenceIndexes[index] = sequence;
-        }
-        return sequence;
+    sequence(offsets) {
+        return this.sequences.push(offsets.map((offset) => this.index(offset))) - 1;
     }
 }
 
@@ -416,10 +156,17 @@ async function compileStreaming(source, options={}) {
     return await module.ready;
 }
 
-/// Parse/compile and instantiate from a buffer
+/// Parse/compile and instantiate from a buffer, or instantiate an
+/// already compiled Module. Options are passed to both the Module and
+/// the Instance, so may include `fuel`, `yieldEvery` and `signal`,
+/// which turn on `metered` compilation.
 async function instantiate(bufferSource, importObject, options={}) {
-    const module = await compile(bufferSource, options);
-    const instance = new Instance(module, importObject);
+    if (bufferSource instanceof runtime.Module) {
+        // Like WebAssembly, given a module you get just the instance.
+        return await runtime.instantiate(bufferSource, importObject, options);
+    }
+    const module = await compile(bufferSource, meteredOptions(options));
+    const instance = new Instance(module, importObject, options);
     await instance.ready;
     return {
         module,
@@ -429,8 +176,8 @@ async function instantiate(bufferSource, importObject, options={}) {
 
 /// Parse/compile and instantiate from a Response or Promise<Response>
 async function instantiateStreaming(source, importObject, options={}) {
-    const module = await compileStreaming(source, options);
-    const instance = new Instance(module, importObject);
+    const module = await compileStreaming(source, meteredOptions(options));
+    const instance = new Instance(module, importObject, options);
     await instance.ready;
     return {
         module,
@@ -438,45 +185,75 @@ async function instantiateStreaming(source, importObject, options={}) {
     };
 }
 
+// Instance fuel and signal options need the module compiled to check in.
+function meteredOptions(options) {
+    const {fuel, yieldEvery, signal} = options;
+    const metered = (fuel !== undefined || yieldEvery !== undefined || Boolean(signal));
+    return Object.assign({metered}, options);
+}
 
-function typeCode(type) {
-    switch (type) {
-        case b.i32:
-            return 'i32';
-        case b.i64:
-            return 'i64';
-        case b.f32:
-            return 'f32';
-        case b.f64:
-            return 'f64';
+function literal(value) {
+    switch (typeof value) {
+        case 'number':
+            if (Object.is(value, -0)) {
+                return `-0`;
+            }
+            // NaN and the infinities aren't valid JSON
+            return Number.isFinite(value) ? JSON.stringify(value) : String(value);
+        case 'string': // used for function names
+            return JSON.stringify(value);
+        case 'bigint':
+            return `${value}n`;
+        case 'boolean':
+            return String(value);
+        case 'object':
+            if (value === null) { // null references
+                return `null`;
+            }
+            // fall through
         default:
-            throw new RangeError('invalid type');
+            throw new TypeError(`Cannot compile a ${typeof value} literal`);
     }
 }
 
-function defaultValue(type) {
-    switch (type) {
-        case b.i32:
-            return 0;
-        case b.i64:
-            return 0n;
-        case b.f32:
-        case b.f64:
-            return 0.0;
-        default:
-            return null;
+function encodeBase64(bytes) {
+    let binary = '';
+    // Keep the argument lists to a sensible size
+    const chunk = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunk) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+    }
+    return btoa(binary);
+}
+
+/// JS source for plain data, like the parsed module structure.
+function serialize(value) {
+    if (value === null) {
+        return `null`;
+    }
+    if (value === undefined) {
+        return `undefined`;
+    }
+    if (value instanceof Uint8Array) {
+        return `runtime.decodeBase64(${JSON.stringify(encodeBase64(value))})`;
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(serialize).join(`, `)}]`;
+    }
+    if (typeof value === 'object') {
+        const props = Object.entries(value).map(([key, prop]) => `${JSON.stringify(key)}: ${serialize(prop)}`);
+        return `{${props.join(`, `)}}`;
     }
+    return literal(value);
 }
 
 function coerceValue(type, value) {
     switch (type) {
-        case b.i32:
+        case 'i32':
             return `(${value} | 0)`;
-        case b.i64:
-            return `BigInt.asIntN(64, BigInt(${value}))`;
-        case b.f32:
+        case 'f32':
             return `Math.fround(${value})`;
-        case b.f64:
+        case 'f64':
             return `+${value}`;
         default:
             // Assume others are reference types?
@@ -486,35 +263,23 @@ function coerceValue(type, value) {
 
 function sizeof(type) {
     switch (type) {
-        case b.none:
+        case 'none':
             return 0;
-        case b.i32:
+        case 'i32':
             return 4;
-        case b.i64:
+        case 'i64':
             return 8;
-        case b.f32:
+        case 'f32':
             return 4;
-        case b.f64:
+        case 'f64':
             return 8;
+        case 'v128':
+            return 16;
         default:
             throw new Error('bad type');
     }
 }
 
-function resultCount(type) {
-    switch (type) {
-        case b.none:
-            return 0;
-        case b.i32:
-        case b.i64:
-        case b.f32:
-        case b.f64:
-            return 1;
-        default:
-            return b.expandType(type).length;
-    }
-}
-
 let expressions = null;
 function expressionMap(id) {
     if (!expressions) {
@@ -526,6 +291,11 @@ function expressionMap(id) {
             'Switch',
             'Call',
             'CallIndirect',
+            'ReturnCall',
+            'ReturnCallIndirect',
+            'Try',
+            'Throw',
+            'Rethrow',
             'LocalGet',
             'LocalSet',
             'GlobalGet',
@@ -540,37 +310,48 @@ function expressionMap(id) {
             'Return',
             'MemorySize',
             'MemoryGrow',
+            'MemoryInit',
+            'DataDrop',
+            'MemoryCopy',
+            'MemoryFill',
+            'TableInit',
+            'ElemDrop',
+            'TableCopy',
+            'TableGet',
+            'TableSet',
+            'TableSize',
+            'TableGrow',
+            'TableFill',
+            'RefNull',
+            'RefIsNull',
+            'RefFunc',
+            'AtomicLoad',
+            'AtomicStore',
+            'AtomicRMW',
+            'AtomicCmpxchg',
+            'AtomicWait',
+            'AtomicNotify',
+            'AtomicFence',
+            'SimdOp',
+            'SimdConst',
+            'SimdShuffle',
+            'SimdExtractLane',
+            'SimdReplaceLane',
+            'SimdLoad',
+            'SimdStore',
+            'SimdLoadLane',
+            'SimdStoreLane',
             'Nop',
             'Unreachable'
         ];
         expressions = {};
         for (let name of ids) {
-            const val = binaryen[name + 'Id'];
-            expressions[val] = '_compile' + name;
+            expressions[name] = '_compile' + name;
         }
     }
     return expressions[id];
 }
 
-/// Dumped execution state frame for a single function.
-///
-/// Returned with stack traces from `Interpreter.prototype.stackTrace`
-class Frame {
-    constructor(instance) {
-        this.instance = instance;
-        this.name = '';
-        this.sourceLocation = null;
-        this.stack = null;
-        this.locals = null;
-    }
-}
-
-function* range(end) {
-    for (let i = 0; i < end; i++) {
-        yield i;
-    }
-}
-
 class Cache {
     constructor(builder) {
         this.builder = builder;
@@ -593,24 +374,54 @@ class Cache {
     }
 }
 
-const getExpressionInfo = Cache.make((expr) => {
-    if (typeof expr === 'object') {
-        return expr;
-    }
-    // Keep the reference ID on the info object as we pass it around.
-    // This is a placeholder until we can retain source locations that
-    // make sense (eg against the binary, or against a generated text
-    // disassembly).
-    const info = b.getExpressionInfo(expr);
-    info.sourceLocation = String(expr);
-    return info;
+/// Call back with each instruction in a body, including those nested
+/// in blocks.
+function walkTree(body, callback) {
+    for (let expr of body) {
+        callback(expr);
+        for (let child of [expr.body, expr.ifTrue, expr.ifFalse]) {
+            if (child) {
+                walkTree(child, callback);
+            }
+        }
+        if (expr.id === 'Try') {
+            for (let handler of expr.catches.concat(expr.catchAll || [])) {
+                walkTree(handler.body, callback);
+            }
+        }
+    }
+}
+
+/// Sorted module offsets of the instructions compiled for a function,
+/// which are the places execution can stop.
+const instructionOffsets = Cache.make((func) => {
+    const offsets = [];
+    walkTree(func.body, (expr) => offsets.push(expr.byteOffset));
+    return offsets.sort((a, b) => a - b);
 });
 
+/// Indexes of the memories a function body uses, which compiled code
+/// keeps views of.
+function usedMemories(body) {
+    const memories = new Set();
+    walkTree(body, (expr) => {
+        for (let index of [expr.memory, expr.sourceMemory]) {
+            if (index !== undefined) {
+                memories.add(index);
+            }
+        }
+    });
+    return Array.from(memories).sort((a, b) => a - b);
+}
+
 function memoryExpression(expr) {
-    const info = getExpressionInfo(expr);
-    switch (info.id) {
-        case b.LoadId:
-        case b.StoreId:
+    switch (expr.id) {
+        case 'Load':
+        case 'Store':
+        case 'SimdLoad':
+        case 'SimdStore':
+        case 'SimdLoadLane':
+        case 'SimdStoreLane':
             return true;
         default:
             return false;
@@ -619,12 +430,7 @@ function memoryExpression(expr) {
 
 
 function filterTree(expr, filter) {
-    if (!expr) {
-        // empty nodes just AND out
-        return true;
-    }
-    const info = getExpressionInfo(expr);
-    if (!filter(info)) {
+    if (!filter(expr)) {
         // shortcut to prune dead trees
         return false;
     }
@@ -636,52 +442,73 @@ function filterTree(expr, filter) {
         }
         return true;
     }
-    switch (info.id) {
-        case b.BlockId:
-            return descend(info.children);
-        case b.IfId:
-            return descend([info.condition, info.ifTrue, info.ifFalse]);
-        case b.LoopId:
-            return descend([info.body]);
-        case b.BreakId:
-            return descend([info.value]);
-        case b.SwitchId:
-            return descend([info.value, info.condition]);
-        case b.CallId:
-            return true;
-        case b.CallIndirectId:
-            return descend([info.target]);
-        case b.LocalGetId:
-            return true;
-        case b.LocalSetId:
-            return descend([info.value]);
-        case b.GlobalGetId:
-            return true;
-        case b.GlobalSetId:
-            return descend([info.value]);
-        case b.LoadId:
-            return descend([info.ptr]);
-        case b.StoreId:
-            return descend([info.ptr, info.value]);
-        case b.ConstId:
-            return true;
-        case b.UnaryId:
-            return descend([info.value]);
-        case b.BinaryId:
-            return descend([info.left, info.right]);
-        case b.SelectId:
-            return descend([info.ifTrue, info.ifFalse, info.condition]);
-        case b.DropId:
-            return descend([info.value]);
-        case b.ReturnId:
-            return descend([info.value]);
-        case b.MemorySizeId:
-            return true;
-        case b.MemoryGrowId:
-            return descend([info.delta]);
-        case b.NopId:
-            return true;
-        case b.UnreachableId:
+    // Operands live on the value stack, so only the structured
+    // control instructions have children to check.
+    switch (expr.id) {
+        case 'Block':
+        case 'Loop':
+            return descend(expr.body);
+        case 'If':
+            return descend(expr.ifTrue) && descend(expr.ifFalse || []);
+        case 'Try':
+            return descend(expr.body) &&
+                expr.catches.every((handler) => descend(handler.body)) &&
+                descend(expr.catchAll ? expr.catchAll.body : []);
+        case 'Throw':
+        case 'Rethrow':
+        case 'Break':
+        case 'Switch':
+        case 'Call':
+        case 'CallIndirect':
+        case 'ReturnCall':
+        case 'ReturnCallIndirect':
+        case 'LocalGet':
+        case 'LocalSet':
+        case 'GlobalGet':
+        case 'GlobalSet':
+        case 'Load':
+        case 'Store':
+        case 'Const':
+        case 'Unary':
+        case 'Binary':
+        case 'Select':
+        case 'Drop':
+        case 'Return':
+        case 'MemorySize':
+        case 'MemoryGrow':
+        case 'MemoryInit':
+        case 'DataDrop':
+        case 'MemoryCopy':
+        case 'MemoryFill':
+        case 'TableInit':
+        case 'ElemDrop':
+        case 'TableCopy':
+        case 'TableGet':
+        case 'TableSet':
+        case 'TableSize':
+        case 'TableGrow':
+        case 'TableFill':
+        case 'RefNull':
+        case 'RefIsNull':
+        case 'RefFunc':
+        case 'AtomicLoad':
+        case 'AtomicStore':
+        case 'AtomicRMW':
+        case 'AtomicCmpxchg':
+        case 'AtomicWait':
+        case 'AtomicNotify':
+        case 'AtomicFence':
+        case 'SimdOp':
+        case 'SimdConst':
+        case 'SimdShuffle':
+        case 'SimdExtractLane':
+        case 'SimdReplaceLane':
+        case 'SimdLoad':
+        case 'SimdStore':
+        case 'SimdLoadLane':
+        case 'SimdStoreLane':
+        case 'Nop':
+        case 'Unreachable':
             return true;
         default:
             throw new Error('Invalid expression id');
@@ -692,40 +519,85 @@ function filterTree(expr, filter) {
 const pureExpression = Cache.make((expr) => {
     return filterTree(expr, (info) => {
         switch (info.id) {
-            case b.BlockId:
-            case b.IfId:
-            case b.LoopId:
-            case b.BreakId:
-            case b.SwitchId:
+            case 'Block':
+            case 'If':
+            case 'Loop':
+            case 'Try':
+            case 'Throw':
+            case 'Rethrow':
+            case 'Break':
+            case 'Switch':
+                return false;
+            case 'Call':
+            case 'CallIndirect':
+                return info.type !== 'none';
+            case 'ReturnCall':
+            case 'ReturnCallIndirect':
                 return false;
-            case b.CallId:
-            case b.CallIndirectId:
-                return info.type !== b.none;
-            case b.LocalGetId:
+            case 'LocalGet':
                 return true;
-            case b.LocalSetId:
+            case 'LocalSet':
                 return info.isTee;
-            case b.GlobalGetId:
+            case 'GlobalGet':
+                return true;
+            case 'GlobalSet':
+                return false;
+            case 'Load':
+                return true;
+            case 'Store':
+                return false;
+            case 'Const':
+            case 'Unary':
+            case 'Binary':
+            case 'Select':
+                return true;
+            case 'Drop':
+            case 'Return':
+                return false;
+            case 'MemorySize':
+            case 'MemoryGrow':
                 return true;
-            case b.GlobalSetId:
+            case 'MemoryInit':
+            case 'DataDrop':
+            case 'MemoryCopy':
+            case 'MemoryFill':
+            case 'TableInit':
+            case 'ElemDrop':
+            case 'TableCopy':
                 return false;
-            case b.LoadId:
+            case 'TableGet':
+            case 'TableSize':
+            case 'TableGrow':
                 return true;
-            case b.StoreId:
+            case 'TableSet':
+            case 'TableFill':
                 return false;
-            case b.ConstId:
-            case b.UnaryId:
-            case b.BinaryId:
-            case b.SelectId:
+            case 'RefNull':
+            case 'RefIsNull':
+            case 'RefFunc':
                 return true;
-            case b.DropId:
-            case b.ReturnId:
+            case 'AtomicLoad':
+            case 'AtomicRMW':
+            case 'AtomicCmpxchg':
+            case 'AtomicWait':
+            case 'AtomicNotify':
+                return true;
+            case 'AtomicStore':
+            case 'AtomicFence':
                 return false;
-            case b.MemorySizeId:
-            case b.MemoryGrowId:
+            case 'SimdOp':
+            case 'SimdConst':
+            case 'SimdShuffle':
+            case 'SimdExtractLane':
+            case 'SimdReplaceLane':
+            case 'SimdLoad':
+            case 'SimdLoadLane':
                 return true;
-            case b.NopId:
-            case b.UnreachableId:
+            case 'SimdStore':
+            case 'SimdStoreLane':
+                return false;
+            case 'Nop':
+            case 'Unreachable':
                 return false;
             default:
                 throw new Error('Invalid expression id');
@@ -739,53 +611,113 @@ const pureExpression = Cache.make((expr) => {
 const infallible = Cache.make((expr) => {
     return filterTree(expr, (info) => {
         switch (info.id) {
-            case b.BlockId:
+            case 'Block':
                 // blocks are not necessarily fallible BUT they must place args on stack
-            case b.IfId:
-            case b.LoopId:
+            case 'If':
+            case 'Loop':
+            case 'Try':
                 return false;
-            case b.BreakId:
-            case b.SwitchId:
+            case 'Throw':
+            case 'Rethrow':
+                // Fallible by design
+                return false;
+            case 'Break':
+            case 'Switch':
                 // note breaks and switches may have values like blocks.
                 // the break though sends its own value *to* the block's
                 // value variable.
                 return true;
-            case b.CallId:
+            case 'Call':
                 // @todo analyze all statically linked internal functions
                 // and pass through a true if possible
-            case b.CallIndirectId:
+            case 'CallIndirect':
+            case 'ReturnCall':
+            case 'ReturnCallIndirect':
                 return false;
-            case b.LocalGetId:
-            case b.LocalSetId:
-            case b.GlobalGetId:
-            case b.GlobalSetId:
+            case 'LocalGet':
+            case 'LocalSet':
+            case 'GlobalGet':
+            case 'GlobalSet':
                 return true;
-            case b.LoadId:
-            case b.StoreId:
+            case 'Load':
+            case 'Store':
                 // Inherently fallible
                 return false;
-            case b.ConstId:
-            case b.UnaryId:
-                // @fixme there may be fallible unary ops like sqrt
+            case 'Const':
                 return true;
-            case b.BinaryId:
+            case 'Unary':
+                // Float-to-int truncations trap on NaN and overflow
+                switch (info.op) {
+                    case 'i32.trunc_f32_s':
+                    case 'i32.trunc_f32_u':
+                    case 'i32.trunc_f64_s':
+                    case 'i32.trunc_f64_u':
+                    case 'i64.trunc_f32_s':
+                    case 'i64.trunc_f32_u':
+                    case 'i64.trunc_f64_s':
+                    case 'i64.trunc_f64_u':
+                        return false;
+                    default:
+                        return true;
+                }
+            case 'Binary':
+                // Integer division traps on zero and overflow
                 switch (info.op) {
-                    case b.DivSInt32:
-                    case b.DivSInt64:
-                    case b.DivFloat32:
-                    case b.DivFloat64:
+                    case 'i32.div_s':
+                    case 'i32.div_u':
+                    case 'i32.rem_s':
+                    case 'i32.rem_u':
+                    case 'i64.div_s':
+                    case 'i64.div_u':
+                    case 'i64.rem_s':
+                    case 'i64.rem_u':
                         return false;
                     default:
                         return true;
                 }
-            case b.SelectId:
-            case b.DropId:
-            case b.ReturnId:
-            case b.MemorySizeId:
-            case b.MemoryGrowId:
-            case b.NopId:
+            case 'Select':
+            case 'Drop':
+            case 'Return':
+            case 'MemorySize':
+            case 'MemoryGrow':
+            case 'DataDrop':
+            case 'ElemDrop':
+            case 'TableSize':
+            case 'TableGrow':
+            case 'RefNull':
+            case 'RefIsNull':
+            case 'RefFunc':
+            case 'AtomicFence':
+            case 'SimdOp':
+            case 'SimdConst':
+            case 'SimdShuffle':
+            case 'SimdExtractLane':
+            case 'SimdReplaceLane':
+            case 'Nop':
                 return true;
-            case b.UnreachableId:
+            case 'SimdLoad':
+            case 'SimdStore':
+            case 'SimdLoadLane':
+            case 'SimdStoreLane':
+                // Inherently fallible, as other loads and stores
+                return false;
+            case 'MemoryInit':
+            case 'MemoryCopy':
+            case 'MemoryFill':
+            case 'TableInit':
+            case 'TableCopy':
+            case 'TableGet':
+            case 'TableSet':
+            case 'TableFill':
+            case 'AtomicLoad':
+            case 'AtomicStore':
+            case 'AtomicRMW':
+            case 'AtomicCmpxchg':
+            case 'AtomicWait':
+            case 'AtomicNotify':
+                // Bounds and alignment checked
+                return false;
+            case 'Unreachable':
                 // throws a runtime error on purpose :D
                 return false;
             default:
@@ -798,34 +730,71 @@ const infallible = Cache.make((expr) => {
 const uninterruptible = Cache.make((expr) => {
     return filterTree(expr, (info) => {
         switch (info.id) {
-            case b.BlockId:
-            case b.IfId:
-            case b.LoopId:
-            case b.BreakId:
-            case b.SwitchId:
+            case 'Block':
+            case 'If':
+            case 'Loop':
+            case 'Try':
+            case 'Throw':
+            case 'Rethrow':
+            case 'Break':
+            case 'Switch':
                 return true;
-            case b.CallId:
+            case 'Call':
                 // @todo analyze all statically linked internal functions
                 // and pass through a true if possible
-            case b.CallIndirectId:
+            case 'CallIndirect':
+            case 'ReturnCall':
+            case 'ReturnCallIndirect':
                 return false;
-            case b.LocalGetId:
-            case b.LocalSetId:
-            case b.GlobalGetId:
-            case b.GlobalSetId:
-            case b.LoadId:
-            case b.StoreId:
-            case b.ConstId:
-            case b.UnaryId:
-            case b.BinaryId:
-            case b.SelectId:
-            case b.DropId:
-            case b.ReturnId:
-            case b.MemorySizeId:
-            case b.MemoryGrowId:
-            case b.NopId:
+            case 'LocalGet':
+            case 'LocalSet':
+            case 'GlobalGet':
+            case 'GlobalSet':
+            case 'Load':
+            case 'Store':
+            case 'Const':
+            case 'Unary':
+            case 'Binary':
+            case 'Select':
+            case 'Drop':
+            case 'Return':
+            case 'MemorySize':
+            case 'MemoryGrow':
+            case 'MemoryInit':
+            case 'DataDrop':
+            case 'MemoryCopy':
+            case 'MemoryFill':
+            case 'TableInit':
+            case 'ElemDrop':
+            case 'TableCopy':
+            case 'TableGet':
+            case 'TableSet':
+            case 'TableSize':
+            case 'TableGrow':
+            case 'TableFill':
+            case 'RefNull':
+            case 'RefIsNull':
+            case 'RefFunc':
+            case 'AtomicLoad':
+            case 'AtomicStore':
+            case 'AtomicRMW':
+            case 'AtomicCmpxchg':
+            case 'AtomicNotify':
+            case 'AtomicFence':
+            case 'SimdOp':
+            case 'SimdConst':
+            case 'SimdShuffle':
+            case 'SimdExtractLane':
+            case 'SimdReplaceLane':
+            case 'SimdLoad':
+            case 'SimdStore':
+            case 'SimdLoadLane':
+            case 'SimdStoreLane':
+            case 'Nop':
                 return true;
-            case b.UnreachableId:
+            case 'AtomicWait':
+                // Other code may run while waiting
+            case 'Unreachable':
                 return false;
             default:
                 throw new Error('Invalid expression id' + JSON.stringify(info));
@@ -836,14 +805,19 @@ const uninterruptible = Cache.make((expr) => {
 const argsInOrder = Cache.make((expr) => {
     return filterTree(expr, (info) => {
         switch (info.id) {
-            case b.BlockId:
-            case b.IfId:
-            case b.LoopId:
-            case b.BreakId:
-            case b.SwitchId:
-            case b.CallId:
+            case 'Block':
+            case 'If':
+            case 'Loop':
+            case 'Try':
+            case 'Throw':
+            case 'Rethrow':
+            case 'Break':
+            case 'Switch':
+            case 'Call':
+            case 'ReturnCall':
                 return true;
-            case b.CallIndirectId:
+            case 'CallIndirect':
+            case 'ReturnCallIndirect':
                 // the target index comes after the args in Wasm
                 // but the function expression in JS is evaluated before the args
                 // this requires us to use the stack to pass the indirect call opcode args
@@ -852,23 +826,54 @@ const argsInOrder = Cache.make((expr) => {
                 // because any indirect call could fail or be interrupted by the debugger
                 // interactively
                 return false;
-            case b.LocalGetId:
-            case b.LocalSetId:
-            case b.GlobalGetId:
-            case b.GlobalSetId:
-            case b.LoadId:
-            case b.StoreId:
-            case b.ConstId:
-            case b.UnaryId:
-            case b.BinaryId:
-            case b.SelectId:
-            case b.DropId:
-            case b.ReturnId:
-            case b.MemorySizeId:
-            case b.MemoryGrowId:
-            case b.NopId:
+            case 'LocalGet':
+            case 'LocalSet':
+            case 'GlobalGet':
+            case 'GlobalSet':
+            case 'Load':
+            case 'Store':
+            case 'Const':
+            case 'Unary':
+            case 'Binary':
+            case 'Select':
+            case 'Drop':
+            case 'Return':
+            case 'MemorySize':
+            case 'MemoryGrow':
+            case 'MemoryInit':
+            case 'DataDrop':
+            case 'MemoryCopy':
+            case 'MemoryFill':
+            case 'TableInit':
+            case 'ElemDrop':
+            case 'TableCopy':
+            case 'TableGet':
+            case 'TableSet':
+            case 'TableSize':
+            case 'TableGrow':
+            case 'TableFill':
+            case 'RefNull':
+            case 'RefIsNull':
+            case 'RefFunc':
+            case 'AtomicLoad':
+            case 'AtomicStore':
+            case 'AtomicRMW':
+            case 'AtomicCmpxchg':
+            case 'AtomicWait':
+            case 'AtomicNotify':
+            case 'AtomicFence':
+            case 'SimdOp':
+            case 'SimdConst':
+            case 'SimdShuffle':
+            case 'SimdExtractLane':
+            case 'SimdReplaceLane':
+            case 'SimdLoad':
+            case 'SimdStore':
+            case 'SimdLoadLane':
+            case 'SimdStoreLane':
+            case 'Nop':
                 return true;
-            case b.UnreachableId:
+            case 'Unreachable':
                 return false;
             default:
                 throw new Error('Invalid expression id');
@@ -882,75 +887,6 @@ const canOptimize = Cache.make((expr) => {
 });
 
 
-// move these into generated code
-
-// Borrowed from https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/clz32
-function ctz32(n){
-    n |= n << 16;
-    n |= n << 8;
-    n |= n << 4;
-    n |= n << 2;
-    n |= n << 1;
-    return 32 - Math.clz(~n);
-}
-
-function ctz64(n) {
-    n |= n << 32n;
-    n |= n << 16n;
-    n |= n << 8n;
-    n |= n << 4n;
-    n |= n << 2n;
-    n |= n << 1n;
-    const low = BigInt.toIntN(32, n);
-    const trailing = 32 - Math.clz(~low);
-    if (trailing == 32) {
-        const high = Number(BigInt.toIntN(32, n >> 32n));
-        return 64 - Math.clz(~high);
-    }
-}
-
-function clz64(n) {
-    const high = Number(BigInt.toIntN(32, n >> 32n));
-    const leading = Math.clz32(high);
-    if (leading === 32) {
-        const low = Number(BigInt.toIntN(32, n));
-        return 32 + Math.clz32(low);
-    } else {
-        return leading;
-    }
-}
-
-const bitsPerByte = new Uint8Array(Array.from(range(256)).map((n) => {
-    let bits = 0;
-    bits += (n & 1) | 0;
-    bits += (n & 2) >> 1 | 0;
-    bits += (n & 4) >> 2 | 0;
-    bits += (n & 8) >> 3 | 0;
-    bits += (n & 16) >> 4 | 0;
-    bits += (n & 32) >> 5 | 0;
-    bits += (n & 64) >> 6 | 0;
-    bits += (n & 128) >> 7 | 0;
-    return bits;
-}));
-
-function popcnt32(n) {
-    return bitsPerByte[n & 0xff] +
-        bitsPerByte[(n >> 8) & 0xff] +
-        bitsPerByte[(n >> 16) & 0xff] +
-        bitsPerByte[(n >> 24) & 0xff];
-}
-
-function popcnt64(n) {
-    const high = Number(BigInt.toIntN(32, n >> 32n));
-    const low = Number(BigInt.toIntN(32, n));
-    return popcnt32(high) + popcnt32(low);
-}
-
-// move this into instance state maybe?
-// needs enough space for two 64-bit floats at once for copysign
-const reinterpretBuffer = new ArrayBuffer(16);
-const reinterpretView = new DataView(reinterpretBuffer);
-
 class Stack {
     constructor() {
         this.items = [];
@@ -1009,18 +945,41 @@ class Stack {
 }
 
 class Compiler {
-    constructor(instance, params=[], vars=[]) {
-        this.instance = instance;
+    constructor({debug, preserveNaN, metered}, breakpoints, params=[], vars=[], funcIndex=null) {
+        this.debug = debug;
+        this.preserveNaN = preserveNaN;
+        this.metered = metered;
+        this.breakpoints = breakpoints;
+        this.funcIndex = funcIndex;
         this.paramTypes = params.slice();
-        this.localDefaults = params.concat(vars).map(defaultValue);
-        this.closure = [];
-        this.closureMap = Cache.make((val) => {
-            const index = this.closure.push(val) - 1;
-            return 'closure' + index;
+        this.localTypes = params.concat(vars);
+        this.localDefaults = this.localTypes.map(defaultValue);
+        // Compiled code may not close over live objects, so it can be
+        // saved as source; it refers to the runtime and instance instead.
+        this.imports = new Set();
+        this.constants = [];
+        this.memoryAccess = false;
+        // Set from the body before compiling it.
+        this.memories = [];
+        this.globalMap = Cache.make((index) => {
+            const name = `global${index}`;
+            this.constants.push(`const ${name} = instance._globals[${this.literal(index)}];`);
+            return name;
         });
-        this.labels = [];
+        this.labels = 0;
         this.sources = [];
         this.stack = new Stack();
+        // i64 values take a second variable for their high half,
+        // named with an `h` on the end.
+        this.stackTypes = [];
+        this.highSlots = new Set();
+        this.pairs = false;
+        this.callResults = false;
+        this.tailCalls = false;
+        // Exceptions caught by try blocks are named for rethrow.
+        this.exceptions = 0;
+        this.delegatesToCaller = false;
+        this.spills = new Map();
         this.optimizedVars = new Map();
         this.expressions = new Stack();
         this.optimizedStack = new Stack();
@@ -1029,32 +988,68 @@ class Compiler {
         this.loops = 0;
     }
 
-    static compileBase(instance, expr, params, results, vars, name='<anonymous>') {
-        const compiler = new Compiler(instance, params, vars);
-        const inst = compiler.enclose(instance);
+    /// Compile a function body to the source of a factory function
+    /// taking `runtime` and `instance`, which returns the function.
+    static compileBase(options, breakpoints, body, params, results, vars, name='<anonymous>', funcIndex=null) {
+        const compiler = new Compiler(options, breakpoints, params, vars, funcIndex);
+        compiler.memories = usedMemories(body);
+        const debug = compiler.debug;
         const paramNames = params.map((_type, index) => `param${index}`);
-        const {
-            body,
-            //result // ignore and don't use this
-        } = compiler.flatten(compiler.compile(expr));
-        const hasResult = (results !== b.none);
+        const paramList = compiler.pairArgs(paramNames, params);
+        // The function body acts as the outermost block, so branches
+        // targeting it work like a return.
+        const source = compiler.block({params: [], results}, (block) => `
+            ${compiler.labelDecl(block)}
+            {
+                ${compiler.flatten(compiler.compileAll(body)).body}
+                ${compiler.exitBlock(block)}
+            }
+        `);
+        const hasResult = (results.length > 0);
         const maxDepth = compiler.stack.maxDepth;
-        const result = hasResult ? compiler.pop() : null;
+        const resultNames = results.map(() => compiler.pop()).reverse();
+        const result = hasResult ? compiler.resultValue(resultNames, results) : null;
+        const highVars = Array.from(compiler.highSlots).sort((a, b) => a - b).map((index) => `stack${index}h`);
+        const temps = [
+            ...(compiler.pairs ? [`low`] : []),
+            ...(compiler.callResults ? [`results`] : [])
+        ];
+        // Functions making tail calls return them to a trampoline
+        // wrapped around them, which makes the calls.
+        const wrap = (source) => compiler.tailCalls ? `${compiler.enclose('tailCaller')}(instance, ${source})` : source;
         const func = `
-            return async (${paramNames.join(', ')}) => {
-                const instance = ${inst};
+            return ${wrap(`async (${paramList.join(', ')}) => {
+                ${compiler.metered ? `
+                    // The signals of the call chain this is part of.
+                    const signals = instance._signals;
+                ` : ``}
                 const funcs = instance._funcs;
-                const table = instance._table;
-                const memory = instance._memory;
-                let buffer = memory.buffer;
-                let dataView = new DataView(buffer); // @fixme use a common one to avoid allocating
-                const updateViews = () => {
-                    buffer = memory.buffer;
-                    dataView = new DataView(buffer); // @fixme run this through a common cache
-                };
+                const tables = instance._tables;
+                ${compiler.memories.map((index) => `
+                    const memory${index} = instance._memories[${index}];
+                    let buffer${index} = memory${index}.buffer;
+                    let dataView${index} = new DataView(buffer${index}); // @fixme use a common one to avoid allocating
+                `).join('')}
+                ${compiler.memories.length ? `
+                    // Growing memory detaches its old buffer, and it may
+                    // be grown by other code while this awaits.
+                    const updateViews = () => {
+                        ${compiler.memories.map((index) => `
+                            if (buffer${index} !== memory${index}.buffer) {
+                                buffer${index} = memory${index}.buffer;
+                                dataView${index} = new DataView(buffer${index}); // @fixme run this through a common cache
+                            }
+                        `).join('')}
+                    };
+                ` : ``}
                 ${
                     maxDepth
-                    ? `let ${compiler.stackVars(maxDepth).join(`, `)};`
+                    ? `let ${compiler.stackVars(maxDepth).concat(highVars).join(`, `)};`
+                    : ``
+                }
+                ${
+                    temps.length
+                    ? `let ${temps.join(`, `)};`
                     : ``
                 }
                 ${
@@ -1063,55 +1058,84 @@ class Compiler {
                     : ``
                 }
                 let node;
-                ${instance._debug ? `
+                ${debug ? `
                     const activeBreakpoints = instance._activeBreakpoints;
                     const activeSequences = instance._activeSequences;
                     const stackSpill = [${
-                        Array.from(range(maxDepth + 1), (_, depth) => {
+                        Array.from(compiler.spills.keys(), (types) => {
                             return `
-                                () => [${compiler.stackVars(depth).join(`, `)}]
+                                () => [${compiler.spillValues(types).join(`, `)}]
                             `;
                         }).join(',\n')
                     }];
+                    const stackTypes = [${
+                        Array.from(compiler.spills.keys(), (types) => {
+                            return `[${(types ? types.split(',') : []).map(literal).join(', ')}]`;
+                        }).join(', ')
+                    }];
                 ` : ``}
                 const dump = () => {
-                    const frame = /* Frame */ new ${compiler.enclose(Frame)}(instance);
+                    const frame = new ${compiler.enclose('Frame')}(instance);
                     frame.name = ${compiler.literal(name)};
-                    ${instance._debug ? `
-                        frame.stack = stackSpill[node.depth]();
-                        frame.locals = [${compiler.localVars().join(`, `)}];
+                    ${debug ? `
+                        frame.stack = stackSpill[node.spill]();
+                        frame.stackTypes = stackTypes[node.spill];
+                        frame.locals = [${compiler.localValues().join(`, `)}];
+                        frame.localTypes = [${compiler.localTypes.map(literal).join(', ')}];
                     ` : ``}
                     frame.sourceLocation = node.sourceLocation;
+                    instance._resolveFrame(frame);
                     return frame;
                 };
                 // @fixme do this thorugh the exception after all
                 instance._stackTracers.push(dump);
                 try {
-                    ${body}
+                    if (instance._stackTracers.length > instance._maxCallDepth) {
+                        ${compiler.enclose('trap')}('call stack exhausted');
+                    }
+                    ${source}
                     ${hasResult ? `return ${result};` : ``}
-                } finally {
+                } ${compiler.memoryAccess || compiler.delegatesToCaller ? `catch (error) {
+                    ${compiler.delegatesToCaller ? `
+                        // Exceptions delegated to the caller are theirs.
+                        if (error instanceof ${compiler.enclose('Delegate')}) {
+                            throw error.error;
+                        }
+                    ` : ``}
+                    ${compiler.memoryAccess ? `
+                        // Out-of-bounds loads and stores are caught by
+                        // DataView, which throws a RangeError.
+                        if (error instanceof RangeError && node.memory) {
+                            ${compiler.enclose('trap')}('memory access out of bounds');
+                        }
+                    ` : ``}
+                    throw error;
+                }` : ``} finally {
                     instance._stackTracers.pop();
                 }
-            };
+            }`)};
         `;
-        const closureNames = compiler.closure.map((val) => compiler.enclose(val));
-        const args = closureNames.concat([func]);
         //console.log(func);
-        return Reflect.construct(Function, args).apply(null, compiler.closure);
+        return `
+            ${compiler.imports.size ? `
+                const {${Array.from(compiler.imports).join(`, `)}} = runtime;
+            ` : ``}
+            ${compiler.constants.join(`\n`)}
+            ${func}
+        `;
     }
 
-    static compileFunction(instance, func) {
-        return Compiler.compileBase(instance, func.body, b.expandType(func.params), func.results, func.vars, func.name)
+    static compileFunction(options, breakpoints, func) {
+        return Compiler.compileBase(options, breakpoints, func.body, func.params, func.results, func.vars, func.name, func.index)
     }
 
-    static compileExpression(instance, expr) {
-        return Compiler.compileBase(instance, expr, [], expr.type, []);
+    static compileExpression(options, breakpoints, body, type) {
+        return Compiler.compileBase(options, breakpoints, body, [], [type], []);
     }
 
-    /// Compile a single expression from the AST into an array
+    /// Compile a single instruction from the AST into an array
     // of JS async function source fragments and metadata
-    compile(expression) {
-        const expr = getExpressionInfo(expression);
+    compile(expr) {
         const handler = expressionMap(expr.id);
         if (this[handler]) {
             return this[handler](expr);
@@ -1122,27 +1146,26 @@ class Compiler {
     }
 
     flatten(nodes) {
+        // Statements may lack a semicolon, so this goes on a new line.
+        const refresh = (node) => node.refresh ? `\n${this.refreshViews()}` : ``;
         const cleanPath = (node) => {
             if (node.infallible) {
-                return `/* infallible */ ${node.statement}`;
+                return `/* infallible */ ${node.statement}${refresh(node)}`;
             } else if (node.uninterruptible) {
-                return `/* uninterruptible */ ${node.spill} ${node.statement}`;
+                return `/* uninterruptible */ ${node.spill} ${node.statement}${refresh(node)}`;
             } else {
-                return `/* spill */ ${node.spill} ${node.statement}`;
+                return `/* spill */ ${node.spill} ${node.statement}${refresh(node)}`;
             }
         };
         const dirtyPath = (node) => {
             return `${node.infallible ? `` : node.spill}
-                if (activeBreakpoints[${this.instance._breakpointIndex(node.sourceLocation)}]) {
+                if (activeBreakpoints[${this.breakpoints.index(node.sourceLocation.offset)}]) {
                     ${node.infallible ? node.spill : ``}
-                    await instance.debugger();
-                    ${node.memory ? `
-                        if (buffer !== memory.buffer) {
-                            updateViews();
-                        }
-                    ` : ``}
+                    await instance._pause(${node.sourceLocation.offset});
+                    instance._paused = null;
+                    ${node.memory ? this.refreshViews() : ``}
                 }
-                ${node.statement}
+                ${node.statement}${refresh(node)}
             `;
         };
         const collapse = (nodes, callback) => {
@@ -1152,15 +1175,10 @@ class Compiler {
             return nodes.map(callback).join('\n');
         };
         const bifurcate = (nodes) => {
-            const sequence = this.instance._registerSequence(
-                nodes.map((node) => node.sourceLocation)
+            const sequence = this.breakpoints.sequence(
+                nodes.map((node) => node.sourceLocation.offset)
             );
             return `
-                ${nodes.filter((node) => node.memory).length ? `
-                if (buffer !== memory.buffer) {
-                    updateViews();
-                }
-                `: ``}
                 if (activeSequences[${sequence}]) {
                     ${collapse(nodes, dirtyPath)}
                 } else {
@@ -1170,7 +1188,7 @@ class Compiler {
         };
         const last = nodes.length ? nodes[nodes.length - 1] : null;
         const result = last ? last.result : null;
-        if (this.instance._debug) {
+        if (this.debug) {
             let source = ``;
             const streak = [];
             const spillStreak = () => {
@@ -1202,163 +1220,219 @@ class Compiler {
         }
     }
 
-    enclose(value) {
-        // @fixme replace all of these with
-        // source-compilation-friendly references
-        return this.closureMap(value);
+    /// Refer to one of the runtime's exports by name.
+    enclose(name) {
+        if (!(name in runtime)) {
+            throw new RangeError(`No runtime export ${name}`);
+        }
+        this.imports.add(name);
+        return name;
     }
 
     literal(value) {
-        switch (typeof value) {
-            case 'number':
-            case 'string': // used for function names
-                return JSON.stringify(value);
-            case 'bigint':
-                return `${value}n`;
-            default:
-                return `/* literal */ ${this.enclose(value)}`;
-        }
+        return literal(value);
     }
 
-    label(name) {
-        if (name) {
-            let index = this.labels.indexOf(name);
-            if (index === -1) {
-                index = this.labels.push(name) - 1;
-            }
-            return 'label' + index;
-        }
-        return null;
+    /// Update memory views after anything that may have grown memory:
+    /// `memory.grow`, and anything awaiting, which lets other code run.
+    refreshViews() {
+        return this.memories.length ? `updateViews();` : ``;
+    }
+
+    label() {
+        return 'label' + this.labels++;
     }
 
     outerLoop() {
         return `loop${this.loops++}`;
     }
 
+    /// With `metered`, count a loop iteration or call against the
+    /// instance's fuel, checking in with it when the current allotment
+    /// runs out or a signal is aborted. The await makes loops much
+    /// slower, so it's optional.
+    tick() {
+        return `(--instance._ticks > 0 || await instance._tick(signals))`;
+    }
+
+    meteredCall(call) {
+        return this.metered ? `(${this.tick()}, ${call})` : call;
+    }
+
+    /// Call a function and await its result. With `metered`, the callee
+    /// picks up this call chain's signals as it starts.
+    callFunction(func, args) {
+        if (!this.metered) {
+            return `await ${func}(${args.join(', ')})`;
+        }
+        return this.meteredCall(`await ${this.enclose('callWithSignals')}(instance, signals, ${[func, ...args].join(', ')})`);
+    }
+
     labelDecl(block) {
         return block.label ? `${block.label}:` : ``;
     }
 
-    block(name, callback) {
-        const label = this.label(name);
-        const depth = this.blocks.depth;
+    /// Set up a control block for the given block type, whose params
+    /// are already on the stack. Stack slots are positional, so the
+    /// block's params and results live at `depth` onwards.
+    block(blockType, callback, isLoop=false) {
         const block = {
-            result: this.expressions.current.result,
-            name,
-            label,
-            depth
+            label: this.label(),
+            depth: this.stack.depth - blockType.params.length,
+            params: blockType.params.length,
+            results: blockType.results.length,
+            paramTypes: blockType.params,
+            resultTypes: blockType.results,
+            isLoop
         };
-        this.blocks.push(block);
-        const body = callback(block);
-        return body;
+        return this.blocks.block(block, () => callback(block));
     }
 
-    findBlock(name) {
-        return this.blocks.find((block) => block.name === name);
+    findBlock(depth) {
+        return this.blocks.get(-1 - depth);
     }
 
-    resetLoop(block) {
-        if (this.stack.depth > block.depth) {
-            // reset the stack for the next loop-through
-            while (this.stack.depth > block.depth) {
-                this.pop();
-            }
+    resetStack(depth, types) {
+        while (this.stack.depth > depth) {
+            this.pop();
+        }
+        while (this.stack.depth < depth + types.length) {
+            this.push(types[this.stack.depth - depth]);
         }
+    }
+
+    /// Restore the block's params for the next arm of an if/else.
+    resetBlock(block) {
+        this.resetStack(block.depth, block.paramTypes);
         return ``;
     }
 
+    /// Leave the stack holding the block's results. On fallthrough
+    /// they're already in place; after an unconditional branch the
+    /// remaining stack state was dead anyway.
     exitBlock(block) {
-        if (block.result && this.stack.depth > block.depth) {
-            // Save the top result, but drop the rest.
-            let oldResult = this.pop();
-            while (this.stack.depth > block.depth) {
-                this.pop();
-            }
-            let result = this.push();
-            return `${result} = ${oldResult};`;
-        }
+        this.resetStack(block.depth, block.resultTypes);
         return ``;
     }
 
-    break(name) {
-        const block = this.findBlock(name);
+    /// Branch to the block at the given relative depth, moving any
+    /// values it takes into its slots. Loops take their params when
+    /// branched to, other blocks take their results.
+    ///
+    /// The branch target's labeled statement is always the thing to
+    /// break out of; for loops it's the inner block, which continues
+    /// the loop.
+    break(depth) {
+        const block = this.findBlock(depth);
+        const types = block.isLoop ? block.paramTypes : block.resultTypes;
+        const base = this.stack.depth - types.length;
         const lines = [];
-        this.exitBlock(block);
+        types.forEach((type, i) => {
+            if (base + i !== block.depth + i) {
+                lines.push(`stack${block.depth + i} = stack${base + i};`);
+                if (type === 'i64') {
+                    this.highSlots.add(block.depth + i);
+                    lines.push(`stack${block.depth + i}h = stack${base + i}h;`);
+                }
+            }
+        });
         lines.push(`break ${block.label};`);
         return lines.join('\n');
     }
 
+    sourceLocation(expr) {
+        return new SourceLocation(this.funcIndex, expr.byteOffset);
+    }
+
     spill(expr) {
-        // @todo ship these object literals in the generated wrapper
-        // function instead of live objects, so we can reconstitute source.
-        // object literals should be avoided so we only have to do a single
-        // property store on this code path
-        const node = {
-            sourceLocation: expr.sourceLocation
-        };
-        if (this.instance._debug) {
-            node.depth = this.literal(this.stack.depth);
+        // The node objects are built once in the factory, so we
+        // only have to do a single variable store on this code path
+        const name = `node${this.constants.length}`;
+        const func = this.funcIndex === null ? `null` : this.literal(this.funcIndex);
+        const location = `new ${this.enclose('SourceLocation')}(${func}, ${this.literal(expr.byteOffset)})`;
+        const depth = this.debug ? `, spill: ${this.spillIndex()}` : ``;
+        let memory = ``;
+        if (memoryExpression(expr)) {
+            this.memoryAccess = true;
+            memory = `, memory: true`;
         }
+        this.constants.push(`const ${name} = {sourceLocation: ${location}${depth}${memory}};`);
         return `
-                node = ${this.enclose(node)};
+                node = ${name};
         `;
     }
 
-    opcode(expr, args, builder) {
+    compileAll(body) {
+        return body.flatMap((expr) => this.compile(expr));
+    }
+
+    /// Compile an instruction taking the given number of inputs off
+    /// the value stack; the builder receives their stack variables
+    /// and returns a JS source fragment.
+    opcode(expr, inputs, builder) {
         const spill = this.spill(expr);
 
         return this.expressions.block(expr, () => {
-            // Note we use 'args' for block children which
-            // may or may not have return values, so we have
-            // to check them all.
             const build = () => {
-                const nodes = [];
-                let inputs = 0;
-                for (let arg of args) {
-                    const argNodes = this.compile(arg);
-                    nodes.push(...argNodes);
-                    if (getExpressionInfo(arg).type != b.none) {
-                        inputs++;
-                    }
-                }
                 const stackVars = [];
                 for (let _i of range(inputs)) {
                     stackVars.unshift(this.pop());
                 }
-    
+
                 const fragment = builder(...stackVars);
                 const pure = pureExpression(expr);
 
                 let result = null;
                 let statement = fragment;
-                if (expr.type != b.none) {
-                    if (pure) {
+                if (expr.type != 'none') {
+                    if (pure && Array.isArray(expr.type)) {
+                        // Multiple results come back in an array, which
+                        // is unpacked into their slots.
+                        const names = expr.type.map((type) => this.push(type));
+                        this.callResults = true;
+                        result = names[names.length - 1];
+                        statement = `
+                            results = ${fragment};
+                            ${this.pairArgs(names, expr.type).map((name, index) => `${name} = results[${index}];`).join('\n')}
+                        `;
+                    } else if (pure) {
                         // @todo fold expressions in optimize mode
-                        result = this.push();
-                        statement = `${result} = ${fragment};`;
+                        result = this.push(expr.type);
+                        if (expr.type === 'i64') {
+                            // The high half may depend on the low one,
+                            // and both on inputs in the result's slot.
+                            this.pairs = true;
+                            statement = `
+                                low = ${fragment.low};
+                                ${this.high(result)} = ${fragment.high};
+                                ${result} = low;
+                            `;
+                        } else {
+                            statement = `${result} = ${fragment};`;
+                        }
                     }
                 }
                 //console.log({fragment, result, pure});
-                nodes.push({
+                return [{
                     stackDepth: this.stack.depth,
                     result,
-                    sourceLocation: expr.sourceLocation,
+                    sourceLocation: this.sourceLocation(expr),
                     uninterruptible: uninterruptible(expr),
                     infallible: infallible(expr),
                     memory: memoryExpression(expr),
+                    refresh: !uninterruptible(expr) || expr.id === 'MemoryGrow',
                     pure,
                     fragment,
                     statement,
                     spill
-                });
-                return nodes;
+                }];
             };
 
             const nodes = this.optimizedStack.block(true, build);
             /*
 
-            if (this.instance._debug) {
-                if (expr.type != b.none) {
+            if (this.debug) {
+                if (expr.type != 'none') {
                     // Hack to get the result var off the stack
                     // without polluting state
                     this.stack.pop();
@@ -1389,13 +1463,96 @@ class Compiler {
         return this.vars(`local`, this.localDefaults.length);
     }
 
+    /// The variable holding the high half of an i64.
+    high(name) {
+        return `${name}h`;
+    }
+
+    /// An i64 as a BigInt, for Frame dumps.
+    joined(name) {
+        return `${this.enclose('i64Join')}(${name}, ${this.high(name)})`;
+    }
+
+    /// Argument list for values of the given types, passing i64s
+    /// as their halves.
+    pairArgs(names, types) {
+        return names.flatMap((name, index) => {
+            return types[index] === 'i64' ? [name, this.high(name)] : [name];
+        });
+    }
+
+    /// How the function returns values of the given types. A single
+    /// value is returned as it is, but i64s and multiple values come
+    /// back in an array, with i64s as their halves.
+    resultValue(names, types) {
+        if (types.length === 1 && types[0] !== 'i64') {
+            return names[0];
+        }
+        return `[${this.pairArgs(names, types).join(', ')}]`;
+    }
+
+    /// An i64 result from a call, which comes back as `[low, high]`.
+    callResult(call) {
+        this.callResults = true;
+        return {
+            low: `(results = ${call})[0]`,
+            high: `results[1]`
+        };
+    }
+
+    /// A value of the given type for Frame dumps: i64s as BigInts, and
+    /// v128s in the text format's form.
+    dumpValue(type, name) {
+        switch (type) {
+            case 'i64':
+                return this.joined(name);
+            case 'v128':
+                return `${this.enclose('v128Text')}(${name})`;
+            default:
+                return name;
+        }
+    }
+
+    localValues() {
+        return this.localVars().map((name, index) => this.dumpValue(this.localTypes[index], name));
+    }
+
+    /// Index of the debug mode spill function for the current stack,
+    /// which are shared by stack types.
+    spillIndex() {
+        const key = this.stackTypes.slice(0, this.stack.depth).join(',');
+        if (!this.spills.has(key)) {
+            this.spills.set(key, this.spills.size);
+        }
+        return this.spills.get(key);
+    }
+
+    spillValues(key) {
+        const types = key ? key.split(',') : [];
+        return types.map((type, index) => this.dumpValue(type, `stack${index}`));
+    }
+
     localInits(paramNames) {
         return this.localDefaults.map((value, index) => {
+            if (this.localTypes[index] === 'i64') {
+                // Callers pass the halves already.
+                const name = (index < paramNames.length) ? paramNames[index] : null;
+                return name
+                    ? `local${index} = ${name}, local${index}h = ${this.high(name)}`
+                    : `local${index} = 0, local${index}h = 0`;
+            }
             if (index < paramNames.length) {
                 const type = this.paramTypes[index];
                 const name = paramNames[index];
+                if (this.preserveNaN && (type === 'f32' || type === 'f64')) {
+                    return `local${index} = ${this.enclose(`${type}Param`)}(${name})`;
+                }
                 return `local${index} = ${coerceValue(type, name)}`;
             }
+            if (this.localTypes[index] === 'v128') {
+                // Never modified, so they can all share one.
+                return `local${index} = ${this.enclose('v128Zero')}`;
+            }
             return `local${index} = ${this.literal(value)}`;
         });
     }
@@ -1405,7 +1562,7 @@ class Compiler {
     }
 
     canOptimizeResult() {
-        if (!this.instance._debug) {
+        if (!this.debug) {
             // Always optimize if compiling with debug off
             return true;
         }
@@ -1426,11 +1583,15 @@ class Compiler {
         return false;
     }
 
-    push() {
+    push(type) {
         const index = this.stack.depth;
         const name = `stack${index}`;
 
         this.stack.push(name);
+        this.stackTypes[index] = type;
+        if (type === 'i64') {
+            this.highSlots.add(index);
+        }
         return name;
     }
 
@@ -1443,15 +1604,11 @@ class Compiler {
     }
 
     _compileBlock(expr) {
-        // @fixme do we need to handle auto-popping behavior at the end of a block, like a break or return?
-        // or would that not happen?
-        return this.opcode(expr, [], () =>
-            this.block(expr.name, (block) => `
+        return this.opcode(expr, 0, () =>
+            this.block(expr.blockType, (block) => `
                 ${this.labelDecl(block)}
                 {
-                    ${this.flatten(
-                        expr.children.flatMap((expr) => this.compile(expr))
-                    ).body}
+                    ${this.flatten(this.compileAll(expr.body)).body}
                     ${this.exitBlock(block)}
                 }
             `)
@@ -1459,80 +1616,184 @@ class Compiler {
     }
 
     _compileIf(expr) {
-        return this.opcode(expr, [expr.condition], (condition) => `
-            if (${condition}) {
-                ${this.block(null, (block) => 
-                    this.flatten(this.compile(expr.ifTrue)).body +
-                    this.exitBlock(block)
-                )}
-            } ${expr.ifFalse ? `else {
-                ${this.block(null, (block) =>
-                    this.flatten(this.compile(expr.ifFalse)).body +
-                    this.exitBlock(block)
-                )}
-            }` : ``}
-        `);
+        return this.opcode(expr, 1, (condition) =>
+            this.block(expr.blockType, (block) => `
+                ${this.labelDecl(block)}
+                if (${condition}) {
+                    ${this.flatten(this.compileAll(expr.ifTrue)).body}
+                    ${this.resetBlock(block)}
+                } else {
+                    ${this.flatten(this.compileAll(expr.ifFalse || [])).body}
+                    ${this.exitBlock(block)}
+                }
+            `)
+        );
     }
 
     _compileLoop(expr) {
         const outer = this.outerLoop();
-        return this.opcode(expr, [], () =>
-            this.block(expr.name, (block) => `
+        return this.opcode(expr, 0, () =>
+            this.block(expr.blockType, (block) => `
                 ${outer}:
                 for (;;) {
+                    ${this.metered ? `${this.tick()}; ${this.refreshViews()}` : ``}
                     ${this.labelDecl(block)}
                     {
-                        ${this.flatten(this.compile(expr.body)).body}
-                        ${this.resetLoop(block)}
+                        ${this.flatten(this.compileAll(expr.body)).body}
+                        ${this.exitBlock(block)}
                         break ${outer};
                     }
                 }
-            `)
+            `, true)
         );
     }
 
-    _compileBreak(expr) {
-        let value = ``;
-        if (expr.value) {
-            // expression whose result to pass through
-            // @fixme make this less awful looking
-            value = this.flatten(this.compile(expr.body)).body;
+    /// Try blocks are JS try/catch statements. Traps and other errors
+    /// stopping execution aren't caught. Exceptions handed on by a
+    /// `delegate` are wrapped with the label of the try to handle them,
+    /// so the ones in between let them through.
+    _compileTry(expr) {
+        return this.opcode(expr, 0, () =>
+            this.block(expr.blockType, (block) => {
+                const caught = `exception${this.exceptions++}`;
+                block.exception = caught;
+                // Without handlers, it's a plain block.
+                block.isTry = Boolean(expr.catches.length || expr.catchAll || expr.delegate !== null);
+                block.inBody = true;
+                block.delegated = false;
+                const body = this.flatten(this.compileAll(expr.body)).body;
+                const exit = this.exitBlock(block);
+                block.inBody = false;
+
+                if (!block.isTry) {
+                    return `
+                        ${this.labelDecl(block)}
+                        {
+                            ${body}
+                            ${exit}
+                        }
+                    `;
+                }
+                let handlers;
+                if (expr.delegate !== null) {
+                    const target = this.delegateTarget(expr.delegate + 1);
+                    handlers = `throw new ${this.enclose('Delegate')}(${caught}, ${this.literal(target)});`;
+                } else {
+                    const handler = (params, values, handlerBody) => {
+                        this.resetStack(block.depth, []);
+                        const names = params.map((type) => this.push(type));
+                        if (names.length) {
+                            this.callResults = true;
+                        }
+                        return `
+                            ${names.length ? `results = ${values};` : ``}
+                            ${this.pairArgs(names, params).map((name, index) => `${name} = results[${index}];`).join('\n')}
+                            ${this.flatten(this.compileAll(handlerBody)).body}
+                            ${this.exitBlock(block)}
+                        `;
+                    };
+                    const catches = expr.catches.map(({tag, params, body}) => `
+                        if (${this.enclose('exceptionIs')}(instance, ${this.literal(tag)}, ${caught})) {
+                            ${handler(params, `${this.enclose('exceptionValues')}(instance, ${this.literal(tag)}, ${caught})`, body)}
+                        }
+                    `);
+                    const catchAll = expr.catchAll ? `{
+                        ${handler([], null, expr.catchAll.body)}
+                    }` : `{
+                        throw ${caught};
+                    }`;
+                    handlers = `${catches.join(' else ')} ${catches.length ? 'else' : ''} ${catchAll}`;
+                }
+                return `
+                    ${this.labelDecl(block)}
+                    try {
+                        ${body}
+                        ${exit}
+                    } catch (${caught}) {
+                        ${block.delegated ? `
+                            if (${caught} instanceof ${this.enclose('Delegate')}) {
+                                if (${caught}.target !== ${this.literal(block.label)}) {
+                                    throw ${caught};
+                                }
+                                ${caught} = ${caught}.error;
+                            }
+                        ` : ``}
+                        if (!${this.enclose('catchable')}(instance, ${caught}, node${this.metered ? `, signals` : ``})) {
+                            throw ${caught};
+                        }
+                        ${this.refreshViews()}
+                        ${handlers}
+                    }
+                `;
+            })
+        );
+    }
+
+    /// The try whose handlers get exceptions delegated to the block at
+    /// the given depth: the first one out from it whose body we're in,
+    /// or null for the caller. Any tries in between are told to let
+    /// the delegated exceptions through.
+    delegateTarget(depth) {
+        for (let index = 0; index < this.blocks.depth; index++) {
+            const block = this.findBlock(index);
+            if (block.isTry) {
+                block.delegated = true;
+            }
+            if (index >= depth && block.isTry && block.inBody) {
+                return block.label;
+            }
         }
+        this.delegatesToCaller = true;
+        return null;
+    }
+
+    _compileThrow(expr) {
+        return this.opcode(expr, expr.params.length, (...args) => `
+            throw ${this.enclose('wasmException')}(instance, ${this.literal(expr.tag)}, [${this.pairArgs(args, expr.params).join(', ')}]);
+        `);
+    }
+
+    _compileRethrow(expr) {
+        return this.opcode(expr, 0, () => `
+            throw ${this.findBlock(expr.depth).exception};
+        `);
+    }
+
+    _compileBreak(expr) {
         if (expr.condition) {
-            return this.opcode(expr, [expr.condition], (condition) => `
-                ${value}
+            return this.opcode(expr, 1, (condition) => `
                 if (${condition}) {
-                    ${this.break(expr.name)}
+                    ${this.break(expr.depth)}
                 }
             `);
         }
-        return this.opcode(expr, [], () => `
-            ${value}
-            ${this.break(expr.name)}
+        return this.opcode(expr, 0, () => `
+            ${this.break(expr.depth)}
         `);
     }
 
     _compileSwitch(expr) {
-        return this.opcode(expr, [expr.condition], (condition) => `
+        return this.opcode(expr, 1, (condition) => `
             switch (${condition}) {
-                ${expr.names.map((name, index) => `
+                ${expr.depths.map((depth, index) => `
                     case ${index}:
-                        ${this.break(name)}
+                        ${this.break(depth)}
                 `).join('\n')}
                 default:
-                    ${this.break(expr.defaultName)}
+                    ${this.break(expr.defaultDepth)}
             }
         `);
     }
 
     _compileCall(expr) {
-        return this.opcode(expr, expr.operands, (...args) => {
-            return `await funcs[${this.literal(expr.target)}](${args.join(', ')})`;
+        return this.opcode(expr, expr.params.length, (...args) => {
+            const call = this.callFunction(`funcs[${this.literal(expr.target)}]`, this.pairArgs(args, expr.params));
+            return expr.type === 'i64' ? this.callResult(call) : call;
         });
     }
 
     _compileCallIndirect(expr) {
-        return this.opcode(expr, [expr.target].concat(expr.operands), (...args) => {
+        return this.opcode(expr, expr.params.length + 1, (...args) => {
             // Note the target gets evaluated last in Wasm
             // but would be evaluated first in JS code!
             //
@@ -1543,8 +1804,33 @@ class Compiler {
             // So this means our args array contains stack variables refs,
             // and not expressions that need to be evaluated in order.
             const target = args.pop();
-            // @todo enforce signature matches
-            return `await (table.get(${target})(${args.join(`, `)}))`
+            const type = this.literal(signature(expr.params, expr.results));
+            const call = this.callFunction(`${this.enclose('tableFunction')}(tables[${this.literal(expr.table)}], ${target}, ${type})`, this.pairArgs(args, expr.params));
+            return expr.type === 'i64' ? this.callResult(call) : call;
+        });
+    }
+
+    /// Return a tail call for the trampoline to make, once this
+    /// function's frame is gone.
+    tailCall(func, args, types) {
+        this.tailCalls = true;
+        return `
+            return ${this.meteredCall(`new ${this.enclose('TailCall')}(${func}, [${this.pairArgs(args, types).join(', ')}])`)};
+        `;
+    }
+
+    _compileReturnCall(expr) {
+        return this.opcode(expr, expr.params.length, (...args) =>
+            this.tailCall(`funcs[${this.literal(expr.target)}]`, args, expr.params)
+        );
+    }
+
+    _compileReturnCallIndirect(expr) {
+        return this.opcode(expr, expr.params.length + 1, (...args) => {
+            // Args are on the stack, as for call_indirect.
+            const target = args.pop();
+            const type = this.literal(signature(expr.params, expr.results));
+            return this.tailCall(`${this.enclose('tableFunction')}(tables[${this.literal(expr.table)}], ${target}, ${type})`, args, expr.params);
         });
     }
 
@@ -1552,67 +1838,122 @@ class Compiler {
         return `local${index}`;
     }
 
-    global(name) {
-        // @fixme make this work more cleanly for server-side codegen
-        return `/* global ${this.literal(name)} */ ${this.enclose(this.instance._globals[name])}`;
+    global(index) {
+        return this.globalMap(index);
     }
 
     _compileLocalGet(expr) {
-        return this.opcode(expr, [], () =>
-            this.local(expr.index)
-        );
+        return this.opcode(expr, 0, () => {
+            const local = this.local(expr.index);
+            if (expr.type === 'i64') {
+                return {low: local, high: this.high(local)};
+            }
+            return local;
+        });
     }
 
     _compileLocalSet(expr) {
-        return this.opcode(expr, [expr.value], (value) =>
-            `${this.local(expr.index)} = ${value}`
-        );
+        return this.opcode(expr, 1, (value) => {
+            const local = this.local(expr.index);
+            if (this.localTypes[expr.index] === 'i64') {
+                const low = `${local} = ${value}`;
+                const high = `${this.high(local)} = ${this.high(value)}`;
+                return expr.isTee ? {low, high} : `${low}; ${high};`;
+            }
+            return `${local} = ${value}`;
+        });
     }
 
     _compileGlobalGet(expr) {
         // @fixme on current globals this requires bigint interop to be on for i64
-        return this.opcode(expr, [], () => 
-            `${this.global(expr.name)}.value`
-        );
+        return this.opcode(expr, 0, () => {
+            const value = `${this.global(expr.index)}.value`;
+            if (expr.type === 'i64') {
+                return {
+                    low: `${this.enclose('i64Split')}(${value})`,
+                    high: `${this.enclose('i64High')}[0]`
+                };
+            }
+            if (expr.type === 'funcref') {
+                return `${this.enclose('funcrefFromJS')}(${value})`;
+            }
+            if (expr.type === 'v128') {
+                // Only compiled code can see their values.
+                return `${this.global(expr.index)}._value`;
+            }
+            if (this.preserveNaN && (expr.type === 'f32' || expr.type === 'f64')) {
+                return `${this.enclose('floatGlobalGet')}(${this.global(expr.index)})`;
+            }
+            return value;
+        });
     }
 
     _compileGlobalSet(expr) {
         // @fixme on current globals this requires bigint interop to be on for i64
-        return this.opcode(expr, [expr.value], (value) =>
-            `${this.global(expr.name)}.value = ${value}`
-        );
+        return this.opcode(expr, 1, (value) => {
+            if (expr.valueType === 'i64') {
+                value = this.joined(value);
+            } else if (expr.valueType === 'funcref') {
+                value = `${this.enclose('funcrefToJS')}(${value})`;
+            } else if (expr.valueType === 'v128') {
+                return `${this.global(expr.index)}._value = ${value}`;
+            } else if (this.preserveNaN && (expr.valueType === 'f32' || expr.valueType === 'f64')) {
+                return `${this.enclose('floatGlobalSet')}(${this.global(expr.index)}, ${value})`;
+            }
+            return `${this.global(expr.index)}.value = ${value}`;
+        });
+    }
+
+    /// A memory address or length as a JS number. i32 ones are
+    /// unsigned; i64 ones past 2^53 lose precision, but are out of
+    /// bounds of any memory anyway.
+    address(type, value) {
+        if (type === 'i64') {
+            return `((${this.high(value)} >>> 0) * 4294967296 + (${value} >>> 0))`;
+        }
+        return `(${value} >>> 0)`;
     }
 
     memoryAddress(expr, ptr) {
-        // Note the pointer should be treated as 32-bit unsigned
-        // and any offset added to it should make it 33 bits!
-        // Do NOT force back to 32 bits; reading past 4 GiB with
-        // an offset must fail, not wrap around.
-        const base = `(${ptr}) >>> 0`;
-        return expr.offset ? `${base} + ${expr.offset}` : base;
+        // Do NOT wrap the offset back into the address type; reading
+        // past the end of the address space must fail, not wrap
+        // around. DataView takes addresses past 2^53 as out of bounds.
+        const base = this.address(expr.address, ptr);
+        return expr.offset ? `(${base} + ${expr.offset})` : base;
     }
 
     memoryLoad(expr, ptr) {
         const bits = expr.bytes * 8;
-        const type = expr.type || getExpressionInfo(expr.value).type;
+        const type = expr.type;
         const signed = (expr.isSigned || expr.bytes == sizeof(type));
         const offset = this.memoryAddress(expr, ptr);
+        const dataView = `dataView${expr.memory}`;
 
         switch (type) {
-            case b.i32:
-            case b.i64: {
-                const big = (type === b.i64) ? `Big` : ``;
+            case 'i32': {
                 const flavor = signed ? `Int` : `Uint`;
-                const call = `dataView.get${big}${flavor}${bits}(${offset}, true)`;
-                if (type === b.i64 && bits < 64) {
-                    // Must explicitly promote to BigInt, no auto coercion.
-                    return `BigInt(${call})`
+                return `${dataView}.get${flavor}${bits}(${offset}, true)`;
+            }
+            case 'i64': {
+                if (bits === 64) {
+                    return {
+                        low: `${dataView}.getInt32(${offset}, true)`,
+                        high: `${dataView}.getInt32(${offset} + 4, true)`
+                    };
                 }
-                return call;
+                // The low half's bits are the same either way at 32.
+                const flavor = (expr.isSigned || bits === 32) ? `Int` : `Uint`;
+                return {
+                    low: `${dataView}.get${flavor}${bits}(${offset}, true)`,
+                    high: expr.isSigned ? `low >> 31` : `0`
+                };
             }
-            case b.f32:
-            case b.f64: {
-                return `dataView.getFloat${bits}(${offset}, true)`
+            case 'f32':
+            case 'f64': {
+                if (this.preserveNaN) {
+                    return `${this.enclose(`${type}Load`)}(${dataView}, ${offset})`;
+                }
+                return `${dataView}.getFloat${bits}(${offset}, true)`
             }
             default:
                 throw new Error('bad type');
@@ -1621,22 +1962,30 @@ class Compiler {
 
     memoryStore(expr, ptr, value) {
         const bits = expr.bytes * 8;
-        const type = expr.type || getExpressionInfo(expr.value).type;
+        const type = expr.valueType;
         const offset = this.memoryAddress(expr, ptr);
+        const dataView = `dataView${expr.memory}`;
 
         switch (type) {
-            case b.i32:
-            case b.i64: {
-                const big = (type === b.i64) ? `Big` : ``;
-                const input = (type === b.i64 && bits < 64)
-                    ? `Number(BigInt.asIntN(${bits}, ${value}))`
-                    : value;
-                let call = `dataView.set${big}Int${bits}(${offset}, ${input}, true)`;
-                return call;
+            case 'i32':
+                return `${dataView}.setInt${bits}(${offset}, ${value}, true)`;
+            case 'i64': {
+                if (bits === 64) {
+                    // High half first, so nothing is written if the
+                    // end is out of bounds.
+                    return `
+                        ${dataView}.setInt32(${offset} + 4, ${this.high(value)}, true);
+                        ${dataView}.setInt32(${offset}, ${value}, true);
+                    `;
+                }
+                return `${dataView}.setInt${bits}(${offset}, ${value}, true)`;
             }
-            case b.f32:
-            case b.f64: {
-                return `dataView.setFloat${bits}(${offset}, ${value}, true)`
+            case 'f32':
+            case 'f64': {
+                if (this.preserveNaN) {
+                    return `${this.enclose(`${type}Store`)}(${dataView}, ${offset}, ${value})`;
+                }
+                return `${dataView}.setFloat${bits}(${offset}, ${value}, true)`
             }
             default:
                 throw new Error('bad type');
@@ -1644,321 +1993,436 @@ class Compiler {
     }
 
     _compileLoad(expr) {
-        return this.opcode(expr, [expr.ptr], (ptr) =>
+        return this.opcode(expr, 1, (ptr) =>
             this.memoryLoad(expr, ptr)
         );
     }
 
     _compileStore(expr) {
-        return this.opcode(expr, [expr.ptr, expr.value], (ptr, value) =>
+        return this.opcode(expr, 2, (ptr, value) =>
             this.memoryStore(expr, ptr, value)
         );
     }
 
     _compileConst(expr) {
-        let value;
-        if (expr.type == b.i64) {
-            const {high, low} = expr.value;
-            value = (BigInt(high | 0) << 32n) | BigInt(low >>> 0);
-        } else {
-            value = expr.value;
+        if (expr.type === 'i64') {
+            return this.opcode(expr, 0, () => ({
+                low: this.literal(Number(BigInt.asIntN(32, expr.value))),
+                high: this.literal(Number(expr.value >> 32n))
+            }));
         }
-        return this.opcode(expr, [], () =>
-            this.literal(value)
+        if (this.preserveNaN && expr.bits !== undefined) {
+            // NaNBits are immutable, so one will do.
+            const name = `nan${this.constants.length}`;
+            this.constants.push(`const ${name} = new ${this.enclose('NaNBits')}(${this.literal(expr.type)}, ${this.literal(expr.bits)});`);
+            return this.opcode(expr, 0, () => name);
+        }
+        return this.opcode(expr, 0, () =>
+            this.literal(expr.value)
         );
     }
-    
+
+    /// With `preserveNaN`, instructions that must keep NaN bit patterns
+    /// intact go through the runtime's helpers, which carry them as
+    /// NaNBits. Returns null for anything else.
+    preserveNaNOp(op, operands) {
+        const call = (name) => `${this.enclose(name)}(${operands.join(', ')})`;
+        switch (op) {
+            case 'f32.neg':
+                return call('f32Neg');
+            case 'f64.neg':
+                return call('f64Neg');
+            case 'f32.abs':
+                return call('f32Abs');
+            case 'f64.abs':
+                return call('f64Abs');
+            case 'f32.copysign':
+                return call('f32Copysign');
+            case 'f64.copysign':
+                return call('f64Copysign');
+            case 'i32.reinterpret_f32':
+                return call('f32Bits');
+            case 'f32.reinterpret_i32':
+                return call('f32FromBits');
+            case 'f64.reinterpret_i64':
+                return `${this.enclose('f64FromBits')}(${operands[0]}, ${this.high(operands[0])})`;
+            case 'f64.promote_f32':
+                // Arithmetic may give any NaN.
+                return `+${operands[0]}`;
+            case 'f32.eq':
+            case 'f64.eq':
+                return `(+${operands[0]} === +${operands[1]}) | 0`;
+            case 'f32.ne':
+            case 'f64.ne':
+                return `(+${operands[0]} !== +${operands[1]}) | 0`;
+            default:
+                return null;
+        }
+    }
+
     unaryOp(op, operand) {
+        if (this.preserveNaN) {
+            const preserved = this.preserveNaNOp(op, [operand]);
+            if (preserved !== null) {
+                return preserved;
+            }
+        }
         switch (op) {
-        case b.ClzInt32:
+        case 'i32.clz':
             return `Math.clz32(${operand})`;
-        case b.ClzInt64:
-            return `/* clz64 */ ${this.enclose(clz64)}(${operand})`
-        case b.CtzInt32:
-            return `/* ctz32 */ ${this.enclose(ctz32)}(${operand})`;
-        case b.CtzInt64:
-            return `/* ctz64 */ ${this.enclose(ctz64)}(${operand})`;
-        case b.PopcntInt32:
-            return `/* popcnt32 */ ${this.enclose(popcnt32)}(${operand})`;
-        case b.PopcntInt64:
-            return `/* popcnt64 */ ${this.enclose(popcnt64)}(${operand})`;
-        case b.NegFloat32:
-        case b.NegFloat64:
+        case 'i64.clz':
+            return this.widened(`${this.enclose('clz64')}(${operand}, ${this.high(operand)})`);
+        case 'i32.ctz':
+            return `/* ctz32 */ ${this.enclose('ctz32')}(${operand})`;
+        case 'i64.ctz':
+            return this.widened(`${this.enclose('ctz64')}(${operand}, ${this.high(operand)})`);
+        case 'i32.popcnt':
+            return `/* popcnt32 */ ${this.enclose('popcnt32')}(${operand})`;
+        case 'i64.popcnt':
+            {
+                const popcnt = this.enclose('popcnt32');
+                return this.widened(`${popcnt}(${operand}) + ${popcnt}(${this.high(operand)})`);
+            }
+        case 'f32.neg':
+        case 'f64.neg':
             return `-${operand}`;
-        case b.AbsFloat32:
-        case b.AbsFloat64:
+        case 'f32.abs':
+        case 'f64.abs':
             return `Math.abs(${operand})`;
-        case b.CeilFloat32:
-        case b.CeilFloat64:
+        case 'f32.ceil':
+        case 'f64.ceil':
             return `Math.ceil(${operand})`;
-        case b.FloorFloat32:
-        case b.FloorFloat64:
+        case 'f32.floor':
+        case 'f64.floor':
             return `Math.floor(${operand})`;
-        case b.TruncFloat32:
-        case b.TruncFloat64:
+        case 'f32.trunc':
+        case 'f64.trunc':
             return `Math.trunc(${operand})`;
-        case b.NearestFloat32:
-        case b.NearestFloat64:
-            return `Math.round(${operand})`;
-        case b.SqrtFloat32:
+        case 'f32.nearest':
+        case 'f64.nearest':
+            return `${this.enclose('nearest')}(${operand})`;
+        case 'f32.sqrt':
             return `Math.fround(Math.sqrt(${operand}))`;
-        case b.SqrtFloat64:
+        case 'f64.sqrt':
             return `Math.sqrt(${operand})`;
-        case b.EqZInt32:
-        case b.EqZInt64:
+        case 'i32.eqz':
             return `!${operand} | 0`;
-        case b.TruncSFloat32ToInt32:
-        case b.TruncSFloat64ToInt32:
-            // @fixme this should throw when out of range or NaN
-            return `${operand} | 0`;
-        case b.TruncUFloat32ToInt32:
-        case b.TruncUFloat64ToInt32:
-            // @fixme this should throw when out of range or NaN
-            return `$({operand} >>> 0) | 0`;
-        case b.TruncSFloat32ToInt64:
-        case b.TruncSFloat64ToInt64:
-            // @fixme this should throw when out of range or NaN
-            return `BigInt.toIntN(64, BigInt(${operand}))`;
-        case b.TruncUFloat32ToInt64:
-        case b.TruncUFloat64ToInt64:
-            // @fixme this should throw when out of range or NaN
-            return `BigInt.toIntN(64, BigInt(${operand}))`;
-        case b.ReinterpretFloat32:
+        case 'i64.eqz':
+            return `!(${operand} | ${this.high(operand)}) | 0`;
+        case 'i32.wrap_i64':
+            return operand;
+        case 'i64.extend_i32_s':
+            return {low: operand, high: `low >> 31`};
+        case 'i64.extend_i32_u':
+            return this.widened(operand);
+        case 'i32.trunc_f32_s':
+        case 'i32.trunc_f64_s':
+            return `${this.enclose('trunc32s')}(${operand})`;
+        case 'i32.trunc_f32_u':
+        case 'i32.trunc_f64_u':
+            return `${this.enclose('trunc32u')}(${operand})`;
+        case 'i64.trunc_f32_s':
+        case 'i64.trunc_f64_s':
+            return this.helperPair(`${this.enclose('trunc64s')}(${operand})`);
+        case 'i64.trunc_f32_u':
+        case 'i64.trunc_f64_u':
+            return this.helperPair(`${this.enclose('trunc64u')}(${operand})`);
+        case 'i32.trunc_sat_f32_s':
+        case 'i32.trunc_sat_f64_s':
+            return `${this.enclose('truncSat32s')}(${operand})`;
+        case 'i32.trunc_sat_f32_u':
+        case 'i32.trunc_sat_f64_u':
+            return `${this.enclose('truncSat32u')}(${operand})`;
+        case 'i64.trunc_sat_f32_s':
+        case 'i64.trunc_sat_f64_s':
+            return this.helperPair(`${this.enclose('truncSat64s')}(${operand})`);
+        case 'i64.trunc_sat_f32_u':
+        case 'i64.trunc_sat_f64_u':
+            return this.helperPair(`${this.enclose('truncSat64u')}(${operand})`);
+        case 'i32.extend8_s':
+            return `${operand} << 24 >> 24`;
+        case 'i32.extend16_s':
+            return `${operand} << 16 >> 16`;
+        case 'i64.extend8_s':
+            return {low: `${operand} << 24 >> 24`, high: `low >> 31`};
+        case 'i64.extend16_s':
+            return {low: `${operand} << 16 >> 16`, high: `low >> 31`};
+        case 'i64.extend32_s':
+            return {low: operand, high: `low >> 31`};
+        case 'i32.reinterpret_f32':
             {
-                const view = this.enclose(reinterpretView);
-                return `/* reinterpret */
+                const view = this.enclose('reinterpretView');
+                return `/* reinterpret */ (
                     ${view}.setFloat32(0, ${operand}, true),
                     ${view}.getInt32(0, true)
-                `;
-            }
-        case b.ReinterpretFloat64:
-            {
-                const view = this.enclose(reinterpretView);
-                return `/* reinterpret */
-                    ${view}.setFloat64(0, ${operand}, true),
-                    ${view}.getBigInt64(0, true)
-                `;
+                )`;
             }
-        case b.ConvertSInt32ToFloat32:
-            return `${this.enclose(Math.fround)}(+${operand})`;
-        case b.ConvertSInt32ToFloat64:
+        case 'i64.reinterpret_f64':
+            return this.helperPair(`${this.enclose('f64Bits')}(${operand})`);
+        case 'f32.convert_i32_s':
+            return `Math.fround(+${operand})`;
+        case 'f64.convert_i32_s':
             return `+${operand}`;
-        case b.ConvertUInt32ToFloat32:
-            return `${this.enclose(Math.fround)}(+(${operand} >>> 0))`;
-        case b.ConvertUInt32ToFloat64:
+        case 'f32.convert_i32_u':
+            return `Math.fround(+(${operand} >>> 0))`;
+        case 'f64.convert_i32_u':
             return `+(${operand} >>> 0)`;
-        case b.ConvertSInt64ToFloat32:
-            return `+Number(${operand})`;
-        case b.ConvertSInt64ToFloat64:
-            return `${this.enclose(Math.fround)}(+Number(${operand}))`;
-        case b.ConvertUInt64ToFloat32:
-            return `+Number(BigInt.asUintN(64, ${operand}))`;
-        case b.ConvertUInt64ToFloat64:
-            return `${this.enclose(Math.fround)}(+Number(BigInt.asUintN(64, ${operand})))`;
-        case b.PromoteFloat32:
+        case 'f32.convert_i64_s':
+            return `${this.enclose('i64ToF32s')}(${operand}, ${this.high(operand)})`;
+        case 'f64.convert_i64_s':
+            // Exact until the sum, which rounds once.
+            return `${this.high(operand)} * 4294967296 + (${operand} >>> 0)`;
+        case 'f32.convert_i64_u':
+            return `${this.enclose('i64ToF32u')}(${operand}, ${this.high(operand)})`;
+        case 'f64.convert_i64_u':
+            return `(${this.high(operand)} >>> 0) * 4294967296 + (${operand} >>> 0)`;
+        case 'f64.promote_f32':
             return `${operand}`;
-        case b.DemoteFloat64:
+        case 'f32.demote_f64':
             return `Math.fround(${operand})`;
-        case b.ReinterpretInt32:
+        case 'f32.reinterpret_i32':
             {
-                const view = this.enclose(reinterpretView);
-                return `/* reinterpret */
+                const view = this.enclose('reinterpretView');
+                return `/* reinterpret */ (
                     ${view}.setInt32(0, ${operand}, true),
                     ${view}.getFloat32(0, true)
-                `;
+                )`;
             }
-        case b.ReinterpretInt64:
+        case 'f64.reinterpret_i64':
             {
-                const view = this.enclose(reinterpretView);
-                return `/* reinterpret */
-                    ${view}.setInt64(0, ${operand}, true),
+                const view = this.enclose('reinterpretView');
+                return `/* reinterpret */ (
+                    ${view}.setInt32(0, ${operand}, true),
+                    ${view}.setInt32(4, ${this.high(operand)}, true),
                     ${view}.getFloat64(0, true)
-                `;
+                )`;
             }
         default:
-            throw new Error('Unknown unary op ${op}');
+            throw new Error(`Unknown unary op ${op}`);
         }
     }
 
+    /// An i32 widened to an i64 with a zero high half.
+    widened(low) {
+        return {low, high: `0`};
+    }
+
+    /// An i64 result from a runtime helper, which leaves the high half
+    /// for us to pick up.
+    helperPair(call) {
+        return {low: call, high: `${this.enclose('i64High')}[0]`};
+    }
+
+    /// Compare i64s by their high halves, then their low halves
+    /// unsigned.
+    compare64(operator, left, right, signed) {
+        const strict = operator.charAt(0);
+        const highLeft = signed ? this.high(left) : `(${this.high(left)} >>> 0)`;
+        const highRight = signed ? this.high(right) : `(${this.high(right)} >>> 0)`;
+        return `(${highLeft} ${strict} ${highRight} || ${this.high(left)} === ${this.high(right)} && (${left} >>> 0) ${operator} (${right} >>> 0)) | 0`;
+    }
+
     _compileUnary(expr) {
-        return this.opcode(expr, [expr.value], (value) =>
+        return this.opcode(expr, 1, (value) =>
             this.unaryOp(expr.op, value)
         );
     }
 
     binaryOp(op, left, right) {
+        if (this.preserveNaN) {
+            const preserved = this.preserveNaNOp(op, [left, right]);
+            if (preserved !== null) {
+                return preserved;
+            }
+        }
         switch (op) {
-            case b.AddInt32:
+            case 'i32.add':
                 return `${left} + ${right} | 0`;
-            case b.AddInt64:
-                return `BigInt.asIntN(64, ${left} + ${right})`;
-            case b.AddFloat32:
+            case 'i64.add':
+                return {
+                    low: `(${left} + ${right}) | 0`,
+                    // Carry if the low half wrapped around.
+                    high: `(${this.high(left)} + ${this.high(right)} + ((low >>> 0) < (${left} >>> 0))) | 0`
+                };
+            case 'f32.add':
                 return `Math.fround(${left} + ${right})`;
-            case b.AddFloat64:
+            case 'f64.add':
                 return `${left} + ${right}`;
 
-            case b.SubInt32:
+            case 'i32.sub':
                 return `${left} - ${right} | 0`;
-            case b.SubInt64:
-                return `BigInt.asIntN(64, ${left} - ${right})`;
-            case b.SubFloat32:
+            case 'i64.sub':
+                return {
+                    low: `(${left} - ${right}) | 0`,
+                    high: `(${this.high(left)} - ${this.high(right)} - ((${left} >>> 0) < (${right} >>> 0))) | 0`
+                };
+            case 'f32.sub':
                 return `Math.fround(${left} - ${right})`;
-            case b.SubFloat64:
+            case 'f64.sub':
                 return `${left} - ${right}`;
 
-            case b.MulInt32:
+            case 'i32.mul':
                 return `Math.imul(${left}, ${right})`;
-            case b.MulInt64:
-                return `BigInt.asIntN(64, ${left} * ${right})`;
-            case b.MulFloat32:
+            case 'i64.mul':
+                return this.helperPair(`${this.enclose('mul64')}(${this.pairArgs([left, right], ['i64', 'i64']).join(', ')})`);
+            case 'f32.mul':
                 return `Math.fround(${left} * ${right})`;
-            case b.MulFloat64:
+            case 'f64.mul':
                 return `${left} * ${right}`;
 
-            case b.DivSInt32:
-                return `(${left} / ${right}) | 0`;
-            case b.DivSInt64:
-                return `${left} / ${right}`;
-            case b.DivUInt32:
-                return `((${left} >>> 0) / (${right} >>> 0)) | 0`;
-            case b.DivUInt64:
-                return `BigInt.asIntN(BigInt.asUintN(64, ${left}) / BigInt.asUintN(64, ${right}))`;
-            case b.DivFloat32:
+            case 'i32.div_s':
+                return `${this.enclose('div32s')}(${left}, ${right})`;
+            case 'i64.div_s':
+                return this.helperPair(`${this.enclose('div64s')}(${this.pairArgs([left, right], ['i64', 'i64']).join(', ')})`);
+            case 'i32.div_u':
+                return `${this.enclose('div32u')}(${left}, ${right})`;
+            case 'i64.div_u':
+                return this.helperPair(`${this.enclose('div64u')}(${this.pairArgs([left, right], ['i64', 'i64']).join(', ')})`);
+            case 'f32.div':
                 return `Math.fround(${left} / ${right})`;
-            case b.DivFloat64:
+            case 'f64.div':
                 return `${left} / ${right}`;
 
-            case b.RemSInt32:
-                return `(${left} % ${right}) | 0`;
-            case b.RemSInt64:
-                return `${left} % ${right}`;
-            case b.RemUInt32:
-                return `((${left} >>> 0) % (${right} >>> 0)) | 0`;
-            case b.RemUInt64:
-                return `BigInt.asIntN(BigInt.asUintN(64, ${left}) % BigInt.asUintN(64, ${right}))`;
-
-            case b.AndInt32:
-            case b.AndInt64:
+            case 'i32.rem_s':
+                return `${this.enclose('rem32s')}(${left}, ${right})`;
+            case 'i64.rem_s':
+                return this.helperPair(`${this.enclose('rem64s')}(${this.pairArgs([left, right], ['i64', 'i64']).join(', ')})`);
+            case 'i32.rem_u':
+                return `${this.enclose('rem32u')}(${left}, ${right})`;
+            case 'i64.rem_u':
+                return this.helperPair(`${this.enclose('rem64u')}(${this.pairArgs([left, right], ['i64', 'i64']).join(', ')})`);
+
+            case 'i32.and':
                 return `${left} & ${right}`;
+            case 'i64.and':
+                return {low: `${left} & ${right}`, high: `${this.high(left)} & ${this.high(right)}`};
 
-            case b.OrInt32:
-            case b.OrInt64:
+            case 'i32.or':
                 return `${left} | ${right}`;
+            case 'i64.or':
+                return {low: `${left} | ${right}`, high: `${this.high(left)} | ${this.high(right)}`};
 
-            case b.XorInt32:
-            case b.XorInt64:
+            case 'i32.xor':
                 return `${left} ^ ${right}`;
+            case 'i64.xor':
+                return {low: `${left} ^ ${right}`, high: `${this.high(left)} ^ ${this.high(right)}`};
 
-            case b.ShlInt32:
+            case 'i32.shl':
                 return `${left} << ${right}`;
-            case b.ShlInt64:
-                return `BigInt.asIntN(64, ${left} << (${right} & 63n))`;
+            case 'i64.shl':
+                // Only the low half of the count matters.
+                return this.helperPair(`${this.enclose('shl64')}(${left}, ${this.high(left)}, ${right})`);
 
-            case b.ShrSInt32:
+            case 'i32.shr_s':
                 return `${left} >> ${right}`;
-            case b.ShrSInt64:
-                return `${left} >> (${right} & 63n)`;
-            case b.ShrUInt32:
+            case 'i64.shr_s':
+                // Only the low half of the count matters.
+                return this.helperPair(`${this.enclose('shr64s')}(${left}, ${this.high(left)}, ${right})`);
+            case 'i32.shr_u':
                 return `(${left} >>> ${right}) | 0`;
-            case b.ShrUInt64:
-                return `BigInt.asIntN(64, BigInt.asUintN(64, ${left}) >> (${right} & 63n)))`;
+            case 'i64.shr_u':
+                // Only the low half of the count matters.
+                return this.helperPair(`${this.enclose('shr64u')}(${left}, ${this.high(left)}, ${right})`);
 
-            case b.RotLInt32:
+            case 'i32.rotl':
                 // https://en.wikipedia.org/wiki/Circular_shift#Implementing_circular_shifts
-                return `${left} << (${right} & 31) | ${left} >> (32 - (${right} & 31))`;
-            case b.RotLInt64:
-                return `BigInt.asIntN(64, ${left} << (${right} & 63n) | ${left} >> (64n - (${right} & 63n)))`;
-            case b.RotRInt32:
-                return `${left} >> (${right} & 31) | ${left} << (32 - (${right} & 31))`;
-            case b.RotRInt64:
-                return `BigInt.asIntN(64, ${left} >> (${right} & 63n) | ${left} << (64n - (${right} & 63n)))`;
-
-            case b.EqInt32:
-            case b.EqInt64:
+                return `${left} << (${right} & 31) | ${left} >>> (32 - (${right} & 31))`;
+            case 'i64.rotl':
+                // Only the low half of the count matters.
+                return this.helperPair(`${this.enclose('rotl64')}(${left}, ${this.high(left)}, ${right})`);
+            case 'i32.rotr':
+                return `${left} >>> (${right} & 31) | ${left} << (32 - (${right} & 31))`;
+            case 'i64.rotr':
+                // Only the low half of the count matters.
+                return this.helperPair(`${this.enclose('rotr64')}(${left}, ${this.high(left)}, ${right})`);
+
+            case 'i32.eq':
                 return `(${left} === ${right}) | 0`;
-            case b.EqFloat32:
-            case b.EqFloat64:
-                // @todo double-check this is the right comparison for floats
-                // This will return true for comparing two NaNs
-                // and false for comparing -0 and +0
-                // whereas using === would do the opposite for these cases.
-                return `Object.is(${left}, ${right}) | 0`;
-
-            case b.NeInt32:
-            case b.NeInt64:
+            case 'i64.eq':
+                return `(${left} === ${right} && ${this.high(left)} === ${this.high(right)}) | 0`;
+            case 'f32.eq':
+            case 'f64.eq':
+                // NaN isn't equal to anything, and -0 equals +0.
+                return `(${left} === ${right}) | 0`;
+
+            case 'i32.ne':
                 return `(${left} !== ${right}) | 0`;
-            case b.NeFloat32:
-            case b.NeFloat64:
-                // @todo double-check this is the right comparison for floats
-                // This will return false for comparing two NaNs
-                // and true for comparing -0 and +0
-                // whereas using !== would do the opposite for these cases.
-                return `!Object.is(${left}, ${right}) | 0`;
-
-            case b.LtSInt32:
-            case b.LtSInt64:
-            case b.LtFloat32:
-            case b.LtFloat64:
+            case 'i64.ne':
+                return `(${left} !== ${right} || ${this.high(left)} !== ${this.high(right)}) | 0`;
+            case 'f32.ne':
+            case 'f64.ne':
+                return `(${left} !== ${right}) | 0`;
+
+            case 'i64.lt_s':
+                return this.compare64(`<`, left, right, true);
+            case 'i32.lt_s':
+            case 'f32.lt':
+            case 'f64.lt':
                 return `(${left} < ${right}) | 0`;
-            case b.LtUInt32:
+            case 'i32.lt_u':
                 return `((${left} >>> 0) < (${right} >>> 0)) | 0`;
-            case b.LtUInt64:
-                return `(BigInt.asUintN(64, ${left}) < BigInt.asUintN(64, ${right})) | 0`;
-
-            case b.LeSInt32:
-            case b.LeSInt64:
-            case b.LeFloat32:
-            case b.LeFloat64:
+            case 'i64.lt_u':
+                return this.compare64(`<`, left, right, false);
+
+            case 'i64.le_s':
+                return this.compare64(`<=`, left, right, true);
+            case 'i32.le_s':
+            case 'f32.le':
+            case 'f64.le':
                 return `(${left} <= ${right}) | 0`;
-            case b.LeUInt32:
+            case 'i32.le_u':
                 return `((${left} >>> 0) <= (${right} >>> 0)) | 0`;
-            case b.LeUInt64:
-                return `(BigInt.asUintN(64, ${left}) <= BigInt.asUintN(64, ${right})) | 0`;
+            case 'i64.le_u':
+                return this.compare64(`<=`, left, right, false);
         
-            case b.GtSInt32:
-            case b.GtFloat32:
-            case b.GtFloat64:
+            case 'i64.gt_s':
+                return this.compare64(`>`, left, right, true);
+            case 'i32.gt_s':
+            case 'f32.gt':
+            case 'f64.gt':
                 return `(${left} > ${right}) | 0`;
-            case b.GtUInt32:
+            case 'i32.gt_u':
                 return `((${left} >>> 0) > (${right} >>> 0)) | 0`;
-            case b.GtUInt64:
-                return `(BigInt.asUintN(64, ${left}) > BigInt.asUintN(64, ${right})) | 0`;
+            case 'i64.gt_u':
+                return this.compare64(`>`, left, right, false);
         
-            case b.GeSInt32:
-            case b.GeFloat32:
-            case b.GeFloat64:
+            case 'i64.ge_s':
+                return this.compare64(`>=`, left, right, true);
+            case 'i32.ge_s':
+            case 'f32.ge':
+            case 'f64.ge':
                 return `(${left} >= ${right}) | 0`;
-            case b.GeUInt32:
+            case 'i32.ge_u':
                 return `((${left} >>> 0) >= (${right} >>> 0)) | 0`;
-            case b.GeUInt64:
-                return `(BigInt.asUintN(64, ${left}) >= BigInt.asUintN(64, ${right})) | 0`;
+            case 'i64.ge_u':
+                return this.compare64(`>=`, left, right, false);
 
-            case b.CopySignFloat32:
+            case 'f32.copysign':
                 {
-                    const view = this.enclose(reinterpretView);
-                    return `/* copysign */
+                    const view = this.enclose('reinterpretView');
+                    return `/* copysign */ (
                         ${view}.setFloat32(0, ${left}, true),
                         ${view}.setFloat32(4, ${right}, true),
                         ${view}.setUint8(3, (${view}.getUint8(3) & 0x7f) | (${view}.getUint8(7) & 0x80)),
                         ${view}.getFloat32(0, true)
-                    `;
+                    )`;
                 }
-            case b.CopySignFloat64:
+            case 'f64.copysign':
                 {
-                    const view = this.enclose(reinterpretView);
-                    return `/* copysign */
-                    ${view}.setFloat64(0, ${left}, true),
-                    ${view}.setFloat64(4, ${right}, true),
-                    ${view}.setUint8(7, (${view}.getUint8(7) & 0x7f) | (${view}.getUint8(15) & 0x80)),
-                    ${view}.getFloat64(0, true)
-                `;
+                    const view = this.enclose('reinterpretView');
+                    return `/* copysign */ (
+                        ${view}.setFloat64(0, ${left}, true),
+                        ${view}.setFloat64(8, ${right}, true),
+                        ${view}.setUint8(7, (${view}.getUint8(7) & 0x7f) | (${view}.getUint8(15) & 0x80)),
+                        ${view}.getFloat64(0, true)
+                    )`;
                 }
     
-            case b.MinFloat32:
-            case b.MinFloat64:
+            case 'f32.min':
+            case 'f64.min':
                 return `Math.min(${left}, ${right})`;
-            case b.MaxFloat32:
-            case b.MaxFloat64:
+            case 'f32.max':
+            case 'f64.max':
                 return `Math.max(${left}, ${right})`;
 
             default:
@@ -1967,58 +2431,278 @@ class Compiler {
     }
 
     _compileBinary(expr) {
-        return this.opcode(expr, [expr.left, expr.right], (left, right) =>
+        return this.opcode(expr, 2, (left, right) =>
             this.binaryOp(expr.op, left, right)
         );
     }
 
     _compileSelect(expr) {
-        return this.opcode(expr, [expr.ifTrue, expr.ifFalse, expr.condition], (ifTrue, ifFalse, condition) =>
-            `${condition} ? ${ifTrue} : ${ifFalse}`
-        );
+        return this.opcode(expr, 3, (ifTrue, ifFalse, condition) => {
+            if (expr.type === 'i64') {
+                return {
+                    low: `${condition} ? ${ifTrue} : ${ifFalse}`,
+                    high: `${condition} ? ${this.high(ifTrue)} : ${this.high(ifFalse)}`
+                };
+            }
+            return `${condition} ? ${ifTrue} : ${ifFalse}`;
+        });
     }
 
     _compileDrop(expr) {
-        return this.opcode(expr, [expr.value], (value) => `
+        return this.opcode(expr, 1, (value) => `
             ${value};
         `);
     }
 
     _compileMemorySize(expr) {
-        const memory = this.enclose(this.instance._memory);
-        return this.opcode(expr, [], (_result) =>
+        return this.opcode(expr, 0, () => {
             // Don't use 32-bit right-shift because 4 GiB is a legit length
-            `/* memory */ ${memory}.buffer.length / 65536`
-        );
+            const pages = `memory${expr.memory}.buffer.byteLength / 65536`;
+            return (expr.type === 'i64') ? {low: pages, high: `0`} : pages;
+        });
     }
 
     _compileMemoryGrow(expr) {
-        // @fixme check for growth requirements on demand in debug path or async
-        const memory = this.enclose(this.instance._memory);
-        // note instance._updateViews may be needed but we should call that separately
-        return this.opcode(expr, [expr.delta], (_result, delta) =>
-            `/* memory */ ${memory}.grow(${delta})`
+        // Views are updated after, as the old buffer is detached.
+        return this.opcode(expr, 1, (delta) => {
+            const grow = `${this.enclose('memoryGrow')}(memory${expr.memory}, ${this.address(expr.type, delta)})`;
+            return (expr.type === 'i64') ? {low: grow, high: `low >> 31`} : grow;
+        });
+    }
+
+    _compileMemoryInit(expr) {
+        return this.opcode(expr, 3, (dest, src, count) =>
+            `${this.enclose('memoryInit')}(memory${expr.memory}, instance._datas[${this.literal(expr.segment)}], ${this.address(expr.address, dest)}, ${this.address('i32', src)}, ${this.address('i32', count)});`
+        );
+    }
+
+    _compileDataDrop(expr) {
+        return this.opcode(expr, 0, () =>
+            `instance._datas[${this.literal(expr.segment)}] = null;`
+        );
+    }
+
+    _compileMemoryCopy(expr) {
+        return this.opcode(expr, 3, (dest, src, count) =>
+            `${this.enclose('memoryCopy')}(memory${expr.memory}, memory${expr.sourceMemory}, ${this.address(expr.address, dest)}, ${this.address(expr.sourceAddress, src)}, ${this.address(expr.lengthType, count)});`
+        );
+    }
+
+    _compileMemoryFill(expr) {
+        return this.opcode(expr, 3, (dest, value, count) =>
+            `${this.enclose('memoryFill')}(memory${expr.memory}, ${this.address(expr.address, dest)}, ${value}, ${this.address(expr.address, count)});`
+        );
+    }
+
+    _compileTableInit(expr) {
+        return this.opcode(expr, 3, (dest, src, count) =>
+            `${this.enclose('tableInit')}(${this.table(expr.table)}, instance._elements[${this.literal(expr.segment)}], ${dest}, ${src}, ${count});`
+        );
+    }
+
+    _compileElemDrop(expr) {
+        return this.opcode(expr, 0, () =>
+            `instance._elements[${this.literal(expr.segment)}] = null;`
+        );
+    }
+
+    _compileTableCopy(expr) {
+        return this.opcode(expr, 3, (dest, src, count) =>
+            `${this.enclose('tableCopy')}(${this.table(expr.table)}, ${this.table(expr.sourceTable)}, ${dest}, ${src}, ${count});`
+        );
+    }
+
+    table(index) {
+        return `tables[${this.literal(index)}]`;
+    }
+
+    _compileTableGet(expr) {
+        return this.opcode(expr, 1, (index) =>
+            `${this.enclose('tableGet')}(${this.table(expr.table)}, ${index})`
+        );
+    }
+
+    _compileTableSet(expr) {
+        return this.opcode(expr, 2, (index, value) =>
+            `${this.enclose('tableSet')}(${this.table(expr.table)}, ${index}, ${value});`
+        );
+    }
+
+    _compileTableSize(expr) {
+        return this.opcode(expr, 0, () =>
+            `${this.table(expr.table)}.length`
+        );
+    }
+
+    _compileTableGrow(expr) {
+        return this.opcode(expr, 2, (value, delta) =>
+            `${this.enclose('tableGrow')}(${this.table(expr.table)}, ${value}, ${delta})`
+        );
+    }
+
+    _compileTableFill(expr) {
+        return this.opcode(expr, 3, (index, value, count) =>
+            `${this.enclose('tableFill')}(${this.table(expr.table)}, ${index}, ${value}, ${count});`
         );
     }
 
+    _compileRefNull(expr) {
+        return this.opcode(expr, 0, () => `null`);
+    }
+
+    _compileRefIsNull(expr) {
+        return this.opcode(expr, 1, (value) => `(${value} === null) | 0`);
+    }
+
+    _compileRefFunc(expr) {
+        // Compiled code holds on to the functions it calls.
+        return this.opcode(expr, 0, () => `funcs[${this.literal(expr.index)}]`);
+    }
+
     _compileReturn(expr) {
-        if (expr.value) {
-            return this.opcode(expr, [expr.value], (_result, value) => `
-                return ${value};
+        // The outermost block holds the function's results.
+        const outermost = this.blocks.get(0);
+        if (outermost.results) {
+            return this.opcode(expr, outermost.results, (...values) => `
+                return ${this.resultValue(values, outermost.resultTypes)};
             `)
         }
-        return this.opcode(expr, [], () => `
+        return this.opcode(expr, 0, () => `
             return;
         `)
     }
 
+    /// Operands for the atomic helpers, which take all values in
+    /// halves; the high half of a narrower type is zero.
+    atomicOperands(type, values) {
+        return values.flatMap((value) => [value, type === 'i64' ? this.high(value) : `0`]).join(', ');
+    }
+
+    /// Atomic helpers return narrower results zero-extended, leaving
+    /// the high half in `i64High` as other helpers do.
+    atomicResult(expr, call) {
+        return expr.type === 'i64' ? this.helperPair(call) : call;
+    }
+
+    _compileAtomicLoad(expr) {
+        return this.opcode(expr, 1, (ptr) =>
+            this.atomicResult(expr, `${this.enclose('atomicLoad')}(memory${expr.memory}, ${this.memoryAddress(expr, ptr)}, ${expr.bytes})`)
+        );
+    }
+
+    _compileAtomicStore(expr) {
+        return this.opcode(expr, 2, (ptr, value) =>
+            `${this.enclose('atomicStore')}(memory${expr.memory}, ${this.memoryAddress(expr, ptr)}, ${expr.bytes}, ${this.atomicOperands(expr.valueType, [value])});`
+        );
+    }
+
+    _compileAtomicRMW(expr) {
+        // Named as the Atomics methods are.
+        const method = (expr.rmw === 'xchg') ? 'exchange' : expr.rmw;
+        return this.opcode(expr, 2, (ptr, value) =>
+            this.atomicResult(expr, `${this.enclose('atomicRMW')}(memory${expr.memory}, ${this.literal(method)}, ${this.memoryAddress(expr, ptr)}, ${expr.bytes}, ${this.atomicOperands(expr.type, [value])})`)
+        );
+    }
+
+    _compileAtomicCmpxchg(expr) {
+        return this.opcode(expr, 3, (ptr, expected, replacement) =>
+            this.atomicResult(expr, `${this.enclose('atomicCompareExchange')}(memory${expr.memory}, ${this.memoryAddress(expr, ptr)}, ${expr.bytes}, ${this.atomicOperands(expr.type, [expected, replacement])})`)
+        );
+    }
+
+    _compileAtomicWait(expr) {
+        return this.opcode(expr, 3, (ptr, expected, timeout) =>
+            `await ${this.enclose('atomicWait')}(memory${expr.memory}, ${this.memoryAddress(expr, ptr)}, ${expr.bytes}, ${this.atomicOperands(expr.valueType, [expected])}, ${this.atomicOperands('i64', [timeout])})`
+        );
+    }
+
+    _compileAtomicNotify(expr) {
+        return this.opcode(expr, 2, (ptr, count) =>
+            `${this.enclose('atomicNotify')}(memory${expr.memory}, ${this.memoryAddress(expr, ptr)}, ${count})`
+        );
+    }
+
+    _compileAtomicFence(expr) {
+        // Atomics are all sequentially consistent in JS anyway.
+        return this.opcode(expr, 0, () => ``);
+    }
+
+    /// Call one of the SIMD helpers, by its op name.
+    simd(op, args) {
+        return `${this.enclose('simd')}[${this.literal(op)}](${args.join(', ')})`;
+    }
+
+    _compileSimdOp(expr) {
+        return this.opcode(expr, expr.params.length, (...args) =>
+            this.simd(expr.op, this.pairArgs(args, expr.params))
+        );
+    }
+
+    _compileSimdConst(expr) {
+        // v128s are never modified, so one will do.
+        const name = `v128_${this.constants.length}`;
+        this.constants.push(`const ${name} = new Int32Array([${expr.value.map((lane) => this.literal(lane)).join(', ')}]);`);
+        return this.opcode(expr, 0, () => name);
+    }
+
+    _compileSimdShuffle(expr) {
+        const name = `lanes${this.constants.length}`;
+        this.constants.push(`const ${name} = new Uint8Array([${expr.lanes.map((lane) => this.literal(lane)).join(', ')}]);`);
+        return this.opcode(expr, 2, (a, b) =>
+            this.simd(expr.op, [a, b, name])
+        );
+    }
+
+    _compileSimdExtractLane(expr) {
+        return this.opcode(expr, 1, (value) => {
+            if (expr.type === 'i64') {
+                // Its halves are a pair of i32 lanes.
+                return {
+                    low: `${value}[${this.literal(expr.lane * 2)}]`,
+                    high: `${value}[${this.literal(expr.lane * 2 + 1)}]`
+                };
+            }
+            return this.simd(expr.op, [value, this.literal(expr.lane)]);
+        });
+    }
+
+    _compileSimdReplaceLane(expr) {
+        return this.opcode(expr, 2, (value, lane) =>
+            this.simd(expr.op, [value, this.literal(expr.lane), ...this.pairArgs([lane], [expr.laneType])])
+        );
+    }
+
+    _compileSimdLoad(expr) {
+        return this.opcode(expr, 1, (ptr) =>
+            this.simd(expr.op, [`dataView${expr.memory}`, this.memoryAddress(expr, ptr)])
+        );
+    }
+
+    _compileSimdStore(expr) {
+        return this.opcode(expr, 2, (ptr, value) =>
+            `${this.simd(expr.op, [`dataView${expr.memory}`, this.memoryAddress(expr, ptr), value])};`
+        );
+    }
+
+    _compileSimdLoadLane(expr) {
+        return this.opcode(expr, 2, (ptr, value) =>
+            this.simd(expr.op, [`dataView${expr.memory}`, this.memoryAddress(expr, ptr), value, this.literal(expr.lane)])
+        );
+    }
+
+    _compileSimdStoreLane(expr) {
+        return this.opcode(expr, 2, (ptr, value) =>
+            `${this.simd(expr.op, [`dataView${expr.memory}`, this.memoryAddress(expr, ptr), value, this.literal(expr.lane)])};`
+        );
+    }
+
     _compileNop(expr) {
-        return this.opcode(expr, [], () => ``);
+        return this.opcode(expr, 0, () => ``);
     }
 
     _compileUnreachable(expr) {
-        return this.opcode(expr, [], () =>
-            `throw new WebAssembly.RuntimeError("Unreachable");`
+        return this.opcode(expr, 0, () =>
+            `throw new WebAssembly.RuntimeError("unreachable");`
         );
     }
 }
@@ -2041,11 +2725,21 @@ const Interpreter = {
 
     // Custom API
     Frame,
-    isReady: false,
-    ready: b.ready.then(() => {
-        Interpreter.isReady = true;
-        return Interpreter;
-    })
+    SourceLocation,
+    FuelExhausted: runtime.FuelExhausted,
+    runtime,
+    DebugInfo,
+    LineInfo,
+    DebugAdapter,
+    createDebugAdapter,
+    GdbStub,
+    createGdbStub,
+    isReady: true,
+    ready: null
 };
 
+// There's no async setup to wait for anymore, but keep the promise
+// around for compatibility.
+Interpreter.ready = Promise.resolve(Interpreter);
+
 module.exports = Interpreter;
@@ -0,0 +1,2117 @@
+/// Native WebAssembly binary format parser.
+///
+/// Decodes and validates a module into a plain-JS AST that the compiler
+/// can consume directly. Function bodies are kept in the binary's stack
+/// machine form, with structured control instructions carrying their
+/// nested bodies, and every instruction remembers its byte offset in the
+/// module so it can be mapped back to source locations later.
+
+const CompileError = WebAssembly.CompileError;
+
+const sectionIds = {
+    custom: 0,
+    type: 1,
+    import: 2,
+    function: 3,
+    table: 4,
+    memory: 5,
+    global: 6,
+    export: 7,
+    start: 8,
+    element: 9,
+    code: 10,
+    data: 11,
+    datacount: 12,
+    tag: 13
+};
+
+// Sections must come in this order, which isn't quite by id.
+const sectionOrder = [
+    sectionIds.type,
+    sectionIds.import,
+    sectionIds.function,
+    sectionIds.table,
+    sectionIds.memory,
+    sectionIds.tag,
+    sectionIds.global,
+    sectionIds.export,
+    sectionIds.start,
+    sectionIds.element,
+    sectionIds.datacount,
+    sectionIds.code,
+    sectionIds.data
+];
+
+const valueTypes = new Map([
+    [0x7f, 'i32'],
+    [0x7e, 'i64'],
+    [0x7d, 'f32'],
+    [0x7c, 'f64'],
+    [0x7b, 'v128'],
+    [0x70, 'funcref'],
+    [0x6f, 'externref']
+]);
+
+const elementTypes = new Map([
+    [0x70, 'funcref'],
+    [0x6f, 'externref']
+]);
+
+const referenceTypes = new Set(elementTypes.values());
+
+const externalKinds = [
+    'function',
+    'table',
+    'memory',
+    'global',
+    'tag'
+];
+
+const maxPages = 65536;
+// memory64 sizes are limited so byte addresses fit in 64 bits.
+const maxPages64 = 2 ** 48;
+
+// Placeholder operand type for the polymorphic stack in unreachable code.
+const unknown = 'unknown';
+
+/// Table of simple instructions which take all their operands from the
+/// stack and carry no immediates, keyed by opcode.
+const simpleOps = new Map();
+
+/// Simple instructions behind the 0xfc prefix, keyed by their second
+/// opcode.
+const prefixedOps = new Map();
+
+/// Gaps in the opcode numbering are given as nulls.
+function defineOps(opcode, id, names, params, result, ops=simpleOps) {
+    for (let op of names) {
+        if (op !== null) {
+            ops.set(opcode, {id, op, params, result});
+        }
+        opcode++;
+    }
+}
+
+defineOps(0x45, 'Unary', ['i32.eqz'], ['i32'], 'i32');
+defineOps(0x46, 'Binary', [
+    'i32.eq', 'i32.ne',
+    'i32.lt_s', 'i32.lt_u', 'i32.gt_s', 'i32.gt_u',
+    'i32.le_s', 'i32.le_u', 'i32.ge_s', 'i32.ge_u'
+], ['i32', 'i32'], 'i32');
+defineOps(0x50, 'Unary', ['i64.eqz'], ['i64'], 'i32');
+defineOps(0x51, 'Binary', [
+    'i64.eq', 'i64.ne',
+    'i64.lt_s', 'i64.lt_u', 'i64.gt_s', 'i64.gt_u',
+    'i64.le_s', 'i64.le_u', 'i64.ge_s', 'i64.ge_u'
+], ['i64', 'i64'], 'i32');
+defineOps(0x5b, 'Binary', [
+    'f32.eq', 'f32.ne', 'f32.lt', 'f32.gt', 'f32.le', 'f32.ge'
+], ['f32', 'f32'], 'i32');
+defineOps(0x61, 'Binary', [
+    'f64.eq', 'f64.ne', 'f64.lt', 'f64.gt', 'f64.le', 'f64.ge'
+], ['f64', 'f64'], 'i32');
+
+defineOps(0x67, 'Unary', ['i32.clz', 'i32.ctz', 'i32.popcnt'], ['i32'], 'i32');
+defineOps(0x6a, 'Binary', [
+    'i32.add', 'i32.sub', 'i32.mul',
+    'i32.div_s', 'i32.div_u', 'i32.rem_s', 'i32.rem_u',
+    'i32.and', 'i32.or', 'i32.xor',
+    'i32.shl', 'i32.shr_s', 'i32.shr_u', 'i32.rotl', 'i32.rotr'
+], ['i32', 'i32'], 'i32');
+defineOps(0x79, 'Unary', ['i64.clz', 'i64.ctz', 'i64.popcnt'], ['i64'], 'i64');
+defineOps(0x7c, 'Binary', [
+    'i64.add', 'i64.sub', 'i64.mul',
+    'i64.div_s', 'i64.div_u', 'i64.rem_s', 'i64.rem_u',
+    'i64.and', 'i64.or', 'i64.xor',
+    'i64.shl', 'i64.shr_s', 'i64.shr_u', 'i64.rotl', 'i64.rotr'
+], ['i64', 'i64'], 'i64');
+
+defineOps(0x8b, 'Unary', [
+    'f32.abs', 'f32.neg', 'f32.ceil', 'f32.floor',
+    'f32.trunc', 'f32.nearest', 'f32.sqrt'
+], ['f32'], 'f32');
+defineOps(0x92, 'Binary', [
+    'f32.add', 'f32.sub', 'f32.mul', 'f32.div',
+    'f32.min', 'f32.max', 'f32.copysign'
+], ['f32', 'f32'], 'f32');
+defineOps(0x99, 'Unary', [
+    'f64.abs', 'f64.neg', 'f64.ceil', 'f64.floor',
+    'f64.trunc', 'f64.nearest', 'f64.sqrt'
+], ['f64'], 'f64');
+defineOps(0xa0, 'Binary', [
+    'f64.add', 'f64.sub', 'f64.mul', 'f64.div',
+    'f64.min', 'f64.max', 'f64.copysign'
+], ['f64', 'f64'], 'f64');
+
+defineOps(0xa7, 'Unary', ['i32.wrap_i64'], ['i64'], 'i32');
+defineOps(0xa8, 'Unary', ['i32.trunc_f32_s', 'i32.trunc_f32_u'], ['f32'], 'i32');
+defineOps(0xaa, 'Unary', ['i32.trunc_f64_s', 'i32.trunc_f64_u'], ['f64'], 'i32');
+defineOps(0xac, 'Unary', ['i64.extend_i32_s', 'i64.extend_i32_u'], ['i32'], 'i64');
+defineOps(0xae, 'Unary', ['i64.trunc_f32_s', 'i64.trunc_f32_u'], ['f32'], 'i64');
+defineOps(0xb0, 'Unary', ['i64.trunc_f64_s', 'i64.trunc_f64_u'], ['f64'], 'i64');
+defineOps(0xb2, 'Unary', ['f32.convert_i32_s', 'f32.convert_i32_u'], ['i32'], 'f32');
+defineOps(0xb4, 'Unary', ['f32.convert_i64_s', 'f32.convert_i64_u'], ['i64'], 'f32');
+defineOps(0xb6, 'Unary', ['f32.demote_f64'], ['f64'], 'f32');
+defineOps(0xb7, 'Unary', ['f64.convert_i32_s', 'f64.convert_i32_u'], ['i32'], 'f64');
+defineOps(0xb9, 'Unary', ['f64.convert_i64_s', 'f64.convert_i64_u'], ['i64'], 'f64');
+defineOps(0xbb, 'Unary', ['f64.promote_f32'], ['f32'], 'f64');
+defineOps(0xbc, 'Unary', ['i32.reinterpret_f32'], ['f32'], 'i32');
+defineOps(0xbd, 'Unary', ['i64.reinterpret_f64'], ['f64'], 'i64');
+defineOps(0xbe, 'Unary', ['f32.reinterpret_i32'], ['i32'], 'f32');
+defineOps(0xbf, 'Unary', ['f64.reinterpret_i64'], ['i64'], 'f64');
+
+// Sign extension
+defineOps(0xc0, 'Unary', ['i32.extend8_s', 'i32.extend16_s'], ['i32'], 'i32');
+defineOps(0xc2, 'Unary', ['i64.extend8_s', 'i64.extend16_s', 'i64.extend32_s'], ['i64'], 'i64');
+
+// Non-trapping float-to-int conversions
+defineOps(0x00, 'Unary', ['i32.trunc_sat_f32_s', 'i32.trunc_sat_f32_u'], ['f32'], 'i32', prefixedOps);
+defineOps(0x02, 'Unary', ['i32.trunc_sat_f64_s', 'i32.trunc_sat_f64_u'], ['f64'], 'i32', prefixedOps);
+defineOps(0x04, 'Unary', ['i64.trunc_sat_f32_s', 'i64.trunc_sat_f32_u'], ['f32'], 'i64', prefixedOps);
+defineOps(0x06, 'Unary', ['i64.trunc_sat_f64_s', 'i64.trunc_sat_f64_u'], ['f64'], 'i64', prefixedOps);
+
+/// SIMD instructions behind the 0xfd prefix which take all their
+/// operands from the stack, keyed by their second opcode.
+const simdOps = new Map();
+
+function defineSimdOps(opcode, names, params, result) {
+    defineOps(opcode, 'SimdOp', names, params, result, simdOps);
+}
+
+const v1 = ['v128'];
+const v2 = ['v128', 'v128'];
+const vShift = ['v128', 'i32'];
+
+defineSimdOps(0x0e, ['i8x16.swizzle'], v2, 'v128');
+defineSimdOps(0x0f, ['i8x16.splat', 'i16x8.splat', 'i32x4.splat'], ['i32'], 'v128');
+defineSimdOps(0x12, ['i64x2.splat'], ['i64'], 'v128');
+defineSimdOps(0x13, ['f32x4.splat'], ['f32'], 'v128');
+defineSimdOps(0x14, ['f64x2.splat'], ['f64'], 'v128');
+for (let [opcode, shape] of [[0x23, 'i8x16'], [0x2d, 'i16x8'], [0x37, 'i32x4']]) {
+    defineSimdOps(opcode, [
+        'eq', 'ne', 'lt_s', 'lt_u', 'gt_s', 'gt_u', 'le_s', 'le_u', 'ge_s', 'ge_u'
+    ].map((op) => `${shape}.${op}`), v2, 'v128');
+}
+for (let [opcode, shape] of [[0x41, 'f32x4'], [0x47, 'f64x2']]) {
+    defineSimdOps(opcode, ['eq', 'ne', 'lt', 'gt', 'le', 'ge'].map((op) => `${shape}.${op}`), v2, 'v128');
+}
+defineSimdOps(0x4d, ['v128.not'], v1, 'v128');
+defineSimdOps(0x4e, ['v128.and', 'v128.andnot', 'v128.or', 'v128.xor'], v2, 'v128');
+defineSimdOps(0x52, ['v128.bitselect'], ['v128', 'v128', 'v128'], 'v128');
+defineSimdOps(0x53, ['v128.any_true'], v1, 'i32');
+defineSimdOps(0x5e, ['f32x4.demote_f64x2_zero', 'f64x2.promote_low_f32x4'], v1, 'v128');
+
+defineSimdOps(0x60, ['i8x16.abs', 'i8x16.neg', 'i8x16.popcnt'], v1, 'v128');
+defineSimdOps(0x63, ['i8x16.all_true', 'i8x16.bitmask'], v1, 'i32');
+defineSimdOps(0x65, ['i8x16.narrow_i16x8_s', 'i8x16.narrow_i16x8_u'], v2, 'v128');
+defineSimdOps(0x67, ['f32x4.ceil', 'f32x4.floor', 'f32x4.trunc', 'f32x4.nearest'], v1, 'v128');
+defineSimdOps(0x6b, ['i8x16.shl', 'i8x16.shr_s', 'i8x16.shr_u'], vShift, 'v128');
+defineSimdOps(0x6e, [
+    'i8x16.add', 'i8x16.add_sat_s', 'i8x16.add_sat_u',
+    'i8x16.sub', 'i8x16.sub_sat_s', 'i8x16.sub_sat_u'
+], v2, 'v128');
+defineSimdOps(0x74, ['f64x2.ceil', 'f64x2.floor'], v1, 'v128');
+defineSimdOps(0x76, ['i8x16.min_s', 'i8x16.min_u', 'i8x16.max_s', 'i8x16.max_u'], v2, 'v128');
+defineSimdOps(0x7a, ['f64x2.trunc'], v1, 'v128');
+defineSimdOps(0x7b, ['i8x16.avgr_u'], v2, 'v128');
+defineSimdOps(0x7c, [
+    'i16x8.extadd_pairwise_i8x16_s', 'i16x8.extadd_pairwise_i8x16_u',
+    'i32x4.extadd_pairwise_i16x8_s', 'i32x4.extadd_pairwise_i16x8_u'
+], v1, 'v128');
+
+defineSimdOps(0x80, ['i16x8.abs', 'i16x8.neg'], v1, 'v128');
+defineSimdOps(0x82, ['i16x8.q15mulr_sat_s'], v2, 'v128');
+defineSimdOps(0x83, ['i16x8.all_true', 'i16x8.bitmask'], v1, 'i32');
+defineSimdOps(0x85, ['i16x8.narrow_i32x4_s', 'i16x8.narrow_i32x4_u'], v2, 'v128');
+defineSimdOps(0x87, [
+    'i16x8.extend_low_i8x16_s', 'i16x8.extend_high_i8x16_s',
+    'i16x8.extend_low_i8x16_u', 'i16x8.extend_high_i8x16_u'
+], v1, 'v128');
+defineSimdOps(0x8b, ['i16x8.shl', 'i16x8.shr_s', 'i16x8.shr_u'], vShift, 'v128');
+defineSimdOps(0x8e, [
+    'i16x8.add', 'i16x8.add_sat_s', 'i16x8.add_sat_u',
+    'i16x8.sub', 'i16x8.sub_sat_s', 'i16x8.sub_sat_u'
+], v2, 'v128');
+defineSimdOps(0x94, ['f64x2.nearest'], v1, 'v128');
+defineSimdOps(0x95, [
+    'i16x8.mul', 'i16x8.min_s', 'i16x8.min_u', 'i16x8.max_s', 'i16x8.max_u', null,
+    'i16x8.avgr_u',
+    'i16x8.extmul_low_i8x16_s', 'i16x8.extmul_high_i8x16_s',
+    'i16x8.extmul_low_i8x16_u', 'i16x8.extmul_high_i8x16_u'
+], v2, 'v128');
+
+defineSimdOps(0xa0, ['i32x4.abs', 'i32x4.neg'], v1, 'v128');
+defineSimdOps(0xa3, ['i32x4.all_true', 'i32x4.bitmask'], v1, 'i32');
+defineSimdOps(0xa7, [
+    'i32x4.extend_low_i16x8_s', 'i32x4.extend_high_i16x8_s',
+    'i32x4.extend_low_i16x8_u', 'i32x4.extend_high_i16x8_u'
+], v1, 'v128');
+defineSimdOps(0xab, ['i32x4.shl', 'i32x4.shr_s', 'i32x4.shr_u'], vShift, 'v128');
+defineSimdOps(0xae, ['i32x4.add'], v2, 'v128');
+defineSimdOps(0xb1, ['i32x4.sub'], v2, 'v128');
+defineSimdOps(0xb5, [
+    'i32x4.mul', 'i32x4.min_s', 'i32x4.min_u', 'i32x4.max_s', 'i32x4.max_u',
+    'i32x4.dot_i16x8_s', null,
+    'i32x4.extmul_low_i16x8_s', 'i32x4.extmul_high_i16x8_s',
+    'i32x4.extmul_low_i16x8_u', 'i32x4.extmul_high_i16x8_u'
+], v2, 'v128');
+
+defineSimdOps(0xc0, ['i64x2.abs', 'i64x2.neg'], v1, 'v128');
+defineSimdOps(0xc3, ['i64x2.all_true', 'i64x2.bitmask'], v1, 'i32');
+defineSimdOps(0xc7, [
+    'i64x2.extend_low_i32x4_s', 'i64x2.extend_high_i32x4_s',
+    'i64x2.extend_low_i32x4_u', 'i64x2.extend_high_i32x4_u'
+], v1, 'v128');
+defineSimdOps(0xcb, ['i64x2.shl', 'i64x2.shr_s', 'i64x2.shr_u'], vShift, 'v128');
+defineSimdOps(0xce, ['i64x2.add'], v2, 'v128');
+defineSimdOps(0xd1, ['i64x2.sub'], v2, 'v128');
+defineSimdOps(0xd5, [
+    'i64x2.mul',
+    'i64x2.eq', 'i64x2.ne', 'i64x2.lt_s', 'i64x2.gt_s', 'i64x2.le_s', 'i64x2.ge_s',
+    'i64x2.extmul_low_i32x4_s', 'i64x2.extmul_high_i32x4_s',
+    'i64x2.extmul_low_i32x4_u', 'i64x2.extmul_high_i32x4_u'
+], v2, 'v128');
+
+for (let [opcode, shape] of [[0xe0, 'f32x4'], [0xec, 'f64x2']]) {
+    defineSimdOps(opcode, [`${shape}.abs`, `${shape}.neg`, null, `${shape}.sqrt`], v1, 'v128');
+    defineSimdOps(opcode + 4, [
+        'add', 'sub', 'mul', 'div', 'min', 'max', 'pmin', 'pmax'
+    ].map((op) => `${shape}.${op}`), v2, 'v128');
+}
+defineSimdOps(0xf8, [
+    'i32x4.trunc_sat_f32x4_s', 'i32x4.trunc_sat_f32x4_u',
+    'f32x4.convert_i32x4_s', 'f32x4.convert_i32x4_u',
+    'i32x4.trunc_sat_f64x2_s_zero', 'i32x4.trunc_sat_f64x2_u_zero',
+    'f64x2.convert_low_i32x4_s', 'f64x2.convert_low_i32x4_u'
+], v1, 'v128');
+
+/// SIMD lane accesses, keyed by opcode, with their lane's scalar type
+/// and how many lanes there are.
+const simdLaneOps = new Map();
+
+[
+    ['i8x16.extract_lane_s', 'i32', 16], ['i8x16.extract_lane_u', 'i32', 16], ['i8x16.replace_lane', 'i32', 16],
+    ['i16x8.extract_lane_s', 'i32', 8], ['i16x8.extract_lane_u', 'i32', 8], ['i16x8.replace_lane', 'i32', 8],
+    ['i32x4.extract_lane', 'i32', 4], ['i32x4.replace_lane', 'i32', 4],
+    ['i64x2.extract_lane', 'i64', 2], ['i64x2.replace_lane', 'i64', 2],
+    ['f32x4.extract_lane', 'f32', 4], ['f32x4.replace_lane', 'f32', 4],
+    ['f64x2.extract_lane', 'f64', 2], ['f64x2.replace_lane', 'f64', 2]
+].forEach(([op, laneType, count], index) => {
+    const id = op.includes('extract') ? 'SimdExtractLane' : 'SimdReplaceLane';
+    simdLaneOps.set(0x15 + index, {id, op, laneType, count});
+});
+
+/// SIMD memory accesses, keyed by opcode, with how many bytes of
+/// memory they touch.
+const simdMemoryOps = new Map();
+
+function defineSimdMemoryOps(opcode, id, ops) {
+    for (let [op, bytes] of ops) {
+        simdMemoryOps.set(opcode++, {id, op, bytes});
+    }
+}
+
+defineSimdMemoryOps(0x00, 'SimdLoad', [
+    ['v128.load', 16],
+    ['v128.load8x8_s', 8], ['v128.load8x8_u', 8],
+    ['v128.load16x4_s', 8], ['v128.load16x4_u', 8],
+    ['v128.load32x2_s', 8], ['v128.load32x2_u', 8],
+    ['v128.load8_splat', 1], ['v128.load16_splat', 2], ['v128.load32_splat', 4], ['v128.load64_splat', 8]
+]);
+defineSimdMemoryOps(0x0b, 'SimdStore', [['v128.store', 16]]);
+defineSimdMemoryOps(0x54, 'SimdLoadLane', [
+    ['v128.load8_lane', 1], ['v128.load16_lane', 2], ['v128.load32_lane', 4], ['v128.load64_lane', 8]
+]);
+defineSimdMemoryOps(0x58, 'SimdStoreLane', [
+    ['v128.store8_lane', 1], ['v128.store16_lane', 2], ['v128.store32_lane', 4], ['v128.store64_lane', 8]
+]);
+defineSimdMemoryOps(0x5c, 'SimdLoad', [['v128.load32_zero', 4], ['v128.load64_zero', 8]]);
+
+/// Memory access instructions, keyed by opcode.
+const memoryOps = new Map();
+
+function defineMemoryOp(opcode, id, op, type, bytes, isSigned=false) {
+    memoryOps.set(opcode, {id, op, type, bytes, isSigned});
+}
+
+defineMemoryOp(0x28, 'Load', 'i32.load', 'i32', 4);
+defineMemoryOp(0x29, 'Load', 'i64.load', 'i64', 8);
+defineMemoryOp(0x2a, 'Load', 'f32.load', 'f32', 4);
+defineMemoryOp(0x2b, 'Load', 'f64.load', 'f64', 8);
+defineMemoryOp(0x2c, 'Load', 'i32.load8_s', 'i32', 1, true);
+defineMemoryOp(0x2d, 'Load', 'i32.load8_u', 'i32', 1);
+defineMemoryOp(0x2e, 'Load', 'i32.load16_s', 'i32', 2, true);
+defineMemoryOp(0x2f, 'Load', 'i32.load16_u', 'i32', 2);
+defineMemoryOp(0x30, 'Load', 'i64.load8_s', 'i64', 1, true);
+defineMemoryOp(0x31, 'Load', 'i64.load8_u', 'i64', 1);
+defineMemoryOp(0x32, 'Load', 'i64.load16_s', 'i64', 2, true);
+defineMemoryOp(0x33, 'Load', 'i64.load16_u', 'i64', 2);
+defineMemoryOp(0x34, 'Load', 'i64.load32_s', 'i64', 4, true);
+defineMemoryOp(0x35, 'Load', 'i64.load32_u', 'i64', 4);
+defineMemoryOp(0x36, 'Store', 'i32.store', 'i32', 4);
+defineMemoryOp(0x37, 'Store', 'i64.store', 'i64', 8);
+defineMemoryOp(0x38, 'Store', 'f32.store', 'f32', 4);
+defineMemoryOp(0x39, 'Store', 'f64.store', 'f64', 8);
+defineMemoryOp(0x3a, 'Store', 'i32.store8', 'i32', 1);
+defineMemoryOp(0x3b, 'Store', 'i32.store16', 'i32', 2);
+defineMemoryOp(0x3c, 'Store', 'i64.store8', 'i64', 1);
+defineMemoryOp(0x3d, 'Store', 'i64.store16', 'i64', 2);
+defineMemoryOp(0x3e, 'Store', 'i64.store32', 'i64', 4);
+
+/// Atomic memory access instructions behind the 0xfe prefix, keyed by
+/// their second opcode. Each comes in seven widths, the narrower ones
+/// zero-extending what they read.
+const atomicOps = new Map();
+
+const atomicWidths = [
+    ['i32', 4, ''],
+    ['i64', 8, ''],
+    ['i32', 1, '8'],
+    ['i32', 2, '16'],
+    ['i64', 1, '8'],
+    ['i64', 2, '16'],
+    ['i64', 4, '32']
+];
+
+function defineAtomicOps(opcode, id, rmw, name) {
+    atomicWidths.forEach(([type, bytes, width], index) => {
+        atomicOps.set(opcode + index, {id, op: name(type, width), type, bytes, rmw});
+    });
+}
+
+defineAtomicOps(0x10, 'AtomicLoad', null, (type, width) => `${type}.atomic.load${width && `${width}_u`}`);
+defineAtomicOps(0x17, 'AtomicStore', null, (type, width) => `${type}.atomic.store${width}`);
+['add', 'sub', 'and', 'or', 'xor', 'xchg', 'cmpxchg'].forEach((rmw, index) => {
+    const id = (rmw === 'cmpxchg') ? 'AtomicCmpxchg' : 'AtomicRMW';
+    defineAtomicOps(0x1e + index * 7, id, rmw, (type, width) => `${type}.atomic.rmw${width}.${rmw}${width && `_u`}`);
+});
+
+function sameTypes(a, b) {
+    return a.length === b.length && a.every((type, i) => type === b[i]);
+}
+
+/// Type shorthand for AST nodes: 'none', a single value type, or an
+/// array of types for multiple results.
+function resultType(results) {
+    switch (results.length) {
+        case 0:
+            return 'none';
+        case 1:
+            return results[0];
+        default:
+            return results.slice();
+    }
+}
+
+/// Validation state for one function body or constant expression,
+/// following the algorithm in the spec's validation appendix.
+class Validator {
+    constructor(parser, locals=[]) {
+        this.parser = parser;
+        this.locals = locals;
+        this.operands = [];
+        this.controls = [];
+    }
+
+    error(message) {
+        return this.parser.error(message);
+    }
+
+    get current() {
+        return this.controls[this.controls.length - 1];
+    }
+
+    pushOperand(type) {
+        this.operands.push(type);
+    }
+
+    pushOperands(types) {
+        for (let type of types) {
+            this.pushOperand(type);
+        }
+    }
+
+    popOperand(expected=unknown) {
+        const frame = this.current;
+        let actual;
+        if (this.operands.length === frame.height) {
+            if (!frame.unreachable) {
+                throw this.error('type mismatch: not enough operands');
+            }
+            actual = unknown;
+        } else {
+            actual = this.operands.pop();
+        }
+        if (actual === unknown) {
+            return expected;
+        }
+        if (expected !== unknown && actual !== expected) {
+            throw this.error(`type mismatch: expected ${expected}, got ${actual}`);
+        }
+        return actual;
+    }
+
+    popOperands(types) {
+        const popped = [];
+        for (let i = types.length - 1; i >= 0; i--) {
+            popped.unshift(this.popOperand(types[i]));
+        }
+        return popped;
+    }
+
+    pushControl(opcode, params, results, body) {
+        const frame = {
+            opcode,
+            params,
+            results,
+            height: this.operands.length,
+            unreachable: false,
+            body
+        };
+        this.controls.push(frame);
+        this.pushOperands(params);
+        return frame;
+    }
+
+    popControl() {
+        if (this.controls.length === 0) {
+            throw this.error('unexpected end');
+        }
+        const frame = this.current;
+        this.popOperands(frame.results);
+        if (this.operands.length !== frame.height) {
+            throw this.error('type mismatch: values remaining on stack at end of block');
+        }
+        this.controls.pop();
+        return frame;
+    }
+
+    labelTypes(frame) {
+        return frame.opcode === 'loop' ? frame.params : frame.results;
+    }
+
+    label(depth) {
+        if (depth >= this.controls.length) {
+            throw this.error('unknown label');
+        }
+        return this.controls[this.controls.length - 1 - depth];
+    }
+
+    unreachable() {
+        const frame = this.current;
+        this.operands.length = frame.height;
+        frame.unreachable = true;
+    }
+
+    /// Append a node to the body of the current block, unless it's
+    /// dead code following an unconditional branch. Dead code is
+    /// validated but never compiled, so the compiler doesn't have to
+    /// model the polymorphic stack.
+    emit(node) {
+        const frame = this.current;
+        if (!frame.unreachable) {
+            frame.body.push(node);
+        }
+        return node;
+    }
+}
+
+/// Binary reader and module decoder.
+class Parser {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.pos = 0;
+        this.end = bytes.length;
+        // Functions that `ref.func` may refer to in code, which are
+        // the ones referred to anywhere outside it.
+        this.declaredFunctions = new Set();
+
+        this.module = {
+            types: [],
+            imports: [],
+            funcs: [],
+            tables: [],
+            memories: [],
+            tags: [],
+            globals: [],
+            exports: [],
+            start: null,
+            elements: [],
+            datas: [],
+            // Number of data segments, if given up front for the
+            // bulk memory instructions to refer to
+            dataCount: null,
+            customs: [],
+            // Start of the code section's contents, which DWARF
+            // addresses are relative to
+            codeOffset: null
+        };
+    }
+
+    error(message, pos=this.pos) {
+        return new CompileError(`${message} @+${pos}`);
+    }
+
+    eof() {
+        return this.pos >= this.end;
+    }
+
+    readByte() {
+        if (this.pos >= this.end) {
+            throw this.error('unexpected end');
+        }
+        return this.bytes[this.pos++];
+    }
+
+    readBytes(length) {
+        if (this.pos + length > this.end) {
+            throw this.error('unexpected end');
+        }
+        const bytes = this.bytes.subarray(this.pos, this.pos + length);
+        this.pos += length;
+        return bytes;
+    }
+
+    readU32() {
+        let result = 0;
+        let shift = 0;
+        for (;;) {
+            const byte = this.readByte();
+            if (shift === 28 && (byte & 0x70) !== 0) {
+                throw this.error('integer too large');
+            }
+            result |= (byte & 0x7f) << shift;
+            if ((byte & 0x80) === 0) {
+                return result >>> 0;
+            }
+            shift += 7;
+            if (shift > 28) {
+                throw this.error('integer representation too long');
+            }
+        }
+    }
+
+    readS32() {
+        let result = 0;
+        let shift = 0;
+        for (;;) {
+            const byte = this.readByte();
+            if (shift === 28) {
+                // Only the low 4 bits are significant; the rest must
+                // match the sign bit.
+                const high = byte & 0x70;
+                if (high !== ((byte & 0x08) ? 0x70 : 0)) {
+                    throw this.error('integer too large');
+                }
+                if (byte & 0x80) {
+                    throw this.error('integer representation too long');
+                }
+            }
+            result |= (byte & 0x7f) << shift;
+            shift += 7;
+            if ((byte & 0x80) === 0) {
+                if (shift < 32 && (byte & 0x40)) {
+                    result |= -1 << shift;
+                }
+                return result | 0;
+            }
+        }
+    }
+
+    /// Read an unsigned LEB128 of up to 64 bits, as a BigInt.
+    readU64() {
+        let result = 0n;
+        let shift = 0n;
+        for (;;) {
+            const byte = this.readByte();
+            if (shift === 63n && (byte & 0x7e) !== 0) {
+                throw this.error('integer too large');
+            }
+            result |= BigInt(byte & 0x7f) << shift;
+            if ((byte & 0x80) === 0) {
+                return result;
+            }
+            shift += 7n;
+            if (shift > 63n) {
+                throw this.error('integer representation too long');
+            }
+        }
+    }
+
+    readS64() {
+        let result = 0n;
+        let shift = 0n;
+        for (;;) {
+            const byte = this.readByte();
+            if (shift === 63n) {
+                // Only the low bit is significant; the rest must
+                // match the sign bit.
+                const high = byte & 0x7f;
+                if (high !== 0 && high !== 0x7f) {
+                    throw this.error('integer too large');
+                }
+                if (byte & 0x80) {
+                    throw this.error('integer representation too long');
+                }
+            }
+            result |= BigInt(byte & 0x7f) << shift;
+            shift += 7n;
+            if ((byte & 0x80) === 0) {
+                if (shift < 64n && (byte & 0x40)) {
+                    result |= -1n << shift;
+                }
+                return BigInt.asIntN(64, result);
+            }
+        }
+    }
+
+    readF32() {
+        const bytes = this.readBytes(4);
+        return this.view.getFloat32(bytes.byteOffset - this.bytes.byteOffset, true);
+    }
+
+    readF64() {
+        const bytes = this.readBytes(8);
+        return this.view.getFloat64(bytes.byteOffset - this.bytes.byteOffset, true);
+    }
+
+    /// Read the immediate of a float constant instruction. JS numbers may
+    /// not keep NaN payloads, so NaNs keep their bits too, as for
+    /// reinterpreting.
+    readFloatConst(type, byteOffset) {
+        const start = this.pos;
+        const value = (type === 'f32') ? this.readF32() : this.readF64();
+        const expr = {id: 'Const', op: `${type}.const`, type, value, byteOffset};
+        if (value !== value) {
+            expr.bits = (type === 'f32')
+                ? this.view.getInt32(start, true)
+                : this.view.getBigInt64(start, true);
+        }
+        return expr;
+    }
+
+    readName() {
+        const length = this.readU32();
+        const bytes = this.readBytes(length);
+        try {
+            // A byte order mark is part of the name, not skipped.
+            return new TextDecoder('utf-8', {fatal: true, ignoreBOM: true}).decode(bytes);
+        } catch (e) {
+            throw this.error('malformed UTF-8 encoding');
+        }
+    }
+
+    readVector(callback) {
+        const count = this.readU32();
+        const items = [];
+        for (let i = 0; i < count; i++) {
+            items.push(callback(i));
+        }
+        return items;
+    }
+
+    readValueType() {
+        const pos = this.pos;
+        const code = this.readByte();
+        if (!valueTypes.has(code)) {
+            throw this.error('invalid value type', pos);
+        }
+        return valueTypes.get(code);
+    }
+
+    readElementType() {
+        const pos = this.pos;
+        const code = this.readByte();
+        if (!elementTypes.has(code)) {
+            throw this.error('invalid element type', pos);
+        }
+        return elementTypes.get(code);
+    }
+
+    /// Read table or memory limits. Only memories may be shared, or
+    /// have 64-bit addresses, whose limits are 64 bits too.
+    readLimits(isMemory=false) {
+        const pos = this.pos;
+        const flags = this.readByte();
+        if (flags > (isMemory ? 7 : 1)) {
+            throw this.error('integer too large', pos);
+        }
+        const address = (flags & 4) ? 'i64' : 'i32';
+        const readSize = (address === 'i64') ? () => Number(this.readU64()) : () => this.readU32();
+        const limits = {
+            initial: readSize(),
+            maximum: undefined,
+            shared: Boolean(flags & 2)
+        };
+        if (limits.shared && !(flags & 1)) {
+            throw this.error('shared memory must have maximum', pos);
+        }
+        if (flags & 1) {
+            limits.maximum = readSize();
+            if (limits.maximum < limits.initial) {
+                throw this.error('size minimum must not be greater than maximum', pos);
+            }
+        }
+        if (isMemory) {
+            const max = (address === 'i64') ? maxPages64 : maxPages;
+            if (limits.initial > max || (limits.maximum !== undefined && limits.maximum > max)) {
+                throw this.error((address === 'i64')
+                    ? 'memory size must be at most 2^48 pages (256TiB)'
+                    : 'memory size must be at most 65536 pages (4GiB)', pos);
+            }
+            limits.address = address;
+        }
+        return limits;
+    }
+
+    readTableType() {
+        const element = this.readElementType();
+        const {initial, maximum} = this.readLimits();
+        return {element, initial, maximum};
+    }
+
+    /// Memories have `address` set to the type of their addresses,
+    /// which is i64 for memory64.
+    readMemoryType() {
+        return this.readLimits(true);
+    }
+
+    readMemoryIndex() {
+        const pos = this.pos;
+        const index = this.readU32();
+        if (index >= this.module.memories.length) {
+            throw this.error(`unknown memory ${index}`, pos);
+        }
+        return index;
+    }
+
+    /// Read the immediates of a memory access: the alignment, whose
+    /// bit 6 flags a memory index following it, and the offset, which
+    /// is 64 bits for memory64. Offsets past 2^53 lose precision as
+    /// numbers, but are out of bounds anyway.
+    readMemarg(byteOffset) {
+        const pos = this.pos;
+        let align = this.readU32();
+        let memory = 0;
+        if (align >= 0x80) {
+            throw this.error('malformed memop flags', pos);
+        }
+        if (align & 0x40) {
+            align &= ~0x40;
+            memory = this.readU32();
+        }
+        if (memory >= this.module.memories.length) {
+            throw this.error(`unknown memory ${memory}`, byteOffset);
+        }
+        const address = this.module.memories[memory].address;
+        const offset = (address === 'i64') ? Number(this.readU64()) : this.readU32();
+        return {memory, address, align, offset};
+    }
+
+    readGlobalType() {
+        const type = this.readValueType();
+        const pos = this.pos;
+        const mutable = this.readByte();
+        if (mutable > 1) {
+            throw this.error('malformed mutability', pos);
+        }
+        return {type, mutable: Boolean(mutable)};
+    }
+
+    readTypeIndex() {
+        const pos = this.pos;
+        const index = this.readU32();
+        if (index >= this.module.types.length) {
+            throw this.error('unknown type', pos);
+        }
+        return index;
+    }
+
+    readBlockType() {
+        const byte = this.bytes[this.pos];
+        if (byte === 0x40) {
+            this.pos++;
+            return {params: [], results: []};
+        }
+        if (valueTypes.has(byte)) {
+            this.pos++;
+            return {params: [], results: [valueTypes.get(byte)]};
+        }
+        const pos = this.pos;
+        const index = this.readS32();
+        if (index < 0 || index >= this.module.types.length) {
+            throw this.error('unknown type', pos);
+        }
+        return this.module.types[index];
+    }
+
+    parse() {
+        const magic = this.readBytes(4);
+        if (magic[0] !== 0x00 || magic[1] !== 0x61 || magic[2] !== 0x73 || magic[3] !== 0x6d) {
+            throw this.error('magic header not detected', 0);
+        }
+        const version = this.readBytes(4);
+        if (version[0] !== 0x01 || version[1] !== 0x00 || version[2] !== 0x00 || version[3] !== 0x00) {
+            throw this.error('unknown binary version', 4);
+        }
+
+        let lastOrder = -1;
+        let funcTypes = [];
+        while (!this.eof()) {
+            const idPos = this.pos;
+            const id = this.readByte();
+            const size = this.readU32();
+            const start = this.pos;
+            const end = start + size;
+            if (end > this.end) {
+                throw this.error('unexpected end', idPos);
+            }
+            if (id !== sectionIds.custom) {
+                const order = sectionOrder.indexOf(id);
+                if (order === -1) {
+                    throw this.error('malformed section id', idPos);
+                }
+                if (order <= lastOrder) {
+                    throw this.error('unexpected section', idPos);
+                }
+                lastOrder = order;
+            }
+
+            const outerEnd = this.end;
+            this.end = end;
+            switch (id) {
+                case sectionIds.custom:
+                    this.parseCustomSection();
+                    break;
+                case sectionIds.type:
+                    this.parseTypeSection();
+                    break;
+                case sectionIds.import:
+                    this.parseImportSection();
+                    break;
+                case sectionIds.function:
+                    funcTypes = this.readVector(() => this.readTypeIndex());
+                    break;
+                case sectionIds.table:
+                    this.parseTableSection();
+                    break;
+                case sectionIds.memory:
+                    this.parseMemorySection();
+                    break;
+                case sectionIds.tag:
+                    this.parseTagSection();
+                    break;
+                case sectionIds.global:
+                    this.parseGlobalSection();
+                    break;
+                case sectionIds.export:
+                    this.parseExportSection();
+                    break;
+                case sectionIds.start:
+                    this.parseStartSection();
+                    break;
+                case sectionIds.element:
+                    this.parseElementSection();
+                    break;
+                case sectionIds.datacount:
+                    this.module.dataCount = this.readU32();
+                    break;
+                case sectionIds.code:
+                    this.module.codeOffset = start;
+                    this.parseCodeSection(funcTypes);
+                    funcTypes = null;
+                    break;
+                case sectionIds.data:
+                    this.parseDataSection();
+                    break;
+                default:
+                    throw this.error('malformed section id', idPos);
+            }
+            if (this.pos !== end) {
+                throw this.error('section size mismatch', start);
+            }
+            this.end = outerEnd;
+
+            if (id === sectionIds.function) {
+                // Declare the functions now so later sections can
+                // refer to them; bodies arrive in the code section.
+                this.declareFunctions(funcTypes);
+            }
+        }
+        if (funcTypes && funcTypes.length) {
+            throw this.error('function and code section have inconsistent lengths');
+        }
+        if (this.module.dataCount && !this.module.datas.length) {
+            throw this.error('data count and data section have inconsistent lengths');
+        }
+
+        this.parseNames();
+        return this.module;
+    }
+
+    parseCustomSection() {
+        const name = this.readName();
+        const byteOffset = this.pos;
+        const data = this.readBytes(this.end - this.pos);
+        this.module.customs.push({
+            name,
+            byteOffset,
+            data
+        });
+    }
+
+    parseTypeSection() {
+        this.module.types = this.readVector(() => {
+            const pos = this.pos;
+            const form = this.readByte();
+            if (form !== 0x60) {
+                throw this.error('malformed functype', pos);
+            }
+            const params = this.readVector(() => this.readValueType());
+            const results = this.readVector(() => this.readValueType());
+            return {params, results};
+        });
+    }
+
+    parseImportSection() {
+        const mod = this.module;
+        this.readVector(() => {
+            const module = this.readName();
+            const name = this.readName();
+            const pos = this.pos;
+            const kind = this.readByte();
+            const imported = {module, name, kind: externalKinds[kind]};
+            switch (kind) {
+                case 0: {
+                    const typeIndex = this.readTypeIndex();
+                    imported.index = mod.funcs.length;
+                    mod.funcs.push(this.makeFunction(typeIndex, imported));
+                    break;
+                }
+                case 1:
+                    imported.index = mod.tables.length;
+                    mod.tables.push(Object.assign({import: imported}, this.readTableType()));
+                    break;
+                case 2:
+                    imported.index = mod.memories.length;
+                    mod.memories.push(Object.assign({import: imported}, this.readMemoryType()));
+                    break;
+                case 3: {
+                    const global = this.readGlobalType();
+                    imported.index = mod.globals.length;
+                    mod.globals.push(Object.assign({import: imported, init: null}, global));
+                    break;
+                }
+                case 4:
+                    imported.index = mod.tags.length;
+                    mod.tags.push(Object.assign({import: imported}, this.readTagType()));
+                    break;
+                default:
+                    throw this.error('malformed import kind', pos);
+            }
+            mod.imports.push(imported);
+        });
+    }
+
+    makeFunction(typeIndex, imported=null) {
+        const type = this.module.types[typeIndex];
+        const index = this.module.funcs.length;
+        return {
+            index,
+            name: `wasm-function[${index}]`,
+            import: imported,
+            typeIndex,
+            params: type.params,
+            results: type.results,
+            vars: [],
+            body: null,
+            byteOffset: 0,
+            byteLength: 0
+        };
+    }
+
+    declareFunctions(funcTypes) {
+        for (let typeIndex of funcTypes) {
+            this.module.funcs.push(this.makeFunction(typeIndex));
+        }
+    }
+
+    parseTableSection() {
+        for (let table of this.readVector(() => this.readTableType())) {
+            this.module.tables.push(Object.assign({import: null}, table));
+        }
+    }
+
+    parseMemorySection() {
+        for (let memory of this.readVector(() => this.readMemoryType())) {
+            this.module.memories.push(Object.assign({import: null}, memory));
+        }
+    }
+
+    /// Exception tags have an attribute, which must be zero for
+    /// exceptions, and a function type whose params they carry.
+    readTagType() {
+        const pos = this.pos;
+        if (this.readByte() !== 0x00) {
+            throw this.error('malformed tag attribute', pos);
+        }
+        const typeIndex = this.readTypeIndex();
+        const type = this.module.types[typeIndex];
+        if (type.results.length) {
+            throw this.error('non-empty tag result type', pos);
+        }
+        return {typeIndex, params: type.params};
+    }
+
+    readTagIndex() {
+        const pos = this.pos;
+        const index = this.readU32();
+        if (index >= this.module.tags.length) {
+            throw this.error('unknown tag', pos);
+        }
+        return index;
+    }
+
+    parseTagSection() {
+        for (let tag of this.readVector(() => this.readTagType())) {
+            this.module.tags.push(Object.assign({import: null}, tag));
+        }
+    }
+
+    parseGlobalSection() {
+        this.readVector(() => {
+            const global = this.readGlobalType();
+            global.import = null;
+            global.init = this.parseConstantExpression(global.type);
+            this.module.globals.push(global);
+        });
+    }
+
+    parseExportSection() {
+        const mod = this.module;
+        const names = new Set();
+        mod.exports = this.readVector(() => {
+            const namePos = this.pos;
+            const name = this.readName();
+            if (names.has(name)) {
+                throw this.error('duplicate export name', namePos);
+            }
+            names.add(name);
+            const pos = this.pos;
+            const kind = externalKinds[this.readByte()];
+            if (!kind) {
+                throw this.error('malformed export kind', pos);
+            }
+            const indexPos = this.pos;
+            const index = this.readU32();
+            const space = {
+                function: mod.funcs,
+                table: mod.tables,
+                memory: mod.memories,
+                global: mod.globals,
+                tag: mod.tags
+            }[kind];
+            if (index >= space.length) {
+                throw this.error(`unknown ${kind}`, indexPos);
+            }
+            if (kind === 'function') {
+                this.declaredFunctions.add(index);
+            }
+            return {name, kind, index};
+        });
+    }
+
+    parseStartSection() {
+        const pos = this.pos;
+        const index = this.readU32();
+        const func = this.module.funcs[index];
+        if (!func) {
+            throw this.error(`unknown function ${index}`, pos);
+        }
+        if (func.params.length || func.results.length) {
+            throw this.error('start function must have no params or results', pos);
+        }
+        this.module.start = index;
+    }
+
+    readFunctionIndex() {
+        const pos = this.pos;
+        const index = this.readU32();
+        if (index >= this.module.funcs.length) {
+            throw this.error(`unknown function ${index}`, pos);
+        }
+        return index;
+    }
+
+    readTableIndex() {
+        const pos = this.pos;
+        const index = this.readU32();
+        if (index >= this.module.tables.length) {
+            throw this.error(`unknown table ${index}`, pos);
+        }
+        return index;
+    }
+
+    /// Element segments are active, initializing a table when the module
+    /// is instantiated, or passive, for `table.init` to copy from. The
+    /// flags pick which, and whether the elements are function indexes
+    /// or constant expressions; declarative segments only declare
+    /// functions for `ref.func`, and hold nothing.
+    parseElementSection() {
+        this.module.elements = this.readVector(() => {
+            const pos = this.pos;
+            const flags = this.readU32();
+            if (flags > 7) {
+                throw this.error('malformed elements segment kind', pos);
+            }
+            const segment = {
+                mode: 'active',
+                type: 'funcref',
+                table: 0,
+                offset: null,
+                funcs: null
+            };
+            if (flags & 1) {
+                segment.mode = (flags & 2) ? 'declarative' : 'passive';
+            } else {
+                if (flags & 2) {
+                    segment.table = this.readTableIndex();
+                } else if (this.module.tables.length === 0) {
+                    throw this.error('unknown table 0', pos);
+                }
+                segment.offset = this.parseConstantExpression('i32');
+            }
+            const expressions = Boolean(flags & 4);
+            if (flags & 3) {
+                if (expressions) {
+                    segment.type = this.readElementType();
+                } else {
+                    const kindPos = this.pos;
+                    if (this.readByte() !== 0x00) {
+                        throw this.error('malformed element kind', kindPos);
+                    }
+                }
+            }
+            if (segment.mode === 'active' && this.module.tables[segment.table].element !== segment.type) {
+                throw this.error('type mismatch', pos);
+            }
+            segment.funcs = this.readVector(() => {
+                const index = expressions ? this.readElementExpression(segment.type) : this.readFunctionIndex();
+                if (index !== null) {
+                    this.declaredFunctions.add(index);
+                }
+                return index;
+            });
+            return segment;
+        });
+    }
+
+    /// Read a constant `ref.func` or `ref.null` element, giving its
+    /// function index or null.
+    readElementExpression(type) {
+        const pos = this.pos;
+        let func;
+        switch (this.readByte()) {
+            case 0xd0:
+                if (this.readElementType() !== type) {
+                    throw this.error('type mismatch', pos);
+                }
+                func = null;
+                break;
+            case 0xd2:
+                if (type !== 'funcref') {
+                    throw this.error('type mismatch', pos);
+                }
+                func = this.readFunctionIndex();
+                break;
+            default:
+                throw this.error('constant expression required', pos);
+        }
+        const endPos = this.pos;
+        if (this.readByte() !== 0x0b) {
+            throw this.error('constant expression required', endPos);
+        }
+        return func;
+    }
+
+    parseDataSection() {
+        this.module.datas = this.readVector(() => {
+            const pos = this.pos;
+            const flags = this.readU32();
+            if (flags > 2) {
+                throw this.error('malformed data segment kind', pos);
+            }
+            const segment = {
+                mode: (flags === 1) ? 'passive' : 'active',
+                memory: 0,
+                offset: null,
+                data: null
+            };
+            if (segment.mode === 'active') {
+                const memoryPos = this.pos;
+                if (flags === 2) {
+                    segment.memory = this.readU32();
+                }
+                if (segment.memory >= this.module.memories.length) {
+                    throw this.error(`unknown memory ${segment.memory}`, memoryPos);
+                }
+                segment.offset = this.parseConstantExpression(this.module.memories[segment.memory].address);
+            }
+            const length = this.readU32();
+            segment.data = this.readBytes(length);
+            return segment;
+        });
+        if (this.module.dataCount !== null && this.module.datas.length !== this.module.dataCount) {
+            throw this.error('data count and data section have inconsistent lengths');
+        }
+    }
+
+    parseCodeSection(funcTypes) {
+        const funcs = this.module.funcs;
+        const firstIndex = funcs.length - funcTypes.length;
+        const count = this.readU32();
+        if (count !== funcTypes.length) {
+            throw this.error('function and code section have inconsistent lengths');
+        }
+        for (let i = 0; i < count; i++) {
+            const size = this.readU32();
+            const start = this.pos;
+            const end = start + size;
+            if (end > this.end) {
+                throw this.error('unexpected end', start);
+            }
+            const outerEnd = this.end;
+            this.end = end;
+            this.parseFunctionBody(funcs[firstIndex + i]);
+            if (this.pos !== end) {
+                throw this.error('section size mismatch', start);
+            }
+            this.end = outerEnd;
+        }
+    }
+
+    parseFunctionBody(func) {
+        func.byteOffset = this.pos;
+        let total = 0;
+        for (let entry of this.readVector(() => [this.readU32(), this.readValueType()])) {
+            const [count, type] = entry;
+            total += count;
+            if (total > 50000) {
+                throw this.error('too many locals');
+            }
+            for (let i = 0; i < count; i++) {
+                func.vars.push(type);
+            }
+        }
+        func.body = this.parseExpression(func.params.concat(func.vars), func.results, false);
+        func.byteLength = this.pos - func.byteOffset;
+    }
+
+    /// Parse a constant initializer expression, as used in globals and
+    /// segment offsets.
+    parseConstantExpression(type) {
+        return this.parseExpression([], [type], true);
+    }
+
+    /// Parse and validate an instruction sequence up to its final `end`,
+    /// returning the AST node list.
+    parseExpression(locals, results, constant) {
+        const mod = this.module;
+        const v = new Validator(this, locals);
+        const body = [];
+        v.pushControl('function', [], results, body);
+
+        while (v.controls.length) {
+            const byteOffset = this.pos;
+            const opcode = this.readByte();
+
+            if (constant) {
+                switch (opcode) {
+                    case 0x0b: // end
+                    case 0x23: // global.get
+                    case 0x41: // i32.const
+                    case 0x42: // i64.const
+                    case 0x43: // f32.const
+                    case 0x44: // f64.const
+                    case 0xd0: // ref.null
+                    case 0xd2: // ref.func
+                    case 0xfd: // v128.const, checked with the rest of its opcode
+                        break;
+                    default:
+                        throw this.error('constant expression required', byteOffset);
+                }
+            }
+
+            if (simpleOps.has(opcode)) {
+                const {id, op, params, result} = simpleOps.get(opcode);
+                v.popOperands(params);
+                v.pushOperand(result);
+                v.emit({id, op, type: result, byteOffset});
+                continue;
+            }
+
+            if (memoryOps.has(opcode)) {
+                const {id, op, type, bytes, isSigned} = memoryOps.get(opcode);
+                const {memory, address, align, offset} = this.readMemarg(byteOffset);
+                if (2 ** align > bytes) {
+                    throw this.error('alignment must not be larger than natural', byteOffset);
+                }
+                const node = {id, op, type, bytes, isSigned, memory, address, align, offset, byteOffset};
+                if (id === 'Load') {
+                    v.popOperand(address);
+                    v.pushOperand(type);
+                } else {
+                    v.popOperands([address, type]);
+                    node.type = 'none';
+                    node.valueType = type;
+                }
+                v.emit(node);
+                continue;
+            }
+
+            switch (opcode) {
+                case 0x00:
+                    v.emit({id: 'Unreachable', op: 'unreachable', type: 'none', byteOffset});
+                    v.unreachable();
+                    break;
+                case 0x01:
+                    v.emit({id: 'Nop', op: 'nop', type: 'none', byteOffset});
+                    break;
+                case 0x02:
+                case 0x03: {
+                    const op = (opcode === 0x02) ? 'block' : 'loop';
+                    const blockType = this.readBlockType();
+                    v.popOperands(blockType.params);
+                    const node = v.emit({
+                        id: (opcode === 0x02) ? 'Block' : 'Loop',
+                        op,
+                        type: resultType(blockType.results),
+                        blockType,
+                        body: [],
+                        byteOffset
+                    });
+                    v.pushControl(op, blockType.params, blockType.results, node.body);
+                    break;
+                }
+                case 0x04: {
+                    const blockType = this.readBlockType();
+                    v.popOperand('i32');
+                    v.popOperands(blockType.params);
+                    const node = v.emit({
+                        id: 'If',
+                        op: 'if',
+                        type: resultType(blockType.results),
+                        blockType,
+                        ifTrue: [],
+                        ifFalse: null,
+                        byteOffset
+                    });
+                    const frame = v.pushControl('if', blockType.params, blockType.results, node.ifTrue);
+                    frame.node = node;
+                    break;
+                }
+                case 0x05: {
+                    const frame = v.popControl();
+                    if (frame.opcode !== 'if') {
+                        throw this.error('else without matching if', byteOffset);
+                    }
+                    const node = frame.node;
+                    node.ifFalse = [];
+                    const elseFrame = v.pushControl('else', frame.params, frame.results, node.ifFalse);
+                    elseFrame.node = node;
+                    break;
+                }
+                case 0x06: {
+                    const blockType = this.readBlockType();
+                    v.popOperands(blockType.params);
+                    const node = v.emit({
+                        id: 'Try',
+                        op: 'try',
+                        type: resultType(blockType.results),
+                        blockType,
+                        body: [],
+                        catches: [],
+                        catchAll: null,
+                        delegate: null,
+                        byteOffset
+                    });
+                    const frame = v.pushControl('try', blockType.params, blockType.results, node.body);
+                    frame.node = node;
+                    break;
+                }
+                case 0x07:
+                case 0x19: {
+                    // Each handler takes the place of the try, or the
+                    // handler before it, as the block branches go to.
+                    const op = (opcode === 0x07) ? 'catch' : 'catch_all';
+                    const frame = v.popControl();
+                    if (frame.opcode !== 'try' && frame.opcode !== 'catch') {
+                        throw this.error(`${op} without matching try`, byteOffset);
+                    }
+                    const node = frame.node;
+                    let handler;
+                    if (opcode === 0x07) {
+                        const tag = this.readTagIndex();
+                        const {params} = mod.tags[tag];
+                        handler = {tag, params, body: []};
+                        node.catches.push(handler);
+                    } else {
+                        handler = {params: [], body: []};
+                        node.catchAll = handler;
+                    }
+                    const handlerFrame = v.pushControl(op, handler.params, frame.results, handler.body);
+                    handlerFrame.node = node;
+                    break;
+                }
+                case 0x18: {
+                    // Ends the try, handing its exceptions on to the
+                    // given block's handlers.
+                    const frame = v.popControl();
+                    if (frame.opcode !== 'try') {
+                        throw this.error('delegate without matching try', byteOffset);
+                    }
+                    const depth = this.readU32();
+                    v.label(depth);
+                    frame.node.delegate = depth;
+                    v.pushOperands(frame.results);
+                    break;
+                }
+                case 0x08: {
+                    const tag = this.readTagIndex();
+                    const {params} = mod.tags[tag];
+                    v.popOperands(params);
+                    v.emit({id: 'Throw', op: 'throw', type: 'none', tag, params, byteOffset});
+                    v.unreachable();
+                    break;
+                }
+                case 0x09: {
+                    const depth = this.readU32();
+                    const label = v.label(depth).opcode;
+                    if (label !== 'catch' && label !== 'catch_all') {
+                        throw this.error('invalid rethrow label', byteOffset);
+                    }
+                    v.emit({id: 'Rethrow', op: 'rethrow', type: 'none', depth, byteOffset});
+                    v.unreachable();
+                    break;
+                }
+                case 0x0b: {
+                    const frame = v.popControl();
+                    if (frame.opcode === 'if' && !sameTypes(frame.params, frame.results)) {
+                        throw this.error('type mismatch: if without else must not change the stack', byteOffset);
+                    }
+                    if (v.controls.length) {
+                        v.pushOperands(frame.results);
+                    }
+                    break;
+                }
+                case 0x0c: {
+                    const depth = this.readU32();
+                    v.popOperands(v.labelTypes(v.label(depth)));
+                    v.emit({id: 'Break', op: 'br', type: 'none', depth, condition: false, byteOffset});
+                    v.unreachable();
+                    break;
+                }
+                case 0x0d: {
+                    const depth = this.readU32();
+                    v.popOperand('i32');
+                    const types = v.labelTypes(v.label(depth));
+                    v.pushOperands(v.popOperands(types));
+                    v.emit({id: 'Break', op: 'br_if', type: 'none', depth, condition: true, byteOffset});
+                    break;
+                }
+                case 0x0e: {
+                    const depths = this.readVector(() => this.readU32());
+                    const defaultDepth = this.readU32();
+                    v.popOperand('i32');
+                    const arity = v.labelTypes(v.label(defaultDepth)).length;
+                    for (let depth of depths) {
+                        const types = v.labelTypes(v.label(depth));
+                        if (types.length !== arity) {
+                            throw this.error('type mismatch: br_table targets have inconsistent arity', byteOffset);
+                        }
+                        v.pushOperands(v.popOperands(types));
+                    }
+                    v.popOperands(v.labelTypes(v.label(defaultDepth)));
+                    v.emit({id: 'Switch', op: 'br_table', type: 'none', depths, defaultDepth, byteOffset});
+                    v.unreachable();
+                    break;
+                }
+                case 0x0f:
+                    v.popOperands(v.controls[0].results);
+                    v.emit({id: 'Return', op: 'return', type: 'none', byteOffset});
+                    v.unreachable();
+                    break;
+                case 0x10: {
+                    const target = this.readFunctionIndex();
+                    const func = mod.funcs[target];
+                    v.popOperands(func.params);
+                    v.pushOperands(func.results);
+                    v.emit({
+                        id: 'Call',
+                        op: 'call',
+                        type: resultType(func.results),
+                        target,
+                        params: func.params,
+                        results: func.results,
+                        byteOffset
+                    });
+                    break;
+                }
+                case 0x11: {
+                    const typeIndex = this.readTypeIndex();
+                    const table = this.readTableIndex();
+                    if (mod.tables[table].element !== 'funcref') {
+                        throw this.error('type mismatch', byteOffset);
+                    }
+                    const type = mod.types[typeIndex];
+                    v.popOperand('i32');
+                    v.popOperands(type.params);
+                    v.pushOperands(type.results);
+                    v.emit({
+                        id: 'CallIndirect',
+                        op: 'call_indirect',
+                        type: resultType(type.results),
+                        typeIndex,
+                        table,
+                        params: type.params,
+                        results: type.results,
+                        byteOffset
+                    });
+                    break;
+                }
+                case 0x12: {
+                    // Tail calls return the callee's results as their own.
+                    const target = this.readFunctionIndex();
+                    const func = mod.funcs[target];
+                    if (!sameTypes(func.results, v.controls[0].results)) {
+                        throw this.error('type mismatch', byteOffset);
+                    }
+                    v.popOperands(func.params);
+                    v.emit({
+                        id: 'ReturnCall',
+                        op: 'return_call',
+                        type: 'none',
+                        target,
+                        params: func.params,
+                        results: func.results,
+                        byteOffset
+                    });
+                    v.unreachable();
+                    break;
+                }
+                case 0x13: {
+                    const typeIndex = this.readTypeIndex();
+                    const table = this.readTableIndex();
+                    if (mod.tables[table].element !== 'funcref') {
+                        throw this.error('type mismatch', byteOffset);
+                    }
+                    const type = mod.types[typeIndex];
+                    if (!sameTypes(type.results, v.controls[0].results)) {
+                        throw this.error('type mismatch', byteOffset);
+                    }
+                    v.popOperand('i32');
+                    v.popOperands(type.params);
+                    v.emit({
+                        id: 'ReturnCallIndirect',
+                        op: 'return_call_indirect',
+                        type: 'none',
+                        typeIndex,
+                        table,
+                        params: type.params,
+                        results: type.results,
+                        byteOffset
+                    });
+                    v.unreachable();
+                    break;
+                }
+                case 0x1a:
+                    v.popOperand();
+                    v.emit({id: 'Drop', op: 'drop', type: 'none', byteOffset});
+                    break;
+                case 0x1b: {
+                    v.popOperand('i32');
+                    const a = v.popOperand();
+                    const b = v.popOperand(a);
+                    const type = (a === unknown) ? b : a;
+                    // References need the typed form.
+                    if (referenceTypes.has(type)) {
+                        throw this.error('type mismatch', byteOffset);
+                    }
+                    v.pushOperand(type);
+                    v.emit({id: 'Select', op: 'select', type, byteOffset});
+                    break;
+                }
+                case 0x1c: {
+                    const types = this.readVector(() => this.readValueType());
+                    if (types.length !== 1) {
+                        throw this.error('invalid result arity', byteOffset);
+                    }
+                    const type = types[0];
+                    v.popOperands([type, type, 'i32']);
+                    v.pushOperand(type);
+                    v.emit({id: 'Select', op: 'select', type, byteOffset});
+                    break;
+                }
+                case 0x20:
+                case 0x21:
+                case 0x22: {
+                    const pos = this.pos;
+                    const index = this.readU32();
+                    if (index >= locals.length) {
+                        throw this.error('unknown local', pos);
+                    }
+                    const type = locals[index];
+                    if (opcode === 0x20) {
+                        v.pushOperand(type);
+                        v.emit({id: 'LocalGet', op: 'local.get', type, index, byteOffset});
+                    } else {
+                        const isTee = (opcode === 0x22);
+                        v.popOperand(type);
+                        if (isTee) {
+                            v.pushOperand(type);
+                        }
+                        v.emit({
+                            id: 'LocalSet',
+                            op: isTee ? 'local.tee' : 'local.set',
+                            type: isTee ? type : 'none',
+                            index,
+                            isTee,
+                            byteOffset
+                        });
+                    }
+                    break;
+                }
+                case 0x23:
+                case 0x24: {
+                    const pos = this.pos;
+                    const index = this.readU32();
+                    const global = mod.globals[index];
+                    if (!global) {
+                        throw this.error('unknown global', pos);
+                    }
+                    if (opcode === 0x23) {
+                        if (constant && !global.import) {
+                            throw this.error('unknown global', pos);
+                        }
+                        v.pushOperand(global.type);
+                        v.emit({id: 'GlobalGet', op: 'global.get', type: global.type, index, byteOffset});
+                    } else {
+                        if (!global.mutable) {
+                            throw this.error('global is immutable', pos);
+                        }
+                        v.popOperand(global.type);
+                        v.emit({id: 'GlobalSet', op: 'global.set', type: 'none', valueType: global.type, index, byteOffset});
+                    }
+                    break;
+                }
+                case 0x25:
+                case 0x26: {
+                    const table = this.readTableIndex();
+                    const type = mod.tables[table].element;
+                    if (opcode === 0x25) {
+                        v.popOperand('i32');
+                        v.pushOperand(type);
+                        v.emit({id: 'TableGet', op: 'table.get', type, table, byteOffset});
+                    } else {
+                        v.popOperands(['i32', type]);
+                        v.emit({id: 'TableSet', op: 'table.set', type: 'none', table, byteOffset});
+                    }
+                    break;
+                }
+                case 0x3f: {
+                    const memory = this.readMemoryIndex();
+                    const address = mod.memories[memory].address;
+                    v.pushOperand(address);
+                    v.emit({id: 'MemorySize', op: 'memory.size', type: address, memory, byteOffset});
+                    break;
+                }
+                case 0x40: {
+                    const memory = this.readMemoryIndex();
+                    const address = mod.memories[memory].address;
+                    v.popOperand(address);
+                    v.pushOperand(address);
+                    v.emit({id: 'MemoryGrow', op: 'memory.grow', type: address, memory, byteOffset});
+                    break;
+                }
+                case 0x41:
+                    v.pushOperand('i32');
+                    v.emit({id: 'Const', op: 'i32.const', type: 'i32', value: this.readS32(), byteOffset});
+                    break;
+                case 0x42:
+                    v.pushOperand('i64');
+                    v.emit({id: 'Const', op: 'i64.const', type: 'i64', value: this.readS64(), byteOffset});
+                    break;
+                case 0x43:
+                    v.pushOperand('f32');
+                    v.emit(this.readFloatConst('f32', byteOffset));
+                    break;
+                case 0x44:
+                    v.pushOperand('f64');
+                    v.emit(this.readFloatConst('f64', byteOffset));
+                    break;
+                case 0xd0: {
+                    const type = this.readElementType();
+                    v.pushOperand(type);
+                    v.emit({id: 'RefNull', op: 'ref.null', type, byteOffset});
+                    break;
+                }
+                case 0xd1: {
+                    const type = v.popOperand();
+                    if (type !== unknown && !referenceTypes.has(type)) {
+                        throw this.error('type mismatch', byteOffset);
+                    }
+                    v.pushOperand('i32');
+                    v.emit({id: 'RefIsNull', op: 'ref.is_null', type: 'i32', byteOffset});
+                    break;
+                }
+                case 0xd2: {
+                    const pos = this.pos;
+                    const index = this.readFunctionIndex();
+                    if (constant) {
+                        this.declaredFunctions.add(index);
+                    } else if (!this.declaredFunctions.has(index)) {
+                        throw this.error('undeclared function reference', pos);
+                    }
+                    v.pushOperand('funcref');
+                    v.emit({id: 'RefFunc', op: 'ref.func', type: 'funcref', index, byteOffset});
+                    break;
+                }
+                case 0xfc:
+                    this.parsePrefixedInstruction(v, byteOffset);
+                    break;
+                case 0xfd:
+                    this.parseSimdInstruction(v, byteOffset, constant);
+                    break;
+                case 0xfe:
+                    this.parseAtomicInstruction(v, byteOffset);
+                    break;
+                default:
+                    throw this.error(`illegal opcode ${opcode.toString(16)}`, byteOffset);
+            }
+        }
+        return body;
+    }
+
+    /// Decode an instruction from the 0xfc-prefixed space, which holds
+    /// the saturating conversions, the bulk memory instructions and
+    /// most of the table instructions.
+    parsePrefixedInstruction(v, byteOffset) {
+        const mod = this.module;
+        const opcode = this.readU32();
+        if (prefixedOps.has(opcode)) {
+            const {id, op, params, result} = prefixedOps.get(opcode);
+            v.popOperands(params);
+            v.pushOperand(result);
+            v.emit({id, op, type: result, byteOffset});
+            return;
+        }
+        const readDataIndex = () => {
+            const pos = this.pos;
+            const index = this.readU32();
+            if (mod.dataCount === null) {
+                throw this.error('data count section required', pos);
+            }
+            if (index >= mod.dataCount) {
+                throw this.error(`unknown data segment ${index}`, pos);
+            }
+            return index;
+        };
+        const readElementIndex = () => {
+            const pos = this.pos;
+            const index = this.readU32();
+            if (index >= mod.elements.length) {
+                throw this.error(`unknown elem segment ${index}`, pos);
+            }
+            return index;
+        };
+        switch (opcode) {
+            case 0x08: {
+                const segment = readDataIndex();
+                const memory = this.readMemoryIndex();
+                const address = mod.memories[memory].address;
+                v.popOperands([address, 'i32', 'i32']);
+                v.emit({id: 'MemoryInit', op: 'memory.init', type: 'none', segment, memory, address, byteOffset});
+                break;
+            }
+            case 0x09: {
+                const segment = readDataIndex();
+                v.emit({id: 'DataDrop', op: 'data.drop', type: 'none', segment, byteOffset});
+                break;
+            }
+            case 0x0a: {
+                const memory = this.readMemoryIndex();
+                const sourceMemory = this.readMemoryIndex();
+                const address = mod.memories[memory].address;
+                const sourceAddress = mod.memories[sourceMemory].address;
+                // The length is i64 only if both are memory64.
+                const lengthType = (address === 'i64' && sourceAddress === 'i64') ? 'i64' : 'i32';
+                v.popOperands([address, sourceAddress, lengthType]);
+                v.emit({
+                    id: 'MemoryCopy',
+                    op: 'memory.copy',
+                    type: 'none',
+                    memory,
+                    sourceMemory,
+                    address,
+                    sourceAddress,
+                    lengthType,
+                    byteOffset
+                });
+                break;
+            }
+            case 0x0b: {
+                const memory = this.readMemoryIndex();
+                const address = mod.memories[memory].address;
+                v.popOperands([address, 'i32', address]);
+                v.emit({id: 'MemoryFill', op: 'memory.fill', type: 'none', memory, address, byteOffset});
+                break;
+            }
+            case 0x0c: {
+                const segment = readElementIndex();
+                const table = this.readTableIndex();
+                if (mod.elements[segment].type !== mod.tables[table].element) {
+                    throw this.error('type mismatch', byteOffset);
+                }
+                v.popOperands(['i32', 'i32', 'i32']);
+                v.emit({id: 'TableInit', op: 'table.init', type: 'none', segment, table, byteOffset});
+                break;
+            }
+            case 0x0d: {
+                const segment = readElementIndex();
+                v.emit({id: 'ElemDrop', op: 'elem.drop', type: 'none', segment, byteOffset});
+                break;
+            }
+            case 0x0e: {
+                const table = this.readTableIndex();
+                const sourceTable = this.readTableIndex();
+                if (mod.tables[table].element !== mod.tables[sourceTable].element) {
+                    throw this.error('type mismatch', byteOffset);
+                }
+                v.popOperands(['i32', 'i32', 'i32']);
+                v.emit({id: 'TableCopy', op: 'table.copy', type: 'none', table, sourceTable, byteOffset});
+                break;
+            }
+            case 0x0f: {
+                const table = this.readTableIndex();
+                v.popOperands([mod.tables[table].element, 'i32']);
+                v.pushOperand('i32');
+                v.emit({id: 'TableGrow', op: 'table.grow', type: 'i32', table, byteOffset});
+                break;
+            }
+            case 0x10: {
+                const table = this.readTableIndex();
+                v.pushOperand('i32');
+                v.emit({id: 'TableSize', op: 'table.size', type: 'i32', table, byteOffset});
+                break;
+            }
+            case 0x11: {
+                const table = this.readTableIndex();
+                v.popOperands(['i32', mod.tables[table].element, 'i32']);
+                v.emit({id: 'TableFill', op: 'table.fill', type: 'none', table, byteOffset});
+                break;
+            }
+            default:
+                throw this.error(`illegal opcode fc ${opcode.toString(16)}`, byteOffset);
+        }
+    }
+
+    /// Decode an instruction from the 0xfd-prefixed space, which holds
+    /// the SIMD instructions. Only `v128.const` is constant.
+    parseSimdInstruction(v, byteOffset, constant) {
+        const opcode = this.readU32();
+        if (constant && opcode !== 0x0c) {
+            throw this.error('constant expression required', byteOffset);
+        }
+        const readLane = (count) => {
+            const pos = this.pos;
+            const lane = this.readByte();
+            if (lane >= count) {
+                throw this.error('invalid lane index', pos);
+            }
+            return lane;
+        };
+        if (simdOps.has(opcode)) {
+            const {id, op, params, result} = simdOps.get(opcode);
+            v.popOperands(params);
+            v.pushOperand(result);
+            v.emit({id, op, type: result, params, byteOffset});
+            return;
+        }
+        if (simdLaneOps.has(opcode)) {
+            const {id, op, laneType, count} = simdLaneOps.get(opcode);
+            const lane = readLane(count);
+            if (id === 'SimdExtractLane') {
+                v.popOperand('v128');
+                v.pushOperand(laneType);
+                v.emit({id, op, type: laneType, lane, byteOffset});
+            } else {
+                v.popOperands(['v128', laneType]);
+                v.pushOperand('v128');
+                v.emit({id, op, type: 'v128', laneType, lane, byteOffset});
+            }
+            return;
+        }
+        if (simdMemoryOps.has(opcode)) {
+            const {id, op, bytes} = simdMemoryOps.get(opcode);
+            const {memory, address, align, offset} = this.readMemarg(byteOffset);
+            if (2 ** align > bytes) {
+                throw this.error('alignment must not be larger than natural', byteOffset);
+            }
+            const node = {id, op, type: 'v128', bytes, memory, address, align, offset, byteOffset};
+            switch (id) {
+                case 'SimdLoad':
+                    v.popOperand(address);
+                    break;
+                case 'SimdStore':
+                    v.popOperands([address, 'v128']);
+                    node.type = 'none';
+                    break;
+                case 'SimdLoadLane':
+                    node.lane = readLane(16 / bytes);
+                    v.popOperands([address, 'v128']);
+                    break;
+                case 'SimdStoreLane':
+                    node.lane = readLane(16 / bytes);
+                    v.popOperands([address, 'v128']);
+                    node.type = 'none';
+                    break;
+            }
+            if (node.type !== 'none') {
+                v.pushOperand(node.type);
+            }
+            v.emit(node);
+            return;
+        }
+        switch (opcode) {
+            case 0x0c: {
+                // As four i32 lanes, which v128 values are carried as.
+                const pos = this.pos;
+                this.readBytes(16);
+                const value = [0, 4, 8, 12].map((offset) => this.view.getInt32(pos + offset, true));
+                v.pushOperand('v128');
+                v.emit({id: 'SimdConst', op: 'v128.const', type: 'v128', value, byteOffset});
+                break;
+            }
+            case 0x0d: {
+                const pos = this.pos;
+                const lanes = Array.from(this.readBytes(16));
+                if (lanes.some((lane) => lane >= 32)) {
+                    throw this.error('invalid lane index', pos);
+                }
+                v.popOperands(['v128', 'v128']);
+                v.pushOperand('v128');
+                v.emit({id: 'SimdShuffle', op: 'i8x16.shuffle', type: 'v128', lanes, byteOffset});
+                break;
+            }
+            default:
+                throw this.error(`illegal opcode fd ${opcode.toString(16)}`, byteOffset);
+        }
+    }
+
+    /// Decode an instruction from the 0xfe-prefixed space, which holds
+    /// the atomic memory accesses, waits and notifications.
+    parseAtomicInstruction(v, byteOffset) {
+        const opcode = this.readU32();
+        if (opcode === 0x03) {
+            const pos = this.pos;
+            if (this.readByte() !== 0) {
+                throw this.error('zero byte expected', pos);
+            }
+            v.emit({id: 'AtomicFence', op: 'atomic.fence', type: 'none', byteOffset});
+            return;
+        }
+        let node;
+        switch (opcode) {
+            case 0x00:
+                node = {id: 'AtomicNotify', op: 'memory.atomic.notify', type: 'i32', bytes: 4};
+                break;
+            case 0x01:
+                node = {id: 'AtomicWait', op: 'memory.atomic.wait32', type: 'i32', valueType: 'i32', bytes: 4};
+                break;
+            case 0x02:
+                node = {id: 'AtomicWait', op: 'memory.atomic.wait64', type: 'i32', valueType: 'i64', bytes: 8};
+                break;
+            default:
+                if (!atomicOps.has(opcode)) {
+                    throw this.error(`illegal opcode fe ${opcode.toString(16)}`, byteOffset);
+                }
+                node = Object.assign({}, atomicOps.get(opcode));
+        }
+        Object.assign(node, this.readMemarg(byteOffset));
+        node.byteOffset = byteOffset;
+        // Atomics may not be under-aligned, unlike other accesses.
+        if (2 ** node.align !== node.bytes) {
+            throw this.error('alignment must be equal to natural', byteOffset);
+        }
+        const {type, address} = node;
+        switch (node.id) {
+            case 'AtomicNotify':
+                v.popOperands([address, 'i32']);
+                break;
+            case 'AtomicWait':
+                v.popOperands([address, node.valueType, 'i64']);
+                break;
+            case 'AtomicLoad':
+                v.popOperand(address);
+                break;
+            case 'AtomicStore':
+                v.popOperands([address, type]);
+                node.type = 'none';
+                node.valueType = type;
+                break;
+            case 'AtomicRMW':
+                v.popOperands([address, type]);
+                break;
+            case 'AtomicCmpxchg':
+                v.popOperands([address, type, type]);
+                break;
+        }
+        if (node.type !== 'none') {
+            v.pushOperand(node.type);
+        }
+        v.emit(node);
+    }
+
+    /// Pick up function names from the "name" custom section, if present.
+    /// Malformed name sections are ignored, as the spec requires.
+    parseNames() {
+        const section = this.module.customs.find((custom) => custom.name === 'name');
+        if (!section) {
+            return;
+        }
+        const parser = new Parser(section.data);
+        try {
+            while (!parser.eof()) {
+                const id = parser.readByte();
+                const size = parser.readU32();
+                const end = parser.pos + size;
+                if (id === 1) {
+                    parser.readVector(() => {
+                        const index = parser.readU32();
+                        const name = parser.readName();
+                        const func = this.module.funcs[index];
+                        if (func) {
+                            func.name = name;
+                        }
+                    });
+                }
+                parser.pos = end;
+            }
+        } catch (e) {
+            if (!(e instanceof CompileError)) {
+                throw e;
+            }
+        }
+    }
+}
+
+/// Decode and validate a WebAssembly binary from a Uint8Array, returning
+/// the module's AST. Throws a WebAssembly.CompileError on bad input.
+function parse(bytes) {
+    return new Parser(bytes).parse();
+}
+
+module.exports = {
+    parse
+};
@@ -0,0 +1,2653 @@
+const {DebugInfo, DwarfError, evaluateLocation} = require('./dwarf.js');
+const {simd, v128Zero, v128Text, nearest} = require('./simd.js');
+
+const Global = WebAssembly.Global;
+const Memory = WebAssembly.Memory;
+const RuntimeError = WebAssembly.RuntimeError;
+
+/// Function types, as `signature()` strings, for the functions tables
+/// may hold. Checked by `call_indirect`, so JS functions that didn't
+/// come from an instance can't be called from one.
+const functionTypes = new WeakMap();
+
+function signature(params, results) {
+    return `${params.join(' ')} -> ${results.join(' ')}`;
+}
+
+function parseSignature(type) {
+    const [params, results] = type.split(' -> ').map((list) => list.split(' ').filter(Boolean));
+    return {params, results};
+}
+
+/// Tables keep functions as compiled code calls them. From JS they're
+/// seen as the instance exports them, which may pass i64s and NaNs
+/// differently, so each way is looked up here. Exports are wrapped
+/// on demand.
+const exportedFunctions = new WeakMap();
+const internalFunctions = new WeakMap();
+
+// Type of table entries holding native Wasm functions, which are
+// called through a native table to check their type.
+const nativeType = Symbol('native');
+
+// Largest table V8 allows.
+const maxTableSize = 10000000;
+
+// Largest memory V8 allows, in 64 KiB pages. memory64 ones may declare
+// more, but can't be grown past it.
+const maxMemoryPages = 65536;
+
+/// Address types and maximum sizes of memories instances define, as
+/// JS memories don't say. Imports of others can't be checked for them.
+const memoryTypes = new WeakMap();
+
+/// WebIDL's `[EnforceRange] unsigned long`, as the JS API takes
+/// table sizes and indexes.
+function enforceRange(value, name) {
+    const number = +value;
+    if (!Number.isFinite(number)) {
+        throw new TypeError(`${name} must be a finite number`);
+    }
+    const integer = Math.trunc(number);
+    if (integer < 0 || integer > 2**32 - 1) {
+        throw new TypeError(`${name} out of range`);
+    }
+    return integer;
+}
+
+let scratchTable = null;
+
+/// Is this a function exported from a native Wasm instance? Only
+/// those can be stored in a native table.
+function isNativeFunction(value) {
+    if (!(value instanceof Function)) {
+        return false;
+    }
+    if (!scratchTable) {
+        scratchTable = new WebAssembly.Table({element: 'anyfunc', initial: 1});
+    }
+    try {
+        scratchTable.set(0, value);
+        return true;
+    } catch (e) {
+        return false;
+    } finally {
+        scratchTable.set(0, null);
+    }
+}
+
+/// Clone of WebAssembly.Table that lets us store JS async functions.
+///
+/// Tables of functions may hold those exported from interpreter
+/// instances, or from native ones, which are type-checked by calling
+/// them through a native table of their own.
+class Table {
+    constructor({element, initial, minimum=undefined, maximum=undefined}, value=undefined) {
+        switch (element) {
+            case 'anyfunc':
+            case 'funcref':
+                this._element = 'funcref';
+                break;
+            case 'externref':
+                this._element = 'externref';
+                break;
+            default:
+                throw new TypeError('Table element must be funcref or externref');
+        }
+        initial = enforceRange(initial === undefined ? minimum : initial, 'initial');
+        if (initial > maxTableSize) {
+            throw new RangeError('initial out of range');
+        }
+
+        const hasMaximum = (maximum !== undefined);
+        if (hasMaximum) {
+            maximum = enforceRange(maximum, 'maximum');
+            if (maximum < initial) {
+                throw new RangeError('maximum smaller than initial');
+            }
+        }
+
+        this._maximum = maximum;
+        this._hasMaximum = hasMaximum;
+
+        // Each entry's function type is kept alongside it.
+        this._values = [];
+        this._types = [];
+        this._native = null;
+        this._fill(initial, value === undefined ? this._defaultValue() : value);
+    }
+
+    get length() {
+        return this._values.length;
+    }
+
+    get(index) {
+        index = this._index(index);
+        const value = this._values[index];
+        if (this._types[index] === null || this._types[index] === nativeType) {
+            return value;
+        }
+        const exported = exportedFunctions.get(value);
+        return exported ? exported() : value;
+    }
+
+    set(index, value=this._defaultValue()) {
+        this._store(this._index(index), value);
+    }
+
+    /// Add entries to the end of the table, holding the given value.
+    /// Returns the previous length.
+    grow(delta, value=this._defaultValue()) {
+        delta = enforceRange(delta, 'delta');
+        const length = this.length;
+        const limit = this._hasMaximum ? this._maximum : maxTableSize;
+        if (length + delta > limit) {
+            throw new RangeError('failed to grow table');
+        }
+        this._fill(delta, value);
+        return length;
+    }
+
+    /// Table type, as the type reflection proposal gives it.
+    type() {
+        const type = {
+            element: this._element,
+            minimum: this.length
+        };
+        if (this._hasMaximum) {
+            type.maximum = this._maximum;
+        }
+        return type;
+    }
+
+    _defaultValue() {
+        return this._element === 'funcref' ? null : undefined;
+    }
+
+    _index(index) {
+        index = enforceRange(index, 'index');
+        if (index >= this.length) {
+            throw new RangeError('invalid index');
+        }
+        return index;
+    }
+
+    _fill(count, value) {
+        // Converted up front, so a value the table can't hold leaves it
+        // as it was.
+        const entry = this._entry(value);
+        for (let i = 0; i < count; i++) {
+            this._values.push(null);
+            this._types.push(null);
+            this._put(this.length - 1, entry);
+        }
+    }
+
+    _store(index, value) {
+        this._put(index, this._entry(value));
+    }
+
+    /// Find how a value is held in the table, as the value compiled code
+    /// calls and its function type.
+    _entry(value) {
+        if (this._element === 'externref' || value === null) {
+            return {value, type: null};
+        }
+        const func = internalFunctions.get(value);
+        if (func) {
+            return {value: func, type: functionTypes.get(func) || null};
+        }
+        if (functionTypes.has(value) && exportedFunctions.has(value)) {
+            // Already as compiled code calls it, from `table.set`.
+            return {value, type: functionTypes.get(value) || null};
+        }
+        if (isNativeFunction(value)) {
+            return {value, type: nativeType};
+        }
+        throw new TypeError('Table can only hold WebAssembly functions');
+    }
+
+    _put(index, {value, type}) {
+        if (type === nativeType) {
+            if (!this._native) {
+                this._native = new WebAssembly.Table({element: 'anyfunc', initial: 0});
+            }
+            if (this._native.length <= index) {
+                this._native.grow(this.length - this._native.length);
+            }
+            this._native.set(index, value);
+        }
+        this._values[index] = value;
+        this._types[index] = type;
+    }
+
+    /// Store a function as compiled code calls it.
+    _setFunction(index, func) {
+        this._put(index, {value: func, type: functionTypes.get(func) || null});
+    }
+
+    /// Copy an entry from another table, or this one.
+    _copyEntry(source, from, to) {
+        if (source._types[from] === nativeType) {
+            this._store(to, source._values[from]);
+        } else {
+            this._values[to] = source._values[from];
+            this._types[to] = source._types[from];
+        }
+    }
+}
+
+/// Clone of a WebAssembly.Global of funcref type, which can hold
+/// functions exported from interpreter instances as well as native
+/// ones. Other types of global are native.
+class FuncrefGlobal extends Global {
+    constructor({mutable=false}={}, value=null) {
+        super({value: 'anyfunc', mutable: false});
+        this._mutable = Boolean(mutable);
+        this._value = funcrefToJS(funcrefFromJS(value));
+    }
+
+    get value() {
+        return this._value;
+    }
+
+    set value(value) {
+        if (!this._mutable) {
+            throw new TypeError('Cannot set the value of an immutable global');
+        }
+        this._value = funcrefToJS(funcrefFromJS(value));
+    }
+
+    valueOf() {
+        return this._value;
+    }
+}
+
+/// Stand-in for a WebAssembly.Global of v128 type, which can be
+/// imported and exported between interpreter instances. As with
+/// native ones, JS can't get or set its value.
+class V128Global extends Global {
+    constructor({mutable=false}={}, value=v128Zero) {
+        super({value: 'i32', mutable: false});
+        this._mutable = Boolean(mutable);
+        this._value = value;
+    }
+
+    get value() {
+        throw new TypeError('Cannot get the value of a v128 global');
+    }
+
+    set value(_value) {
+        throw new TypeError('Cannot set the value of a v128 global');
+    }
+
+    valueOf() {
+        throw new TypeError('Cannot get the value of a v128 global');
+    }
+}
+
+/// Value types and mutability of the globals instances define or
+/// import, to check imports of them against. Other globals' types can't
+/// be checked without type reflection.
+const globalTypes = new WeakMap();
+
+/// Can a JS value be imported as a global of this type? References are
+/// checked as they're converted.
+function globalValueFits(type, value) {
+    switch (type) {
+        case 'i32':
+        case 'f32':
+        case 'f64':
+            return typeof value === 'number';
+        case 'i64':
+            return typeof value === 'bigint';
+        case 'v128':
+            return false;
+        default:
+            return true;
+    }
+}
+
+/// Param types of the tags instances define, to check imports of them
+/// against. Native tags can't be checked without type reflection.
+const tagTypes = new WeakMap();
+
+/// Values of exceptions thrown by compiled code, as it passes them, so
+/// they're caught with their NaN bits and v128 values intact.
+const exceptionValueMap = new WeakMap();
+
+// Native tags carry funcref values as externref, and v128 ones not at all.
+function nativeTagType(type) {
+    return (type === 'funcref' || type === 'v128') ? 'externref' : type;
+}
+
+/// Name of the native caller modules, which V8 puts in the URLs of
+/// their stack frames.
+const nativeCallerName = 'terok-nor-caller';
+
+/// Build a native module calling a given type of function through an
+/// imported table, so native functions can be type-checked the way
+/// native `call_indirect` does. It exports `call(index, ...args)`.
+function nativeCallerBinary(params, results) {
+    const leb = (value) => {
+        const bytes = [];
+        do {
+            let byte = value & 0x7f;
+            value >>>= 7;
+            if (value) {
+                byte |= 0x80;
+            }
+            bytes.push(byte);
+        } while (value);
+        return bytes;
+    };
+    const vector = (items) => [...leb(items.length), ...items.flat()];
+    const section = (id, bytes) => [id, ...leb(bytes.length), ...bytes];
+    const name = (str) => vector(Array.from(str, (c) => c.charCodeAt(0)));
+    const types = {i32: 0x7f, i64: 0x7e, f32: 0x7d, f64: 0x7c, funcref: 0x70, externref: 0x6f, v128: 0x7b};
+    const funcType = (params, results) => [0x60, ...vector(params.map((type) => [types[type]])), ...vector(results.map((type) => [types[type]]))];
+    const body = [
+        0x00, // no locals
+        ...params.flatMap((_type, index) => [0x20, ...leb(index + 1)]), // local.get
+        0x20, 0x00, // local.get of the index
+        0x11, 0x00, 0x00, // call_indirect
+        0x0b
+    ];
+    return new Uint8Array([
+        0x00, 0x61, 0x73, 0x6d, 0x01, 0x00, 0x00, 0x00,
+        ...section(1, vector([funcType(params, results), funcType(['i32', ...params], results)])),
+        ...section(2, vector([[...name('t'), ...name('table'), 0x01, 0x70, 0x00, 0x00]])),
+        ...section(3, vector([[0x01]])),
+        ...section(7, vector([[...name('call'), 0x00, 0x00]])),
+        ...section(10, vector([[...leb(body.length), ...body]])),
+        ...section(0, [...name('name'), 0x00, ...vector(name(nativeCallerName))])
+    ]);
+}
+
+const nativeCallers = new WeakMap();
+
+/// Look up a function in a native table for a `call_indirect`. Native
+/// code checks the type, and its trap is reworded as others are here;
+/// V8 gives the same message for null elements, so they're checked
+/// first.
+function nativeTableFunction(table, index, type) {
+    index >>>= 0;
+    if (index >= table.length) {
+        trap(`undefined element ${index}`);
+    }
+    if (table.get(index) === null) {
+        trap(`uninitialized element ${index}`);
+    }
+    let callers = nativeCallers.get(table);
+    if (!callers) {
+        callers = new Map();
+        nativeCallers.set(table, callers);
+    }
+    let caller = callers.get(type);
+    if (!caller) {
+        const {params, results} = parseSignature(type);
+        const module = new WebAssembly.Module(nativeCallerBinary(params, results));
+        const instance = new WebAssembly.Instance(module, {t: {table}});
+        caller = importThunk(instance.exports.call, ['i32', ...params], results, true);
+        callers.set(type, caller);
+    }
+    return async (...args) => {
+        try {
+            return await caller(index, ...args);
+        } catch (error) {
+            // Traps in the callee are left as they are.
+            const [, frame=''] = String(error.stack).split('\n');
+            if (error instanceof RuntimeError && frame.includes(`wasm://wasm/${nativeCallerName}-`)) {
+                trap('indirect call type mismatch');
+            }
+            throw error;
+        }
+    };
+}
+
+/// Base class for compiled modules. The compiled form is the module's
+/// structure, minus the code, and a factory function for each function
+/// body and constant expression. It's built by `Interpreter.Module`
+/// from the binary, or loaded from the ES module output by its
+/// `toSource()` method, which needs only this runtime and no eval.
+///
+/// The compiled form may also be given as a Promise.
+class Module {
+    constructor(compiled) {
+        this._mod = null;
+        this._debug = false;
+        this._preserveNaN = false;
+        this._metered = false;
+        this._debugInfo = undefined;
+        this._bytes = null;
+        this._functions = [];
+        this._constants = null;
+        this._breakpointIndexes = new Map();
+        this._sequences = [];
+        this._sequenceIndexes = new Int32Array();
+
+        this.isReady = false;
+        this.ready = Promise.resolve().then(async () => {
+            this._load(await compiled);
+            this.isReady = true;
+            return this;
+        });
+    }
+
+    _load({debug, preserveNaN=false, metered=false, mod, bytes, functions, globals, elements, datas, breakpoints, sequences}) {
+        if (bytes) {
+            // Custom sections are slices of the binary.
+            for (let custom of mod.customs) {
+                if (!custom.data) {
+                    custom.data = bytes.subarray(custom.byteOffset, custom.byteOffset + custom.byteLength);
+                }
+            }
+        }
+        this._mod = mod;
+        this._debug = debug;
+        this._preserveNaN = preserveNaN;
+        this._metered = metered;
+        this._bytes = bytes;
+        this._functions = functions;
+        this._constants = {globals, elements, datas};
+
+        // Every instruction that can stop in the debugger has an index
+        // into the instance's breakpoint bitmap. Runs of uninterruptible
+        // instructions also share an index into the sequence bitmap, so
+        // they can be checked all at once.
+        this._breakpointIndexes = new Map(breakpoints.map((offset, index) => [offset, index]));
+        this._sequences = sequences;
+        this._sequenceIndexes = new Int32Array(breakpoints.length).fill(-1);
+        sequences.forEach((indexes, sequence) => {
+            for (let index of indexes) {
+                this._sequenceIndexes[index] = sequence;
+            }
+        });
+    }
+
+    /// DWARF debug info from the module's custom sections as a DebugInfo,
+    /// or null if it was built without. Decoded on first use.
+    ///
+    /// Debug info that's truncated, or uses something the reader doesn't
+    /// support, is treated as missing, so the module can still be debugged
+    /// by function index and offset.
+    get debugInfo() {
+        if (this._debugInfo === undefined) {
+            try {
+                this._debugInfo = this._mod ? DebugInfo.fromModule(this._mod) : null;
+            } catch (error) {
+                // Debug info that can't be read is as good as none, but
+                // anything else is a bug to hear about.
+                if (!(error instanceof DwarfError)) {
+                    throw error;
+                }
+                this._debugInfo = null;
+            }
+        }
+        return this._debugInfo;
+    }
+}
+
+/// Thrown out of running code when an instance's `fuel` runs out.
+/// It's not a trap, so it isn't a WebAssembly.RuntimeError.
+class FuelExhausted extends Error {
+    constructor(message='fuel exhausted') {
+        super(message);
+        this.name = 'FuelExhausted';
+    }
+}
+
+class Instance {
+
+    /// Options:
+    ///   fuel: how many loop iterations and calls may run in total,
+    ///     before a FuelExhausted error is thrown. Defaults to unlimited.
+    ///   yieldEvery: how many loop iterations and calls to run between
+    ///     yields to the event loop, which keep long-running code from
+    ///     blocking it. Defaults to never.
+    ///   signal: an AbortSignal that stops all calls into the instance,
+    ///     which reject with its reason, an AbortError by default.
+    /// These need the module to have been compiled with `metered: true`.
+    ///   maxCallDepth: how deeply calls may nest before trapping with
+    ///     "call stack exhausted". Compiled functions take up the JS stack,
+    ///     so the default leaves room for large ones under V8's limits.
+    constructor(module, imports, {fuel=Infinity, yieldEvery=Infinity, signal=null, maxCallDepth=2000}={}) {
+        this.exports = {};
+
+        if (!module._metered && (fuel !== Infinity || yieldEvery !== Infinity || signal)) {
+            throw new RangeError('Fuel and signals require a module compiled with metered: true');
+        }
+
+        // Compiled code counts down `_ticks` at each loop iteration
+        // and call, then checks in with `_tick()`.
+        this._fuel = fuel;
+        this._yieldEvery = yieldEvery;
+        this._window = 0;
+        this._ticks = 0;
+        this._refill();
+
+        // Aborting has running code check in at the next chance. Each
+        // chain of calls then checks the instance's signal and its own:
+        // callers set `_signals` to theirs just while starting a call,
+        // and compiled functions keep what they found there on entry.
+        this._signal = signal;
+        this._signals = null;
+        this._interrupt = () => {
+            this._fuel = this.fuel;
+            this._window = 0;
+            this._ticks = 0;
+        };
+        if (signal) {
+            signal.addEventListener('abort', this._interrupt);
+        }
+
+        // For debugging support
+        this._debug = module._debug;
+        this._singleStep = false;
+        this._breakpoints = new Set();
+        this._breakpointIndexes = module._breakpointIndexes;
+        this._sequences = module._sequences;
+        this._sequenceIndexes = module._sequenceIndexes;
+        this._activeBreakpoints = new Int32Array(this._breakpointIndexes.size);
+        this._activeSequences = new Int32Array(this._sequences.length);
+        this._stepping = null;
+        this._paused = null;
+        this.debugger = null;
+
+        this._module = module;
+        this._mod = module._mod;
+        this._globals = [];
+        this._funcs = [];
+        this._functionNames = new Map();
+
+        this._memories = [];
+        this._tables = [];
+
+        // Element and data segments, or null once dropped
+        this._elements = [];
+        this._datas = [];
+
+        this._stackTracers = [];
+        this._maxCallDepth = maxCallDepth;
+
+        // Exception tags, and the last error thrown by the debugger
+        // callback, which exception handlers let through.
+        this._tags = [];
+        this._stopping = undefined;
+
+        // Stack depths whose frames replaced their callers' through
+        // tail calls, and the functions that can be made that way.
+        this._tailCalls = new Set();
+        this._compiledFunctions = new WeakSet();
+
+        const importValue = (imported) => {
+            const namespace = imports[imported.module];
+            // Native instances' exports have a null prototype.
+            if (namespace === null || (typeof namespace !== 'object' && typeof namespace !== 'function')) {
+                throw new TypeError(`Missing import module ${imported.module}`);
+            }
+            if (!(imported.name in namespace)) {
+                throw new WebAssembly.LinkError(`unknown import ${imported.module}.${imported.name}`);
+            }
+            return namespace[imported.name];
+        };
+
+        this.isReady = false;
+        this.ready = Promise.resolve().then(async () => {
+            const mod = this._mod;
+
+            const constants = module._constants;
+            const evaluateConstant = async (factory) => {
+                return await factory(runtime, this)();
+            };
+
+            // Memories
+            for (let memory of mod.memories) {
+                if (memory.import) {
+                    const imported = importValue(memory.import);
+                    if (!(imported instanceof Memory)) {
+                        throw new WebAssembly.LinkError('incompatible import type');
+                    }
+                    const type = memoryTypes.get(imported);
+                    const tooSmall = (imported.buffer.byteLength / 65536) < memory.initial;
+                    const unbounded = type && memory.maximum !== undefined &&
+                        (type.maximum === undefined || type.maximum > memory.maximum);
+                    if (memory.shared !== (imported.buffer instanceof SharedArrayBuffer) || tooSmall || unbounded ||
+                        (type && type.address !== memory.address)) {
+                        throw new WebAssembly.LinkError('incompatible import type');
+                    }
+                    this._memories.push(imported);
+                } else {
+                    const memInit = {
+                        initial: memory.initial
+                    };
+                    if (memory.maximum !== undefined) {
+                        memInit.maximum = Math.min(memory.maximum, maxMemoryPages);
+                    }
+                    if (memory.shared) {
+                        memInit.shared = true;
+                    }
+                    const created = new Memory(memInit);
+                    memoryTypes.set(created, {address: memory.address, maximum: memory.maximum});
+                    this._memories.push(created);
+                }
+            }
+
+            // Tags
+            for (let info of mod.tags) {
+                if (info.import) {
+                    const imported = importValue(info.import);
+                    const types = tagTypes.get(imported);
+                    const mismatched = types && signature(types, []) !== signature(info.params, []);
+                    if (!(imported instanceof WebAssembly.Tag) || mismatched) {
+                        throw new WebAssembly.LinkError('incompatible import type');
+                    }
+                    this._tags.push(imported);
+                } else {
+                    const tag = new WebAssembly.Tag({parameters: info.params.map(nativeTagType)});
+                    tagTypes.set(tag, info.params);
+                    this._tags.push(tag);
+                }
+            }
+
+            // Globals
+            // Funcref ones may refer to functions, which aren't set up
+            // yet; they're initialized afterwards.
+            const funcrefGlobals = [];
+            for (let [index, info] of mod.globals.entries()) {
+                let global;
+                if (info.import) {
+                    const imported = importValue(info.import);
+                    if (imported instanceof Global) {
+                        const type = globalTypes.get(imported);
+                        const mismatched = type && (type.value !== info.type || type.mutable !== info.mutable);
+                        // Only v128 ones from other instances will do.
+                        if (mismatched || (info.type === 'v128') !== (imported instanceof V128Global)) {
+                            throw new WebAssembly.LinkError('incompatible import type');
+                        }
+                        global = imported;
+                    } else if (info.mutable || !globalValueFits(info.type, imported)) {
+                        // Plain values can only be immutable globals.
+                        throw new WebAssembly.LinkError('incompatible import type');
+                    } else if (info.type === 'funcref') {
+                        global = new FuncrefGlobal({mutable: false}, imported);
+                    } else {
+                        global = new Global({
+                            value: info.type,
+                            mutable: false
+                        }, imported);
+                    }
+                } else if (info.type === 'funcref') {
+                    global = new FuncrefGlobal({mutable: info.mutable});
+                    funcrefGlobals.push(index);
+                } else if (info.type === 'v128') {
+                    const init = await evaluateConstant(constants.globals[index]);
+                    global = new V128Global({mutable: info.mutable}, init);
+                } else {
+                    let init = await evaluateConstant(constants.globals[index]);
+                    if (info.type === 'i64') {
+                        init = i64Join(...init);
+                    }
+                    global = new Global({
+                        value: info.type,
+                        mutable: info.mutable
+                    }, init);
+                    if (init instanceof NaNBits) {
+                        globalNaNs.set(global, init);
+                    }
+                }
+                if (!globalTypes.has(global)) {
+                    globalTypes.set(global, {value: info.type, mutable: info.mutable});
+                }
+                this._globals.push(global);
+            }
+
+            // Prep internally-callable functions
+            for (let func of mod.funcs) {
+                let thunk;
+                if (!func.import) {
+                    // Regular, non-imported function
+                    thunk = module._functions[func.index](runtime, this);
+                    this._compiledFunctions.add(thunk);
+                } else {
+                    // Imports; note import functions may be sync or async.
+                    const imported = importValue(func.import);
+                    if (imported instanceof Function) {
+                        // Functions exported from instances have a type to match.
+                        const type = functionTypes.get(imported);
+                        if (type && type !== signature(func.params, func.results)) {
+                            throw new WebAssembly.LinkError('incompatible import type');
+                        }
+                        if (type && crossesV128(func.params, func.results)) {
+                            // Can't go through JS, but can be called directly.
+                            thunk = internalFunctions.get(imported);
+                        } else {
+                            thunk = importThunk(imported, func.params, func.results, module._preserveNaN);
+                        }
+                    } else {
+                        throw new WebAssembly.LinkError('incompatible import type');
+                    }
+                }
+                this._funcs.push(thunk);
+                this._functionNames.set(thunk, func.name);
+                functionTypes.set(thunk, signature(func.params, func.results));
+            }
+
+            // Tables
+            for (let table of mod.tables) {
+                if (table.import) {
+                    // Native tables can be called through, but can't
+                    // hold interpreted functions.
+                    const imported = importValue(table.import);
+                    if (!(imported instanceof Table || imported instanceof WebAssembly.Table)) {
+                        throw new WebAssembly.LinkError('incompatible import type');
+                    }
+                    // Native tables' element types and maximums can't be
+                    // checked without type reflection.
+                    const tooSmall = (imported.length < table.initial);
+                    const tooLarge = (table.maximum !== undefined) && (imported instanceof Table) &&
+                        !(imported._hasMaximum && imported._maximum <= table.maximum);
+                    const mismatched = (imported instanceof Table) && (imported._element !== table.element);
+                    if (tooSmall || tooLarge || mismatched) {
+                        throw new WebAssembly.LinkError('incompatible import type');
+                    }
+                    this._tables.push(imported);
+                } else {
+                    const init = {
+                        element: table.element,
+                        initial: table.initial
+                    };
+                    if (table.maximum !== undefined) {
+                        init.maximum = table.maximum;
+                    }
+                    // Filled with null references, as Wasm sees them.
+                    this._tables.push(new Table(init, null));
+                }
+            }
+
+            // Exports may need wrapping to take and return JS values.
+            const wrappers = new Map();
+            const exportedFunction = (index) => {
+                if (!wrappers.has(index)) {
+                    const {params, results} = mod.funcs[index];
+                    let wrapper = exportThunk(this._funcs[index], params, results, module._preserveNaN);
+                    wrapper = module._metered ? this._abortable(wrapper, params.length) : unabortable(wrapper, params.length);
+                    functionTypes.set(wrapper, signature(params, results));
+                    internalFunctions.set(wrapper, this._funcs[index]);
+                    wrappers.set(index, wrapper);
+                }
+                return wrappers.get(index);
+            };
+            this._funcs.forEach((func, index) => {
+                exportedFunctions.set(func, () => exportedFunction(index));
+            });
+
+            for (let index of funcrefGlobals) {
+                const init = await evaluateConstant(constants.globals[index]);
+                this._globals[index]._value = funcrefToJS(init);
+            }
+
+            // Set up the exports...
+            for (let exp of mod.exports) {
+                let exported;
+                switch (exp.kind) {
+                    case 'function':
+                        exported = exportedFunction(exp.index);
+                        break;
+                    case 'table':
+                        exported = this._tables[exp.index];
+                        break;
+                    case 'memory':
+                        exported = this._memories[exp.index];
+                        break;
+                    case 'global':
+                        exported = this._globals[exp.index];
+                        break;
+                    case 'tag':
+                        exported = this._tags[exp.index];
+                        break;
+                    default:
+                        throw new RangeError("Unexpected export type");
+                }
+                this.exports[exp.name] = exported;
+            }
+
+            // Segments stay around for the bulk memory instructions,
+            // until dropped. Active ones are written as if by table.init
+            // and memory.init, then dropped, so one that doesn't fit
+            // traps after the ones before it are written.
+            this._elements = mod.elements.map((segment) => {
+                return segment.funcs.map((index) => index === null ? null : this._funcs[index]);
+            });
+            this._datas = mod.datas.map((segment) => segment.data);
+            for (let [index, segment] of mod.elements.entries()) {
+                if (segment.mode === 'active') {
+                    const offset = await evaluateConstant(constants.elements[index]);
+                    tableInit(this._tables[segment.table], this._elements[index], offset, 0, segment.funcs.length);
+                }
+                if (segment.mode !== 'passive') {
+                    this._elements[index] = null;
+                }
+            }
+            for (let [index, segment] of mod.datas.entries()) {
+                if (segment.mode === 'active') {
+                    // i64 offsets, for memory64, come as low and high words.
+                    const offset = await evaluateConstant(constants.datas[index]);
+                    const address = Array.isArray(offset) ? Number(BigInt.asUintN(64, i64Join(...offset))) : offset >>> 0;
+                    memoryInit(this._memories[segment.memory], this._datas[index], address, 0, segment.data.length);
+                    this._datas[index] = null;
+                }
+            }
+
+            if (mod.start !== null) {
+                await this._funcs[mod.start]();
+            }
+
+            this.isReady = true;
+            return this;
+        });
+    }
+
+    /// Remaining loop iterations and calls before FuelExhausted is
+    /// thrown. Can be set to top it up, including once it's run out.
+    get fuel() {
+        // Unlimited allotments don't count down.
+        const used = (this._window === Infinity) ? 0 : this._window - this._ticks;
+        return Math.max(0, this._fuel - used);
+    }
+
+    set fuel(val) {
+        this._fuel = val;
+        this._refill();
+    }
+
+    get yieldEvery() {
+        return this._yieldEvery;
+    }
+
+    set yieldEvery(val) {
+        this._fuel = this.fuel;
+        this._yieldEvery = val;
+        this._refill();
+    }
+
+    _refill() {
+        this._window = Math.max(0, Math.min(this._fuel, this._yieldEvery));
+        this._ticks = this._window;
+    }
+
+    /// Called from compiled code when `_ticks` runs out, to yield to
+    /// the event loop or stop. `signals` are those of the call chain
+    /// it's called from.
+    async _tick(signals) {
+        this._fuel = this.fuel;
+        this._refill();
+        this._checkSignals(signals);
+        if (this._fuel <= 0) {
+            throw new FuelExhausted();
+        }
+        if (this._yieldEvery !== Infinity) {
+            // A macrotask, so timers and input events get a turn.
+            await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+    }
+
+    /// Throw the reason of the instance's signal or one of a call
+    /// chain's, if any has been aborted.
+    _checkSignals(signals) {
+        if (this._signal) {
+            this._signal.throwIfAborted();
+        }
+        if (signals) {
+            for (let signal of signals) {
+                signal.throwIfAborted();
+            }
+        }
+    }
+
+    _aborted(signals) {
+        return Boolean(this._signal && this._signal.aborted) ||
+            Boolean(signals && signals.some((signal) => signal.aborted));
+    }
+
+    /// Wrap an exported function to take an optional `{signal}` argument
+    /// after its params, whose AbortSignal stops the call. Calls from JS
+    /// also stop on entry if the instance's signal, or one for a call
+    /// they were made from, has been aborted already.
+    ///
+    /// A call made from an import counts as part of the call that
+    /// called the import only if it's made before the import awaits
+    /// anything; after that, it can't be told apart from one made
+    /// from elsewhere, and only its own signal applies.
+    _abortable(func, arity) {
+        return async (...args) => {
+            const options = args.length > arity ? args[arity] : null;
+            const signal = options ? options.signal : null;
+            const outer = this._signals;
+            const signals = signal ? (outer || []).concat(signal) : outer;
+            this._checkSignals(signals);
+            if (signal) {
+                signal.addEventListener('abort', this._interrupt);
+            }
+            try {
+                // The callee picks up the signals as it starts.
+                this._signals = signals;
+                let result;
+                try {
+                    result = func(...args.slice(0, arity));
+                } finally {
+                    this._signals = outer;
+                }
+                return await result;
+            } catch (error) {
+                throw stackExhaustion(error);
+            } finally {
+                if (signal) {
+                    signal.removeEventListener('abort', this._interrupt);
+                }
+            }
+        };
+    }
+
+    /// Generate a full stack trace, dumping stacks and locals from
+    /// the internal state of each function on the call stack.
+    /// These are Frame objects.
+    stackTrace(start=undefined, end=undefined) {
+        const stack = this._stackTracers.slice(start, end);
+        const length = this._stackTracers.length;
+        const first = (start === undefined) ? 0 : (start < 0) ? Math.max(0, length + start) : start;
+        return stack.map((dump, index) => {
+            const frame = dump();
+            frame.tailCall = this._tailCalls.has(first + index);
+            return frame;
+        });
+    }
+
+    /// Set a breakpoint at an instruction, given as a `{func, offset}`
+    /// location or a bare module offset. Offsets are from the start of the
+    /// module binary, so they are stable across instantiations and match
+    /// wasm-objdump and native engines' stack traces. An offset within an
+    /// instruction sets it on that instruction; one outside any function
+    /// body is a RangeError.
+    ///
+    /// If the module has DWARF debug info, a source line may be given
+    /// instead as a `'file:line'` or `'file:line:column'` string; this
+    /// sets breakpoints on every instruction starting that line.
+    ///
+    /// Returns the SourceLocations of the instructions it was set on.
+    setBreakpoint(sourceLocation) {
+        const keys = this._locationKeys(sourceLocation);
+        for (let key of keys) {
+            this._breakpoints.add(key);
+        }
+        this._updateBreakpoints();
+        return keys.map((key) => this._location(key));
+    }
+
+    clearBreakpoint(sourceLocation) {
+        for (let key of this._locationKeys(sourceLocation)) {
+            this._breakpoints.delete(key);
+        }
+        this._updateBreakpoints();
+    }
+
+    hasBreakpoint(sourceLocation) {
+        return this._locationKeys(sourceLocation).every((key) => this._breakpoints.has(key));
+    }
+
+    /// List the active breakpoints as SourceLocation objects.
+    breakpoints() {
+        return Array.from(this._breakpoints, (offset) => this._location(offset));
+    }
+
+    get singleStep() {
+        return this._singleStep;
+    }
+
+    set singleStep(val) {
+        val = Boolean(val);
+        if (val == this._singleStep) {
+            return;
+        }
+        this._singleStep = val;
+        this._updateBreakpoints();
+    }
+
+    /// Is execution currently stopped in the `debugger` callback?
+    get paused() {
+        // If the callback threw, the call it was stopped in is gone.
+        return this._paused !== null && this._paused.root === this._stackTracers[0];
+    }
+
+    /// While paused in the `debugger` callback, have execution stop again
+    /// at the next instruction once the callback returns, even if that's
+    /// in a function being called.
+    ///
+    /// Pass `{granularity: 'line'}` to step by source lines instead of
+    /// instructions, using the DWARF debug info; code without line info
+    /// is stepped through without stopping. If the module has no debug
+    /// info at all, this steps by instruction.
+    stepInto({granularity='instruction'}={}) {
+        this._step('into', granularity);
+    }
+
+    /// While paused, have execution stop again at the next instruction in
+    /// the current function, or its caller if it returns. Calls made along
+    /// the way run through without stopping, unless they hit a breakpoint.
+    stepOver({granularity='instruction'}={}) {
+        this._step('over', granularity);
+    }
+
+    /// While paused, have execution stop again once the current function
+    /// has returned to its caller.
+    stepOut({granularity='instruction'}={}) {
+        this._step('out', granularity);
+    }
+
+    /// Have execution stop again when it reaches the given location, at any
+    /// call depth. Locations are given the same way as for `setBreakpoint`,
+    /// and act as a one-time breakpoint.
+    ///
+    /// This may also be called when not paused, to stop the next time
+    /// a call reaches the location.
+    continueTo(sourceLocation) {
+        this._stepping = {
+            mode: 'to',
+            targets: new Set(this._locationKeys(sourceLocation)),
+            root: null
+        };
+        this._updateBreakpoints();
+    }
+
+    _step(mode, granularity) {
+        if (granularity !== 'instruction' && granularity !== 'line') {
+            throw new RangeError(`Unknown step granularity ${granularity}`);
+        }
+        if (!this.paused) {
+            throw new Error('Stepping requires execution to be paused in the debugger');
+        }
+        if (granularity === 'line' && !this._module.debugInfo) {
+            granularity = 'instruction';
+        }
+        const paused = this._paused;
+        this._stepping = {
+            mode,
+            granularity,
+            depth: paused.depth,
+            line: granularity === 'line' ? this.lineInfo(paused.offset) : null,
+            // The outermost frame tells us if the call we were stepping in
+            // has finished, so a step doesn't carry over to the next call.
+            root: paused.root
+        };
+        this._updateBreakpoints();
+    }
+
+    /// Called from compiled code on reaching an instruction whose
+    /// breakpoint bit is set. Those are all on while stepping, so check
+    /// whether this is somewhere to actually stop before handing control
+    /// to the `debugger` callback.
+    _pause(offset) {
+        if (!this._singleStep && !this._breakpoints.has(offset) && !this._stepComplete(offset)) {
+            return undefined;
+        }
+        if (this._stepping) {
+            this._stepping = null;
+            this._updateBreakpoints();
+        }
+        // Cleared by the compiled code once it's running again.
+        this._paused = {
+            offset,
+            depth: this._stackTracers.length,
+            root: this._stackTracers[0]
+        };
+        // Errors from the callback stop execution, so Wasm can't catch them.
+        const stop = (error) => {
+            this._stopping = error;
+            throw error;
+        };
+        try {
+            const result = this.debugger();
+            return (result instanceof Promise) ? result.catch(stop) : result;
+        } catch (error) {
+            stop(error);
+        }
+    }
+
+    _stepComplete(offset) {
+        const step = this._stepping;
+        if (!step) {
+            return false;
+        }
+        if (step.mode === 'to') {
+            return step.targets.has(offset);
+        }
+        if (step.root !== this._stackTracers[0] && this._tailCalls.has(0)) {
+            // Replaced by a tail call, but still the same call.
+            step.root = this._stackTracers[0];
+        }
+        if (step.root !== this._stackTracers[0]) {
+            // The call we were stepping through has finished.
+            this._stepping = null;
+            this._updateBreakpoints();
+            return false;
+        }
+
+        const depth = this._stackTracers.length;
+        const byLine = step.granularity === 'line';
+        const line = byLine ? this.lineInfo(offset) : null;
+        if (byLine && !line) {
+            return false;
+        }
+        const newLine = !byLine || !step.line ||
+            line.file !== step.line.file ||
+            line.line !== step.line.line;
+        switch (step.mode) {
+            case 'into':
+                return depth !== step.depth || newLine;
+            case 'over':
+                return depth < step.depth || (depth === step.depth && newLine);
+            case 'out':
+                return depth < step.depth;
+        }
+        return false;
+    }
+
+    /// Set the breakpoint bitmaps to match the breakpoints and stepping
+    /// state. Everything is switched on while single-stepping or stepping,
+    /// except for `continueTo` which needs only its targets.
+    _updateBreakpoints() {
+        const stepping = this._stepping;
+        if (this._singleStep || (stepping && stepping.mode !== 'to')) {
+            this._activeBreakpoints.fill(1);
+            this._activeSequences.fill(1);
+            return;
+        }
+        this._activeBreakpoints.fill(0);
+        this._activeSequences.fill(0);
+        const keys = new Set(this._breakpoints);
+        if (stepping) {
+            for (let key of stepping.targets) {
+                keys.add(key);
+            }
+        }
+        for (let key of keys) {
+            const index = this._breakpointIndex(key);
+            if (index === -1) {
+                // No code was compiled to stop there.
+                continue;
+            }
+            this._activeBreakpoints[index] = 1;
+            const sequence = this._sequenceIndexes[index];
+            if (sequence > -1) {
+                this._activeSequences[sequence]++;
+            }
+        }
+    }
+
+    /// Source line info for the instruction at a module offset, as a
+    /// LineInfo, if the module has DWARF debug info covering it.
+    lineInfo(offset) {
+        const debugInfo = this._module.debugInfo;
+        return debugInfo ? debugInfo.lookup(offset) : null;
+    }
+
+    /// Fill in a stack frame's source file, line and function name
+    /// from the DWARF debug info, if any, and in debug mode the values
+    /// of its source variables.
+    _resolveFrame(frame) {
+        const debugInfo = this._module.debugInfo;
+        if (debugInfo && frame.sourceLocation) {
+            const offset = frame.sourceLocation.offset;
+            const line = debugInfo.lookup(offset);
+            if (line) {
+                frame.file = line.file;
+                frame.line = line.line;
+                frame.column = line.column;
+            }
+            frame.functionName = debugInfo.functionName(offset);
+            if (frame.locals) {
+                frame.variables = debugInfo.variables(offset).map((variable) => ({
+                    name: variable.name,
+                    type: variable.type ? variable.type.name : null,
+                    value: this._variableValue(variable, frame)
+                }));
+            }
+        }
+    }
+
+    /// Read a source variable's value in a frame, following its DWARF
+    /// location. Returns undefined if it's optimized out here, or isn't of
+    /// a type with a plain value, like a struct.
+    _variableValue(variable, frame) {
+        if (!variable.location) {
+            return undefined;
+        }
+        const type = variable.type || {encoding: null, size: null};
+        const memory = this._memories[0];
+        const view = memory ? new DataView(memory.buffer) : null;
+        const context = {
+            local: (index) => frame.locals[index],
+            global: (index) => this._globals[index].value,
+            load: (address) => view.getUint32(address, true),
+            frameBase: variable.frameBase
+        };
+        try {
+            const result = evaluateLocation(variable.location, context);
+            if (!result) {
+                return undefined;
+            }
+            if ('value' in result) {
+                const value = result.value;
+                const unsigned = type.encoding === 'unsigned' || type.encoding === 'address';
+                return (unsigned && typeof value === 'number') ? value >>> 0 : value;
+            }
+            if ('bytes' in result) {
+                const bytes = result.bytes;
+                return loadVariable(new DataView(bytes.buffer, bytes.byteOffset, bytes.length), 0, type);
+            }
+            return view ? loadVariable(view, Number(result.address), type) : undefined;
+        } catch (error) {
+            // Reads out of bounds, or locals of the wrong kind for the
+            // expression's arithmetic.
+            return undefined;
+        }
+    }
+
+    /// Resolve a location to the breakpoint keys for it. Source lines may
+    /// cover several instructions, or none.
+    _locationKeys(sourceLocation) {
+        if (typeof sourceLocation !== 'string') {
+            return [this._locationKey(sourceLocation)];
+        }
+        const match = /^(.+):(\d+)(?::(\d+))?$/.exec(sourceLocation);
+        if (!match) {
+            throw new TypeError(`Expected a file:line source location, got "${sourceLocation}"`);
+        }
+        const debugInfo = this._module.debugInfo;
+        if (!debugInfo) {
+            throw new RangeError('Source locations require DWARF debug info');
+        }
+        const [, file, line, column] = match;
+        const keys = new Set();
+        for (let offset of debugInfo.findLine(file, Number(line), Number(column || 0))) {
+            const instruction = this._instructionAt(offset);
+            if (instruction !== null) {
+                keys.add(instruction);
+            }
+        }
+        if (!keys.size) {
+            throw new RangeError(`No code found for ${sourceLocation}`);
+        }
+        return Array.from(keys);
+    }
+
+    /// Breakpoints are keyed on the module offset of the instruction,
+    /// which is unique across all functions. Offsets inside an
+    /// instruction's immediates are taken as that instruction.
+    _locationKey(sourceLocation) {
+        if (typeof sourceLocation === 'number') {
+            const instruction = this._instructionAt(sourceLocation);
+            if (instruction === null) {
+                throw new RangeError(`No instruction at offset ${sourceLocation}`);
+            }
+            return instruction;
+        }
+        if (sourceLocation && typeof sourceLocation.offset === 'number') {
+            const {func, offset} = sourceLocation;
+            if (func !== undefined && func !== null) {
+                const info = this._mod.funcs[func];
+                if (!info || offset < info.byteOffset || offset >= info.byteOffset + info.byteLength) {
+                    throw new RangeError(`Offset ${offset} is not within function ${func}`);
+                }
+            }
+            return this._locationKey(offset);
+        }
+        throw new TypeError('Expected a source location');
+    }
+
+    /// Find the instruction containing a module offset. Debug info may
+    /// point at a function's local declarations, which are taken as its
+    /// first instruction. Returns null if the offset isn't within a
+    /// function body.
+    _instructionAt(offset) {
+        const {func} = this._location(offset);
+        if (func === null) {
+            return null;
+        }
+        const offsets = this._mod.funcs[func].offsets;
+        let instruction = offsets.length ? offsets[0] : null;
+        for (let start of offsets) {
+            if (start > offset) {
+                break;
+            }
+            instruction = start;
+        }
+        return instruction;
+    }
+
+    _location(offset) {
+        const func = this._mod.funcs.find((info) => {
+            return offset >= info.byteOffset && offset < info.byteOffset + info.byteLength;
+        });
+        return new SourceLocation(func ? func.index : null, offset);
+    }
+
+    _breakpointIndex(offset) {
+        const index = this._breakpointIndexes.get(offset);
+        return index === undefined ? -1 : index;
+    }
+}
+
+function defaultValue(type) {
+    switch (type) {
+        case 'i32':
+            return 0;
+        case 'i64':
+            return 0n;
+        case 'f32':
+        case 'f64':
+            return 0.0;
+        case 'v128':
+            return v128Zero;
+        default:
+            return null;
+    }
+}
+
+/// Location of an instruction in the module binary: the index of the
+/// function containing it, and the instruction's byte offset from the
+/// start of the module. This is how wasm-objdump and native engines
+/// refer to code, so locations can be lined up with their output.
+///
+/// Instructions in constant initializer expressions have a null func.
+class SourceLocation {
+    constructor(func, offset) {
+        this.func = func;
+        this.offset = offset;
+    }
+
+    toString() {
+        const offset = `0x${this.offset.toString(16)}`;
+        return this.func === null ? offset : `wasm-function[${this.func}]:${offset}`;
+    }
+}
+
+/// Dumped execution state frame for a single function.
+///
+/// Returned with stack traces from `Interpreter.prototype.stackTrace`
+///
+/// If the module has DWARF debug info, the frame's source file, line,
+/// column and function name are filled in from it; otherwise they're null.
+class Frame {
+    constructor(instance) {
+        this.instance = instance;
+        this.name = '';
+        this.sourceLocation = null;
+        this.file = null;
+        this.line = null;
+        this.column = null;
+        this.functionName = null;
+        this.stack = null;
+        this.locals = null;
+        // Wasm types of the stack and local values, in debug mode
+        this.stackTypes = null;
+        this.localTypes = null;
+        // Source variables from DWARF debug info, as {name, type, value}
+        this.variables = null;
+        // Set if the frame replaced its caller's, through a tail call.
+        this.tailCall = false;
+    }
+}
+
+/// Load a source variable of a base or pointer type from memory, or
+/// return undefined for other types.
+function loadVariable(view, address, {encoding, size}) {
+    switch (encoding) {
+        case 'float':
+            switch (size) {
+                case 4: return view.getFloat32(address, true);
+                case 8: return view.getFloat64(address, true);
+            }
+            break;
+        case 'signed':
+            switch (size) {
+                case 1: return view.getInt8(address);
+                case 2: return view.getInt16(address, true);
+                case 4: return view.getInt32(address, true);
+                case 8: return view.getBigInt64(address, true);
+            }
+            break;
+        case 'unsigned':
+        case 'address':
+            switch (size) {
+                case 1: return view.getUint8(address);
+                case 2: return view.getUint16(address, true);
+                case 4: return view.getUint32(address, true);
+                case 8: return view.getBigUint64(address, true);
+            }
+            break;
+        case 'boolean':
+            return view.getUint8(address) !== 0;
+    }
+    return undefined;
+}
+
+function* range(end) {
+    for (let i = 0; i < end; i++) {
+        yield i;
+    }
+}
+
+// move these into generated code
+
+// Borrowed from https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Math/clz32
+function ctz32(n) {
+    return n ? 31 - Math.clz32(n & -n) : 32;
+}
+
+const bitsPerByte = new Uint8Array(Array.from(range(256)).map((n) => {
+    let bits = 0;
+    bits += (n & 1) | 0;
+    bits += (n & 2) >> 1 | 0;
+    bits += (n & 4) >> 2 | 0;
+    bits += (n & 8) >> 3 | 0;
+    bits += (n & 16) >> 4 | 0;
+    bits += (n & 32) >> 5 | 0;
+    bits += (n & 64) >> 6 | 0;
+    bits += (n & 128) >> 7 | 0;
+    return bits;
+}));
+
+function popcnt32(n) {
+    return bitsPerByte[n & 0xff] +
+        bitsPerByte[(n >> 8) & 0xff] +
+        bitsPerByte[(n >> 16) & 0xff] +
+        bitsPerByte[(n >> 24) & 0xff];
+}
+
+// move this into instance state maybe?
+// needs enough space for two 64-bit floats at once for copysign
+const reinterpretBuffer = new ArrayBuffer(16);
+const reinterpretView = new DataView(reinterpretBuffer);
+
+// i64 values are carried as pairs of i32 halves, low then high, so
+// compiled code doesn't allocate a BigInt for every temporary. Helpers
+// returning an i64 return the low half, and leave the high half here
+// to be picked up straight away.
+const i64High = new Int32Array(1);
+
+/// Box the halves of an i64 as a BigInt, for JS.
+function i64Join(low, high) {
+    return (BigInt(high) << 32n) | BigInt(low >>> 0);
+}
+
+/// Split an i64 BigInt from JS into halves.
+function i64Split(value) {
+    i64High[0] = Number(BigInt.asIntN(32, value >> 32n));
+    return Number(BigInt.asIntN(32, value));
+}
+
+/// Split an integral float into halves, wrapping it to 64 bits.
+function i64FromNumber(value) {
+    i64High[0] = Math.floor(value / 4294967296);
+    return value | 0;
+}
+
+function clz64(low, high) {
+    return high ? Math.clz32(high) : 32 + Math.clz32(low);
+}
+
+function ctz64(low, high) {
+    return low ? ctz32(low) : 32 + ctz32(high);
+}
+
+function mul64(left, leftHigh, right, rightHigh) {
+    // The high half of the unsigned product of the low halves, from
+    // 16-bit pieces, as doubles can't hold the whole thing exactly.
+    const a0 = left & 0xffff;
+    const a1 = left >>> 16;
+    const b0 = right & 0xffff;
+    const b1 = right >>> 16;
+    const cross0 = a0 * b1;
+    const cross1 = a1 * b0;
+    const carry = (((a0 * b0) >>> 16) + (cross0 & 0xffff) + (cross1 & 0xffff)) >>> 16;
+    const carried = a1 * b1 + (cross0 >>> 16) + (cross1 >>> 16) + carry;
+    i64High[0] = carried + Math.imul(leftHigh, right) + Math.imul(left, rightHigh);
+    return Math.imul(left, right);
+}
+
+function shl64(low, high, count) {
+    count &= 63;
+    if (count === 0) {
+        i64High[0] = high;
+        return low;
+    }
+    if (count < 32) {
+        i64High[0] = (high << count) | (low >>> (32 - count));
+        return low << count;
+    }
+    i64High[0] = low << (count - 32);
+    return 0;
+}
+
+function shr64s(low, high, count) {
+    count &= 63;
+    if (count === 0) {
+        i64High[0] = high;
+        return low;
+    }
+    if (count < 32) {
+        i64High[0] = high >> count;
+        return (low >>> count) | (high << (32 - count));
+    }
+    i64High[0] = high >> 31;
+    return high >> (count - 32);
+}
+
+function shr64u(low, high, count) {
+    count &= 63;
+    if (count === 0) {
+        i64High[0] = high;
+        return low;
+    }
+    if (count < 32) {
+        i64High[0] = high >>> count;
+        return (low >>> count) | (high << (32 - count));
+    }
+    i64High[0] = 0;
+    return (high >>> (count - 32)) | 0;
+}
+
+function rotl64(low, high, count) {
+    count &= 63;
+    if (count >= 32) {
+        [low, high] = [high, low];
+        count -= 32;
+    }
+    if (count === 0) {
+        i64High[0] = high;
+        return low;
+    }
+    i64High[0] = (high << count) | (low >>> (32 - count));
+    return (low << count) | (high >>> (32 - count));
+}
+
+function rotr64(low, high, count) {
+    return rotl64(low, high, 64 - (count & 63));
+}
+
+/// Convert an i64 to the nearest f32. Going through f64 would round
+/// twice, so any bits below what f64 can hold are folded into a sticky
+/// bit that still rounds the same way.
+function i64ToF32(low, high, signed) {
+    const negative = signed && high < 0;
+    if (negative) {
+        // Negate, for the magnitude; INT64_MIN comes out right unsigned.
+        low = -low | 0;
+        high = ~high + (low === 0) | 0;
+    }
+    if ((high >>> 0) >= 0x200000 && (low & 0x7ff)) {
+        low = (low | 0x800) & ~0x7ff;
+    }
+    const magnitude = Math.fround((high >>> 0) * 4294967296 + (low >>> 0));
+    return negative ? -magnitude : magnitude;
+}
+
+function i64ToF32s(low, high) {
+    return i64ToF32(low, high, true);
+}
+
+function i64ToF32u(low, high) {
+    return i64ToF32(low, high, false);
+}
+
+/// A float NaN with its exact bit pattern, as carried by modules
+/// compiled with `{preserveNaN: true}`. JS numbers may not keep NaN
+/// payloads, and can't hold signalling f32 NaNs at all, so NaNs from
+/// loads, reinterprets, neg, abs, copysign and constants are carried
+/// as these instead. The bits are an i32 for f32, or an i64 BigInt for
+/// f64. Anything else reads one as the closest NaN JS can give.
+class NaNBits {
+    constructor(type, bits) {
+        this.type = type;
+        this.bits = bits;
+    }
+
+    valueOf() {
+        if (this.type === 'f32') {
+            reinterpretView.setInt32(0, this.bits, true);
+            return reinterpretView.getFloat32(0, true);
+        }
+        reinterpretView.setBigInt64(0, this.bits, true);
+        return reinterpretView.getFloat64(0, true);
+    }
+
+    /// Formatted like the text format, as `nan:0x200000` etc.
+    toString() {
+        const payload = this.type === 'f32'
+            ? this.bits & 0x7fffff
+            : this.bits & 0xfffffffffffffn;
+        return `${this.bits < 0 ? '-' : ''}nan:0x${payload.toString(16)}`;
+    }
+}
+
+function f32Bits(value) {
+    if (value instanceof NaNBits) {
+        return value.bits;
+    }
+    reinterpretView.setFloat32(0, value, true);
+    return reinterpretView.getInt32(0, true);
+}
+
+function f64BigBits(value) {
+    if (value instanceof NaNBits) {
+        return value.bits;
+    }
+    reinterpretView.setFloat64(0, value, true);
+    return reinterpretView.getBigInt64(0, true);
+}
+
+/// The bits of an f64 as an i64, in halves.
+function f64Bits(value) {
+    if (value instanceof NaNBits) {
+        reinterpretView.setBigInt64(0, value.bits, true);
+    } else {
+        reinterpretView.setFloat64(0, value, true);
+    }
+    i64High[0] = reinterpretView.getInt32(4, true);
+    return reinterpretView.getInt32(0, true);
+}
+
+function f32FromBits(bits) {
+    reinterpretView.setInt32(0, bits, true);
+    const value = reinterpretView.getFloat32(0, true);
+    return value === value ? value : new NaNBits('f32', bits);
+}
+
+function f64FromBigBits(bits) {
+    reinterpretView.setBigInt64(0, bits, true);
+    const value = reinterpretView.getFloat64(0, true);
+    return value === value ? value : new NaNBits('f64', bits);
+}
+
+/// An f64 from the halves of its bits.
+function f64FromBits(low, high) {
+    reinterpretView.setInt32(0, low, true);
+    reinterpretView.setInt32(4, high, true);
+    const value = reinterpretView.getFloat64(0, true);
+    return value === value ? value : new NaNBits('f64', reinterpretView.getBigInt64(0, true));
+}
+
+// Float params keep their NaNBits when called from other functions.
+
+function f32Param(value) {
+    return value instanceof NaNBits ? value : Math.fround(value);
+}
+
+function f64Param(value) {
+    return value instanceof NaNBits ? value : +value;
+}
+
+function f32Load(view, address) {
+    const value = view.getFloat32(address, true);
+    return value === value ? value : new NaNBits('f32', view.getInt32(address, true));
+}
+
+function f64Load(view, address) {
+    const value = view.getFloat64(address, true);
+    return value === value ? value : new NaNBits('f64', view.getBigInt64(address, true));
+}
+
+function f32Store(view, address, value) {
+    if (value instanceof NaNBits) {
+        view.setInt32(address, value.bits, true);
+    } else {
+        view.setFloat32(address, value, true);
+    }
+}
+
+function f64Store(view, address, value) {
+    if (value instanceof NaNBits) {
+        view.setBigInt64(address, value.bits, true);
+    } else {
+        view.setFloat64(address, value, true);
+    }
+}
+
+/// NaNBits last stored in f32 and f64 globals, which hold any NaN as
+/// the canonical one. They only count while the global still holds a
+/// NaN, so JS setting a number in between isn't missed.
+const globalNaNs = new WeakMap();
+
+function floatGlobalGet(global) {
+    const value = global.value;
+    const nan = globalNaNs.get(global);
+    if (nan && value !== value) {
+        return nan;
+    }
+    return value;
+}
+
+function floatGlobalSet(global, value) {
+    global.value = value;
+    if (value instanceof NaNBits) {
+        globalNaNs.set(global, value);
+    } else {
+        globalNaNs.delete(global);
+    }
+}
+
+// Sign operations only touch the sign bit, even for NaNs. Plain
+// numbers that aren't NaN can take the fast path.
+
+function f32Neg(value) {
+    if (typeof value === 'number' && value === value) {
+        return -value;
+    }
+    return f32FromBits(f32Bits(value) ^ 0x80000000);
+}
+
+function f64Neg(value) {
+    if (typeof value === 'number' && value === value) {
+        return -value;
+    }
+    return f64FromBigBits(f64BigBits(value) ^ -0x8000000000000000n);
+}
+
+function f32Abs(value) {
+    if (typeof value === 'number' && value === value) {
+        return Math.abs(value);
+    }
+    return f32FromBits(f32Bits(value) & 0x7fffffff);
+}
+
+function f64Abs(value) {
+    if (typeof value === 'number' && value === value) {
+        return Math.abs(value);
+    }
+    return f64FromBigBits(f64BigBits(value) & 0x7fffffffffffffffn);
+}
+
+function f32Copysign(left, right) {
+    return f32FromBits((f32Bits(left) & 0x7fffffff) | (f32Bits(right) & 0x80000000));
+}
+
+function f64Copysign(left, right) {
+    return f64FromBigBits((f64BigBits(left) & 0x7fffffffffffffffn) | (f64BigBits(right) & -0x8000000000000000n));
+}
+
+/// Throw a trap, with the same messages as native engines.
+function trap(message) {
+    throw new RuntimeError(message);
+}
+
+function div32s(left, right) {
+    if (right === 0) {
+        trap('divide by zero');
+    }
+    if (left === -0x80000000 && right === -1) {
+        trap('divide result unrepresentable');
+    }
+    return (left / right) | 0;
+}
+
+function div32u(left, right) {
+    if (right === 0) {
+        trap('divide by zero');
+    }
+    return ((left >>> 0) / (right >>> 0)) | 0;
+}
+
+function rem32s(left, right) {
+    if (right === 0) {
+        trap('remainder by zero');
+    }
+    // INT_MIN % -1 is -0, which the spec says is fine
+    return (left % right) | 0;
+}
+
+function rem32u(left, right) {
+    if (right === 0) {
+        trap('remainder by zero');
+    }
+    return ((left >>> 0) % (right >>> 0)) | 0;
+}
+
+// 64-bit division takes the 32-bit path when both operands fit, and
+// falls back to BigInt otherwise.
+
+function div64s(left, leftHigh, right, rightHigh) {
+    if (right === 0 && rightHigh === 0) {
+        trap('divide by zero');
+    }
+    if (left === 0 && leftHigh === -0x80000000 && right === -1 && rightHigh === -1) {
+        trap('divide result unrepresentable');
+    }
+    if (leftHigh === left >> 31 && rightHigh === right >> 31) {
+        return i64FromNumber(Math.trunc(left / right));
+    }
+    return i64Split(BigInt.asIntN(64, i64Join(left, leftHigh) / i64Join(right, rightHigh)));
+}
+
+function div64u(left, leftHigh, right, rightHigh) {
+    if (right === 0 && rightHigh === 0) {
+        trap('divide by zero');
+    }
+    if (leftHigh === 0 && rightHigh === 0) {
+        return i64FromNumber(Math.trunc((left >>> 0) / (right >>> 0)));
+    }
+    return i64Split(BigInt.asUintN(64, i64Join(left, leftHigh)) / BigInt.asUintN(64, i64Join(right, rightHigh)));
+}
+
+function rem64s(left, leftHigh, right, rightHigh) {
+    if (right === 0 && rightHigh === 0) {
+        trap('remainder by zero');
+    }
+    if (leftHigh === left >> 31 && rightHigh === right >> 31) {
+        return i64FromNumber(left % right);
+    }
+    return i64Split(i64Join(left, leftHigh) % i64Join(right, rightHigh));
+}
+
+function rem64u(left, leftHigh, right, rightHigh) {
+    if (right === 0 && rightHigh === 0) {
+        trap('remainder by zero');
+    }
+    if (leftHigh === 0 && rightHigh === 0) {
+        return i64FromNumber((left >>> 0) % (right >>> 0));
+    }
+    return i64Split(BigInt.asUintN(64, i64Join(left, leftHigh)) % BigInt.asUintN(64, i64Join(right, rightHigh)));
+}
+
+// The float-to-int truncations trap on NaN and on anything that
+// doesn't fit once the fraction is dropped. The bounds are exact in
+// both f32 and f64, so the comparisons fail for NaN too.
+
+function trunc32s(value) {
+    if (!(value > -2147483649 && value < 2147483648)) {
+        trap('float unrepresentable in integer range');
+    }
+    return value | 0;
+}
+
+function trunc32u(value) {
+    if (!(value > -1 && value < 4294967296)) {
+        trap('float unrepresentable in integer range');
+    }
+    return value | 0;
+}
+
+function trunc64s(value) {
+    if (!(value >= -9223372036854775808 && value < 9223372036854775808)) {
+        trap('float unrepresentable in integer range');
+    }
+    return i64FromNumber(Math.trunc(value));
+}
+
+function trunc64u(value) {
+    if (!(value > -1 && value < 18446744073709551616)) {
+        trap('float unrepresentable in integer range');
+    }
+    return i64FromNumber(Math.trunc(value));
+}
+
+// The saturating truncations clamp to the integer range instead of
+// trapping, and give 0 for NaN.
+
+function truncSat32s(value) {
+    if (value >= 2147483647) {
+        return 2147483647;
+    }
+    if (value > -2147483648) {
+        return value | 0;
+    }
+    return (value < 0) ? -2147483648 : 0;
+}
+
+function truncSat32u(value) {
+    if (value >= 4294967295) {
+        return -1;
+    }
+    return (value > 0) ? value | 0 : 0;
+}
+
+function truncSat64s(value) {
+    if (value >= 9223372036854775808) {
+        i64High[0] = 0x7fffffff;
+        return -1;
+    }
+    if (value >= -9223372036854775808) {
+        return i64FromNumber(Math.trunc(value));
+    }
+    i64High[0] = (value < 0) ? -0x80000000 : 0;
+    return 0;
+}
+
+function truncSat64u(value) {
+    if (value >= 18446744073709551616) {
+        i64High[0] = -1;
+        return -1;
+    }
+    if (value > 0) {
+        return i64FromNumber(Math.trunc(value));
+    }
+    i64High[0] = 0;
+    return 0;
+}
+
+/// Functions as compiled code passes them around, from a funcref as
+/// JS sees it: either exported from an instance, or native.
+function funcrefFromJS(value) {
+    if (value === null) {
+        return null;
+    }
+    const func = internalFunctions.get(value);
+    if (func) {
+        return func;
+    }
+    if (isNativeFunction(value)) {
+        return value;
+    }
+    throw new TypeError('Expected a WebAssembly function or null');
+}
+
+/// Funcrefs from compiled code, as their instance exports them.
+function funcrefToJS(func) {
+    const exported = exportedFunctions.get(func);
+    return exported ? exported() : func;
+}
+
+/// Look up the function for a `call_indirect`, checking it has the
+/// expected type.
+function tableFunction(table, index, type) {
+    if (!(table instanceof Table)) {
+        return nativeTableFunction(table, index, type);
+    }
+    index >>>= 0;
+    if (index >= table.length) {
+        trap(`undefined element ${index}`);
+    }
+    const func = table._values[index];
+    if (func === null) {
+        trap(`uninitialized element ${index}`);
+    }
+    const funcType = table._types[index];
+    if (funcType === nativeType) {
+        return nativeTableFunction(table._native, index, type);
+    }
+    if (funcType !== type) {
+        trap('indirect call type mismatch');
+    }
+    return func;
+}
+
+/// A tail call, returned by a compiled function for the trampoline
+/// around it to make.
+class TailCall {
+    constructor(func, args) {
+        this.func = func;
+        this.args = args;
+    }
+}
+
+/// Make a call from metered code, for the callee to pick up the call
+/// chain's signals as it starts. Whatever was there before is put back
+/// once it has, so calls from elsewhere don't, while a call this one was
+/// made within still starts the rest of its callees with its own.
+function callWithSignals(instance, signals, func, ...args) {
+    const outer = instance._signals;
+    instance._signals = signals;
+    try {
+        return func(...args);
+    } finally {
+        instance._signals = outer;
+    }
+}
+
+/// Trampolines around functions making tail calls, and the compiled
+/// functions they wrap.
+const tailCallers = new WeakMap();
+
+/// Wrap a compiled function making tail calls in a trampoline, which
+/// makes the calls it returns in a loop, so the stack doesn't grow.
+/// Callees that make tail calls of their own are called unwrapped, so
+/// they return theirs to the same loop.
+function tailCaller(instance, func) {
+    const trampoline = async (...args) => {
+        // Signals of the call chain, for metered callees to pick up.
+        const signals = instance._signals;
+        let result = await func(...args);
+        if (!(result instanceof TailCall)) {
+            return result;
+        }
+        // The callee's frame takes the caller's place on the stack.
+        const depth = instance._stackTracers.length;
+        try {
+            while (result instanceof TailCall) {
+                const callee = result.func;
+                if (instance._compiledFunctions.has(callee)) {
+                    instance._tailCalls.add(depth);
+                } else {
+                    instance._tailCalls.delete(depth);
+                }
+                result = await callWithSignals(instance, signals, tailCallers.get(callee) || callee, ...result.args);
+            }
+        } finally {
+            instance._tailCalls.delete(depth);
+        }
+        return result;
+    };
+    tailCallers.set(trampoline, func);
+    return trampoline;
+}
+
+/// An exception handed on by a `delegate`, labelled with the try block
+/// in the function to handle it, or null for the caller.
+class Delegate {
+    constructor(error, target) {
+        this.error = error;
+        this.target = target;
+    }
+}
+
+/// Make the exception for a `throw`, from values as compiled code
+/// passes them.
+function wasmException(instance, index, values) {
+    const params = instance._mod.tags[index].params;
+    const payload = joinArgs(params, values).map((value, arg) => {
+        if (params[arg] === 'v128') {
+            return null;
+        }
+        return value instanceof NaNBits ? +value : value;
+    });
+    const exception = new WebAssembly.Exception(instance._tags[index], payload);
+    exceptionValueMap.set(exception, values);
+    return exception;
+}
+
+/// Is this V8 running out of stack? Functions with large frames can do
+/// that before `maxCallDepth` is reached.
+function isStackOverflow(error) {
+    return error instanceof RangeError && error.message === 'Maximum call stack size exceeded';
+}
+
+/// The trap for running out of stack, for an error thrown from a call.
+function stackExhaustion(error) {
+    return isStackOverflow(error) ? new RuntimeError('call stack exhausted') : error;
+}
+
+/// Can a try block catch this? Traps can't be caught, nor can running
+/// out of fuel, aborting, or errors from the debugger callback. Any
+/// other JS exception can, by `catch_all`. `signals` are those of the
+/// call chain, in metered code.
+function catchable(instance, error, node, signals=null) {
+    if (error instanceof RuntimeError || error instanceof FuelExhausted || isStackOverflow(error)) {
+        return false;
+    }
+    if (error instanceof RangeError && node && node.memory) {
+        // Out of bounds, to be turned into a trap.
+        return false;
+    }
+    if (error === instance._stopping || instance._aborted(signals)) {
+        return false;
+    }
+    return true;
+}
+
+/// Is this an exception with the instance's given tag?
+function exceptionIs(instance, index, error) {
+    return (error instanceof WebAssembly.Exception) && error.is(instance._tags[index]);
+}
+
+/// The values an exception carries, as compiled code takes them.
+function exceptionValues(instance, index, exception) {
+    if (exceptionValueMap.has(exception)) {
+        return exceptionValueMap.get(exception);
+    }
+    const tag = instance._tags[index];
+    const params = instance._mod.tags[index].params;
+    return splitArgs(params, params.map((_type, arg) => exception.getArg(tag, arg)));
+}
+
+/// Check a range of `count` items from `start` fits in `length`, for
+/// the bulk table instructions. Zero-length ranges may sit right at
+/// the end.
+function inBounds(start, count, length) {
+    return (start >>> 0) + (count >>> 0) <= length;
+}
+
+/// Grow a memory by `delta` pages, returning its old size or -1 if it
+/// can't grow that far.
+function memoryGrow(memory, delta) {
+    if (delta > maxMemoryPages) {
+        return -1;
+    }
+    try {
+        return memory.grow(delta);
+    } catch (error) {
+        if (error instanceof RangeError) {
+            return -1;
+        }
+        throw error;
+    }
+}
+
+// The bulk memory helpers take addresses and lengths as unsigned
+// numbers, as memory64 ones don't fit in 32 bits.
+
+function memoryInit(memory, data, dest, src, count) {
+    const heap = new Uint8Array(memory.buffer);
+    const length = data ? data.length : 0;
+    if (src + count > length || dest + count > heap.length) {
+        trap('memory access out of bounds');
+    }
+    if (count) {
+        heap.set(data.subarray(src, src + count), dest);
+    }
+}
+
+function memoryCopy(memory, sourceMemory, dest, src, count) {
+    const heap = new Uint8Array(memory.buffer);
+    const source = (sourceMemory === memory) ? heap : new Uint8Array(sourceMemory.buffer);
+    if (src + count > source.length || dest + count > heap.length) {
+        trap('memory access out of bounds');
+    }
+    if (source === heap) {
+        heap.copyWithin(dest, src, src + count);
+    } else {
+        heap.set(source.subarray(src, src + count), dest);
+    }
+}
+
+function memoryFill(memory, dest, value, count) {
+    const heap = new Uint8Array(memory.buffer);
+    if (dest + count > heap.length) {
+        trap('memory access out of bounds');
+    }
+    heap.fill(value, dest, dest + count);
+}
+
+/// Copy functions from an element segment into a table. Dropped
+/// segments are null, and hold nothing.
+function tableInit(table, elements, dest, src, count) {
+    const length = elements ? elements.length : 0;
+    if (!inBounds(src, count, length) || !inBounds(dest, count, table.length)) {
+        trap('out of bounds table access');
+    }
+    if (count && !(table instanceof Table)) {
+        throw new TypeError('Interpreted functions cannot be stored in a native table');
+    }
+    dest >>>= 0;
+    src >>>= 0;
+    for (let i = 0; i < (count >>> 0); i++) {
+        table._setFunction(dest + i, elements[src + i]);
+    }
+}
+
+function tableGet(table, index) {
+    if ((index >>> 0) >= table.length) {
+        trap('out of bounds table access');
+    }
+    if (table instanceof Table) {
+        return table._values[index >>> 0];
+    }
+    return table.get(index >>> 0);
+}
+
+function tableSet(table, index, value) {
+    if ((index >>> 0) >= table.length) {
+        trap('out of bounds table access');
+    }
+    if (table instanceof Table) {
+        table._store(index >>> 0, value);
+    } else {
+        table.set(index >>> 0, value);
+    }
+}
+
+/// Returns the previous length, or -1 if the table can't grow.
+function tableGrow(table, value, delta) {
+    try {
+        return table.grow(delta >>> 0, value);
+    } catch (e) {
+        if (e instanceof RangeError) {
+            return -1;
+        }
+        throw e;
+    }
+}
+
+function tableFill(table, index, value, count) {
+    if (!inBounds(index, count, table.length)) {
+        trap('out of bounds table access');
+    }
+    for (let i = 0; i < (count >>> 0); i++) {
+        tableSet(table, (index >>> 0) + i, value);
+    }
+}
+
+function tableCopy(table, sourceTable, dest, src, count) {
+    if (!inBounds(src, count, sourceTable.length) || !inBounds(dest, count, table.length)) {
+        trap('out of bounds table access');
+    }
+    dest >>>= 0;
+    src >>>= 0;
+    count >>>= 0;
+    const native = !(table instanceof Table && sourceTable instanceof Table);
+    // Overlapping copies go backwards when moving entries up.
+    const backwards = (table === sourceTable && src < dest);
+    for (let i = 0; i < count; i++) {
+        const offset = backwards ? count - 1 - i : i;
+        if (native) {
+            table.set(dest + offset, sourceTable.get(src + offset));
+        } else {
+            table._copyEntry(sourceTable, src + offset, dest + offset);
+        }
+    }
+}
+
+/// Typed array views for atomic accesses, by width. Narrower values
+/// are zero-extended, as the Wasm instructions read them.
+const atomicViewTypes = {
+    1: Uint8Array,
+    2: Uint16Array,
+    4: Uint32Array,
+    8: BigUint64Array
+};
+
+// Views of each memory buffer, made on first use.
+const atomicViews = new WeakMap();
+
+/// View the memory as an array of the access's type, checking the
+/// access is in bounds and aligned. Shared memory may be grown from
+/// another thread, so the buffer is looked up each time.
+function atomicView(memory, address, ViewType) {
+    const buffer = memory.buffer;
+    const bytes = ViewType.BYTES_PER_ELEMENT;
+    if (address + bytes > buffer.byteLength) {
+        trap('memory access out of bounds');
+    }
+    if (address % bytes) {
+        trap('unaligned atomic');
+    }
+    let views = atomicViews.get(buffer);
+    if (!views) {
+        views = new Map();
+        atomicViews.set(buffer, views);
+    }
+    if (!views.has(ViewType)) {
+        views.set(ViewType, new ViewType(buffer));
+    }
+    return views.get(ViewType);
+}
+
+function atomicOperand(bytes, low, high) {
+    return (bytes === 8) ? i64Join(low, high) : low;
+}
+
+function atomicResult(value) {
+    if (typeof value === 'bigint') {
+        return i64Split(value);
+    }
+    i64High[0] = 0;
+    return value | 0;
+}
+
+function atomicLoad(memory, address, bytes) {
+    const view = atomicView(memory, address, atomicViewTypes[bytes]);
+    return atomicResult(Atomics.load(view, address / bytes));
+}
+
+function atomicStore(memory, address, bytes, low, high) {
+    const view = atomicView(memory, address, atomicViewTypes[bytes]);
+    Atomics.store(view, address / bytes, atomicOperand(bytes, low, high));
+}
+
+/// Read-modify-write with one of the `Atomics` methods, returning
+/// the old value.
+function atomicRMW(memory, method, address, bytes, low, high) {
+    const view = atomicView(memory, address, atomicViewTypes[bytes]);
+    return atomicResult(Atomics[method](view, address / bytes, atomicOperand(bytes, low, high)));
+}
+
+function atomicCompareExchange(memory, address, bytes, expectedLow, expectedHigh, low, high) {
+    const view = atomicView(memory, address, atomicViewTypes[bytes]);
+    const expected = atomicOperand(bytes, expectedLow, expectedHigh);
+    return atomicResult(Atomics.compareExchange(view, address / bytes, expected, atomicOperand(bytes, low, high)));
+}
+
+const waitResults = {
+    'ok': 0,
+    'not-equal': 1,
+    'timed-out': 2
+};
+
+/// Wait for a notification at an address, if it holds the expected
+/// value, with a timeout in nanoseconds. Compiled code is async, so
+/// this doesn't block the thread, and may be used on the main one too.
+async function atomicWait(memory, address, bytes, expectedLow, expectedHigh, timeoutLow, timeoutHigh) {
+    const view = atomicView(memory, address, (bytes === 8) ? BigInt64Array : Int32Array);
+    if (!(memory.buffer instanceof SharedArrayBuffer)) {
+        trap('expected shared memory');
+    }
+    const index = address / bytes;
+    const expected = atomicOperand(bytes, expectedLow, expectedHigh);
+    const nanoseconds = Number(i64Join(timeoutLow, timeoutHigh));
+    const timeout = (nanoseconds < 0) ? Infinity : nanoseconds / 1e6;
+    if (!Atomics.waitAsync) {
+        return await pollWait(view, index, expected, timeout);
+    }
+    const result = Atomics.waitAsync(view, index, expected, timeout);
+    if (!result.async) {
+        return waitResults[result.value];
+    }
+    // Pending waits don't keep Node's event loop alive by themselves.
+    const keepAlive = setInterval(() => {}, 1000);
+    try {
+        return waitResults[await result.value];
+    } finally {
+        clearInterval(keepAlive);
+    }
+}
+
+/// Stand-in for `Atomics.waitAsync` where it's missing, checking the
+/// value on each turn of the event loop. Notifications can't be seen
+/// this way, so it only wakes once the value changes.
+async function pollWait(view, index, expected, timeout) {
+    if (Atomics.load(view, index) !== expected) {
+        return waitResults['not-equal'];
+    }
+    const start = Date.now();
+    while (Date.now() - start < timeout) {
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        if (Atomics.load(view, index) !== expected) {
+            return waitResults['ok'];
+        }
+    }
+    return waitResults['timed-out'];
+}
+
+/// Wake up to `count` waiters at an address, returning how many woke.
+/// Unshared memory can't have any.
+function atomicNotify(memory, address, count) {
+    const view = atomicView(memory, address, Int32Array);
+    return Atomics.notify(view, address / 4, count >>> 0);
+}
+
+const coercions = {
+    i32: (value) => value | 0,
+    // Compiled code returns i64s as [low, high].
+    i64: (value) => {
+        const low = i64Split(BigInt.asIntN(64, BigInt(value)));
+        return [low, i64High[0]];
+    },
+    f32: Math.fround,
+    f64: (value) => +value,
+    funcref: funcrefFromJS
+};
+
+/// Join the halves of any i64 arguments from compiled code as BigInts,
+/// and pass any funcrefs as JS sees them.
+function joinArgs(params, args) {
+    const joined = [];
+    let index = 0;
+    for (let type of params) {
+        if (type === 'i64') {
+            joined.push(i64Join(args[index], args[index + 1]));
+            index += 2;
+        } else if (type === 'funcref') {
+            joined.push(funcrefToJS(args[index++]));
+        } else {
+            joined.push(args[index++]);
+        }
+    }
+    return joined;
+}
+
+/// Split any i64 arguments from JS into halves for compiled code,
+/// and check any funcrefs.
+function splitArgs(params, args) {
+    const split = [];
+    params.forEach((type, index) => {
+        if (type === 'i64') {
+            const low = i64Split(BigInt.asIntN(64, BigInt(args[index])));
+            split.push(low, i64High[0]);
+        } else if (type === 'funcref') {
+            split.push(funcrefFromJS(args[index] === undefined ? null : args[index]));
+        } else {
+            split.push(args[index]);
+        }
+    });
+    return split;
+}
+
+/// Unpack the results of an import with several of them, which come
+/// in any iterable, into the flat array compiled code returns.
+function splitResults(results, values) {
+    if (values === null || values === undefined || typeof values[Symbol.iterator] !== 'function') {
+        throw new TypeError('Multiple results must be returned in an iterable');
+    }
+    values = Array.from(values);
+    if (values.length !== results.length) {
+        throw new TypeError(`Expected ${results.length} results, got ${values.length}`);
+    }
+    return results.flatMap((type, index) => {
+        const coerce = coercions[type] || ((value) => value);
+        const value = coerce(values[index]);
+        return (type === 'i64') ? value : [value];
+    });
+}
+
+/// Wrap an imported JS function, which may be sync or async, as an
+/// async function taking and returning Wasm values the way compiled
+/// code does. With `preserveNaN`, any NaNBits arguments are passed as
+/// numbers.
+function importThunk(imported, params, results, preserveNaN=false) {
+    if (crossesV128(params, results)) {
+        return async () => {
+            throw new TypeError('type incompatibility when transforming from/to JS');
+        };
+    }
+    if (params.some(needsConversion)) {
+        const callee = imported;
+        imported = (...args) => callee(...joinArgs(params, args));
+    }
+    if (preserveNaN) {
+        const callee = imported;
+        imported = (...args) => callee(...args.map((arg) => arg instanceof NaNBits ? +arg : arg));
+    }
+    if (results.length === 0) {
+        return async (...args) => {
+            await imported(...args);
+        };
+    }
+    if (results.length > 1) {
+        return async (...args) => splitResults(results, await imported(...args));
+    }
+    // Assume others are reference types?
+    const coerce = coercions[results[0]] || ((value) => value);
+    return async (...args) => coerce(await imported(...args));
+}
+
+/// v128 values can't be passed between JS and Wasm, so functions
+/// taking or returning them throw when called across.
+function crossesV128(params, results) {
+    return params.includes('v128') || results.includes('v128');
+}
+
+/// Types passed differently between JS and compiled code.
+function needsConversion(type) {
+    return type === 'i64' || type === 'funcref';
+}
+
+/// Wrap an export of an unmetered module to reject calls passing a
+/// `{signal}`, as its code never checks in to be stopped.
+function unabortable(func, arity) {
+    return async (...args) => {
+        const options = args.length > arity ? args[arity] : null;
+        if (options && options.signal) {
+            throw new RangeError('Passing a signal to a call requires a module compiled with metered: true, or instantiated with fuel, yieldEvery or signal');
+        }
+        try {
+            return await func(...args);
+        } catch (error) {
+            throw stackExhaustion(error);
+        }
+    };
+}
+
+/// Wrap a compiled function to be called from JS, if its signature
+/// needs it: i64s are passed both ways as BigInts, funcrefs as their
+/// exports, multiple results are returned in an array, and with
+/// `preserveNaN` float results are returned as numbers.
+function exportThunk(func, params, results, preserveNaN=false) {
+    if (crossesV128(params, results)) {
+        return async () => {
+            throw new TypeError('type incompatibility when transforming from/to JS');
+        };
+    }
+    const split = params.some(needsConversion);
+    const type = results[0];
+    let convert = null;
+    if (results.length > 1) {
+        convert = (values) => {
+            return joinArgs(results, values).map((value) => value instanceof NaNBits ? +value : value);
+        };
+    } else if (type === 'i64') {
+        convert = ([low, high]) => i64Join(low, high);
+    } else if (type === 'funcref') {
+        convert = funcrefToJS;
+    } else if (preserveNaN && (type === 'f32' || type === 'f64')) {
+        convert = (value) => +value;
+    }
+    if (!split && !convert) {
+        return func;
+    }
+    return async (...args) => {
+        const result = await func(...(split ? splitArgs(params, args) : args));
+        return convert ? convert(result) : result;
+    };
+}
+
+/// Decode data segments in precompiled modules.
+function decodeBase64(str) {
+    const binary = atob(str);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/// Instantiate a compiled Module.
+async function instantiate(module, importObject, options={}) {
+    await module.ready;
+    const instance = new Instance(module, importObject, options);
+    return await instance.ready;
+}
+
+/// Everything needed to load and run compiled modules, without the
+/// parser and compiler. Compiled code gets at it through the `runtime`
+/// argument of its factory functions.
+const runtime = {
+    Global,
+    Memory,
+    Table,
+    Module,
+    Instance,
+    Frame,
+    SourceLocation,
+    FuelExhausted,
+    instantiate,
+
+    // Used by compiled code
+    defaultValue,
+    decodeBase64,
+    range,
+    ctz32,
+    ctz64,
+    clz64,
+    popcnt32,
+    reinterpretView,
+    i64High,
+    i64Join,
+    i64Split,
+    mul64,
+    shl64,
+    shr64s,
+    shr64u,
+    rotl64,
+    rotr64,
+    i64ToF32s,
+    i64ToF32u,
+    NaNBits,
+    f32Bits,
+    f64Bits,
+    f32FromBits,
+    f64FromBits,
+    f32Param,
+    f64Param,
+    f32Load,
+    f64Load,
+    f32Store,
+    f64Store,
+    floatGlobalGet,
+    floatGlobalSet,
+    f32Neg,
+    f64Neg,
+    f32Abs,
+    f64Abs,
+    f32Copysign,
+    f64Copysign,
+    nearest,
+    trap,
+    div32s,
+    div32u,
+    rem32s,
+    rem32u,
+    div64s,
+    div64u,
+    rem64s,
+    rem64u,
+    trunc32s,
+    trunc32u,
+    trunc64s,
+    trunc64u,
+    truncSat32s,
+    truncSat32u,
+    truncSat64s,
+    truncSat64u,
+    tableFunction,
+    TailCall,
+    tailCaller,
+    Delegate,
+    wasmException,
+    catchable,
+    callWithSignals,
+    exceptionIs,
+    exceptionValues,
+    memoryGrow,
+    memoryInit,
+    memoryCopy,
+    memoryFill,
+    tableInit,
+    tableCopy,
+    tableGet,
+    tableSet,
+    tableGrow,
+    tableFill,
+    funcrefFromJS,
+    funcrefToJS,
+    atomicLoad,
+    atomicStore,
+    atomicRMW,
+    atomicCompareExchange,
+    atomicWait,
+    atomicNotify,
+    simd,
+    v128Zero,
+    v128Text,
+    signature
+};
+
+module.exports = runtime;
@@ -74,19 +74,19 @@ const imports = {
 
 
     console.log('Compiling optimized...');
-    const source = path.join(__dirname, 'compiled-mandelbrot.js');
-    fs.writeFileSync(
-        source,
-        collect(await optimized())
+    const source = path.join(__dirname, 'compiled-mandelbrot.mjs');
+    const precompiled = await collect(
+        await Interpreter.compile(wasm),
+        source
     );
     console.log(`wrote source to ${source}`);
     console.log(``);
 
     console.log('Compiling debug...');
-    const sourceDebug = path.join(__dirname, 'compiled-mandelbrot-debug.js');
-    fs.writeFileSync(
-        sourceDebug,
-        collect(await debug())
+    const sourceDebug = path.join(__dirname, 'compiled-mandelbrot-debug.mjs');
+    await collect(
+        await Interpreter.compile(wasm, {debug: true}),
+        sourceDebug
     );
     console.log(`wrote source to ${sourceDebug}`);
     console.log(``);
@@ -98,6 +98,11 @@ const imports = {
     await test('Optimized async execution', optimized);
 
 
+    await test('Precompiled async execution', async () => {
+        return await Interpreter.instantiate(precompiled, imports);
+    });
+
+
     await test('Debuggable async execution', debug);
 
 
@@ -61,18 +61,23 @@ const imports = {
 
     await test('Native sync execution', native);
 
-    const source = path.join(__dirname, 'compiled-memory.js');
-    fs.writeFileSync(source, collect(await optimized()));
+    const source = path.join(__dirname, 'compiled-memory.mjs');
+    const precompiled = await collect(await Interpreter.compile(wasm), source);
     console.log(`wrote source to ${source}`);
 
-    const sourceDebug = path.join(__dirname, 'compiled-memory-debug.js');
-    fs.writeFileSync(sourceDebug, collect(await debug()));
+    const sourceDebug = path.join(__dirname, 'compiled-memory-debug.mjs');
+    await collect(await Interpreter.compile(wasm, {debug: true}), sourceDebug);
     console.log(`wrote source to ${sourceDebug}`);
 
 
     await test('Optimized async execution', optimized);
 
 
+    await test('Precompiled async execution', async () => {
+        return await Interpreter.instantiate(precompiled, imports);
+    });
+
+
     await test('Debuggable async execution', debug);
 
 
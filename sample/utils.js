@@ -1,9 +1,14 @@
-function collect(instance) {
-    const sources = [];
-    for (let [name, func] of Object.entries(instance.exports)) {
-        sources.push(`const ${name} = ${func.toString()};`);
-    }
-    return sources.join('\n\n');
+const fs = require('fs');
+const url = require('url');
+
+/// Save a compiled module as JS source, and load it back in
+/// without the compiler.
+async function collect(module, filename) {
+    fs.writeFileSync(filename, module.toSource({
+        runtime: '../runtime.js'
+    }));
+    const {default: precompiled} = await import(url.pathToFileURL(filename));
+    return await precompiled.ready;
 }
 
 module.exports = {
@@ -0,0 +1,469 @@
+/// SIMD operations for compiled code.
+///
+/// v128 values are carried as Int32Arrays of their four 32-bit lanes,
+/// so they take a single variable like other values. They're never
+/// changed once made, so locals and stack slots may share them; each
+/// operation views its operands in the lane shape it works on, and
+/// returns a new value.
+
+/// All-zero v128, as locals start out.
+const v128Zero = new Int32Array(4);
+
+/// View a v128 as lanes of a typed array type.
+function lanes(value, Type) {
+    return new Type(value.buffer, value.byteOffset, 16 / Type.BYTES_PER_ELEMENT);
+}
+
+/// Make a v128 from lanes of the given type, as computed by the callback.
+function make(Type, callback) {
+    const result = new Int32Array(4);
+    const out = lanes(result, Type);
+    for (let i = 0; i < out.length; i++) {
+        out[i] = callback(i);
+    }
+    return result;
+}
+
+function clamp(value, min, max) {
+    return Math.min(Math.max(value, min), max);
+}
+
+/// Round to the nearest integer, with halves going to the even one
+/// rather than up as `Math.round` has them. Signs and NaNs are kept.
+function nearest(value) {
+    if (Math.abs(value - Math.trunc(value)) === 0.5) {
+        return 2 * Math.round(value / 2);
+    }
+    return Math.round(value);
+}
+
+/// Truncate a float to an integer in the given range; NaN gives 0.
+function truncSat(value, min, max) {
+    return Number.isNaN(value) ? 0 : clamp(Math.trunc(value), min, max);
+}
+
+function popcnt8(value) {
+    let count = 0;
+    for (; value; value &= value - 1) {
+        count++;
+    }
+    return count;
+}
+
+// Lanewise operation builders, taking lanes of type `Type` and making
+// lanes of type `Out`.
+
+function unary(Type, op, Out=Type) {
+    return (a) => {
+        const x = lanes(a, Type);
+        return make(Out, (i) => op(x[i]));
+    };
+}
+
+function binary(Type, op, Out=Type) {
+    return (a, b) => {
+        const x = lanes(a, Type);
+        const y = lanes(b, Type);
+        return make(Out, (i) => op(x[i], y[i]));
+    };
+}
+
+/// Lanes of all ones where the test passes, and zeros elsewhere.
+function compare(Type, test, Out=Type) {
+    const [ones, zero] = (Out === BigInt64Array) ? [-1n, 0n] : [-1, 0];
+    return binary(Type, (a, b) => test(a, b) ? ones : zero, Out);
+}
+
+/// Lanes of `a` where the test passes, and of `b` elsewhere. The test
+/// takes lanes of type `Type`, while the chosen lanes are copied as
+/// `Bits`, so float lanes keep their exact bit patterns.
+function select(Type, test, Bits) {
+    return (a, b) => {
+        const x = lanes(a, Type);
+        const y = lanes(b, Type);
+        const xBits = lanes(a, Bits);
+        const yBits = lanes(b, Bits);
+        return make(Bits, (i) => test(x[i], y[i]) ? xBits[i] : yBits[i]);
+    };
+}
+
+/// Shift counts are taken modulo the lane width.
+function shift(Type, op) {
+    const mask = Type.BYTES_PER_ELEMENT * 8 - 1;
+    const big = (Type === BigInt64Array || Type === BigUint64Array);
+    return (a, count) => {
+        const x = lanes(a, Type);
+        const bits = big ? BigInt(count & mask) : (count & mask);
+        return make(Type, (i) => op(x[i], bits));
+    };
+}
+
+function splat(Type) {
+    return (value) => make(Type, () => value);
+}
+
+function allTrue(Type) {
+    return (a) => lanes(a, Type).every(Boolean) | 0;
+}
+
+/// Gather the top bit of each lane.
+function bitmask(Type) {
+    return (a) => lanes(a, Type).reduce((mask, lane, i) => (lane < 0) ? mask | (1 << i) : mask, 0);
+}
+
+/// Narrow two vectors' lanes into one, saturating.
+function narrow(Type, Out, min, max) {
+    return (a, b) => {
+        const x = lanes(a, Type);
+        const y = lanes(b, Type);
+        return make(Out, (i) => clamp((i < x.length) ? x[i] : y[i - x.length], min, max));
+    };
+}
+
+/// Widen the low or high half of the lanes.
+function extend(Type, Out, high) {
+    const convert = (Out === BigInt64Array) ? BigInt : Number;
+    return (a) => {
+        const x = lanes(a, Type);
+        const offset = high ? x.length / 2 : 0;
+        return make(Out, (i) => convert(x[offset + i]));
+    };
+}
+
+/// Multiply the widened low or high half of the lanes.
+function extmul(Type, Out, high) {
+    const widen = extend(Type, Out, high);
+    return (a, b) => {
+        const x = lanes(widen(a), Out);
+        const y = lanes(widen(b), Out);
+        return make(Out, (i) => x[i] * y[i]);
+    };
+}
+
+/// Add adjacent pairs of lanes into wider ones.
+function extaddPairwise(Type, Out) {
+    return (a) => {
+        const x = lanes(a, Type);
+        return make(Out, (i) => x[2 * i] + x[2 * i + 1]);
+    };
+}
+
+function extractLane(Type) {
+    return (a, lane) => lanes(a, Type)[lane];
+}
+
+function replaceLane(Type) {
+    return (a, lane, value) => {
+        const result = new Int32Array(a);
+        lanes(result, Type)[lane] = value;
+        return result;
+    };
+}
+
+const ops = {};
+
+const intShapes = {
+    i8x16: [Int8Array, Uint8Array, 8],
+    i16x8: [Int16Array, Uint16Array, 16],
+    i32x4: [Int32Array, Uint32Array, 32]
+};
+
+for (let [shape, [Signed, Unsigned, bits]] of Object.entries(intShapes)) {
+    Object.assign(ops, {
+        [`${shape}.eq`]: compare(Signed, (a, b) => a === b),
+        [`${shape}.ne`]: compare(Signed, (a, b) => a !== b),
+        [`${shape}.lt_s`]: compare(Signed, (a, b) => a < b),
+        [`${shape}.lt_u`]: compare(Unsigned, (a, b) => a < b),
+        [`${shape}.gt_s`]: compare(Signed, (a, b) => a > b),
+        [`${shape}.gt_u`]: compare(Unsigned, (a, b) => a > b),
+        [`${shape}.le_s`]: compare(Signed, (a, b) => a <= b),
+        [`${shape}.le_u`]: compare(Unsigned, (a, b) => a <= b),
+        [`${shape}.ge_s`]: compare(Signed, (a, b) => a >= b),
+        [`${shape}.ge_u`]: compare(Unsigned, (a, b) => a >= b),
+        [`${shape}.abs`]: unary(Signed, Math.abs),
+        [`${shape}.neg`]: unary(Signed, (a) => -a),
+        [`${shape}.all_true`]: allTrue(Signed),
+        [`${shape}.bitmask`]: bitmask(Signed),
+        [`${shape}.shl`]: shift(Signed, (a, bits) => a << bits),
+        [`${shape}.shr_s`]: shift(Signed, (a, bits) => a >> bits),
+        [`${shape}.shr_u`]: shift(Unsigned, (a, bits) => a >>> bits),
+        [`${shape}.add`]: binary(Signed, (a, b) => a + b),
+        [`${shape}.sub`]: binary(Signed, (a, b) => a - b),
+        [`${shape}.min_s`]: binary(Signed, Math.min),
+        [`${shape}.min_u`]: binary(Unsigned, Math.min),
+        [`${shape}.max_s`]: binary(Signed, Math.max),
+        [`${shape}.max_u`]: binary(Unsigned, Math.max)
+    });
+    if (bits < 32) {
+        const min = -(2 ** (bits - 1));
+        const max = 2 ** (bits - 1) - 1;
+        const umax = 2 ** bits - 1;
+        Object.assign(ops, {
+            [`${shape}.add_sat_s`]: binary(Signed, (a, b) => clamp(a + b, min, max)),
+            [`${shape}.add_sat_u`]: binary(Unsigned, (a, b) => clamp(a + b, 0, umax)),
+            [`${shape}.sub_sat_s`]: binary(Signed, (a, b) => clamp(a - b, min, max)),
+            [`${shape}.sub_sat_u`]: binary(Unsigned, (a, b) => clamp(a - b, 0, umax)),
+            [`${shape}.avgr_u`]: binary(Unsigned, (a, b) => (a + b + 1) >>> 1)
+        });
+    }
+}
+
+Object.assign(ops, {
+    'i8x16.swizzle': (a, s) => {
+        const x = lanes(a, Uint8Array);
+        const indexes = lanes(s, Uint8Array);
+        return make(Uint8Array, (i) => (indexes[i] < 16) ? x[indexes[i]] : 0);
+    },
+    /// Lane indexes come in a Uint8Array, indexing both vectors' lanes.
+    'i8x16.shuffle': (a, b, indexes) => {
+        const x = lanes(a, Uint8Array);
+        const y = lanes(b, Uint8Array);
+        return make(Uint8Array, (i) => (indexes[i] < 16) ? x[indexes[i]] : y[indexes[i] - 16]);
+    },
+    'i8x16.splat': splat(Int8Array),
+    'i16x8.splat': splat(Int16Array),
+    'i32x4.splat': splat(Int32Array),
+    'i64x2.splat': (low, high) => make(Int32Array, (i) => (i & 1) ? high : low),
+    'f32x4.splat': splat(Float32Array),
+    'f64x2.splat': splat(Float64Array),
+
+    // i64x2 lanes are extracted as halves by compiled code.
+    'i8x16.extract_lane_s': extractLane(Int8Array),
+    'i8x16.extract_lane_u': extractLane(Uint8Array),
+    'i8x16.replace_lane': replaceLane(Int8Array),
+    'i16x8.extract_lane_s': extractLane(Int16Array),
+    'i16x8.extract_lane_u': extractLane(Uint16Array),
+    'i16x8.replace_lane': replaceLane(Int16Array),
+    'i32x4.extract_lane': extractLane(Int32Array),
+    'i32x4.replace_lane': replaceLane(Int32Array),
+    'i64x2.replace_lane': (a, lane, low, high) => {
+        const result = new Int32Array(a);
+        result[2 * lane] = low;
+        result[2 * lane + 1] = high;
+        return result;
+    },
+    'f32x4.extract_lane': extractLane(Float32Array),
+    'f32x4.replace_lane': replaceLane(Float32Array),
+    'f64x2.extract_lane': extractLane(Float64Array),
+    'f64x2.replace_lane': replaceLane(Float64Array),
+
+    'v128.not': unary(Int32Array, (a) => ~a),
+    'v128.and': binary(Int32Array, (a, b) => a & b),
+    'v128.andnot': binary(Int32Array, (a, b) => a & ~b),
+    'v128.or': binary(Int32Array, (a, b) => a | b),
+    'v128.xor': binary(Int32Array, (a, b) => a ^ b),
+    'v128.bitselect': (a, b, c) => {
+        const x = lanes(a, Int32Array);
+        const y = lanes(b, Int32Array);
+        const mask = lanes(c, Int32Array);
+        return make(Int32Array, (i) => (x[i] & mask[i]) | (y[i] & ~mask[i]));
+    },
+    'v128.any_true': (a) => lanes(a, Int32Array).some(Boolean) | 0,
+
+    'i8x16.popcnt': unary(Uint8Array, popcnt8),
+    'i8x16.narrow_i16x8_s': narrow(Int16Array, Int8Array, -0x80, 0x7f),
+    'i8x16.narrow_i16x8_u': narrow(Int16Array, Uint8Array, 0, 0xff),
+    'i16x8.narrow_i32x4_s': narrow(Int32Array, Int16Array, -0x8000, 0x7fff),
+    'i16x8.narrow_i32x4_u': narrow(Int32Array, Uint16Array, 0, 0xffff),
+    'i16x8.extend_low_i8x16_s': extend(Int8Array, Int16Array, false),
+    'i16x8.extend_high_i8x16_s': extend(Int8Array, Int16Array, true),
+    'i16x8.extend_low_i8x16_u': extend(Uint8Array, Int16Array, false),
+    'i16x8.extend_high_i8x16_u': extend(Uint8Array, Int16Array, true),
+    'i32x4.extend_low_i16x8_s': extend(Int16Array, Int32Array, false),
+    'i32x4.extend_high_i16x8_s': extend(Int16Array, Int32Array, true),
+    'i32x4.extend_low_i16x8_u': extend(Uint16Array, Int32Array, false),
+    'i32x4.extend_high_i16x8_u': extend(Uint16Array, Int32Array, true),
+    'i64x2.extend_low_i32x4_s': extend(Int32Array, BigInt64Array, false),
+    'i64x2.extend_high_i32x4_s': extend(Int32Array, BigInt64Array, true),
+    'i64x2.extend_low_i32x4_u': extend(Uint32Array, BigInt64Array, false),
+    'i64x2.extend_high_i32x4_u': extend(Uint32Array, BigInt64Array, true),
+    'i16x8.extmul_low_i8x16_s': extmul(Int8Array, Int16Array, false),
+    'i16x8.extmul_high_i8x16_s': extmul(Int8Array, Int16Array, true),
+    'i16x8.extmul_low_i8x16_u': extmul(Uint8Array, Int16Array, false),
+    'i16x8.extmul_high_i8x16_u': extmul(Uint8Array, Int16Array, true),
+    'i32x4.extmul_low_i16x8_s': extmul(Int16Array, Int32Array, false),
+    'i32x4.extmul_high_i16x8_s': extmul(Int16Array, Int32Array, true),
+    'i32x4.extmul_low_i16x8_u': extmul(Uint16Array, Int32Array, false),
+    'i32x4.extmul_high_i16x8_u': extmul(Uint16Array, Int32Array, true),
+    'i64x2.extmul_low_i32x4_s': extmul(Int32Array, BigInt64Array, false),
+    'i64x2.extmul_high_i32x4_s': extmul(Int32Array, BigInt64Array, true),
+    'i64x2.extmul_low_i32x4_u': extmul(Uint32Array, BigInt64Array, false),
+    'i64x2.extmul_high_i32x4_u': extmul(Uint32Array, BigInt64Array, true),
+    'i16x8.extadd_pairwise_i8x16_s': extaddPairwise(Int8Array, Int16Array),
+    'i16x8.extadd_pairwise_i8x16_u': extaddPairwise(Uint8Array, Int16Array),
+    'i32x4.extadd_pairwise_i16x8_s': extaddPairwise(Int16Array, Int32Array),
+    'i32x4.extadd_pairwise_i16x8_u': extaddPairwise(Uint16Array, Int32Array),
+    'i16x8.q15mulr_sat_s': binary(Int16Array, (a, b) => clamp((a * b + 0x4000) >> 15, -0x8000, 0x7fff)),
+    'i16x8.mul': binary(Int16Array, (a, b) => a * b),
+    'i32x4.mul': binary(Int32Array, Math.imul),
+    'i32x4.dot_i16x8_s': (a, b) => {
+        const x = lanes(a, Int16Array);
+        const y = lanes(b, Int16Array);
+        return make(Int32Array, (i) => x[2 * i] * y[2 * i] + x[2 * i + 1] * y[2 * i + 1]);
+    },
+
+    'i64x2.eq': compare(BigInt64Array, (a, b) => a === b),
+    'i64x2.ne': compare(BigInt64Array, (a, b) => a !== b),
+    'i64x2.lt_s': compare(BigInt64Array, (a, b) => a < b),
+    'i64x2.gt_s': compare(BigInt64Array, (a, b) => a > b),
+    'i64x2.le_s': compare(BigInt64Array, (a, b) => a <= b),
+    'i64x2.ge_s': compare(BigInt64Array, (a, b) => a >= b),
+    'i64x2.abs': unary(BigInt64Array, (a) => (a < 0n) ? -a : a),
+    'i64x2.neg': unary(BigInt64Array, (a) => -a),
+    'i64x2.all_true': allTrue(BigInt64Array),
+    'i64x2.bitmask': bitmask(BigInt64Array),
+    'i64x2.shl': shift(BigInt64Array, (a, bits) => a << bits),
+    'i64x2.shr_s': shift(BigInt64Array, (a, bits) => a >> bits),
+    'i64x2.shr_u': shift(BigUint64Array, (a, bits) => a >> bits),
+    'i64x2.add': binary(BigInt64Array, (a, b) => a + b),
+    'i64x2.sub': binary(BigInt64Array, (a, b) => a - b),
+    'i64x2.mul': binary(BigInt64Array, (a, b) => a * b),
+
+    'i32x4.trunc_sat_f32x4_s': unary(Float32Array, (a) => truncSat(a, -0x80000000, 0x7fffffff), Int32Array),
+    'i32x4.trunc_sat_f32x4_u': unary(Float32Array, (a) => truncSat(a, 0, 0xffffffff), Uint32Array),
+    'i32x4.trunc_sat_f64x2_s_zero': (a) => {
+        const x = lanes(a, Float64Array);
+        return make(Int32Array, (i) => (i < 2) ? truncSat(x[i], -0x80000000, 0x7fffffff) : 0);
+    },
+    'i32x4.trunc_sat_f64x2_u_zero': (a) => {
+        const x = lanes(a, Float64Array);
+        return make(Uint32Array, (i) => (i < 2) ? truncSat(x[i], 0, 0xffffffff) : 0);
+    },
+    'f32x4.convert_i32x4_s': unary(Int32Array, (a) => a, Float32Array),
+    'f32x4.convert_i32x4_u': unary(Uint32Array, (a) => a, Float32Array),
+    'f64x2.convert_low_i32x4_s': extend(Int32Array, Float64Array, false),
+    'f64x2.convert_low_i32x4_u': extend(Uint32Array, Float64Array, false),
+    'f32x4.demote_f64x2_zero': (a) => {
+        const x = lanes(a, Float64Array);
+        return make(Float32Array, (i) => (i < 2) ? x[i] : 0);
+    },
+    'f64x2.promote_low_f32x4': extend(Float32Array, Float64Array, false)
+});
+
+// Float lanes compare to integer masks of the same width.
+const floatShapes = {
+    f32x4: [Float32Array, Int32Array],
+    f64x2: [Float64Array, BigInt64Array]
+};
+
+for (let [shape, [Type, Mask]] of Object.entries(floatShapes)) {
+    // Sign bits, as the high bit of every 32-bit lane or every other one.
+    const sign = (Type === Float32Array) ? () => 0x80000000 : (i) => (i & 1) ? 0x80000000 : 0;
+    Object.assign(ops, {
+        [`${shape}.eq`]: compare(Type, (a, b) => a === b, Mask),
+        [`${shape}.ne`]: compare(Type, (a, b) => a !== b, Mask),
+        [`${shape}.lt`]: compare(Type, (a, b) => a < b, Mask),
+        [`${shape}.gt`]: compare(Type, (a, b) => a > b, Mask),
+        [`${shape}.le`]: compare(Type, (a, b) => a <= b, Mask),
+        [`${shape}.ge`]: compare(Type, (a, b) => a >= b, Mask),
+        // Sign operations only touch the sign bit, even of NaNs.
+        [`${shape}.abs`]: (a) => {
+            const x = lanes(a, Int32Array);
+            return make(Int32Array, (i) => x[i] & ~sign(i));
+        },
+        [`${shape}.neg`]: (a) => {
+            const x = lanes(a, Int32Array);
+            return make(Int32Array, (i) => x[i] ^ sign(i));
+        },
+        [`${shape}.sqrt`]: unary(Type, Math.sqrt),
+        [`${shape}.ceil`]: unary(Type, Math.ceil),
+        [`${shape}.floor`]: unary(Type, Math.floor),
+        [`${shape}.trunc`]: unary(Type, Math.trunc),
+        [`${shape}.nearest`]: unary(Type, nearest),
+        [`${shape}.add`]: binary(Type, (a, b) => a + b),
+        [`${shape}.sub`]: binary(Type, (a, b) => a - b),
+        [`${shape}.mul`]: binary(Type, (a, b) => a * b),
+        [`${shape}.div`]: binary(Type, (a, b) => a / b),
+        [`${shape}.min`]: binary(Type, Math.min),
+        [`${shape}.max`]: binary(Type, Math.max),
+        // These pick one operand's lane as it is, even a signalling NaN.
+        [`${shape}.pmin`]: select(Type, (a, b) => !(b < a), Mask),
+        [`${shape}.pmax`]: select(Type, (a, b) => !(a < b), Mask)
+    });
+}
+
+// Memory accesses take the DataView and effective address, so out of
+// bounds ones throw a RangeError as other loads and stores do.
+
+function loadExtend(get, bytes, Out) {
+    const convert = (Out === BigInt64Array) ? BigInt : Number;
+    return (view, address) => make(Out, (i) => convert(view[get](address + i * bytes, true)));
+}
+
+function loadSplat(get, Type) {
+    return (view, address) => {
+        const value = view[get](address, true);
+        return make(Type, () => value);
+    };
+}
+
+const laneAccess = {
+    1: ['getUint8', 'setUint8', Uint8Array],
+    2: ['getUint16', 'setUint16', Uint16Array],
+    4: ['getUint32', 'setUint32', Uint32Array],
+    8: ['getBigUint64', 'setBigUint64', BigUint64Array]
+};
+
+function loadLane(bytes) {
+    const [get, , Type] = laneAccess[bytes];
+    return (view, address, a, lane) => {
+        const value = view[get](address, true);
+        const result = new Int32Array(a);
+        lanes(result, Type)[lane] = value;
+        return result;
+    };
+}
+
+function storeLane(bytes) {
+    const [, set, Type] = laneAccess[bytes];
+    return (view, address, a, lane) => {
+        view[set](address, lanes(a, Type)[lane], true);
+    };
+}
+
+Object.assign(ops, {
+    'v128.load': (view, address) => make(Int32Array, (i) => view.getInt32(address + i * 4, true)),
+    'v128.load8x8_s': loadExtend('getInt8', 1, Int16Array),
+    'v128.load8x8_u': loadExtend('getUint8', 1, Int16Array),
+    'v128.load16x4_s': loadExtend('getInt16', 2, Int32Array),
+    'v128.load16x4_u': loadExtend('getUint16', 2, Int32Array),
+    'v128.load32x2_s': loadExtend('getInt32', 4, BigInt64Array),
+    'v128.load32x2_u': loadExtend('getUint32', 4, BigInt64Array),
+    'v128.load8_splat': loadSplat('getUint8', Uint8Array),
+    'v128.load16_splat': loadSplat('getUint16', Uint16Array),
+    'v128.load32_splat': loadSplat('getUint32', Uint32Array),
+    'v128.load64_splat': loadSplat('getBigUint64', BigUint64Array),
+    'v128.load32_zero': (view, address) => make(Int32Array, (i) => (i === 0) ? view.getInt32(address, true) : 0),
+    'v128.load64_zero': (view, address) => {
+        const low = view.getInt32(address, true);
+        const high = view.getInt32(address + 4, true);
+        return make(Int32Array, (i) => [low, high, 0, 0][i]);
+    },
+    'v128.store': (view, address, a) => {
+        // Last lane first, so nothing is written if the end is out of bounds.
+        for (let i = 3; i >= 0; i--) {
+            view.setInt32(address + i * 4, a[i], true);
+        }
+    },
+    'v128.load8_lane': loadLane(1),
+    'v128.load16_lane': loadLane(2),
+    'v128.load32_lane': loadLane(4),
+    'v128.load64_lane': loadLane(8),
+    'v128.store8_lane': storeLane(1),
+    'v128.store16_lane': storeLane(2),
+    'v128.store32_lane': storeLane(4),
+    'v128.store64_lane': storeLane(8)
+});
+
+/// A v128 in the text format's form, as `Frame` dumps show them.
+function v128Text(value) {
+    const words = Array.from(lanes(value, Uint32Array), (lane) => '0x' + lane.toString(16).padStart(8, '0'));
+    return `i32x4 ${words.join(' ')}`;
+}
+
+module.exports = {
+    simd: ops,
+    v128Zero,
+    v128Text,
+    nearest
+};
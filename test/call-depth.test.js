@@ -0,0 +1,97 @@
+/// Tests the call depth limit, which traps with "call stack exhausted"
+/// before V8 runs out of stack, and running out of stack anyway.
+///
+///   node --test test/call-depth.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+const source = `
+    (module
+        (import "env" "overflow" (func $overflow))
+        (tag $e)
+        ;; Nests n + 1 calls deep
+        (func $rec (export "rec") (param i32) (result i32)
+            (if (result i32) (local.get 0)
+                (then (i32.add (i32.const 1) (call $rec (i32.sub (local.get 0) (i32.const 1)))))
+                (else (i32.const 0))
+            )
+        )
+        ;; Nests n + 1 calls deep, then throws
+        (func $throwing (param i32)
+            (if (local.get 0)
+                (then (call $throwing (i32.sub (local.get 0) (i32.const 1))))
+                (else (throw $e))
+            )
+        )
+        ;; Catches a throw from n + 2 calls deep, many times over
+        (func (export "catchMany") (param i32) (result i32)
+            (local $i i32)
+            (loop $again
+                (try
+                    (do (call $throwing (local.get 0)))
+                    (catch $e)
+                )
+                (local.set $i (i32.add (local.get $i) (i32.const 1)))
+                (br_if $again (i32.lt_u (local.get $i) (i32.const 100)))
+            )
+            (local.get $i)
+        )
+        ;; Counts down by tail calls, in one frame
+        (func $countdown (export "countdown") (param i32) (result i32)
+            (if (result i32) (local.get 0)
+                (then (return_call $countdown (i32.sub (local.get 0) (i32.const 1))))
+                (else (i32.const 0))
+            )
+        )
+        (func (export "overflow")
+            (call $overflow)
+        )
+    )
+`;
+
+const features = {tail_call: true, exceptions: true};
+
+async function instantiate(options) {
+    const env = {
+        // Runs out of JS stack
+        overflow: function overflow() {
+            overflow();
+        }
+    };
+    const {instance} = await Interpreter.instantiate(await assemble(source, features), {env}, options);
+    return instance;
+}
+
+function exhausted(error) {
+    return error instanceof WebAssembly.RuntimeError && error.message === 'call stack exhausted';
+}
+
+test('calls trap past maxCallDepth', async () => {
+    const instance = await instantiate({maxCallDepth: 10});
+    assert.strictEqual(await instance.exports.rec(9), 9);
+    await assert.rejects(instance.exports.rec(10), exhausted);
+    // Nothing is left over from the trap.
+    assert.strictEqual(await instance.exports.rec(9), 9);
+});
+
+test('the default limit is 2000 calls', async () => {
+    const instance = await instantiate();
+    assert.strictEqual(await instance.exports.rec(1999), 1999);
+    await assert.rejects(instance.exports.rec(2000), exhausted);
+});
+
+test('running out of JS stack is the same trap', async () => {
+    const instance = await instantiate();
+    await assert.rejects(instance.exports.overflow(), exhausted);
+});
+
+test('tail calls and caught exceptions leave the depth as it was', async () => {
+    const instance = await instantiate({maxCallDepth: 10});
+    assert.strictEqual(await instance.exports.countdown(1000), 0);
+    assert.strictEqual(await instance.exports.catchMany(8), 100);
+    await assert.rejects(instance.exports.catchMany(9), exhausted);
+    assert.strictEqual(await instance.exports.rec(9), 9);
+});
@@ -0,0 +1,248 @@
+/// Tests the Debug Adapter Protocol server with a scripted client over a
+/// local socket, debugging test/fixtures/dwarf-O0.wasm.
+///
+///   node --test test/debug-adapter.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const {Interpreter} = require('../index.js');
+
+const wasm = fs.readFileSync(path.join(__dirname, 'fixtures', 'dwarf-O0.wasm'));
+
+// As an editor would have it, which isn't where it was built
+const sourcePath = path.join(__dirname, 'fixtures', 'dwarf.c');
+
+/// A DAP client reading messages from a socket as they come in.
+class Client {
+    constructor(socket) {
+        this.socket = socket;
+        this.seq = 1;
+        this.buffer = Buffer.alloc(0);
+        this.messages = [];
+        this.waiting = [];
+        socket.on('data', (data) => this.receive(data));
+    }
+
+    receive(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+        for (;;) {
+            const headerEnd = this.buffer.indexOf('\r\n\r\n');
+            if (headerEnd === -1) {
+                return;
+            }
+            const length = Number(/Content-Length: (\d+)/.exec(this.buffer.subarray(0, headerEnd))[1]);
+            const start = headerEnd + 4;
+            if (this.buffer.length < start + length) {
+                return;
+            }
+            this.messages.push(JSON.parse(this.buffer.subarray(start, start + length)));
+            this.buffer = this.buffer.subarray(start + length);
+            this.check();
+        }
+    }
+
+    check() {
+        for (let waiter of this.waiting.slice()) {
+            const index = this.messages.findIndex(waiter.match);
+            if (index !== -1) {
+                const [message] = this.messages.splice(index, 1);
+                this.waiting.splice(this.waiting.indexOf(waiter), 1);
+                waiter.resolve(message);
+            }
+        }
+    }
+
+    next(match) {
+        return new Promise((resolve) => {
+            this.waiting.push({match, resolve});
+            this.check();
+        });
+    }
+
+    write(text) {
+        this.socket.write(`Content-Length: ${Buffer.byteLength(text)}\r\n\r\n${text}`);
+    }
+
+    async request(command, args={}) {
+        const seq = this.seq++;
+        this.write(JSON.stringify({seq, type: 'request', command, arguments: args}));
+        const response = await this.next((message) => message.type === 'response' && message.request_seq === seq);
+        assert.ok(response.success, `${command} failed: ${response.message}`);
+        return response.body;
+    }
+
+    event(name) {
+        return this.next((message) => message.type === 'event' && message.event === name);
+    }
+}
+
+// Closed after each test, so one that fails doesn't keep the process
+// running.
+const sockets = [];
+test.afterEach(() => {
+    for (let socket of sockets.splice(0)) {
+        socket.destroy();
+    }
+});
+
+/// Start an instance with a debug adapter on one end of a local socket,
+/// and a client on the other.
+async function connect() {
+    const {instance} = await Interpreter.instantiate(wasm, {}, {debug: true});
+    const pipe = process.platform === 'win32'
+        ? `\\\\.\\pipe\\terok-nor-${process.pid}`
+        : path.join(os.tmpdir(), `terok-nor-${process.pid}.sock`);
+    if (process.platform !== 'win32') {
+        fs.rmSync(pipe, {force: true});
+    }
+    let adapter = null;
+    const server = net.createServer((socket) => {
+        adapter = Interpreter.createDebugAdapter(instance, socket);
+        server.close();
+    });
+    await new Promise((resolve) => server.listen(pipe, resolve));
+    const socket = net.connect(pipe);
+    await new Promise((resolve) => socket.on('connect', resolve));
+    sockets.push(socket);
+    const client = new Client(socket);
+    await client.request('initialize', {adapterID: 'test', linesStartAt1: true, columnsStartAt1: true});
+    await client.event('initialized');
+    while (!adapter) {
+        await new Promise((resolve) => setImmediate(resolve));
+    }
+    return {instance, adapter, client, socket};
+}
+
+async function variables(client, frameId, scopeName) {
+    const {scopes} = await client.request('scopes', {frameId});
+    const scope = scopes.find((scope) => scope.name === scopeName);
+    const {variables} = await client.request('variables', {variablesReference: scope.variablesReference});
+    return variables;
+}
+
+test('a debugging session', {timeout: 10000}, async () => {
+    const {instance, client} = await connect();
+    const {breakpoints} = await client.request('setBreakpoints', {
+        source: {path: sourcePath},
+        breakpoints: [{line: 7}]
+    });
+    assert.strictEqual(breakpoints.length, 1);
+    assert.ok(breakpoints[0].verified);
+    assert.strictEqual(breakpoints[0].line, 7);
+    await client.request('configurationDone');
+
+    const result = instance.exports.sum_squares(3);
+    let stopped = await client.event('stopped');
+    assert.strictEqual(stopped.body.reason, 'breakpoint');
+    assert.deepStrictEqual(stopped.body.hitBreakpointIds, [breakpoints[0].id]);
+
+    const {stackFrames} = await client.request('stackTrace', {threadId: 1});
+    assert.deepStrictEqual(stackFrames.map((frame) => [frame.name, frame.line]), [
+        ['square', 7],
+        ['sum_squares', 14]
+    ]);
+    assert.strictEqual(stackFrames[0].source.name, 'dwarf.c');
+    const locals = await variables(client, stackFrames[0].id, 'Locals');
+    assert.deepStrictEqual(locals.map(({name, value, type}) => [name, value, type]), [['$var0', '1', 'i32'], ['$var1', '65504', 'i32']]);
+    const sourceVariables = await variables(client, stackFrames[0].id, 'Source variables');
+    assert.deepStrictEqual(sourceVariables.map(({name, type}) => [name, type]), [['x', 'int'], ['result', 'int']]);
+    assert.strictEqual(sourceVariables[0].value, '1');
+
+    // Stepping out lands back in the caller
+    await client.request('stepOut', {threadId: 1});
+    stopped = await client.event('stopped');
+    assert.strictEqual(stopped.body.reason, 'step');
+    let [top] = (await client.request('stackTrace', {threadId: 1})).stackFrames;
+    assert.strictEqual(top.name, 'sum_squares');
+
+    // Stepping over the next call stops at the breakpoint inside it
+    for (let steps = 0; top.name === 'sum_squares'; steps++) {
+        assert.ok(steps < 20, 'Stepped past the breakpoint');
+        await client.request('next', {threadId: 1});
+        stopped = await client.event('stopped');
+        [top] = (await client.request('stackTrace', {threadId: 1})).stackFrames;
+        assert.strictEqual(stopped.body.reason, top.name === 'square' ? 'breakpoint' : 'step');
+    }
+    assert.strictEqual(top.line, 7);
+
+    await client.request('continue', {threadId: 1});
+    await client.event('stopped');
+
+    // Disconnecting clears the breakpoints and lets the call finish
+    await client.request('disconnect');
+    assert.strictEqual(await result, 14);
+    assert.deepStrictEqual(instance.breakpoints(), []);
+    assert.strictEqual(instance.debugger, null);
+});
+
+test('breakpoints at the same offset', {timeout: 10000}, async () => {
+    const {instance, client} = await connect();
+    const offset = instance._module.debugInfo.findLine('dwarf.c', 7)[0];
+    const other = instance._module.debugInfo.findLine('dwarf.c', 14)[0];
+    instance.setBreakpoint(other);
+
+    const reference = `0x${offset.toString(16)}`;
+    await client.request('setInstructionBreakpoints', {breakpoints: [{instructionReference: reference}]});
+    await client.request('setBreakpoints', {source: {path: sourcePath}, breakpoints: [{line: 7}, {line: 14}]});
+
+    // Clearing the source breakpoints leaves the instruction breakpoint,
+    // and the one the host set
+    await client.request('setBreakpoints', {source: {path: sourcePath}, breakpoints: []});
+    assert.deepStrictEqual(instance.breakpoints().map((loc) => loc.offset).sort(), [offset, other].sort());
+
+    await client.request('setInstructionBreakpoints', {breakpoints: []});
+    assert.deepStrictEqual(instance.breakpoints().map((loc) => loc.offset), [other]);
+
+    await client.request('disconnect');
+    assert.deepStrictEqual(instance.breakpoints().map((loc) => loc.offset), [other]);
+});
+
+test('instruction breakpoints off instructions', {timeout: 10000}, async () => {
+    const {instance, client} = await connect();
+    // An instruction with immediates, to aim partway into
+    const offsets = instance._mod.funcs.flatMap((func) => func.offsets || []);
+    const start = offsets.find((offset, i) => offsets[i + 1] > offset + 1);
+
+    const {breakpoints} = await client.request('setInstructionBreakpoints', {
+        breakpoints: [
+            {instructionReference: 'nowhere'},
+            {instructionReference: '0x3'},
+            {instructionReference: `0x${start.toString(16)}`, offset: 1}
+        ]
+    });
+    assert.deepStrictEqual(breakpoints.map((bp) => bp.verified), [false, false, true]);
+    assert.match(breakpoints[0].message, /Invalid instruction reference/);
+    assert.match(breakpoints[1].message, /No instruction/);
+    assert.strictEqual(breakpoints[2].instructionReference, `0x${start.toString(16)}`);
+    assert.deepStrictEqual(instance.breakpoints().map((loc) => loc.offset), [start]);
+});
+
+test('malformed messages', {timeout: 10000}, async () => {
+    const {instance, client, socket} = await connect();
+
+    // Bad JSON is reported, and later messages still get through
+    client.write('{"seq": 1, ');
+    const output = await client.event('output');
+    assert.strictEqual(output.body.category, 'stderr');
+    assert.match(output.body.output, /Invalid DAP message/);
+    const {threads} = await client.request('threads');
+    assert.strictEqual(threads.length, 1);
+
+    // Requests without a command get an error response
+    for (let command of [undefined, 42, '']) {
+        const seq = client.seq++;
+        client.write(JSON.stringify({seq, type: 'request', command}));
+        const response = await client.next((message) => message.type === 'response' && message.request_seq === seq);
+        assert.strictEqual(response.success, false);
+        assert.match(response.message, /Unrecognized request/);
+    }
+
+    // Without a Content-Length there's no way to go on
+    socket.write('Content-Type: text/plain\r\n\r\n{}');
+    await client.event('terminated');
+    assert.strictEqual(instance.debugger, null);
+});
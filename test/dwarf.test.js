@@ -0,0 +1,155 @@
+/// Tests reading DWARF debug info, with modules built by clang from
+/// test/fixtures/dwarf.c: one at -O0 with DWARF 4, where variables live
+/// in the shadow stack, and one at -O1 with DWARF 5, where they're in
+/// locals or constant, and their scopes and locations are in lists.
+///
+///   node --test test/dwarf.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const {Interpreter} = require('../index.js');
+const {DebugInfo} = require('../dwarf.js');
+
+const fixtures = path.join(__dirname, 'fixtures');
+
+function load(name) {
+    return fs.readFileSync(path.join(fixtures, name));
+}
+
+async function instantiate(name) {
+    const {instance} = await Interpreter.instantiate(load(name), {}, {debug: true});
+    return instance;
+}
+
+/// Runs `run()` with breakpoints on the given source lines, and returns
+/// the stack trace at each stop, innermost frame first.
+async function stops(instance, lines, run) {
+    for (let line of lines) {
+        instance.setBreakpoint(`dwarf.c:${line}`);
+    }
+    const traces = [];
+    instance.debugger = async () => {
+        traces.push(instance.stackTrace().reverse());
+    };
+    await run();
+    return traces;
+}
+
+function variables(frame) {
+    return Object.fromEntries(frame.variables.map(({name, type, value}) => [name, {type, value}]));
+}
+
+test('line lookup', async () => {
+    const instance = await instantiate('dwarf-O0.wasm');
+    const debugInfo = instance._module.debugInfo;
+    assert.deepStrictEqual(debugInfo.files(), ['/dwarf.c']);
+
+    const offsets = debugInfo.findLine('dwarf.c', 7);
+    assert.strictEqual(offsets.length, 1);
+    const location = debugInfo.lookup(offsets[0]);
+    assert.strictEqual(location.file, '/dwarf.c');
+    assert.strictEqual(location.line, 7);
+
+    // Lines without code move to the next one that has some
+    assert.deepStrictEqual(debugInfo.findLine('dwarf.c', 9), debugInfo.findLine('dwarf.c', 10));
+    assert.deepStrictEqual(debugInfo.findLine('dwarf.c', 100), []);
+    assert.deepStrictEqual(debugInfo.findLine('other.c', 7), []);
+});
+
+test('function names', async () => {
+    const instance = await instantiate('dwarf-O0.wasm');
+    const traces = await stops(instance, [7], () => instance.exports.sum_squares(1));
+    assert.strictEqual(traces.length, 1);
+    const [inner, outer] = traces[0];
+    assert.strictEqual(inner.functionName, 'square');
+    assert.strictEqual(inner.line, 7);
+    assert.strictEqual(outer.functionName, 'sum_squares');
+    assert.strictEqual(outer.line, 14);
+});
+
+test('variables in memory', async () => {
+    const instance = await instantiate('dwarf-O0.wasm');
+    const traces = await stops(instance, [7, 26], async () => {
+        assert.strictEqual(await instance.exports.sum_squares(2), 5);
+        assert.strictEqual(await instance.exports.average(4), 2.25);
+    });
+    assert.strictEqual(traces.length, 3);
+
+    assert.deepStrictEqual(variables(traces[1][0]), {
+        x: {type: 'int', value: 2},
+        result: {type: 'int', value: 4}
+    });
+    assert.deepStrictEqual(variables(traces[1][1]), {
+        count: {type: 'int', value: 2},
+        total: {type: 'int', value: 1},
+        i: {type: 'int', value: 2}
+    });
+
+    // The loop's scope has ended here, so `i` is gone
+    const last = variables(traces[2][0]);
+    assert.deepStrictEqual(Object.keys(last).sort(), ['count', 'next', 'sum']);
+    assert.deepStrictEqual(last.count, {type: 'unsigned int', value: 4});
+    assert.deepStrictEqual(last.sum, {type: 'float', value: 9});
+    assert.strictEqual(last.next.type, 'const int *');
+});
+
+test('variables with location lists and ranges', async () => {
+    const instance = await instantiate('dwarf-O1.wasm');
+    const traces = await stops(instance, [13, 23], async () => {
+        assert.strictEqual(await instance.exports.sum_squares(3), 14);
+        assert.strictEqual(await instance.exports.average(5), 2.799999952316284);
+    });
+    assert.ok(traces.length >= 2);
+
+    // `i` is in a lexical block with two ranges; it's a constant at first
+    const [loop] = traces[0];
+    assert.strictEqual(loop.functionName, 'sum_squares');
+    assert.deepStrictEqual(variables(loop), {
+        count: {type: 'int', value: 3},
+        total: {type: 'int', value: 0},
+        i: {type: 'int', value: 1}
+    });
+
+    // `sum` starts out as an implicit value, given as its bytes
+    const [entry] = traces.find(([frame]) => frame.functionName === 'average');
+    assert.strictEqual(entry.line, 23);
+    assert.deepStrictEqual(variables(entry), {
+        count: {type: 'unsigned int', value: 5},
+        sum: {type: 'float', value: 0},
+        next: {type: 'const int *', value: undefined},
+        i: {type: 'unsigned int', value: 0}
+    });
+});
+
+test('bad debug info is ignored', async () => {
+    // Overwrite the contents of the .debug_info section
+    const wasm = load('dwarf-O0.wasm');
+    const name = Buffer.from('.debug_info');
+    const start = wasm.indexOf(name) + name.length;
+    wasm.fill(0xff, start, start + 16);
+
+    const {instance} = await Interpreter.instantiate(wasm, {}, {debug: true});
+    assert.strictEqual(instance._module.debugInfo, null);
+    assert.throws(() => instance.setBreakpoint('dwarf.c:7'));
+
+    const traces = [];
+    instance.debugger = async () => {
+        traces.push(instance.stackTrace(-1)[0]);
+    };
+    instance.singleStep = true;
+    assert.strictEqual(await instance.exports.sum_squares(1), 1);
+    instance.singleStep = false;
+    assert.ok(traces.length > 0);
+    assert.strictEqual(traces[0].functionName, null);
+    assert.strictEqual(traces[0].variables, null);
+});
+
+test('errors in the reader itself are not taken as bad debug info', async (t) => {
+    t.mock.method(DebugInfo, 'fromModule', () => {
+        throw new TypeError('a bug');
+    });
+    const module = await Interpreter.compile(load('dwarf-O0.wasm'));
+    assert.throws(() => module.debugInfo, TypeError);
+});
@@ -0,0 +1,27 @@
+// Debug info fixture for test/dwarf.test.js. See the Makefile.
+
+static const int values[] = {3, 1, 4, 1, 5};
+
+static int square(int x) {
+    int result = x * x;
+    return result;
+}
+
+__attribute__((export_name("sum_squares")))
+int sum_squares(int count) {
+    int total = 0;
+    for (int i = 1; i <= count; i++) {
+        total += square(i);
+    }
+    return total;
+}
+
+__attribute__((export_name("average")))
+float average(unsigned count) {
+    const int *next = values;
+    float sum = 0;
+    for (unsigned i = 0; i < count; i++) {
+        sum += *next++;
+    }
+    return sum / count;
+}
@@ -0,0 +1,99 @@
+/// Tests the GDB remote protocol stub with a scripted client, as LLDB
+/// would drive it.
+///
+///   node --test test/gdb-stub.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {PassThrough} = require('stream');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+const source = `
+    (module
+        (func (export "quarter") (param f32) (result f32)
+            (f32.div (local.get 0) (f32.const 4))
+        )
+    )
+`;
+
+function checksum(data) {
+    let sum = 0;
+    for (let i = 0; i < data.length; i++) {
+        sum = (sum + data.charCodeAt(i)) & 0xff;
+    }
+    return sum.toString(16).padStart(2, '0');
+}
+
+/// A client sending packets and reading the replies, with acks off.
+class Client {
+    constructor(input, output) {
+        this.output = output;
+        this.buffer = '';
+        this.waiting = null;
+        input.on('data', (data) => {
+            this.buffer += data.toString('latin1');
+            this.check();
+        });
+    }
+
+    check() {
+        const match = /\$([^#]*)#[0-9a-f]{2}/.exec(this.buffer);
+        if (match && this.waiting) {
+            this.buffer = this.buffer.slice(match.index + match[0].length);
+            const resolve = this.waiting;
+            this.waiting = null;
+            resolve(match[1]);
+        }
+    }
+
+    send(data) {
+        return new Promise((resolve) => {
+            this.waiting = resolve;
+            this.output.write(`$${data}#${checksum(data)}`);
+            this.check();
+        });
+    }
+}
+
+/// The code address of a module offset, in LLDB's wasm address space.
+function codeAddress(offset) {
+    return (0x4000000000000000n | BigInt(offset)).toString(16);
+}
+
+test('values are sent as their wasm types', {timeout: 10000}, async () => {
+    const {instance} = await Interpreter.instantiate(await assemble(source), {}, {debug: true});
+
+    // Find the division, with both operands on the stack
+    let offset = null;
+    instance.singleStep = true;
+    instance.debugger = async () => {
+        const [frame] = instance.stackTrace(-1);
+        if (offset === null && frame.stack.length === 2) {
+            offset = frame.sourceLocation.offset;
+        }
+    };
+    await instance.exports.quarter(2);
+    instance.singleStep = false;
+    instance.debugger = null;
+
+    const toStub = new PassThrough();
+    const fromStub = new PassThrough();
+    const stub = Interpreter.createGdbStub(instance, toStub, fromStub);
+    const client = new Client(fromStub, toStub);
+    assert.strictEqual(await client.send('QStartNoAckMode'), 'OK');
+    assert.strictEqual(await client.send(`Z0,${codeAddress(offset)},1`), 'OK');
+
+    const stopped = client.send('c');
+    const result = instance.exports.quarter(2);
+    assert.match(await stopped, /^T05/);
+
+    // Integral floats aren't mistaken for i32s
+    assert.strictEqual(await client.send('qWasmLocal:0;0'), '00000040');
+    assert.strictEqual(await client.send('qWasmStackValue:0;0'), '00000040');
+    assert.strictEqual(await client.send('qWasmStackValue:0;1'), '00008040');
+    assert.strictEqual(await client.send('qWasmStackValue:0;2'), 'E03');
+
+    stub.close();
+    assert.strictEqual(await result, 0.5);
+});
@@ -0,0 +1,107 @@
+/// Tests fuel, which stops calls once they've run so many loop
+/// iterations and calls, and yielding to the event loop in between.
+///
+///   node --test test/metering.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+const source = `
+    (module
+        ;; Counts up to its param, looping once per step, and once more
+        ;; to find it's done
+        (func $count (export "count") (param i32) (result i32)
+            (local i32)
+            (block
+                (loop
+                    (br_if 1 (i32.ge_u (local.get 1) (local.get 0)))
+                    (local.set 1 (i32.add (local.get 1) (i32.const 1)))
+                    (br 0)
+                )
+            )
+            (local.get 1)
+        )
+        (func (export "countInner") (param i32) (result i32)
+            (call $count (local.get 0))
+        )
+    )
+`;
+
+async function instantiate(options) {
+    const {instance} = await Interpreter.instantiate(await assemble(source), {}, options);
+    return instance;
+}
+
+test('loop iterations and calls use fuel', async () => {
+    const instance = await instantiate({fuel: 100});
+    assert.strictEqual(await instance.exports.count(10), 10);
+    assert.strictEqual(instance.fuel, 89);
+    assert.strictEqual(await instance.exports.countInner(10), 10);
+    assert.strictEqual(instance.fuel, 77);
+});
+
+test('running out of fuel stops the call', async () => {
+    const instance = await instantiate({fuel: 100});
+    await assert.rejects(instance.exports.countInner(1000), Interpreter.FuelExhausted);
+    assert.strictEqual(instance.fuel, 0);
+    await assert.rejects(instance.exports.count(0), Interpreter.FuelExhausted);
+
+    // Topping it up lets calls run again
+    instance.fuel = 2000;
+    assert.strictEqual(await instance.exports.count(1000), 1000);
+    assert.strictEqual(instance.fuel, 999);
+});
+
+test('fuel exhaustion is not a trap', async () => {
+    const instance = await instantiate({fuel: 10});
+    const error = await instance.exports.count(1000).catch((e) => e);
+    assert.ok(error instanceof Interpreter.FuelExhausted);
+    assert.ok(!(error instanceof WebAssembly.RuntimeError));
+    assert.strictEqual(error.name, 'FuelExhausted');
+});
+
+test('code checks in every yieldEvery units', async () => {
+    const instance = await instantiate({yieldEvery: 100});
+    let ticks = 0;
+    const tick = instance._tick;
+    instance._tick = function (...args) {
+        ticks++;
+        return tick.apply(this, args);
+    };
+    assert.strictEqual(await instance.exports.count(1000), 1000);
+    assert.strictEqual(ticks, 10);
+    assert.strictEqual(instance.fuel, Infinity);
+});
+
+test('yielding lets timers run', async () => {
+    let timerRan = false;
+    const timer = () => new Promise((resolve) => setTimeout(() => {
+        timerRan = true;
+        resolve();
+    }, 0));
+
+    // Without yielding, the loop runs to the end first
+    const unmetered = await instantiate({});
+    const done = timer();
+    await unmetered.exports.count(100000);
+    assert.strictEqual(timerRan, false);
+    await done;
+
+    timerRan = false;
+    const instance = await instantiate({yieldEvery: 1000});
+    timer();
+    let timerRanFirst = null;
+    const result = instance.exports.count(100000).then((value) => {
+        timerRanFirst = timerRan;
+        return value;
+    });
+    assert.strictEqual(await result, 100000);
+    assert.strictEqual(timerRanFirst, true);
+});
+
+test('fuel needs a metered module', async () => {
+    const module = await Interpreter.compile(await assemble(source));
+    await assert.rejects(Interpreter.instantiate(module, {}, {fuel: 100}), RangeError);
+});
@@ -0,0 +1,60 @@
+/// Tests that `preserveNaN` mode keeps the payloads of signalling NaNs
+/// through the operations that shouldn't change them, against the JS
+/// engine's own WebAssembly. Results stay in memory, as values crossing
+/// into JS may lose them.
+///
+///   node --test test/nan.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+// Operands are an f32 at 0 and 4, and an f64 at 8 and 16; results are
+// stored from 32.
+const source = `
+    (module
+        (memory (export "memory") 1)
+        (global $f32 (mut f32) (f32.const 0))
+        (global $f64 (mut f64) (f64.const 0))
+        (func (export "run")
+            (i32.store (i32.const 32) (i32.reinterpret_f32 (f32.reinterpret_i32 (i32.load (i32.const 0)))))
+            (f32.store (i32.const 36) (f32.copysign (f32.load (i32.const 0)) (f32.load (i32.const 4))))
+            (f32.store (i32.const 40) (f32.abs (f32.load (i32.const 4))))
+            (f32.store (i32.const 44) (f32.neg (f32.load (i32.const 0))))
+            (f32.store (i32.const 48) (f32.load (i32.const 0)))
+            (global.set $f32 (f32.load (i32.const 4)))
+            (f32.store (i32.const 52) (global.get $f32))
+
+            (i64.store (i32.const 64) (i64.reinterpret_f64 (f64.reinterpret_i64 (i64.load (i32.const 8)))))
+            (f64.store (i32.const 72) (f64.copysign (f64.load (i32.const 8)) (f64.load (i32.const 16))))
+            (f64.store (i32.const 80) (f64.abs (f64.load (i32.const 16))))
+            (f64.store (i32.const 88) (f64.neg (f64.load (i32.const 8))))
+            (f64.store (i32.const 96) (f64.load (i32.const 8)))
+            (global.set $f64 (f64.load (i32.const 16)))
+            (f64.store (i32.const 104) (global.get $f64))
+        )
+    )
+`;
+
+async function results(instance) {
+    const memory = new DataView(instance.exports.memory.buffer);
+    memory.setUint32(0, 0x7fa00001, true);
+    memory.setUint32(4, 0xffa00002, true);
+    memory.setBigUint64(8, 0x7ff4000000000001n, true);
+    memory.setBigUint64(16, 0xfff4000000000002n, true);
+    await instance.exports.run();
+    return Array.from(new Uint32Array(instance.exports.memory.buffer, 32, 20), (word) => word.toString(16));
+}
+
+test('signalling NaN payloads are kept as native engines keep them', async () => {
+    const bytes = await assemble(source);
+    const native = await WebAssembly.instantiate(bytes);
+    const expected = await results(native.instance);
+    // The inputs are carried through unchanged or with only a sign flip.
+    assert.ok(expected.includes('7fa00001') && expected.includes('7ff40000'));
+    for (let debug of [false, true]) {
+        const {instance} = await Interpreter.instantiate(bytes, {}, {preserveNaN: true, debug});
+        assert.deepStrictEqual(await results(instance), expected);
+    }
+});
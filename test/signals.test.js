@@ -0,0 +1,125 @@
+/// Tests stopping calls with AbortSignals, for the whole instance or one
+/// call, including calls running at the same time.
+///
+///   node --test test/signals.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+const source = `
+    (module
+        (import "env" "callback" (func $callback (param i32) (result i32)))
+        ;; Counts up to its param, looping once per step
+        (func $count (export "count") (param i32) (result i32)
+            (local i32)
+            (block
+                (loop
+                    (br_if 1 (i32.ge_u (local.get 1) (local.get 0)))
+                    (local.set 1 (i32.add (local.get 1) (i32.const 1)))
+                    (br 0)
+                )
+            )
+            (local.get 1)
+        )
+        ;; Counts in a function called from here
+        (func (export "countInner") (param i32) (result i32)
+            (call $count (local.get 0))
+        )
+        (func (export "callback") (param i32) (result i32)
+            (call $callback (local.get 0))
+        )
+        (func (export "callbackThenCount") (param i32) (result i32)
+            (drop (call $callback (local.get 0)))
+            (call $count (local.get 0))
+        )
+    )
+`;
+
+async function instantiate(imports={}, options={yieldEvery: 100}) {
+    const env = Object.assign({callback: (n) => n}, imports);
+    const {instance} = await Interpreter.instantiate(await assemble(source), {env}, options);
+    return instance;
+}
+
+function isAbort(error) {
+    return error.name === 'AbortError';
+}
+
+test('aborting one call leaves others running', async () => {
+    const controller = new AbortController();
+    const instance = await instantiate({
+        // The call that aborts is the first to check in after.
+        callback: (n) => {
+            controller.abort();
+            return n;
+        }
+    });
+    const aborted = instance.exports.count(1e9, {signal: controller.signal});
+    const other = instance.exports.countInner(5000, {signal: new AbortController().signal});
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    const aborting = instance.exports.callbackThenCount(5000);
+    await assert.rejects(aborted, isAbort);
+    assert.strictEqual(await aborting, 5000);
+    assert.strictEqual(await other, 5000);
+});
+
+test('aborting stops calls made from the aborted one', async () => {
+    const controller = new AbortController();
+    let inner = null;
+    const instance = await instantiate({
+        callback: (n) => {
+            inner = instance.exports.count(n);
+            return inner;
+        }
+    });
+    const outer = instance.exports.callback(1e9, {signal: controller.signal});
+    const other = instance.exports.countInner(5000);
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(outer, isAbort);
+    await assert.rejects(inner, isAbort);
+    assert.strictEqual(await other, 5000);
+});
+
+test('calls from an import stop with the call that made it', async () => {
+    const controller = new AbortController();
+    let inner = null;
+    const instance = await instantiate({
+        callback: (n) => {
+            // This one makes a call of its own before the next starts.
+            instance.exports.countInner(1);
+            inner = instance.exports.count(n);
+            return inner;
+        }
+    });
+    const outer = instance.exports.callback(1e9, {signal: controller.signal});
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(outer, isAbort);
+    await assert.rejects(inner, isAbort);
+});
+
+test('a call with its own signal still stops for the instance', async () => {
+    const controller = new AbortController();
+    const instance = await instantiate({}, {yieldEvery: 100, signal: controller.signal});
+    const first = instance.exports.count(1e9, {signal: new AbortController().signal});
+    const second = instance.exports.countInner(1e9);
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(first, isAbort);
+    await assert.rejects(second, isAbort);
+    await assert.rejects(instance.exports.count(1), isAbort);
+});
+
+test('calls with an aborted signal stop on entry', async () => {
+    const instance = await instantiate();
+    const reason = new Error('stop');
+    await assert.rejects(instance.exports.count(1, {signal: AbortSignal.abort(reason)}), reason);
+    assert.strictEqual(await instance.exports.count(1), 1);
+});
+
+test('unmetered modules reject signals on calls', async () => {
+    const instance = await instantiate({}, {});
+    const signal = new AbortController().signal;
+    await assert.rejects(instance.exports.count(10, {signal}), {name: 'RangeError', message: /metered: true/});
+    assert.strictEqual(await instance.exports.count(10), 10);
+});
@@ -0,0 +1,45 @@
+/// Tests SIMD operations whose exact bit patterns can't be checked from
+/// the spec scripts, as values crossing into JS lose them, against the
+/// JS engine's own WebAssembly.
+///
+///   node --test test/simd.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+// Applies each op to the v128s at 0 and 16, storing the results from 32.
+const source = `
+    (module
+        (memory (export "memory") 1)
+        (func (export "run")
+            (v128.store (i32.const 32) (f32x4.pmin (v128.load (i32.const 0)) (v128.load (i32.const 16))))
+            (v128.store (i32.const 48) (f32x4.pmax (v128.load (i32.const 0)) (v128.load (i32.const 16))))
+            (v128.store (i32.const 64) (f64x2.pmin (v128.load (i32.const 0)) (v128.load (i32.const 16))))
+            (v128.store (i32.const 80) (f64x2.pmax (v128.load (i32.const 0)) (v128.load (i32.const 16))))
+        )
+    )
+`;
+
+async function results(instance, operands) {
+    const memory = new Int32Array(instance.exports.memory.buffer);
+    memory.set(operands);
+    await instance.exports.run();
+    return Array.from(memory.subarray(8, 24));
+}
+
+test('pmin and pmax keep the bits of the lane they pick', async () => {
+    const bytes = await assemble(source, {simd: true});
+    // Signalling NaNs among the lanes, and in the high half of f64 ones
+    const operands = [
+        0x7fa00000, 1, 0x3f800000, 0xffa00001 | 0,
+        0x3f800000, 0x7fa00000, 0x7f800001, 0
+    ];
+    const native = await WebAssembly.instantiate(bytes);
+    const expected = await results(native.instance, operands);
+    for (let debug of [false, true]) {
+        const {instance} = await Interpreter.instantiate(bytes, {}, {debug});
+        assert.deepStrictEqual(await results(instance, operands), expected);
+    }
+});
@@ -0,0 +1,120 @@
+/// Tests saving compiled modules as JS source with `toSource()`, and
+/// loading them back without eval.
+///
+///   node --test test/source.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {execFile} = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {pathToFileURL} = require('url');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+const source = `
+    (module
+        (import "env" "log" (func $log (param i32)))
+        (memory (export "memory") 1)
+        (global $count (mut i32) (i32.const 0))
+        (data (i32.const 16) "\\2a")
+        (func (export "add64") (param i64 i64) (result i64)
+            (i64.add (local.get 0) (local.get 1))
+        )
+        (func (export "div") (param i32 i32) (result i32)
+            (i32.div_s (local.get 0) (local.get 1))
+        )
+        (func (export "fail")
+            (unreachable)
+        )
+        (func (export "load") (param i32) (result i32)
+            (i32.load8_u (local.get 0))
+        )
+        (func (export "count") (result i32)
+            (global.set $count (i32.add (global.get $count) (i32.const 1)))
+            (call $log (global.get $count))
+            (global.get $count)
+        )
+    )
+`;
+
+const runtimeURL = pathToFileURL(path.join(__dirname, '..', 'runtime.js')).href;
+
+let dir = null;
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terok-nor-source-'));
+});
+test.after(() => {
+    fs.rmSync(dir, {recursive: true, force: true});
+});
+
+/// Save a module's source, importing the runtime from this tree.
+function save(module, name) {
+    const file = path.join(dir, `${name}.mjs`);
+    fs.writeFileSync(file, module.toSource({runtime: runtimeURL}));
+    return file;
+}
+
+/// Run each export on the same arguments, collecting results or errors.
+async function run(module) {
+    const logged = [];
+    const instance = await Interpreter.instantiate(module, {env: {log: (n) => logged.push(n)}});
+    const {exports} = instance;
+    const outcome = async (call) => {
+        try {
+            return await call();
+        } catch (e) {
+            return `${e.constructor.name}: ${e.message}`;
+        }
+    };
+    return {
+        add64: await outcome(() => exports.add64(0x7fffffffffffffffn, 2n)),
+        div: await outcome(() => exports.div(-7, 2)),
+        divByZero: await outcome(() => exports.div(1, 0)),
+        overflow: await outcome(() => exports.div(-0x80000000, -1)),
+        fail: await outcome(() => exports.fail()),
+        load: await outcome(() => exports.load(16)),
+        outOfBounds: await outcome(() => exports.load(65536)),
+        counts: [await exports.count(), await exports.count()],
+        logged
+    };
+}
+
+for (let debug of [false, true]) {
+    test(`loaded ${debug ? 'debug' : 'optimized'} modules behave as compiled ones`, async () => {
+        const compiled = await Interpreter.compile(await assemble(source), {debug});
+        const file = save(compiled, debug ? 'debug' : 'optimized');
+        const loaded = (await import(pathToFileURL(file).href)).default;
+
+        const expected = await run(compiled);
+        assert.strictEqual(expected.add64, -0x7fffffffffffffffn);
+        assert.strictEqual(expected.divByZero, 'RuntimeError: divide by zero');
+        assert.strictEqual(expected.fail, 'RuntimeError: unreachable');
+        assert.deepStrictEqual(await run(loaded), expected);
+    });
+}
+
+test('saved modules load without eval', async () => {
+    const compiled = await Interpreter.compile(await assemble(source));
+    const text = compiled.toSource({runtime: runtimeURL});
+    assert.doesNotMatch(text, /\beval\b|new Function/);
+
+    // Code generation from strings throws here, so anything still
+    // relying on it would fail.
+    const file = save(compiled, 'no-eval');
+    const script = `
+        const {default: module} = await import(${JSON.stringify(pathToFileURL(file).href)});
+        const {default: runtime} = await import(${JSON.stringify(runtimeURL)});
+        const instance = await runtime.instantiate(module, {env: {log: () => {}}});
+        console.log(String(await instance.exports.add64(40n, 2n)));
+    `;
+    const output = await new Promise((resolve, reject) => {
+        execFile(process.execPath, [
+            '--disallow-code-generation-from-strings',
+            '--input-type=module',
+            '--eval', script
+        ], (error, stdout) => error ? reject(error) : resolve(stdout));
+    });
+    assert.strictEqual(output.trim(), '42');
+});
@@ -0,0 +1,535 @@
+/// Runs the WebAssembly spec test scripts in test/spec against the
+/// interpreter, once with debug mode off, once with it on, and once
+/// preserving NaN bit patterns, and reports pass/fail counts per
+/// proposal.
+///
+/// `testsuite` is vendored from the official testsuite. `local` has this
+/// project's own scripts, grouped by proposal in subdirectories, with
+/// the MVP in `local/core`.
+/// Assertions that are known to fail are listed per mode in
+/// test/spec/failures.json as line ranges for each script, and the run
+/// fails only if something else does, so regressions stand out. Each
+/// script with known failures needs a reason under `reasons` there, which
+/// the run prints; without one its failures count as unexpected.
+///
+///   node test/spec.js [--update] [--native] [file.wast...]
+///
+/// `--update` rewrites the list of known failures from this run, keeping
+/// the reasons.
+/// `--native` runs the scripts against the JS engine's own WebAssembly
+/// instead, to check the scripts themselves.
+
+const fs = require('fs');
+const path = require('path');
+const {Interpreter} = require('../index.js');
+const {parseScript} = require('./wast.js');
+
+const specDir = path.join(__dirname, 'spec');
+const failuresFile = path.join(specDir, 'failures.json');
+
+/// Text format features needed to assemble each proposal's scripts.
+const proposalFeatures = {
+    core: {},
+    'bulk-memory': {bulk_memory: true},
+    'sign-extension-ops': {sign_extension: true},
+    'multi-value': {multi_value: true},
+    'nontrapping-float-to-int-conversions': {sat_float_to_int: true},
+    'reference-types': {reference_types: true, bulk_memory: true},
+    threads: {threads: true},
+    simd: {simd: true},
+    'tail-call': {tail_call: true},
+    'exception-handling': {exceptions: true},
+    'multi-memory': {multi_memory: true},
+    memory64: {memory64: true, multi_memory: true}
+};
+
+const interpreterEngine = (options) => ({
+    compile: (bytes) => Interpreter.compile(bytes, options),
+    instantiate: (module, imports) => Interpreter.instantiate(module, imports),
+    Table: Interpreter.Table,
+    exhaustion: WebAssembly.RuntimeError,
+    checkMessages: true
+});
+
+const engines = {
+    optimized: interpreterEngine({debug: false}),
+    debug: interpreterEngine({debug: true}),
+    preserveNaN: interpreterEngine({preserveNaN: true}),
+    native: {
+        compile: (bytes) => WebAssembly.compile(bytes),
+        instantiate: (module, imports) => WebAssembly.instantiate(module, imports),
+        Table: WebAssembly.Table,
+        // V8 reports stack overflow in wasm as a JS RangeError.
+        exhaustion: RangeError,
+        checkMessages: false
+    }
+};
+
+/// The `spectest` module that scripts may import from.
+function spectest(engine) {
+    const print = () => {};
+    return {
+        print,
+        print_i32: print,
+        print_i64: print,
+        print_f32: print,
+        print_f64: print,
+        print_i32_f32: print,
+        print_f64_f64: print,
+        global_i32: new WebAssembly.Global({value: 'i32'}, 666),
+        global_i64: new WebAssembly.Global({value: 'i64'}, 666n),
+        global_f32: new WebAssembly.Global({value: 'f32'}, 666.6),
+        global_f64: new WebAssembly.Global({value: 'f64'}, 666.6),
+        table: new engine.Table({element: 'anyfunc', initial: 10, maximum: 20}),
+        memory: new WebAssembly.Memory({initial: 1, maximum: 2})
+    };
+}
+
+const view = new DataView(new ArrayBuffer(8));
+
+function f32Bits(value) {
+    view.setFloat32(0, value);
+    return BigInt(view.getUint32(0));
+}
+
+function f64Bits(value) {
+    view.setFloat64(0, value);
+    return view.getBigUint64(0);
+}
+
+function f32Value(bits) {
+    view.setUint32(0, Number(bits));
+    return view.getFloat32(0);
+}
+
+function f64Value(bits) {
+    view.setBigUint64(0, bits);
+    return view.getFloat64(0);
+}
+
+class Failure extends Error {}
+
+/// Parse a list of line numbers and ranges like "3,7-9" into a set.
+function parseLines(str) {
+    const lines = new Set();
+    for (let part of str.split(',')) {
+        const [start, end = start] = part.split('-').map(Number);
+        for (let line = start; line <= end; line++) {
+            lines.add(line);
+        }
+    }
+    return lines;
+}
+
+/// Format the lines of failed commands as a compact list of ranges, where
+/// a range covers consecutive commands of the script that all failed.
+function formatLines(results) {
+    const parts = [];
+    for (let i = 0; i < results.length; i++) {
+        if (results[i].status !== 'fail') {
+            continue;
+        }
+        const start = results[i].line;
+        while (i + 1 < results.length && results[i + 1].status === 'fail') {
+            i++;
+        }
+        const end = results[i].line;
+        parts.push(start === end ? `${start}` : `${start}-${end}`);
+    }
+    return parts.join(',');
+}
+
+/// State for running one script against one engine.
+class ScriptRun {
+    constructor(engine) {
+        this.engine = engine;
+        // Scripts expect importing from a module nothing was registered
+        // as to be an unknown import, as in the core spec, rather than
+        // the TypeError the JS API gives for a missing module.
+        this.registry = new Proxy({spectest: spectest(engine)}, {
+            get: (target, name) => (name in target) ? target[name] : {}
+        });
+        this.instances = new Map();
+        this.current = null;
+        this.externs = new Map();
+    }
+
+    extern(index) {
+        if (!this.externs.has(index)) {
+            this.externs.set(index, {extern: index});
+        }
+        return this.externs.get(index);
+    }
+
+    argument(value) {
+        switch (value.type) {
+            case 'i32':
+            case 'i64':
+                return value.value;
+            case 'f32':
+                return f32Value(value.bits);
+            case 'f64':
+                return f64Value(value.bits);
+            case 'ref':
+                return null;
+            case 'externref':
+                return value.value === null ? null : this.extern(value.value);
+            default:
+                throw new Failure(`Unsupported argument type ${value.type}`);
+        }
+    }
+
+    matches(actual, expected) {
+        switch (expected.type) {
+            case 'i32':
+                return actual === expected.value;
+            case 'i64':
+                return actual === expected.value;
+            case 'float':
+                // Either type will do.
+                return this.matches(actual, Object.assign({}, expected, {type: 'f32'})) ||
+                    this.matches(actual, Object.assign({}, expected, {type: 'f64'}));
+            case 'f32':
+            case 'f64': {
+                if (typeof actual !== 'number') {
+                    return false;
+                }
+                const f32 = expected.type === 'f32';
+                const bits = f32 ? f32Bits(actual) : f64Bits(actual);
+                const quiet = f32 ? 0x7fc00000n : 0x7ff8000000000000n;
+                const magnitude = f32 ? 0x7fffffffn : 0x7fffffffffffffffn;
+                switch (expected.nan) {
+                    case 'canonical':
+                        return (bits & magnitude) === quiet;
+                    case 'arithmetic':
+                        return (bits & quiet) === quiet;
+                    default:
+                        return bits === expected.bits;
+                }
+            }
+            case 'ref':
+                return actual === null;
+            case 'externref':
+                return actual === (expected.value === null ? null : this.extern(expected.value));
+            case 'funcref':
+                return typeof actual === 'function';
+            default:
+                throw new Failure(`Unsupported result type ${expected.type}`);
+        }
+    }
+
+    instance(name) {
+        const instance = name ? this.instances.get(name) : this.current;
+        if (!instance) {
+            throw new Failure(`No module ${name || 'defined'}`);
+        }
+        return instance;
+    }
+
+    async perform(action) {
+        const exports = this.instance(action.module).exports;
+        if (!(action.field in exports)) {
+            throw new Failure(`No export "${action.field}"`);
+        }
+        if (action.type === 'get') {
+            return [exports[action.field].value];
+        }
+        const args = action.args.map((arg) => this.argument(arg));
+        const result = await exports[action.field](...args);
+        return result === undefined ? [] : Array.isArray(result) ? result : [result];
+    }
+
+    async compile(module) {
+        if (!module.binary) {
+            throw new Failure(module.error || 'No binary');
+        }
+        return await this.engine.compile(module.binary);
+    }
+
+    async instantiate(module) {
+        const compiled = await this.compile(module);
+        return await this.engine.instantiate(compiled, this.registry);
+    }
+
+    /// Run a command, throwing a Failure if it doesn't pass.
+    /// Returns false if it was skipped.
+    async run(command) {
+        switch (command.type) {
+            case 'module': {
+                this.current = null;
+                if (command.module.quote) {
+                    return false;
+                }
+                const instance = await this.instantiate(command.module);
+                this.current = instance;
+                if (command.module.name) {
+                    this.instances.set(command.module.name, instance);
+                }
+                return true;
+            }
+            case 'register':
+                this.registry[command.as] = this.instance(command.name).exports;
+                return true;
+            case 'action':
+                await this.perform(command.action);
+                return true;
+            case 'assert_return': {
+                const results = await this.perform(command.action);
+                const expected = command.expected;
+                if (results.length !== expected.length ||
+                    !results.every((result, i) => this.matches(result, expected[i]))) {
+                    throw new Failure(`Expected ${formatValues(expected)}, got ${formatValues(results)}`);
+                }
+                return true;
+            }
+            case 'assert_trap':
+            case 'assert_exhaustion': {
+                const errorClass = command.type === 'assert_trap'
+                    ? WebAssembly.RuntimeError
+                    : this.engine.exhaustion;
+                let result;
+                try {
+                    if (command.module) {
+                        await this.instantiate(command.module);
+                    } else {
+                        result = await this.perform(command.action);
+                    }
+                } catch (e) {
+                    expectError(e, errorClass, command.message, this.engine.checkMessages);
+                    return true;
+                }
+                throw new Failure(`Expected ${command.message}, got ${formatValues(result || [])}`);
+            }
+            case 'assert_exception': {
+                let result;
+                try {
+                    result = await this.perform(command.action);
+                } catch (e) {
+                    // Exceptions have no message
+                    expectError(e, WebAssembly.Exception, 'uncaught exception', false);
+                    return true;
+                }
+                throw new Failure(`Expected uncaught exception, got ${formatValues(result)}`);
+            }
+            case 'assert_invalid':
+            case 'assert_malformed': {
+                if (command.module.quote || !command.module.binary) {
+                    // Only the text format can express these
+                    return false;
+                }
+                try {
+                    await this.compile(command.module);
+                } catch (e) {
+                    expectError(e, WebAssembly.CompileError, command.message, this.engine.checkMessages);
+                    return true;
+                }
+                throw new Failure(`Expected ${command.message}, but it compiled`);
+            }
+            case 'assert_unlinkable':
+            case 'assert_uninstantiable': {
+                const errorClass = command.type === 'assert_unlinkable'
+                    ? WebAssembly.LinkError
+                    : WebAssembly.RuntimeError;
+                const compiled = await this.compile(command.module);
+                try {
+                    await this.engine.instantiate(compiled, this.registry);
+                } catch (e) {
+                    expectError(e, errorClass, command.message, this.engine.checkMessages);
+                    return true;
+                }
+                throw new Failure(`Expected ${command.message}, but it instantiated`);
+            }
+            default:
+                throw new Failure(`Unknown command ${command.type}`);
+        }
+    }
+}
+
+/// Messages worded differently here, by the wording scripts use: traps
+/// as V8 words them, and errors the spec has renamed since the vendored
+/// testsuite was written.
+const otherWordings = {
+    'integer divide by zero': ['divide by zero', 'remainder by zero'],
+    'integer overflow': ['divide result unrepresentable', 'float unrepresentable in integer range'],
+    'invalid conversion to integer': ['float unrepresentable in integer range'],
+    'out of bounds memory access': ['memory access out of bounds'],
+    'unreachable executed': ['unreachable'],
+    'invalid UTF-8 encoding': ['malformed UTF-8 encoding'],
+    'invalid section id': ['malformed section id'],
+    'invalid mutability': ['malformed mutability']
+};
+
+/// Check an error is of the expected class, with a message starting with
+/// the expected one, as the spec's reference interpreter checks. Native
+/// engines word their messages their own way, so only the class is
+/// checked for them.
+function expectError(e, errorClass, message, checkMessage) {
+    if (e instanceof Failure) {
+        throw e;
+    }
+    if (!(e instanceof errorClass)) {
+        throw new Failure(`Expected ${errorClass.name} "${message}", got ${e.name}: ${e.message}`);
+    }
+    const prefixes = [message, ...(otherWordings[message] || [])];
+    if (checkMessage && !prefixes.some((prefix) => e.message.startsWith(prefix))) {
+        throw new Failure(`Expected ${errorClass.name} "${message}", got "${e.message}"`);
+    }
+}
+
+function formatValue(value) {
+    if (value && typeof value === 'object' && 'type' in value) {
+        if (value.nan) {
+            return `${value.type}:nan:${value.nan}`;
+        }
+        if ('bits' in value) {
+            return `${value.type}:0x${value.bits.toString(16)}`;
+        }
+        return `${value.type}:${value.value === undefined ? '' : value.value}`;
+    }
+    if (typeof value === 'bigint') {
+        return `${value}n`;
+    }
+    if (typeof value === 'number' && Number.isNaN(value)) {
+        return `NaN:0x${f64Bits(value).toString(16)}`;
+    }
+    return String(value);
+}
+
+function formatValues(values) {
+    return `[${values.map(formatValue).join(', ')}]`;
+}
+
+function findScripts(dir) {
+    const scripts = [];
+    for (let entry of fs.readdirSync(dir, {withFileTypes: true})) {
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            scripts.push(...findScripts(file));
+        } else if (entry.name.endsWith('.wast')) {
+            scripts.push(file);
+        }
+    }
+    return scripts.sort();
+}
+
+async function runScript(engine, file, commands) {
+    const results = [];
+    const run = new ScriptRun(engine);
+    for (let command of commands) {
+        const result = {line: command.line, status: 'pass', message: null};
+        try {
+            if (!await run.run(command)) {
+                result.status = 'skip';
+            }
+        } catch (e) {
+            result.status = 'fail';
+            result.message = e instanceof Failure ? e.message : `${e.name}: ${e.message}`;
+        }
+        results.push(result);
+    }
+    return results;
+}
+
+(async () => {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update');
+    const native = args.includes('--native');
+    const files = args.filter((arg) => !arg.startsWith('--'));
+    const scripts = files.length ? files.map((file) => path.resolve(file)) : findScripts(specDir);
+    const modes = native ? ['native'] : ['optimized', 'debug', 'preserveNaN'];
+
+    const known = fs.existsSync(failuresFile)
+        ? JSON.parse(fs.readFileSync(failuresFile, 'utf8'))
+        : {};
+    const reasons = known.reasons || {};
+    const failures = {};
+    const failed = new Set();
+    let regressions = 0;
+    let fixed = 0;
+
+    for (let mode of modes) {
+        const counts = new Map();
+        const expected = known[mode] || {};
+        // Keep the entries of any scripts that weren't run this time.
+        failures[mode] = Object.assign({}, expected);
+
+        for (let file of scripts) {
+            const name = path.relative(specDir, file).split(path.sep).join('/');
+            const parts = name.split('/');
+            const proposal = parts[0] === 'local' ? parts.slice(0, 2).join('/') : parts[0];
+            const commands = await parseScript(
+                fs.readFileSync(file, 'utf8'),
+                proposalFeatures[proposal.replace(/^local\//, '')] || {}
+            );
+            if (!counts.has(proposal)) {
+                counts.set(proposal, {pass: 0, fail: 0, known: 0, skip: 0});
+            }
+            const count = counts.get(proposal);
+            const knownLines = name in expected && reasons[name] ? parseLines(expected[name]) : new Set();
+            const results = await runScript(engines[mode], file, commands);
+            for (let result of results) {
+                count[result.status]++;
+                if (result.status === 'fail') {
+                    if (knownLines.has(result.line)) {
+                        count.known++;
+                    } else {
+                        regressions++;
+                        console.log(`FAIL (${mode}) ${name}:${result.line}: ${result.message}`);
+                    }
+                } else if (result.status === 'pass' && knownLines.has(result.line)) {
+                    fixed++;
+                    console.log(`fixed (${mode}) ${name}:${result.line}`);
+                }
+            }
+            if (results.some((result) => result.status === 'fail')) {
+                failed.add(name);
+                failures[mode][name] = formatLines(results);
+            } else {
+                delete failures[mode][name];
+            }
+        }
+
+        for (let [proposal, count] of counts) {
+            console.log(`${proposal} (${mode}): ${count.pass} passed, ${count.fail} failed (${count.known} known), ${count.skip} skipped`);
+        }
+    }
+
+    if (!native) {
+        for (let name of [...failed].sort()) {
+            if (reasons[name]) {
+                console.log(`Known failures in ${name}: ${reasons[name]}`);
+            }
+        }
+    }
+
+    if (update && !native) {
+        const sorted = {};
+        for (let mode of Object.keys(failures)) {
+            sorted[mode] = {};
+            for (let name of Object.keys(failures[mode]).sort()) {
+                sorted[mode][name] = failures[mode][name];
+            }
+        }
+        // Reasons of scripts that no longer fail go; new ones need writing.
+        const failing = new Set(Object.values(failures).flatMap(Object.keys));
+        sorted.reasons = {};
+        for (let name of [...failing].sort()) {
+            sorted.reasons[name] = reasons[name] || '';
+        }
+        fs.writeFileSync(failuresFile, JSON.stringify(sorted, null, 4) + '\n');
+        console.log(`Updated ${path.relative(process.cwd(), failuresFile)}`);
+    } else if (native) {
+        process.exitCode = regressions ? 1 : 0;
+    } else {
+        if (fixed) {
+            console.log(`${fixed} known failures now pass; run with --update to record them.`);
+        }
+        if (regressions) {
+            console.log(`${regressions} unexpected failures.`);
+            process.exitCode = 1;
+        }
+    }
+})().catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,124 @@
+;; Active segments are written in order at instantiation, and one that
+;; doesn't fit traps, leaving the ones before it written
+
+(module $Mm
+  (memory (export "mem") 1)
+  (func (export "load") (param i32) (result i32)
+    (i32.load8_u (local.get 0))))
+(register "Mm" $Mm)
+
+(assert_trap
+  (module
+    (memory (import "Mm" "mem") 1)
+    (data (i32.const 0) "abc")
+    (data (i32.const 65536) "d")
+    (data (i32.const 3) "e"))
+  "out of bounds memory access")
+(assert_return (invoke $Mm "load" (i32.const 0)) (i32.const 97))
+(assert_return (invoke $Mm "load" (i32.const 2)) (i32.const 99))
+(assert_return (invoke $Mm "load" (i32.const 3)) (i32.const 0))
+
+;; Segments are written before the start function runs
+(module
+  (memory 1)
+  (data (i32.const 0) "\2a")
+  (global $seen (mut i32) (i32.const 0))
+  (func $start (global.set $seen (i32.load8_u (i32.const 0))))
+  (start $start)
+  (func (export "seen") (result i32) (global.get $seen)))
+(assert_return (invoke "seen") (i32.const 42))
+
+;; Active element segments are written as if by table.init
+(module $Mt
+  (memory 0)
+  (table (export "tab") 3 funcref)
+  (func (export "call") (param i32) (result i32)
+    (call_indirect (result i32) (local.get 0))))
+(register "Mt" $Mt)
+
+(assert_trap
+  (module
+    (table (import "Mt" "tab") 3 funcref)
+    (memory 0)
+    (func $f (result i32) (i32.const 7))
+    (elem (i32.const 0) $f)
+    (elem (i32.const 3) $f $f)
+    (elem (i32.const 1) $f))
+  "out of bounds table access")
+(assert_return (invoke $Mt "call" (i32.const 0)) (i32.const 7))
+(assert_trap (invoke $Mt "call" (i32.const 1)) "uninitialized element")
+
+;; An empty segment may sit at the end, but not past it
+(module (memory 0) (table 1 funcref) (elem (i32.const 1)))
+(assert_trap
+  (module (memory 0) (table 1 funcref) (elem (i32.const 2)))
+  "out of bounds table access")
+
+;; The instructions need their index spaces. wabt leaves the data count
+;; section out when there are no data segments, so it's written out here.
+(assert_invalid
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\01\04\01\60\00\00"       ;; Type section
+    "\03\02\01\00"             ;; Function section
+    "\0c\01\00"                ;; Data count section
+    "\0a\07\01"                ;; Code section
+    "\05\00\fc\09\00\0b"       ;; data.drop 0
+  )
+  "unknown data segment")
+(assert_invalid
+  (module (func (elem.drop 0)))
+  "unknown elem segment 0")
+(assert_invalid
+  (module (memory 1) (data "")
+    (func (memory.init 1 (i32.const 0) (i32.const 0) (i32.const 0))))
+  "unknown data segment 1")
+(assert_invalid
+  (module (func (memory.copy (i32.const 0) (i32.const 0) (i32.const 0))))
+  "unknown memory 0")
+(assert_invalid
+  (module (func (memory.fill (i32.const 0) (i32.const 0) (i32.const 0))))
+  "unknown memory 0")
+(assert_invalid
+  (module (elem funcref) (func (table.init 0 (i32.const 0) (i32.const 0) (i32.const 0))))
+  "unknown table 0")
+(assert_invalid
+  (module (func (table.copy (i32.const 0) (i32.const 0) (i32.const 0))))
+  "unknown table 0")
+(assert_invalid
+  (module (memory 1) (func (memory.fill (i32.const 0) (i32.const 0) (i64.const 0))))
+  "type mismatch")
+
+;; memory.init and data.drop need the data count section
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\01\04\01\60\00\00"       ;; Type section
+    "\03\02\01\00"             ;; Function section
+    "\05\03\01\00\00"          ;; Memory section
+    "\0a\07\01"                ;; Code section
+    "\05\00\fc\09\00\0b"       ;; data.drop 0
+    "\0b\03\01\01\00"          ;; Data section
+  )
+  "data count section required")
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\05\03\01\00\00"          ;; Memory section
+    "\0c\01\02"                ;; Data count section
+    "\0b\03\01\01\00"          ;; Data section
+  )
+  "data count and data section have inconsistent lengths")
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\0c\01\01"                ;; Data count section
+  )
+  "data count and data section have inconsistent lengths")
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\0c\01\00"                ;; Data count section
+    "\09\01\00"                ;; Element section
+  )
+  "unexpected section")
@@ -0,0 +1,208 @@
+;; Load and store operator addressing with static offsets
+
+(module
+  (memory 1)
+  (data (i32.const 0) "abcdefghijklmnopqrstuvwxyz")
+
+  (func (export "8u_offset0") (param $i i32) (result i32)
+    (i32.load8_u offset=0 (local.get $i))
+  )
+  (func (export "8u_offset1") (param $i i32) (result i32)
+    (i32.load8_u offset=1 (local.get $i))
+  )
+  (func (export "8u_offset2") (param $i i32) (result i32)
+    (i32.load8_u offset=2 (local.get $i))
+  )
+  (func (export "8u_offset25") (param $i i32) (result i32)
+    (i32.load8_u offset=25 (local.get $i))
+  )
+  (func (export "8s_offset0") (param $i i32) (result i32)
+    (i32.load8_s offset=0 (local.get $i))
+  )
+  (func (export "8s_offset1") (param $i i32) (result i32)
+    (i32.load8_s offset=1 (local.get $i))
+  )
+  (func (export "8s_offset2") (param $i i32) (result i32)
+    (i32.load8_s offset=2 (local.get $i))
+  )
+  (func (export "8s_offset25") (param $i i32) (result i32)
+    (i32.load8_s offset=25 (local.get $i))
+  )
+  (func (export "16u_offset0") (param $i i32) (result i32)
+    (i32.load16_u offset=0 (local.get $i))
+  )
+  (func (export "16u_offset1") (param $i i32) (result i32)
+    (i32.load16_u offset=1 (local.get $i))
+  )
+  (func (export "16u_offset2") (param $i i32) (result i32)
+    (i32.load16_u offset=2 (local.get $i))
+  )
+  (func (export "16u_offset25") (param $i i32) (result i32)
+    (i32.load16_u offset=25 (local.get $i))
+  )
+  (func (export "16s_offset0") (param $i i32) (result i32)
+    (i32.load16_s offset=0 (local.get $i))
+  )
+  (func (export "16s_offset1") (param $i i32) (result i32)
+    (i32.load16_s offset=1 (local.get $i))
+  )
+  (func (export "16s_offset2") (param $i i32) (result i32)
+    (i32.load16_s offset=2 (local.get $i))
+  )
+  (func (export "16s_offset25") (param $i i32) (result i32)
+    (i32.load16_s offset=25 (local.get $i))
+  )
+  (func (export "32_offset0") (param $i i32) (result i32)
+    (i32.load offset=0 (local.get $i))
+  )
+  (func (export "32_offset1") (param $i i32) (result i32)
+    (i32.load offset=1 (local.get $i))
+  )
+  (func (export "32_offset2") (param $i i32) (result i32)
+    (i32.load offset=2 (local.get $i))
+  )
+  (func (export "32_offset25") (param $i i32) (result i32)
+    (i32.load offset=25 (local.get $i))
+  )
+  (func (export "32_good_max") (param $i i32) (result i32)
+    (i32.load offset=65532 (local.get $i))
+  )
+  (func (export "32_bad") (param $i i32)
+    (drop (i32.load offset=4294967295 (local.get $i)))
+  )
+  (func (export "64_offset4") (param $i i32) (result i64)
+    (i64.load offset=4 (local.get $i))
+  )
+  (func (export "64_bad") (param $i i32)
+    (drop (i64.load offset=4294967295 (local.get $i)))
+  )
+  (func (export "store_offset") (param $i i32) (param $v i32) (result i32)
+    (i32.store16 offset=3 (local.get $i) (local.get $v))
+    (i32.load offset=2 (local.get $i))
+  )
+)
+
+(assert_return (invoke "8u_offset0" (i32.const 0)) (i32.const 97))
+(assert_return (invoke "8u_offset0" (i32.const 1)) (i32.const 98))
+(assert_return (invoke "8u_offset0" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8u_offset0" (i32.const 65535)) (i32.const 0))
+(assert_trap (invoke "8u_offset0" (i32.const 65536)) "out of bounds memory access")
+(assert_return (invoke "8u_offset1" (i32.const 0)) (i32.const 98))
+(assert_return (invoke "8u_offset1" (i32.const 1)) (i32.const 99))
+(assert_return (invoke "8u_offset1" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8u_offset1" (i32.const 65534)) (i32.const 0))
+(assert_trap (invoke "8u_offset1" (i32.const 65535)) "out of bounds memory access")
+(assert_return (invoke "8u_offset2" (i32.const 0)) (i32.const 99))
+(assert_return (invoke "8u_offset2" (i32.const 1)) (i32.const 100))
+(assert_return (invoke "8u_offset2" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8u_offset2" (i32.const 65533)) (i32.const 0))
+(assert_trap (invoke "8u_offset2" (i32.const 65534)) "out of bounds memory access")
+(assert_return (invoke "8u_offset25" (i32.const 0)) (i32.const 122))
+(assert_return (invoke "8u_offset25" (i32.const 1)) (i32.const 0))
+(assert_return (invoke "8u_offset25" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8u_offset25" (i32.const 65510)) (i32.const 0))
+(assert_trap (invoke "8u_offset25" (i32.const 65511)) "out of bounds memory access")
+
+(assert_return (invoke "8s_offset0" (i32.const 0)) (i32.const 97))
+(assert_return (invoke "8s_offset0" (i32.const 1)) (i32.const 98))
+(assert_return (invoke "8s_offset0" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8s_offset0" (i32.const 65535)) (i32.const 0))
+(assert_trap (invoke "8s_offset0" (i32.const 65536)) "out of bounds memory access")
+(assert_return (invoke "8s_offset1" (i32.const 0)) (i32.const 98))
+(assert_return (invoke "8s_offset1" (i32.const 1)) (i32.const 99))
+(assert_return (invoke "8s_offset1" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8s_offset1" (i32.const 65534)) (i32.const 0))
+(assert_trap (invoke "8s_offset1" (i32.const 65535)) "out of bounds memory access")
+(assert_return (invoke "8s_offset2" (i32.const 0)) (i32.const 99))
+(assert_return (invoke "8s_offset2" (i32.const 1)) (i32.const 100))
+(assert_return (invoke "8s_offset2" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8s_offset2" (i32.const 65533)) (i32.const 0))
+(assert_trap (invoke "8s_offset2" (i32.const 65534)) "out of bounds memory access")
+(assert_return (invoke "8s_offset25" (i32.const 0)) (i32.const 122))
+(assert_return (invoke "8s_offset25" (i32.const 1)) (i32.const 0))
+(assert_return (invoke "8s_offset25" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "8s_offset25" (i32.const 65510)) (i32.const 0))
+(assert_trap (invoke "8s_offset25" (i32.const 65511)) "out of bounds memory access")
+
+(assert_return (invoke "16u_offset0" (i32.const 0)) (i32.const 0x6261))
+(assert_return (invoke "16u_offset0" (i32.const 1)) (i32.const 0x6362))
+(assert_return (invoke "16u_offset0" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16u_offset0" (i32.const 65534)) (i32.const 0))
+(assert_trap (invoke "16u_offset0" (i32.const 65535)) "out of bounds memory access")
+(assert_return (invoke "16u_offset1" (i32.const 0)) (i32.const 0x6362))
+(assert_return (invoke "16u_offset1" (i32.const 1)) (i32.const 0x6463))
+(assert_return (invoke "16u_offset1" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16u_offset1" (i32.const 65533)) (i32.const 0))
+(assert_trap (invoke "16u_offset1" (i32.const 65534)) "out of bounds memory access")
+(assert_return (invoke "16u_offset2" (i32.const 0)) (i32.const 0x6463))
+(assert_return (invoke "16u_offset2" (i32.const 1)) (i32.const 0x6564))
+(assert_return (invoke "16u_offset2" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16u_offset2" (i32.const 65532)) (i32.const 0))
+(assert_trap (invoke "16u_offset2" (i32.const 65533)) "out of bounds memory access")
+(assert_return (invoke "16u_offset25" (i32.const 0)) (i32.const 122))
+(assert_return (invoke "16u_offset25" (i32.const 1)) (i32.const 0))
+(assert_return (invoke "16u_offset25" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16u_offset25" (i32.const 65509)) (i32.const 0))
+(assert_trap (invoke "16u_offset25" (i32.const 65510)) "out of bounds memory access")
+
+(assert_return (invoke "16s_offset0" (i32.const 0)) (i32.const 0x6261))
+(assert_return (invoke "16s_offset0" (i32.const 1)) (i32.const 0x6362))
+(assert_return (invoke "16s_offset0" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16s_offset0" (i32.const 65534)) (i32.const 0))
+(assert_trap (invoke "16s_offset0" (i32.const 65535)) "out of bounds memory access")
+(assert_return (invoke "16s_offset1" (i32.const 0)) (i32.const 0x6362))
+(assert_return (invoke "16s_offset1" (i32.const 1)) (i32.const 0x6463))
+(assert_return (invoke "16s_offset1" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16s_offset1" (i32.const 65533)) (i32.const 0))
+(assert_trap (invoke "16s_offset1" (i32.const 65534)) "out of bounds memory access")
+(assert_return (invoke "16s_offset2" (i32.const 0)) (i32.const 0x6463))
+(assert_return (invoke "16s_offset2" (i32.const 1)) (i32.const 0x6564))
+(assert_return (invoke "16s_offset2" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16s_offset2" (i32.const 65532)) (i32.const 0))
+(assert_trap (invoke "16s_offset2" (i32.const 65533)) "out of bounds memory access")
+(assert_return (invoke "16s_offset25" (i32.const 0)) (i32.const 122))
+(assert_return (invoke "16s_offset25" (i32.const 1)) (i32.const 0))
+(assert_return (invoke "16s_offset25" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "16s_offset25" (i32.const 65509)) (i32.const 0))
+(assert_trap (invoke "16s_offset25" (i32.const 65510)) "out of bounds memory access")
+
+(assert_return (invoke "32_offset0" (i32.const 0)) (i32.const 0x64636261))
+(assert_return (invoke "32_offset0" (i32.const 1)) (i32.const 0x65646362))
+(assert_return (invoke "32_offset0" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "32_offset0" (i32.const 65532)) (i32.const 0))
+(assert_trap (invoke "32_offset0" (i32.const 65533)) "out of bounds memory access")
+(assert_return (invoke "32_offset1" (i32.const 0)) (i32.const 0x65646362))
+(assert_return (invoke "32_offset1" (i32.const 1)) (i32.const 0x66656463))
+(assert_return (invoke "32_offset1" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "32_offset1" (i32.const 65531)) (i32.const 0))
+(assert_trap (invoke "32_offset1" (i32.const 65532)) "out of bounds memory access")
+(assert_return (invoke "32_offset2" (i32.const 0)) (i32.const 0x66656463))
+(assert_return (invoke "32_offset2" (i32.const 1)) (i32.const 0x67666564))
+(assert_return (invoke "32_offset2" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "32_offset2" (i32.const 65530)) (i32.const 0))
+(assert_trap (invoke "32_offset2" (i32.const 65531)) "out of bounds memory access")
+(assert_return (invoke "32_offset25" (i32.const 0)) (i32.const 122))
+(assert_return (invoke "32_offset25" (i32.const 1)) (i32.const 0))
+(assert_return (invoke "32_offset25" (i32.const 65503)) (i32.const 0))
+(assert_return (invoke "32_offset25" (i32.const 65507)) (i32.const 0))
+(assert_trap (invoke "32_offset25" (i32.const 65508)) "out of bounds memory access")
+
+(assert_return (invoke "32_good_max" (i32.const 0)) (i32.const 0))
+(assert_trap (invoke "32_good_max" (i32.const 1)) "out of bounds memory access")
+(assert_trap (invoke "32_bad" (i32.const 0)) "out of bounds memory access")
+(assert_trap (invoke "32_bad" (i32.const 1)) "out of bounds memory access")
+(assert_trap (invoke "64_bad" (i32.const 0)) "out of bounds memory access")
+(assert_return (invoke "64_offset4" (i32.const 0)) (i64.const 0x6c6b6a6968676665))
+(assert_return (invoke "64_offset4" (i32.const 65524)) (i64.const 0))
+(assert_trap (invoke "64_offset4" (i32.const 65525)) "out of bounds memory access")
+(assert_return (invoke "store_offset" (i32.const 0) (i32.const 0xbeef)) (i32.const 0x66beef63))
+(assert_trap (invoke "store_offset" (i32.const 65532) (i32.const 0)) "out of bounds memory access")
+(assert_trap (invoke "store_offset" (i32.const -1) (i32.const 0)) "out of bounds memory access")
+
+(assert_malformed
+  (module quote
+    "(memory 1)"
+    "(func (drop (i32.load offset=4294967296 (i32.const 0))))"
+  )
+  "i32 constant"
+)
@@ -0,0 +1,131 @@
+;; Binary format
+
+(module binary "\00asm" "\01\00\00\00")
+(module binary "\00asm\01\00\00\00")
+(module $M1 binary "\00asm" "\01\00\00\00")
+(module $M2 binary "\00asm" "\01\00\00\00")
+
+(assert_malformed (module binary "") "unexpected end")
+(assert_malformed (module binary "\01") "unexpected end")
+(assert_malformed (module binary "\00as") "unexpected end")
+(assert_malformed (module binary "asm\00") "magic header not detected")
+(assert_malformed (module binary "msa\00") "magic header not detected")
+(assert_malformed (module binary "msa\00\01\00\00\00") "magic header not detected")
+(assert_malformed (module binary "msa\00\00\00\00\01") "magic header not detected")
+(assert_malformed (module binary "asm\01\00\00\00\00") "magic header not detected")
+(assert_malformed (module binary "wasm\01\00\00\00") "magic header not detected")
+(assert_malformed (module binary "\7fasm\01\00\00\00") "magic header not detected")
+(assert_malformed (module binary "\80asm\01\00\00\00") "magic header not detected")
+(assert_malformed (module binary "\82asm\01\00\00\00") "magic header not detected")
+(assert_malformed (module binary "\ffasm\01\00\00\00") "magic header not detected")
+
+(assert_malformed (module binary "\00asm") "unexpected end")
+(assert_malformed (module binary "\00asm\01") "unexpected end")
+(assert_malformed (module binary "\00asm\01\00\00") "unexpected end")
+(assert_malformed (module binary "\00asm" "\01\00\00\00" "\01") "unexpected end")
+(assert_malformed (module binary "\00asm" "\01\00\00\00" "\01\80") "unexpected end")
+(assert_malformed (module binary "\00asm\00\00\00\00") "unknown binary version")
+(assert_malformed (module binary "\00asm\0d\00\00\00") "unknown binary version")
+(assert_malformed (module binary "\00asm\0e\00\00\00") "unknown binary version")
+(assert_malformed (module binary "\00asm\00\01\00\00") "unknown binary version")
+(assert_malformed (module binary "\00asm\00\00\01\00") "unknown binary version")
+(assert_malformed (module binary "\00asm\00\00\00\01") "unknown binary version")
+
+;; Invalid section id.
+(assert_malformed (module binary "\00asm" "\01\00\00\00" "\0e\01\00") "malformed section id")
+(assert_malformed (module binary "\00asm" "\01\00\00\00" "\7f\01\00") "malformed section id")
+(assert_malformed (module binary "\00asm" "\01\00\00\00" "\80\01\00\01\01\00") "malformed section id")
+(assert_malformed (module binary "\00asm" "\01\00\00\00" "\81\01\00\01\01\00") "malformed section id")
+(assert_malformed (module binary "\00asm" "\01\00\00\00" "\ff\01\00\01\01\00") "malformed section id")
+
+;; Section size runs past the end of the module
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\01\05\01"                             ;; type section
+    "\60\00\00"                             ;; type 0: [] -> []
+  )
+  "unexpected end"
+)
+
+;; Function section has more entries than the code section
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\01\04\01\60\00\00"                    ;; type section
+    "\03\03\02\00\00"                       ;; function section: 2 functions
+    "\0a\04\01"                             ;; code section: 1 body
+    "\02\00\0b"                             ;; function body 0
+  )
+  "function and code section have inconsistent lengths"
+)
+
+;; Type section with a non-function type form
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\01\04\01\40\00\00"                    ;; type section, form 0x40
+  )
+  "malformed functype"
+)
+
+;; Custom sections are allowed anywhere, and ignored
+(module binary
+  "\00asm" "\01\00\00\00"
+  "\00\24\10" "a custom section" "this is the payload"
+  "\00\20\10" "a custom section" "this is payload"
+  "\00\11\10" "a custom section" ""
+  "\00\10\00" "" "this is payload"
+  "\00\01\00" "" ""
+  "\01\04\01\60\00\00"                      ;; type section
+  "\00\10\00" "" "this is payload"
+  "\03\02\01\00"                            ;; function section
+  "\07\05\01\01\66\00\00"                   ;; export section: func "f" 0
+  "\0a\04\01\02\00\0b"                      ;; code section
+  "\00\10\00" "" "this is payload"
+)
+(assert_return (invoke "f"))
+
+;; A binary module with a function that computes something
+(module binary
+  "\00asm" "\01\00\00\00"
+  "\01\07\01\60\02\7f\7f\01\7f"             ;; type: [i32 i32] -> [i32]
+  "\03\02\01\00"                            ;; function section
+  "\07\07\01\03\61\64\64\00\00"             ;; export "add" func 0
+  "\0a\09\01\07\00\20\00\20\01\6a\0b"       ;; local.get 0 local.get 1 i32.add
+)
+(assert_return (invoke "add" (i32.const 40) (i32.const 2)) (i32.const 42))
+
+;; Locals declared in several groups
+(module binary
+  "\00asm" "\01\00\00\00"
+  "\01\05\01\60\00\01\7e"                   ;; type: [] -> [i64]
+  "\03\02\01\00"                            ;; function section
+  "\07\05\01\01\66\00\00"                   ;; export "f" func 0
+  "\0a\10\01\0e"                            ;; code section, body size 14
+  "\03\01\7f\02\7e\01\7d"                   ;; locals: 1 i32, 2 i64, 1 f32
+  "\42\07\21\02\20\02\0b"                   ;; i64.const 7 local.set 2 local.get 2
+)
+(assert_return (invoke "f") (i64.const 7))
+
+;; LEB128 encodings that are longer than necessary are fine
+(module binary
+  "\00asm" "\01\00\00\00"
+  "\01\85\80\80\80\00\01\60\00\01\7f"       ;; type section, padded size
+  "\03\02\01\00"                            ;; function section
+  "\07\05\01\01\66\00\00"                   ;; export "f" func 0
+  "\0a\0a\01\08\00"                         ;; code section
+  "\41\ff\ff\ff\ff\7f"                      ;; i32.const -1, 5 bytes
+  "\0b"
+)
+(assert_return (invoke "f") (i32.const -1))
+
+;; ...but not too long
+(assert_malformed
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\05\07\01"                             ;; memory section
+    "\00\82\80\80\80\80\00"                 ;; min 2, 6 bytes
+  )
+  "integer representation too long"
+)
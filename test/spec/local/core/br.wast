@@ -0,0 +1,226 @@
+;; Test `br` and `br_if` operators
+
+(module
+  (func $dummy)
+
+  (func (export "type-i32") (block (drop (i32.ctz (br 0)))))
+  (func (export "type-i64") (block (drop (i64.ctz (br 0)))))
+  (func (export "type-f32") (block (drop (f32.neg (br 0)))))
+  (func (export "type-f64") (block (drop (f64.neg (br 0)))))
+
+  (func (export "type-i32-value") (result i32)
+    (block (result i32) (i32.ctz (br 0 (i32.const 1))))
+  )
+  (func (export "type-i64-value") (result i64)
+    (block (result i64) (i64.ctz (br 0 (i64.const 2))))
+  )
+  (func (export "type-f32-value") (result f32)
+    (block (result f32) (f32.neg (br 0 (f32.const 3))))
+  )
+  (func (export "type-f64-value") (result f64)
+    (block (result f64) (f64.neg (br 0 (f64.const 4))))
+  )
+
+  (func (export "as-block-first")
+    (block (br 0) (call $dummy))
+  )
+  (func (export "as-block-value") (result i32)
+    (block (result i32) (nop) (call $dummy) (br 0 (i32.const 2)))
+  )
+  (func (export "as-loop-mid") (result i32)
+    (block (result i32)
+      (loop (result i32) (call $dummy) (br 1 (i32.const 4)) (i32.const 2))
+    )
+  )
+  (func (export "as-br-value") (result i32)
+    (block (result i32) (br 0 (br 0 (i32.const 9))))
+  )
+  (func (export "as-return-value") (result i64)
+    (block (result i64) (return (br 0 (i64.const 7))))
+  )
+  (func (export "as-if-cond") (result i32)
+    (block (result i32)
+      (if (result i32) (br 0 (i32.const 2))
+        (then (i32.const 0))
+        (else (i32.const 1))
+      )
+    )
+  )
+  (func (export "as-select-cond") (result i32)
+    (block (result i32)
+      (select (i32.const 0) (i32.const 1) (br 0 (i32.const 7)))
+    )
+  )
+  (func $f (param i32 i32 i32) (result i32) (i32.const -1))
+  (func (export "as-call-mid") (result i32)
+    (block (result i32)
+      (call $f (i32.const 1) (br 0 (i32.const 13)) (i32.const 3))
+    )
+  )
+  (func (export "as-local.set-value") (result i32) (local f32)
+    (block (result i32) (local.set 0 (br 0 (i32.const 17))) (i32.const -1))
+  )
+  (func (export "as-binary-right") (result i64)
+    (block (result i64) (i64.sub (i64.const 10) (br 0 (i64.const 46))))
+  )
+  (func (export "nested-block-value") (result i32)
+    (i32.add
+      (i32.const 1)
+      (block (result i32)
+        (call $dummy)
+        (i32.add (i32.const 4) (br 0 (i32.const 8)))
+      )
+    )
+  )
+  (func (export "nested-br-value") (result i32)
+    (i32.add
+      (i32.const 1)
+      (block (result i32)
+        (drop (i32.const 2))
+        (drop
+          (block (result i32)
+            (drop (i32.const 4))
+            (br 0 (br 1 (i32.const 8)))
+          )
+        )
+        (i32.const 16)
+      )
+    )
+  )
+
+  ;; br_if
+
+  (func (export "br_if-as-block-first") (param i32) (result i32)
+    (block (br_if 0 (local.get 0)) (return (i32.const 2))) (i32.const 3)
+  )
+  (func (export "br_if-as-block-last-value") (param i32) (result i32)
+    (block (result i32)
+      (call $dummy) (call $dummy) (br_if 0 (i32.const 11) (local.get 0))
+    )
+  )
+  (func (export "br_if-as-loop-mid") (param i32) (result i32)
+    (block
+      (loop
+        (call $dummy)
+        (br_if 1 (local.get 0))
+        (return (i32.const 2))
+      )
+    )
+    (i32.const 4)
+  )
+  (func (export "br_if-as-if-then") (param i32 i32)
+    (block
+      (if (local.get 0) (then (br_if 1 (local.get 1))) (else (call $dummy)))
+    )
+  )
+  (func (export "br_if-as-br_if-value") (result i32)
+    (block (result i32)
+      (drop (br_if 0 (i32.const 1) (br_if 0 (i32.const 2) (i32.const 1))))
+      (i32.const 4)
+    )
+  )
+  (func (export "br_if-as-select-first") (param i32) (result i32)
+    (block (result i32)
+      (select (br_if 0 (i32.const 3) (i32.const 10)) (i32.const 2) (local.get 0))
+    )
+  )
+  (func (export "br_if-as-binary-left") (result i32)
+    (block (result i32) (i32.add (br_if 0 (i32.const 1) (i32.const 1)) (i32.const 10)))
+  )
+  (func (export "br_if-nested-block-value") (param i32) (result i32)
+    (i32.add
+      (i32.const 1)
+      (block (result i32)
+        (drop (i32.const 2))
+        (i32.add
+          (i32.const 4)
+          (block (result i32)
+            (drop (br_if 1 (i32.const 8) (local.get 0)))
+            (i32.const 16)
+          )
+        )
+      )
+    )
+  )
+  (func (export "br_if-value-not-taken") (param i32) (result i32)
+    (block (result i32)
+      (drop (br_if 0 (i32.const 7) (local.get 0)))
+      (i32.const 9)
+    )
+  )
+)
+
+(assert_return (invoke "type-i32"))
+(assert_return (invoke "type-i64"))
+(assert_return (invoke "type-f32"))
+(assert_return (invoke "type-f64"))
+
+(assert_return (invoke "type-i32-value") (i32.const 1))
+(assert_return (invoke "type-i64-value") (i64.const 2))
+(assert_return (invoke "type-f32-value") (f32.const 3))
+(assert_return (invoke "type-f64-value") (f64.const 4))
+
+(assert_return (invoke "as-block-first"))
+(assert_return (invoke "as-block-value") (i32.const 2))
+(assert_return (invoke "as-loop-mid") (i32.const 4))
+(assert_return (invoke "as-br-value") (i32.const 9))
+(assert_return (invoke "as-return-value") (i64.const 7))
+(assert_return (invoke "as-if-cond") (i32.const 2))
+(assert_return (invoke "as-select-cond") (i32.const 7))
+(assert_return (invoke "as-call-mid") (i32.const 13))
+(assert_return (invoke "as-local.set-value") (i32.const 17))
+(assert_return (invoke "as-binary-right") (i64.const 46))
+(assert_return (invoke "nested-block-value") (i32.const 9))
+(assert_return (invoke "nested-br-value") (i32.const 9))
+
+(assert_return (invoke "br_if-as-block-first" (i32.const 0)) (i32.const 2))
+(assert_return (invoke "br_if-as-block-first" (i32.const 1)) (i32.const 3))
+(assert_return (invoke "br_if-as-block-last-value" (i32.const 0)) (i32.const 11))
+(assert_return (invoke "br_if-as-block-last-value" (i32.const 1)) (i32.const 11))
+(assert_return (invoke "br_if-as-loop-mid" (i32.const 0)) (i32.const 2))
+(assert_return (invoke "br_if-as-loop-mid" (i32.const 1)) (i32.const 4))
+(assert_return (invoke "br_if-as-if-then" (i32.const 0) (i32.const 0)))
+(assert_return (invoke "br_if-as-if-then" (i32.const 4) (i32.const 0)))
+(assert_return (invoke "br_if-as-if-then" (i32.const 0) (i32.const 1)))
+(assert_return (invoke "br_if-as-if-then" (i32.const 4) (i32.const 1)))
+(assert_return (invoke "br_if-as-br_if-value") (i32.const 2))
+(assert_return (invoke "br_if-as-select-first" (i32.const 0)) (i32.const 3))
+(assert_return (invoke "br_if-as-select-first" (i32.const 1)) (i32.const 3))
+(assert_return (invoke "br_if-as-binary-left") (i32.const 1))
+(assert_return (invoke "br_if-nested-block-value" (i32.const 0)) (i32.const 21))
+(assert_return (invoke "br_if-nested-block-value" (i32.const 1)) (i32.const 9))
+(assert_return (invoke "br_if-value-not-taken" (i32.const 0)) (i32.const 9))
+(assert_return (invoke "br_if-value-not-taken" (i32.const 1)) (i32.const 7))
+
+(assert_invalid
+  (module (func $type-arg-empty-vs-num (result i32)
+    (block (result i32) (br 0) (i32.const 1))
+  ))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $type-arg-num-vs-num (result i32)
+    (block (result i32) (br 0 (i64.const 1)) (i32.const 1))
+  ))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $type-false-arg-void-vs-num (result i32)
+    (block (result i32) (br_if 0 (i32.const 0)) (i32.const 1))
+  ))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $type-cond-num-vs-i32
+    (block (br_if 0 (i64.const 0)))
+  ))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $unbound-label (br 1)))
+  "unknown label"
+)
+(assert_invalid
+  (module (func $unbound-nested-label (block (block (br_if 5 (i32.const 1))))))
+  "unknown label"
+)
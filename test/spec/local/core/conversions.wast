@@ -0,0 +1,618 @@
+;; type conversions
+
+(module
+  (func (export "i64.extend_i32_s") (param $x i32) (result i64) (i64.extend_i32_s (local.get $x)))
+  (func (export "i64.extend_i32_u") (param $x i32) (result i64) (i64.extend_i32_u (local.get $x)))
+  (func (export "i32.wrap_i64") (param $x i64) (result i32) (i32.wrap_i64 (local.get $x)))
+  (func (export "i32.trunc_f32_s") (param $x f32) (result i32) (i32.trunc_f32_s (local.get $x)))
+  (func (export "i32.trunc_f32_u") (param $x f32) (result i32) (i32.trunc_f32_u (local.get $x)))
+  (func (export "i32.trunc_f64_s") (param $x f64) (result i32) (i32.trunc_f64_s (local.get $x)))
+  (func (export "i32.trunc_f64_u") (param $x f64) (result i32) (i32.trunc_f64_u (local.get $x)))
+  (func (export "i64.trunc_f32_s") (param $x f32) (result i64) (i64.trunc_f32_s (local.get $x)))
+  (func (export "i64.trunc_f32_u") (param $x f32) (result i64) (i64.trunc_f32_u (local.get $x)))
+  (func (export "i64.trunc_f64_s") (param $x f64) (result i64) (i64.trunc_f64_s (local.get $x)))
+  (func (export "i64.trunc_f64_u") (param $x f64) (result i64) (i64.trunc_f64_u (local.get $x)))
+  (func (export "f32.convert_i32_s") (param $x i32) (result f32) (f32.convert_i32_s (local.get $x)))
+  (func (export "f32.convert_i32_u") (param $x i32) (result f32) (f32.convert_i32_u (local.get $x)))
+  (func (export "f32.convert_i64_s") (param $x i64) (result f32) (f32.convert_i64_s (local.get $x)))
+  (func (export "f32.convert_i64_u") (param $x i64) (result f32) (f32.convert_i64_u (local.get $x)))
+  (func (export "f64.convert_i32_s") (param $x i32) (result f64) (f64.convert_i32_s (local.get $x)))
+  (func (export "f64.convert_i32_u") (param $x i32) (result f64) (f64.convert_i32_u (local.get $x)))
+  (func (export "f64.convert_i64_s") (param $x i64) (result f64) (f64.convert_i64_s (local.get $x)))
+  (func (export "f64.convert_i64_u") (param $x i64) (result f64) (f64.convert_i64_u (local.get $x)))
+  (func (export "f32.demote_f64") (param $x f64) (result f32) (f32.demote_f64 (local.get $x)))
+  (func (export "f64.promote_f32") (param $x f32) (result f64) (f64.promote_f32 (local.get $x)))
+  (func (export "f32.reinterpret_i32") (param $x i32) (result f32) (f32.reinterpret_i32 (local.get $x)))
+  (func (export "i32.reinterpret_f32") (param $x f32) (result i32) (i32.reinterpret_f32 (local.get $x)))
+  (func (export "f64.reinterpret_i64") (param $x i64) (result f64) (f64.reinterpret_i64 (local.get $x)))
+  (func (export "i64.reinterpret_f64") (param $x f64) (result i64) (i64.reinterpret_f64 (local.get $x)))
+
+  ;; Round trips that never leave WebAssembly, so NaN payloads must survive
+  (func (export "i32.roundtrip") (param $x i32) (result i32) (i32.reinterpret_f32 (f32.reinterpret_i32 (local.get $x))))
+  (func (export "i64.roundtrip") (param $x i64) (result i64) (i64.reinterpret_f64 (f64.reinterpret_i64 (local.get $x))))
+)
+
+(assert_return (invoke "i64.extend_i32_s" (i32.const 0)) (i64.const 0))
+(assert_return (invoke "i64.extend_i32_s" (i32.const 0x2710)) (i64.const 0x2710))
+(assert_return (invoke "i64.extend_i32_s" (i32.const 0xffffd8f0)) (i64.const 0xffffffffffffd8f0))
+(assert_return (invoke "i64.extend_i32_s" (i32.const -1)) (i64.const -1))
+(assert_return (invoke "i64.extend_i32_s" (i32.const 0x7fffffff)) (i64.const 0x7fffffff))
+(assert_return (invoke "i64.extend_i32_s" (i32.const 0x80000000)) (i64.const 0xffffffff80000000))
+(assert_return (invoke "i64.extend_i32_s" (i32.const 0x12345678)) (i64.const 0x12345678))
+(assert_return (invoke "i64.extend_i32_u" (i32.const 0)) (i64.const 0))
+(assert_return (invoke "i64.extend_i32_u" (i32.const 0x2710)) (i64.const 0x2710))
+(assert_return (invoke "i64.extend_i32_u" (i32.const 0xffffd8f0)) (i64.const 0xffffd8f0))
+(assert_return (invoke "i64.extend_i32_u" (i32.const -1)) (i64.const 0xffffffff))
+(assert_return (invoke "i64.extend_i32_u" (i32.const 0x7fffffff)) (i64.const 0x7fffffff))
+(assert_return (invoke "i64.extend_i32_u" (i32.const 0x80000000)) (i64.const 0x80000000))
+(assert_return (invoke "i32.wrap_i64" (i64.const -1)) (i32.const -1))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0xfffffffffffe7960)) (i32.const 0xfffe7960))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0x80000000)) (i32.const 0x80000000))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0xffffffff7fffffff)) (i32.const 0x7fffffff))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0xffffffff00000000)) (i32.const 0))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0xffffffff00000000)) (i32.const 0))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0xffffffff00000001)) (i32.const 1))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0)) (i32.const 0))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0x1234567890abcdef)) (i32.const 0x90abcdef))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0xffffffff)) (i32.const -1))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0x100000000)) (i32.const 0))
+(assert_return (invoke "i32.wrap_i64" (i64.const 0x100000001)) (i32.const 1))
+
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.19999a0000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.8000000000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.0000000000000p+0)) (i32.const -1))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.8000000000000p+0)) (i32.const -1))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.e666660000000p+0)) (i32.const -1))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.0000000000000p+1)) (i32.const -2))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.e666660000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.0000000000000p+1)) (i32.const 2))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.cccccc0000000p-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.cccccc0000000p-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.fffffe0000000p+30)) (i32.const 0x7fffff80))
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const 0x1.0000000000000p+31)) "integer overflow")
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.0000000000000p+31)) (i32.const 0x80000000))
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const -0x1.0000020000000p+31)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const 0x1.0000000000000p+32)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const -inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const -0x1.0000000000000p+32)) "integer overflow")
+(assert_return (invoke "i32.trunc_f32_s" (f32.const 0x1.7d78400000000p+26)) (i32.const 0x5f5e100))
+(assert_return (invoke "i32.trunc_f32_s" (f32.const -0x1.7d78400000000p+26)) (i32.const 0xfa0a1f00))
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const 0x1.0000000000000p+63)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f32_s" (f32.const nan:0x200000)) "invalid conversion to integer")
+
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.19999a0000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.8000000000000p+0)) (i32.const 1))
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -0x1.0000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -0x1.8000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -0x1.e666660000000p+0)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -0x1.0000000000000p+1)) "integer overflow")
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.e666660000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.0000000000000p+1)) (i32.const 2))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.cccccc0000000p-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const -0x1.cccccc0000000p-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.fffffe0000000p+31)) (i32.const -256))
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const 0x1.0000000000000p+32)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const 0x1.0000000000000p+33)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -0x1.0000000000000p+32)) "integer overflow")
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.7d78400000000p+26)) (i32.const 0x5f5e100))
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -0x1.7d78400000000p+26)) "integer overflow")
+(assert_return (invoke "i32.trunc_f32_u" (f32.const 0x1.0000000000000p+31)) (i32.const 0x80000000))
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -0x1.0000000000000p+31)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const 0x1.0000000000000p+63)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f32_u" (f32.const nan:0x200000)) "invalid conversion to integer")
+
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.199999999999ap+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.8000000000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.0000000000000p+0)) (i32.const -1))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.8000000000000p+0)) (i32.const -1))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.e666666666666p+0)) (i32.const -1))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.0000000000000p+1)) (i32.const -2))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.e666666666666p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.0000000000000p+1)) (i32.const 2))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.ccccccccccccdp-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.ccccccccccccdp-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.fffffffffffffp+30)) (i32.const 0x7fffffff))
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const 0x1.0000000000000p+31)) "integer overflow")
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.0000000000000p+31)) (i32.const 0x80000000))
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const -0x1.0000000200000p+31)) "integer overflow")
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.0000000000001p+31)) (i32.const 0x80000000))
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const 0x1.0000000000000p+32)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const -inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const -0x1.0000000000000p+32)) "integer overflow")
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.7d78400000000p+26)) (i32.const 0x5f5e100))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const -0x1.7d78400000000p+26)) (i32.const 0xfa0a1f00))
+(assert_return (invoke "i32.trunc_f64_s" (f64.const 0x1.fffffffc00000p+30)) (i32.const 0x7fffffff))
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const 0x1.fffffffe00000p+31)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const 0x1.0000000000000p+63)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f64_s" (f64.const nan:0x4000000000000)) "invalid conversion to integer")
+
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.199999999999ap+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.8000000000000p+0)) (i32.const 1))
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.0000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.8000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.e666666666666p+0)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.0000000000000p+1)) "integer overflow")
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.e666666666666p+0)) (i32.const 1))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.0000000000000p+1)) (i32.const 2))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.ccccccccccccdp-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const -0x1.ccccccccccccdp-1)) (i32.const 0))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.fffffffffffffp+31)) (i32.const -1))
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const 0x1.0000000000000p+32)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const 0x1.0000000000000p+33)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -inf)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.0000000000000p+32)) "integer overflow")
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.7d78400000000p+26)) (i32.const 0x5f5e100))
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.7d78400000000p+26)) "integer overflow")
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.fffffffc00000p+30)) (i32.const 0x7fffffff))
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.0000000000000p+31)) (i32.const 0x80000000))
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.0000000000000p+31)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -0x1.0000000200000p+31)) "integer overflow")
+(assert_return (invoke "i32.trunc_f64_u" (f64.const 0x1.fffffffe00000p+31)) (i32.const -1))
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const 0x1.0000000000000p+63)) "integer overflow")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i32.trunc_f64_u" (f64.const nan:0x4000000000000)) "invalid conversion to integer")
+
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.0000000000000p-149)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.0000000000000p-149)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.0000000000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.19999a0000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.8000000000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.0000000000000p+0)) (i64.const -1))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.8000000000000p+0)) (i64.const -1))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.e666660000000p+0)) (i64.const -1))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.0000000000000p+1)) (i64.const -2))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.e666660000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.0000000000000p+1)) (i64.const 2))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.cccccc0000000p-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.cccccc0000000p-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.fffffe0000000p+62)) (i64.const 0x7fffff8000000000))
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const 0x1.0000000000000p+63)) "integer overflow")
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.0000000000000p+63)) (i64.const 0x8000000000000000))
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const -0x1.0000020000000p+63)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const 0x1.0000000000000p+64)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const inf)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const -inf)) "integer overflow")
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.0000000000000p+32)) (i64.const 0x100000000))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.0000000000000p+32)) (i64.const 0xffffffff00000000))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.7d78400000000p+26)) (i64.const 0x5f5e100))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.7d78400000000p+26)) (i64.const 0xfffffffffa0a1f00))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const 0x1.0000000000000p+31)) (i64.const 0x80000000))
+(assert_return (invoke "i64.trunc_f32_s" (f32.const -0x1.0000000000000p+31)) (i64.const 0xffffffff80000000))
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f32_s" (f32.const nan:0x200000)) "invalid conversion to integer")
+
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const -0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p-149)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const -0x1.0000000000000p-149)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.19999a0000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.8000000000000p+0)) (i64.const 1))
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -0x1.0000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -0x1.8000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -0x1.e666660000000p+0)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -0x1.0000000000000p+1)) "integer overflow")
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.e666660000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p+1)) (i64.const 2))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.cccccc0000000p-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const -0x1.cccccc0000000p-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.fffffe0000000p+63)) (i64.const 0xffffff0000000000))
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p+64)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p+65)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const inf)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -inf)) "integer overflow")
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p+32)) (i64.const 0x100000000))
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -0x1.0000000000000p+32)) "integer overflow")
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.7d78400000000p+26)) (i64.const 0x5f5e100))
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -0x1.7d78400000000p+26)) "integer overflow")
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p+31)) (i64.const 0x80000000))
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -0x1.0000000000000p+31)) "integer overflow")
+(assert_return (invoke "i64.trunc_f32_u" (f32.const 0x1.0000000000000p+63)) (i64.const 0x8000000000000000))
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f32_u" (f32.const nan:0x200000)) "invalid conversion to integer")
+
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x0.0000000000001p-1022)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x0.0000000000001p-1022)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.0000000000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.199999999999ap+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.8000000000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.0000000000000p+0)) (i64.const -1))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.8000000000000p+0)) (i64.const -1))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.e666666666666p+0)) (i64.const -1))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.0000000000000p+1)) (i64.const -2))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.e666666666666p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.0000000000000p+1)) (i64.const 2))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.ccccccccccccdp-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.ccccccccccccdp-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.fffffffffffffp+62)) (i64.const 0x7ffffffffffffc00))
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const 0x1.0000000000000p+63)) "integer overflow")
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.0000000000000p+63)) (i64.const 0x8000000000000000))
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const -0x1.0000000000001p+63)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const 0x1.0000000000000p+64)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const inf)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const -inf)) "integer overflow")
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.0000000000000p+32)) (i64.const 0x100000000))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.0000000000000p+32)) (i64.const 0xffffffff00000000))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.7d78400000000p+26)) (i64.const 0x5f5e100))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.7d78400000000p+26)) (i64.const 0xfffffffffa0a1f00))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.fffffffc00000p+30)) (i64.const 0x7fffffff))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.0000000000000p+31)) (i64.const 0x80000000))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.0000000000000p+31)) (i64.const 0xffffffff80000000))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const -0x1.0000000200000p+31)) (i64.const 0xffffffff7fffffff))
+(assert_return (invoke "i64.trunc_f64_s" (f64.const 0x1.fffffffe00000p+31)) (i64.const 0xffffffff))
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f64_s" (f64.const nan:0x4000000000000)) "invalid conversion to integer")
+
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const -0x0p+0)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x0.0000000000001p-1022)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const -0x0.0000000000001p-1022)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.0000000000000p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.199999999999ap+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.8000000000000p+0)) (i64.const 1))
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.0000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.8000000000000p+0)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.e666666666666p+0)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.0000000000000p+1)) "integer overflow")
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.e666666666666p+0)) (i64.const 1))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.0000000000000p+1)) (i64.const 2))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.ccccccccccccdp-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const -0x1.ccccccccccccdp-1)) (i64.const 0))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.fffffffffffffp+63)) (i64.const 0xfffffffffffff800))
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const 0x1.0000000000000p+64)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const 0x1.0000000000000p+65)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const inf)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -inf)) "integer overflow")
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.0000000000000p+32)) (i64.const 0x100000000))
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.0000000000000p+32)) "integer overflow")
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.7d78400000000p+26)) (i64.const 0x5f5e100))
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.7d78400000000p+26)) "integer overflow")
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.fffffffc00000p+30)) (i64.const 0x7fffffff))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.0000000000000p+31)) (i64.const 0x80000000))
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.0000000000000p+31)) "integer overflow")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -0x1.0000000200000p+31)) "integer overflow")
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.fffffffe00000p+31)) (i64.const 0xffffffff))
+(assert_return (invoke "i64.trunc_f64_u" (f64.const 0x1.0000000000000p+63)) (i64.const 0x8000000000000000))
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const -nan)) "invalid conversion to integer")
+(assert_trap (invoke "i64.trunc_f64_u" (f64.const nan:0x4000000000000)) "invalid conversion to integer")
+
+(assert_return (invoke "f32.convert_i32_s" (i32.const 1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i32_s" (i32.const -1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x7fffffff)) (f32.const 0x1.0000000000000p+31))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x80000000)) (f32.const -0x1.0000000000000p+31))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x12345678)) (f32.const 0x1.2345680000000p+28))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x1234567)) (f32.const 0x1.2345680000000p+24))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x7fffff80)) (f32.const 0x1.fffffe0000000p+30))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x7fffff7f)) (f32.const 0x1.fffffe0000000p+30))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x7fffffc0)) (f32.const 0x1.0000000000000p+31))
+(assert_return (invoke "f32.convert_i32_s" (i32.const -1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x80000080)) (f32.const -0x1.fffffe0000000p+30))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x80000081)) (f32.const -0x1.fffffe0000000p+30))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x1000001)) (f32.const 0x1.0000000000000p+24))
+(assert_return (invoke "f32.convert_i32_s" (i32.const -2)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0x1000001)) (f32.const 0x1.0000000000000p+24))
+(assert_return (invoke "f32.convert_i32_s" (i32.const 0xfeffffff)) (f32.const -0x1.0000000000000p+24))
+
+(assert_return (invoke "f32.convert_i32_u" (i32.const 1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i32_u" (i32.const -1)) (f32.const 0x1.0000000000000p+32))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x7fffffff)) (f32.const 0x1.0000000000000p+31))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x80000000)) (f32.const 0x1.0000000000000p+31))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x12345678)) (f32.const 0x1.2345680000000p+28))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x1234567)) (f32.const 0x1.2345680000000p+24))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x7fffff80)) (f32.const 0x1.fffffe0000000p+30))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x7fffff7f)) (f32.const 0x1.fffffe0000000p+30))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x7fffffc0)) (f32.const 0x1.0000000000000p+31))
+(assert_return (invoke "f32.convert_i32_u" (i32.const -1)) (f32.const 0x1.0000000000000p+32))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x80000080)) (f32.const 0x1.0000000000000p+31))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x80000081)) (f32.const 0x1.0000020000000p+31))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x1000001)) (f32.const 0x1.0000000000000p+24))
+(assert_return (invoke "f32.convert_i32_u" (i32.const -2)) (f32.const 0x1.0000000000000p+32))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0x1000001)) (f32.const 0x1.0000000000000p+24))
+(assert_return (invoke "f32.convert_i32_u" (i32.const 0xfeffffff)) (f32.const 0x1.fe00000000000p+31))
+
+(assert_return (invoke "f64.convert_i32_s" (i32.const 1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i32_s" (i32.const -1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0)) (f64.const 0x0p+0))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x7fffffff)) (f64.const 0x1.fffffffc00000p+30))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x80000000)) (f64.const -0x1.0000000000000p+31))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x12345678)) (f64.const 0x1.2345678000000p+28))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x1234567)) (f64.const 0x1.2345670000000p+24))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x7fffff80)) (f64.const 0x1.fffffe0000000p+30))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x7fffff7f)) (f64.const 0x1.fffffdfc00000p+30))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x7fffffc0)) (f64.const 0x1.ffffff0000000p+30))
+(assert_return (invoke "f64.convert_i32_s" (i32.const -1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x80000080)) (f64.const -0x1.fffffe0000000p+30))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x80000081)) (f64.const -0x1.fffffdfc00000p+30))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x1000001)) (f64.const 0x1.0000010000000p+24))
+(assert_return (invoke "f64.convert_i32_s" (i32.const -2)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0x1000001)) (f64.const 0x1.0000010000000p+24))
+(assert_return (invoke "f64.convert_i32_s" (i32.const 0xfeffffff)) (f64.const -0x1.0000010000000p+24))
+
+(assert_return (invoke "f64.convert_i32_u" (i32.const 1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i32_u" (i32.const -1)) (f64.const 0x1.fffffffe00000p+31))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0)) (f64.const 0x0p+0))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x7fffffff)) (f64.const 0x1.fffffffc00000p+30))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x80000000)) (f64.const 0x1.0000000000000p+31))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x12345678)) (f64.const 0x1.2345678000000p+28))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x1234567)) (f64.const 0x1.2345670000000p+24))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x7fffff80)) (f64.const 0x1.fffffe0000000p+30))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x7fffff7f)) (f64.const 0x1.fffffdfc00000p+30))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x7fffffc0)) (f64.const 0x1.ffffff0000000p+30))
+(assert_return (invoke "f64.convert_i32_u" (i32.const -1)) (f64.const 0x1.fffffffe00000p+31))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x80000080)) (f64.const 0x1.0000010000000p+31))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x80000081)) (f64.const 0x1.0000010200000p+31))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x1000001)) (f64.const 0x1.0000010000000p+24))
+(assert_return (invoke "f64.convert_i32_u" (i32.const -2)) (f64.const 0x1.fffffffc00000p+31))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0x1000001)) (f64.const 0x1.0000010000000p+24))
+(assert_return (invoke "f64.convert_i32_u" (i32.const 0xfeffffff)) (f64.const 0x1.fdfffffe00000p+31))
+
+(assert_return (invoke "f32.convert_i64_s" (i64.const 1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i64_s" (i64.const -1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x7fffffffffffffff)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x8000000000000000)) (f32.const -0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x123456789abcdef)) (f32.const 0x1.2345680000000p+56))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0xfedcba9876543210)) (f32.const -0x1.2345680000000p+56))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x20000020000001)) (f32.const 0x1.0000020000000p+53))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x7fffff4000000001)) (f32.const 0x1.fffffe0000000p+62))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x8000008000000001)) (f32.const -0x1.fffffe0000000p+62))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0xfffffe8000000001)) (f32.const -0x1.8000000000000p+40))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x1fffffffffffff)) (f32.const 0x1.0000000000000p+53))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x20000000000001)) (f32.const 0x1.0000000000000p+53))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x7ffffffffffffc00)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x7ffffffffffffe00)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_s" (i64.const -1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x8000000000000400)) (f32.const -0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0xfffffffffffff800)) (f32.const -0x1.0000000000000p+11))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x20000000000001)) (f32.const 0x1.0000000000000p+53))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0xffdfffffffffffff)) (f32.const -0x1.0000000000000p+53))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0x1000001)) (f32.const 0x1.0000000000000p+24))
+(assert_return (invoke "f32.convert_i64_s" (i64.const 0xfffffffffeffffff)) (f32.const -0x1.0000000000000p+24))
+
+(assert_return (invoke "f32.convert_i64_u" (i64.const 1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.convert_i64_u" (i64.const -1)) (f32.const 0x1.0000000000000p+64))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x7fffffffffffffff)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x8000000000000000)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x123456789abcdef)) (f32.const 0x1.2345680000000p+56))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0xfedcba9876543210)) (f32.const 0x1.fdb9760000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x20000020000001)) (f32.const 0x1.0000020000000p+53))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x7fffff4000000001)) (f32.const 0x1.fffffe0000000p+62))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x8000008000000001)) (f32.const 0x1.0000020000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0xfffffe8000000001)) (f32.const 0x1.fffffe0000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x1fffffffffffff)) (f32.const 0x1.0000000000000p+53))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x20000000000001)) (f32.const 0x1.0000000000000p+53))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x7ffffffffffffc00)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x7ffffffffffffe00)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const -1)) (f32.const 0x1.0000000000000p+64))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x8000000000000400)) (f32.const 0x1.0000000000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0xfffffffffffff800)) (f32.const 0x1.0000000000000p+64))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x20000000000001)) (f32.const 0x1.0000000000000p+53))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0xffdfffffffffffff)) (f32.const 0x1.ffc0000000000p+63))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0x1000001)) (f32.const 0x1.0000000000000p+24))
+(assert_return (invoke "f32.convert_i64_u" (i64.const 0xfffffffffeffffff)) (f32.const 0x1.0000000000000p+64))
+
+(assert_return (invoke "f64.convert_i64_s" (i64.const 1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i64_s" (i64.const -1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0)) (f64.const 0x0p+0))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x7fffffffffffffff)) (f64.const 0x1.0000000000000p+63))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x8000000000000000)) (f64.const -0x1.0000000000000p+63))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x123456789abcdef)) (f64.const 0x1.23456789abcdfp+56))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0xfedcba9876543210)) (f64.const -0x1.23456789abcdfp+56))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x20000020000001)) (f64.const 0x1.0000010000000p+53))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x7fffff4000000001)) (f64.const 0x1.fffffd0000000p+62))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x8000008000000001)) (f64.const -0x1.fffffe0000000p+62))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0xfffffe8000000001)) (f64.const -0x1.7fffffffff000p+40))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x1fffffffffffff)) (f64.const 0x1.fffffffffffffp+52))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x20000000000001)) (f64.const 0x1.0000000000000p+53))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x7ffffffffffffc00)) (f64.const 0x1.fffffffffffffp+62))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x7ffffffffffffe00)) (f64.const 0x1.0000000000000p+63))
+(assert_return (invoke "f64.convert_i64_s" (i64.const -1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x8000000000000400)) (f64.const -0x1.fffffffffffffp+62))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0xfffffffffffff800)) (f64.const -0x1.0000000000000p+11))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x20000000000001)) (f64.const 0x1.0000000000000p+53))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0xffdfffffffffffff)) (f64.const -0x1.0000000000000p+53))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0x1000001)) (f64.const 0x1.0000010000000p+24))
+(assert_return (invoke "f64.convert_i64_s" (i64.const 0xfffffffffeffffff)) (f64.const -0x1.0000010000000p+24))
+
+(assert_return (invoke "f64.convert_i64_u" (i64.const 1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "f64.convert_i64_u" (i64.const -1)) (f64.const 0x1.0000000000000p+64))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0)) (f64.const 0x0p+0))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x7fffffffffffffff)) (f64.const 0x1.0000000000000p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x8000000000000000)) (f64.const 0x1.0000000000000p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x123456789abcdef)) (f64.const 0x1.23456789abcdfp+56))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0xfedcba9876543210)) (f64.const 0x1.fdb97530eca86p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x20000020000001)) (f64.const 0x1.0000010000000p+53))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x7fffff4000000001)) (f64.const 0x1.fffffd0000000p+62))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x8000008000000001)) (f64.const 0x1.0000010000000p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0xfffffe8000000001)) (f64.const 0x1.fffffd0000000p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x1fffffffffffff)) (f64.const 0x1.fffffffffffffp+52))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x20000000000001)) (f64.const 0x1.0000000000000p+53))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x7ffffffffffffc00)) (f64.const 0x1.fffffffffffffp+62))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x7ffffffffffffe00)) (f64.const 0x1.0000000000000p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const -1)) (f64.const 0x1.0000000000000p+64))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x8000000000000400)) (f64.const 0x1.0000000000000p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0xfffffffffffff800)) (f64.const 0x1.fffffffffffffp+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x20000000000001)) (f64.const 0x1.0000000000000p+53))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0xffdfffffffffffff)) (f64.const 0x1.ffc0000000000p+63))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0x1000001)) (f64.const 0x1.0000010000000p+24))
+(assert_return (invoke "f64.convert_i64_u" (i64.const 0xfffffffffeffffff)) (f64.const 0x1.fffffffffe000p+63))
+
+(assert_return (invoke "f32.demote_f64" (f64.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x0.0000000000001p-1022)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const -0x0.0000000000001p-1022)) (f32.const -0x0p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.fffffe0000000p-127)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.fffffefffffffp+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.ffffff0000000p+127)) (f32.const inf))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000000000000p-119)) (f32.const 0x1.0000000000000p-119))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.8f867e0000000p+125)) (f32.const 0x1.8f867e0000000p+125))
+(assert_return (invoke "f32.demote_f64" (f64.const inf)) (f32.const inf))
+(assert_return (invoke "f32.demote_f64" (f64.const -inf)) (f32.const -inf))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000000000001p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.fffffffffffffp-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000010000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000010000001p+0)) (f32.const 0x1.0000020000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.000002fffffffp+0)) (f32.const 0x1.0000020000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000030000000p+0)) (f32.const 0x1.0000040000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000050000000p+0)) (f32.const 0x1.0000040000000p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000000000000p-150)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000000000001p-150)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.56e1fc2f8f359p-997)) (f32.const 0x0p+0))
+(assert_return (invoke "f32.demote_f64" (f64.const -0x1.7e43c8800759cp+996)) (f32.const -inf))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.999999999999ap-4)) (f32.const 0x1.99999a0000000p-4))
+(assert_return (invoke "f32.demote_f64" (f64.const 0x1.921fb54442d18p+1)) (f32.const 0x1.921fb60000000p+1))
+(assert_return (invoke "f32.demote_f64" (f64.const nan)) (f32.const nan:canonical))
+(assert_return (invoke "f32.demote_f64" (f64.const nan:0x4000000000000)) (f32.const nan:arithmetic))
+(assert_return (invoke "f32.demote_f64" (f64.const -nan)) (f32.const nan:canonical))
+
+(assert_return (invoke "f64.promote_f32" (f32.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "f64.promote_f32" (f32.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "f64.promote_f32" (f32.const 0x1.0000000000000p-149)) (f64.const 0x1.0000000000000p-149))
+(assert_return (invoke "f64.promote_f32" (f32.const -0x1.0000000000000p-149)) (f64.const -0x1.0000000000000p-149))
+(assert_return (invoke "f64.promote_f32" (f32.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "f64.promote_f32" (f32.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "f64.promote_f32" (f32.const 0x1.fffffe0000000p+127)) (f64.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "f64.promote_f32" (f32.const -0x1.fffffe0000000p+127)) (f64.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "f64.promote_f32" (f32.const 0x1.0000000000000p-126)) (f64.const 0x1.0000000000000p-126))
+(assert_return (invoke "f64.promote_f32" (f32.const 0x1.16c2000000000p-133)) (f64.const 0x1.16c2000000000p-133))
+(assert_return (invoke "f64.promote_f32" (f32.const inf)) (f64.const inf))
+(assert_return (invoke "f64.promote_f32" (f32.const -inf)) (f64.const -inf))
+(assert_return (invoke "f64.promote_f32" (f32.const 0x1.99999a0000000p-4)) (f64.const 0x1.99999a0000000p-4))
+(assert_return (invoke "f64.promote_f32" (f32.const 0x1.921fb60000000p+2)) (f64.const 0x1.921fb60000000p+2))
+(assert_return (invoke "f64.promote_f32" (f32.const nan)) (f64.const nan:canonical))
+(assert_return (invoke "f64.promote_f32" (f32.const nan:0x200000)) (f64.const nan:arithmetic))
+(assert_return (invoke "f64.promote_f32" (f32.const -nan)) (f64.const nan:canonical))
+
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0)) (f32.const 0x0p+0))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x80000000)) (f32.const -0x0p+0))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const -0x0p+0)) (i32.const 0x80000000))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 1)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const -1)) (f32.const -nan:0x7fffff))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const -nan:0x7fffff)) (i32.const -1))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x3fffffff)) (f32.const 0x1.fffffe0000000p+0))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const 0x1.fffffe0000000p+0)) (i32.const 0x3fffffff))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x7f800000)) (f32.const inf))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const inf)) (i32.const 0x7f800000))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0xff800000)) (f32.const -inf))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const -inf)) (i32.const 0xff800000))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x7fc00000)) (f32.const nan))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const nan)) (i32.const 0x7fc00000))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0xffc00000)) (f32.const -nan))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const -nan)) (i32.const 0xffc00000))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x7fe00000)) (f32.const nan:0x600000))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const nan:0x600000)) (i32.const 0x7fe00000))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x12345678)) (f32.const 0x1.68acf00000000p-91))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const 0x1.68acf00000000p-91)) (i32.const 0x12345678))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x3f800000)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const 0x1.0000000000000p+0)) (i32.const 0x3f800000))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x80000001)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const -0x1.0000000000000p-149)) (i32.const 0x80000001))
+(assert_return (invoke "f32.reinterpret_i32" (i32.const 0x7f7fffff)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "i32.reinterpret_f32" (f32.const 0x1.fffffe0000000p+127)) (i32.const 0x7f7fffff))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0)) (f64.const 0x0p+0))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const 0x0p+0)) (i64.const 0))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x8000000000000000)) (f64.const -0x0p+0))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const -0x0p+0)) (i64.const 0x8000000000000000))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 1)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const 0x0.0000000000001p-1022)) (i64.const 1))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const -1)) (f64.const -nan:0xfffffffffffff))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const -nan:0xfffffffffffff)) (i64.const -1))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x7ff0000000000000)) (f64.const inf))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const inf)) (i64.const 0x7ff0000000000000))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0xfff0000000000000)) (f64.const -inf))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const -inf)) (i64.const 0xfff0000000000000))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x7ff8000000000000)) (f64.const nan))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const nan)) (i64.const 0x7ff8000000000000))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0xfff8000000000000)) (f64.const -nan))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const -nan)) (i64.const 0xfff8000000000000))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x7ffc000000000000)) (f64.const nan:0xc000000000000))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const nan:0xc000000000000)) (i64.const 0x7ffc000000000000))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x123456789abcdef0)) (f64.const 0x1.456789abcdef0p-732))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const 0x1.456789abcdef0p-732)) (i64.const 0x123456789abcdef0))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x3ff0000000000000)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const 0x1.0000000000000p+0)) (i64.const 0x3ff0000000000000))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x8000000000000001)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const -0x0.0000000000001p-1022)) (i64.const 0x8000000000000001))
+(assert_return (invoke "f64.reinterpret_i64" (i64.const 0x7fefffffffffffff)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "i64.reinterpret_f64" (f64.const 0x1.fffffffffffffp+1023)) (i64.const 0x7fefffffffffffff))
+
+(assert_return (invoke "i32.roundtrip" (i32.const 0x7fa00000)) (i32.const 0x7fa00000))
+(assert_return (invoke "i32.roundtrip" (i32.const 0xffa00000)) (i32.const 0xffa00000))
+(assert_return (invoke "i32.roundtrip" (i32.const 0x7f800001)) (i32.const 0x7f800001))
+(assert_return (invoke "i32.roundtrip" (i32.const 0x7fc00001)) (i32.const 0x7fc00001))
+(assert_return (invoke "i32.roundtrip" (i32.const 0x7f800000)) (i32.const 0x7f800000))
+(assert_return (invoke "i64.roundtrip" (i64.const 0x7ff4000000000000)) (i64.const 0x7ff4000000000000))
+(assert_return (invoke "i64.roundtrip" (i64.const 0xfff4000000000000)) (i64.const 0xfff4000000000000))
+(assert_return (invoke "i64.roundtrip" (i64.const 0x7ff0000000000001)) (i64.const 0x7ff0000000000001))
+(assert_return (invoke "i64.roundtrip" (i64.const 0x7ff8000000000001)) (i64.const 0x7ff8000000000001))
+(assert_return (invoke "i64.roundtrip" (i64.const 0x7ff0000000000000)) (i64.const 0x7ff0000000000000))
+
+(assert_invalid
+  (module (func (result i64) (i64.extend_i32_s (i64.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result i32) (i32.wrap_i64 (i32.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result i32) (i32.trunc_f32_s (f64.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result f32) (f32.demote_f64 (f32.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result f64) (f64.reinterpret_i64 (i32.const 0))))
+  "type mismatch"
+)
@@ -0,0 +1,85 @@
+;; Functions
+
+(module (func) (export "a" (func 0)))
+(module (func) (export "a" (func 0)) (export "b" (func 0)))
+(module (func) (func) (export "a" (func 0)) (export "b" (func 1)))
+
+(module (func (export "a")))
+(module (func (export "a") (export "b") (export "c")))
+(module (func (export "a") (param i32)))
+(module (func (export "") (result i32) (i32.const 7)))
+
+(module $M1 (func (export "a")))
+(module $M2 (func $f (result i32) (i32.const 1)) (export "b" (func $f)))
+
+(module
+  (func (export "e") (param $n i32) (result i32)
+    (i32.add (local.get $n) (i32.const 1))
+  )
+)
+
+(assert_return (invoke "e" (i32.const 42)) (i32.const 43))
+(assert_return (invoke $M2 "b") (i32.const 1))
+
+(module (func (export "") (result i32) (i32.const 7)))
+(assert_return (invoke "") (i32.const 7))
+
+(module
+  (func (export "unicode \u{1F600} name") (result i32) (i32.const 8))
+)
+(assert_return (invoke "unicode \u{1F600} name") (i32.const 8))
+
+(assert_invalid
+  (module (func) (export "a" (func 1)))
+  "unknown function"
+)
+(assert_invalid
+  (module (func) (export "a" (func 0)) (export "a" (func 0)))
+  "duplicate export name"
+)
+(assert_invalid
+  (module (func) (global i32 (i32.const 0)) (export "a" (func 0)) (export "a" (global 0)))
+  "duplicate export name"
+)
+
+;; Globals
+
+(module (global i32 (i32.const 0)) (export "a" (global 0)))
+(module (global i32 (i32.const 0)) (export "a" (global 0)) (export "b" (global 0)))
+(module (global (export "a") i32 (i32.const 0)))
+
+(module $G (global (export "e") i32 (i32.const 42)))
+(assert_return (get "e") (i32.const 42))
+(assert_return (get $G "e") (i32.const 42))
+
+(module (global (export "f64") f64 (f64.const -0x1.8p+1)))
+(assert_return (get "f64") (f64.const -3))
+
+(assert_invalid
+  (module (global i32 (i32.const 0)) (export "a" (global 1)))
+  "unknown global"
+)
+
+;; Tables
+
+(module (table 0 funcref) (export "a" (table 0)))
+(module (table 0 funcref) (export "a" (table 0)) (export "b" (table 0)))
+(module (table (export "a") 0 funcref))
+(module (table (export "a") 0 1 funcref))
+
+(assert_invalid
+  (module (table 0 funcref) (export "a" (table 1)))
+  "unknown table"
+)
+
+;; Memories
+
+(module (memory 0) (export "a" (memory 0)))
+(module (memory 0) (export "a" (memory 0)) (export "b" (memory 0)))
+(module (memory (export "a") 0))
+(module (memory (export "a") 0 1))
+
+(assert_invalid
+  (module (memory 0) (export "a" (memory 1)))
+  "unknown memory"
+)
@@ -0,0 +1,4183 @@
+;; f32 operations
+
+(module
+  (func (export "add") (param $x f32) (param $y f32) (result f32) (f32.add (local.get $x) (local.get $y)))
+  (func (export "sub") (param $x f32) (param $y f32) (result f32) (f32.sub (local.get $x) (local.get $y)))
+  (func (export "mul") (param $x f32) (param $y f32) (result f32) (f32.mul (local.get $x) (local.get $y)))
+  (func (export "div") (param $x f32) (param $y f32) (result f32) (f32.div (local.get $x) (local.get $y)))
+  (func (export "min") (param $x f32) (param $y f32) (result f32) (f32.min (local.get $x) (local.get $y)))
+  (func (export "max") (param $x f32) (param $y f32) (result f32) (f32.max (local.get $x) (local.get $y)))
+  (func (export "copysign") (param $x f32) (param $y f32) (result f32) (f32.copysign (local.get $x) (local.get $y)))
+  (func (export "sqrt") (param $x f32) (result f32) (f32.sqrt (local.get $x)))
+  (func (export "floor") (param $x f32) (result f32) (f32.floor (local.get $x)))
+  (func (export "ceil") (param $x f32) (result f32) (f32.ceil (local.get $x)))
+  (func (export "trunc") (param $x f32) (result f32) (f32.trunc (local.get $x)))
+  (func (export "nearest") (param $x f32) (result f32) (f32.nearest (local.get $x)))
+  (func (export "abs") (param $x f32) (result f32) (f32.abs (local.get $x)))
+  (func (export "neg") (param $x f32) (result f32) (f32.neg (local.get $x)))
+  (func (export "eq") (param $x f32) (param $y f32) (result i32) (f32.eq (local.get $x) (local.get $y)))
+  (func (export "ne") (param $x f32) (param $y f32) (result i32) (f32.ne (local.get $x) (local.get $y)))
+  (func (export "lt") (param $x f32) (param $y f32) (result i32) (f32.lt (local.get $x) (local.get $y)))
+  (func (export "le") (param $x f32) (param $y f32) (result i32) (f32.le (local.get $x) (local.get $y)))
+  (func (export "gt") (param $x f32) (param $y f32) (result i32) (f32.gt (local.get $x) (local.get $y)))
+  (func (export "ge") (param $x f32) (param $y f32) (result i32) (f32.ge (local.get $x) (local.get $y)))
+)
+
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-148))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000020000000p-126))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.fffffc0000000p-127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-148))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.fffffc0000000p-127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000020000000p-126))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000020000000p-126))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.fffffc0000000p-127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-125))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.fffffc0000000p-127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000020000000p-126))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-125))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.8000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.b21fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.721fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.8000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.721fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.b21fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.8000000000000p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.d21fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.521fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.8000000000000p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.521fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.d21fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.b21fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.721fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.d21fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.521fb60000000p+2))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+3))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.721fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.b21fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.521fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.d21fb60000000p+2))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+3))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const 0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const inf) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "add" (f32.const inf) (f32.const -inf)) (f32.const nan:canonical))
+(assert_return (invoke "add" (f32.const inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const inf)) (f32.const nan:canonical))
+(assert_return (invoke "add" (f32.const -inf) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "add" (f32.const -inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan) (f32.const -inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const -inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "add" (f32.const nan:0x600000) (f32.const -inf)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-148))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.fffffc0000000p-127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000020000000p-126))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-148))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000020000000p-126))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.fffffc0000000p-127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.fffffc0000000p-127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000020000000p-126))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-125))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000020000000p-126))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.fffffc0000000p-127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-125))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.721fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.b21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.b21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.721fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.521fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.d21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.d21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.521fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.721fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.b21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.521fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.d21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+3))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.b21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.721fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.d21fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.521fb60000000p+2))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+3))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const 0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const inf)) (f32.const nan:canonical))
+(assert_return (invoke "sub" (f32.const inf) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "sub" (f32.const inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const -inf)) (f32.const nan:canonical))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan) (f32.const -inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const -inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "sub" (f32.const nan:0x600000) (f32.const -inf)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const inf)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const -inf)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const inf)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const -inf)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-127))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.3bd3ce0000000p+5))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.3bd3ce0000000p+5))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.8000000000000p-147))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p-124))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.921fb60000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.3bd3ce0000000p+5))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.3bd3ce0000000p+5))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const 0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p-22))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+1))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+126))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const inf) (f32.const 0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const 0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan) (f32.const -inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const -inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "mul" (f32.const nan:0x600000) (f32.const -inf)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const 0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const 0x0p+0)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-23))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-23))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-148))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-148))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-23))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-23))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-148))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-148))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+23))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+23))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-125))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-125))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.45f3000000000p-129))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.45f3000000000p-129))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+23))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+23))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-125))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-125))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.45f3000000000p-129))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.45f3000000000p-129))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+125))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+125))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.45f3060000000p-4))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.45f3060000000p-4))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-129))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-129))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+125))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+125))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.45f3060000000p-4))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.45f3060000000p-4))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-129))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-129))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+126))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+126))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.45f3060000000p-3))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.45f3060000000p-3))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-128))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-128))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+126))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+126))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.45f3060000000p-3))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.45f3060000000p-3))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-128))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-128))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.921fb60000000p+3))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.921fb60000000p+3))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.921fb80000000p-126))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.921fb80000000p-126))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.921fb60000000p+3))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.921fb60000000p+3))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.921fb80000000p-126))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.921fb80000000p-126))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.45f3040000000p+125))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.45f3040000000p+125))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const 0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.45f3040000000p+125))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.45f3040000000p+125))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const inf) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const inf) (f32.const inf)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const inf) (f32.const -inf)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "div" (f32.const -inf) (f32.const inf)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const -inf) (f32.const -inf)) (f32.const nan:canonical))
+(assert_return (invoke "div" (f32.const -inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan) (f32.const -inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const -inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "div" (f32.const nan:0x600000) (f32.const -inf)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const inf)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const 0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const inf) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "min" (f32.const inf) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "min" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "min" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "min" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "min" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "min" (f32.const inf) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "min" (f32.const inf) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const 0x0p+0)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "min" (f32.const -inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan) (f32.const -inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const -inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "min" (f32.const nan:0x600000) (f32.const -inf)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const -inf)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x0p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const 0x0p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-149) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-149)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-126) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-126)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p-1) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p-1)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.0000000000000p+0) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const 0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.921fb60000000p+2) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -0x1.921fb60000000p+2)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const 0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const 0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -0x1.fffffe0000000p+127) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const inf) (f32.const -0x0p+0)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "max" (f32.const -inf) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "max" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "max" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "max" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "max" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "max" (f32.const -inf) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "max" (f32.const -inf) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "max" (f32.const -inf) (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan) (f32.const -inf)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const -inf) (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+(assert_return (invoke "max" (f32.const nan:0x600000) (f32.const -inf)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "add" (f32.const 0x1p+0) (f32.const 0x1p-24)) (f32.const 0x1p+0))
+(assert_return (invoke "add" (f32.const 0x1p+0) (f32.const 0x1.000002p-24)) (f32.const 0x1.000002p+0))
+(assert_return (invoke "add" (f32.const 0x1.000002p+0) (f32.const 0x1p-24)) (f32.const 0x1.000004p+0))
+(assert_return (invoke "mul" (f32.const 0x1.fffffep+127) (f32.const 0x1.000002p+0)) (f32.const inf))
+(assert_return (invoke "mul" (f32.const 0x1p-126) (f32.const 0x1p-23)) (f32.const 0x1p-149))
+(assert_return (invoke "mul" (f32.const 0x1p-126) (f32.const 0x1p-24)) (f32.const 0x0p+0))
+(assert_return (invoke "div" (f32.const 0x1p+0) (f32.const 0x1.8p+1)) (f32.const 0x1.555556p-2))
+(assert_return (invoke "sub" (f32.const 0x1.000002p+0) (f32.const 0x1p+0)) (f32.const 0x1p-23))
+
+(assert_return (invoke "sqrt" (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "sqrt" (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "sqrt" (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.6a09e60000000p-75))
+(assert_return (invoke "sqrt" (f32.const -0x1.0000000000000p-149)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-63))
+(assert_return (invoke "sqrt" (f32.const -0x1.0000000000000p-126)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.6a09e60000000p-1))
+(assert_return (invoke "sqrt" (f32.const -0x1.0000000000000p-1)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "sqrt" (f32.const -0x1.0000000000000p+0)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.40d9320000000p+1))
+(assert_return (invoke "sqrt" (f32.const -0x1.921fb60000000p+2)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+63))
+(assert_return (invoke "sqrt" (f32.const -0x1.fffffe0000000p+127)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const inf)) (f32.const inf))
+(assert_return (invoke "sqrt" (f32.const -inf)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.8000000000000p+0)) (f32.const 0x1.3988e20000000p+0))
+(assert_return (invoke "sqrt" (f32.const -0x1.8000000000000p+0)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.4000000000000p+1)) (f32.const 0x1.94c5840000000p+0))
+(assert_return (invoke "sqrt" (f32.const -0x1.4000000000000p+1)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.0000000000000p-2)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "sqrt" (f32.const -0x1.8000000000000p-1)) (f32.const nan:canonical))
+(assert_return (invoke "sqrt" (f32.const 0x1.2000000000000p+2)) (f32.const 0x1.0f876c0000000p+1))
+(assert_return (invoke "sqrt" (f32.const 0x1.0000000000000p+23)) (f32.const 0x1.6a09e60000000p+11))
+(assert_return (invoke "sqrt" (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "sqrt" (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "floor" (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "floor" (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "floor" (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "floor" (f32.const -0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "floor" (f32.const -0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "floor" (f32.const -0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.8000000000000p+2))
+(assert_return (invoke "floor" (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.c000000000000p+2))
+(assert_return (invoke "floor" (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "floor" (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "floor" (f32.const inf)) (f32.const inf))
+(assert_return (invoke "floor" (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "floor" (f32.const 0x1.8000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f32.const -0x1.8000000000000p+0)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "floor" (f32.const 0x1.4000000000000p+1)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "floor" (f32.const -0x1.4000000000000p+1)) (f32.const -0x1.8000000000000p+1))
+(assert_return (invoke "floor" (f32.const 0x1.0000000000000p-2)) (f32.const 0x0p+0))
+(assert_return (invoke "floor" (f32.const -0x1.8000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f32.const 0x1.2000000000000p+2)) (f32.const 0x1.0000000000000p+2))
+(assert_return (invoke "floor" (f32.const 0x1.0000000000000p+23)) (f32.const 0x1.0000000000000p+23))
+(assert_return (invoke "floor" (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "floor" (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "ceil" (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "ceil" (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "ceil" (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "ceil" (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "ceil" (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f32.const -0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "ceil" (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.c000000000000p+2))
+(assert_return (invoke "ceil" (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.8000000000000p+2))
+(assert_return (invoke "ceil" (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "ceil" (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "ceil" (f32.const inf)) (f32.const inf))
+(assert_return (invoke "ceil" (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "ceil" (f32.const 0x1.8000000000000p+0)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "ceil" (f32.const -0x1.8000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f32.const 0x1.4000000000000p+1)) (f32.const 0x1.8000000000000p+1))
+(assert_return (invoke "ceil" (f32.const -0x1.4000000000000p+1)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "ceil" (f32.const 0x1.0000000000000p-2)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f32.const -0x1.8000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "ceil" (f32.const 0x1.2000000000000p+2)) (f32.const 0x1.4000000000000p+2))
+(assert_return (invoke "ceil" (f32.const 0x1.0000000000000p+23)) (f32.const 0x1.0000000000000p+23))
+(assert_return (invoke "ceil" (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "ceil" (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "trunc" (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "trunc" (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "trunc" (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "trunc" (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "trunc" (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "trunc" (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "trunc" (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "trunc" (f32.const -0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "trunc" (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.8000000000000p+2))
+(assert_return (invoke "trunc" (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.8000000000000p+2))
+(assert_return (invoke "trunc" (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "trunc" (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "trunc" (f32.const inf)) (f32.const inf))
+(assert_return (invoke "trunc" (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "trunc" (f32.const 0x1.8000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f32.const -0x1.8000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f32.const 0x1.4000000000000p+1)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "trunc" (f32.const -0x1.4000000000000p+1)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "trunc" (f32.const 0x1.0000000000000p-2)) (f32.const 0x0p+0))
+(assert_return (invoke "trunc" (f32.const -0x1.8000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "trunc" (f32.const 0x1.2000000000000p+2)) (f32.const 0x1.0000000000000p+2))
+(assert_return (invoke "trunc" (f32.const 0x1.0000000000000p+23)) (f32.const 0x1.0000000000000p+23))
+(assert_return (invoke "trunc" (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "trunc" (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "nearest" (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "nearest" (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "nearest" (f32.const 0x1.0000000000000p-149)) (f32.const 0x0p+0))
+(assert_return (invoke "nearest" (f32.const -0x1.0000000000000p-149)) (f32.const -0x0p+0))
+(assert_return (invoke "nearest" (f32.const 0x1.0000000000000p-126)) (f32.const 0x0p+0))
+(assert_return (invoke "nearest" (f32.const -0x1.0000000000000p-126)) (f32.const -0x0p+0))
+(assert_return (invoke "nearest" (f32.const 0x1.0000000000000p-1)) (f32.const 0x0p+0))
+(assert_return (invoke "nearest" (f32.const -0x1.0000000000000p-1)) (f32.const -0x0p+0))
+(assert_return (invoke "nearest" (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "nearest" (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "nearest" (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.8000000000000p+2))
+(assert_return (invoke "nearest" (f32.const -0x1.921fb60000000p+2)) (f32.const -0x1.8000000000000p+2))
+(assert_return (invoke "nearest" (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "nearest" (f32.const -0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "nearest" (f32.const inf)) (f32.const inf))
+(assert_return (invoke "nearest" (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "nearest" (f32.const 0x1.8000000000000p+0)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f32.const -0x1.8000000000000p+0)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f32.const 0x1.4000000000000p+1)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f32.const -0x1.4000000000000p+1)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f32.const 0x1.0000000000000p-2)) (f32.const 0x0p+0))
+(assert_return (invoke "nearest" (f32.const -0x1.8000000000000p-1)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "nearest" (f32.const 0x1.2000000000000p+2)) (f32.const 0x1.0000000000000p+2))
+(assert_return (invoke "nearest" (f32.const 0x1.0000000000000p+23)) (f32.const 0x1.0000000000000p+23))
+(assert_return (invoke "nearest" (f32.const nan)) (f32.const nan:arithmetic))
+(assert_return (invoke "nearest" (f32.const nan:0x600000)) (f32.const nan:arithmetic))
+
+(assert_return (invoke "abs" (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "neg" (f32.const -0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "abs" (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "neg" (f32.const 0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "abs" (f32.const 0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "neg" (f32.const 0x1.0000000000000p-149)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "abs" (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "neg" (f32.const -0x1.0000000000000p-149)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "abs" (f32.const 0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "neg" (f32.const 0x1.0000000000000p-126)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "abs" (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "neg" (f32.const -0x1.0000000000000p-126)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "abs" (f32.const 0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "neg" (f32.const 0x1.0000000000000p-1)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "abs" (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "neg" (f32.const -0x1.0000000000000p-1)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "abs" (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "neg" (f32.const 0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "abs" (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "neg" (f32.const -0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "abs" (f32.const 0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "neg" (f32.const 0x1.921fb60000000p+2)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "abs" (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "neg" (f32.const -0x1.921fb60000000p+2)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "abs" (f32.const 0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "neg" (f32.const 0x1.fffffe0000000p+127)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "abs" (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "neg" (f32.const -0x1.fffffe0000000p+127)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "abs" (f32.const inf)) (f32.const inf))
+(assert_return (invoke "neg" (f32.const inf)) (f32.const -inf))
+(assert_return (invoke "abs" (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "neg" (f32.const -inf)) (f32.const inf))
+(assert_return (invoke "abs" (f32.const nan)) (f32.const nan))
+(assert_return (invoke "neg" (f32.const nan)) (f32.const -nan))
+(assert_return (invoke "abs" (f32.const -nan)) (f32.const nan))
+(assert_return (invoke "neg" (f32.const -nan)) (f32.const nan))
+(assert_return (invoke "abs" (f32.const nan:0x600000)) (f32.const nan:0x600000))
+(assert_return (invoke "neg" (f32.const nan:0x600000)) (f32.const -nan:0x600000))
+(assert_return (invoke "abs" (f32.const -nan:0x600000)) (f32.const nan:0x600000))
+(assert_return (invoke "neg" (f32.const -nan:0x600000)) (f32.const nan:0x600000))
+
+(assert_return (invoke "copysign" (f32.const -0x0p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "copysign" (f32.const -0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "copysign" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "copysign" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "copysign" (f32.const -0x0p+0) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "copysign" (f32.const -0x0p+0) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "copysign" (f32.const 0x0p+0) (f32.const -0x0p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "copysign" (f32.const 0x0p+0) (f32.const 0x0p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "copysign" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x0p+0))
+(assert_return (invoke "copysign" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x0p+0))
+(assert_return (invoke "copysign" (f32.const 0x0p+0) (f32.const -inf)) (f32.const -0x0p+0))
+(assert_return (invoke "copysign" (f32.const 0x0p+0) (f32.const inf)) (f32.const 0x0p+0))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (f32.const -0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (f32.const 0x1.0000000000000p-149))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (f32.const -0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (f32.const 0x1.0000000000000p-126))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (f32.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (f32.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (f32.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (f32.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (f32.const -0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (f32.const 0x1.921fb60000000p+2))
+(assert_return (invoke "copysign" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (f32.const -0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (f32.const 0x1.fffffe0000000p+127))
+(assert_return (invoke "copysign" (f32.const inf) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "copysign" (f32.const inf) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "copysign" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "copysign" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "copysign" (f32.const inf) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "copysign" (f32.const inf) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "copysign" (f32.const -inf) (f32.const -0x0p+0)) (f32.const -inf))
+(assert_return (invoke "copysign" (f32.const -inf) (f32.const 0x0p+0)) (f32.const inf))
+(assert_return (invoke "copysign" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (f32.const -inf))
+(assert_return (invoke "copysign" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (f32.const inf))
+(assert_return (invoke "copysign" (f32.const -inf) (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "copysign" (f32.const -inf) (f32.const inf)) (f32.const inf))
+(assert_return (invoke "copysign" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (f32.const -nan))
+(assert_return (invoke "copysign" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+1) (f32.const nan)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "copysign" (f32.const -nan) (f32.const -0x1.0000000000000p+0)) (f32.const -nan))
+(assert_return (invoke "copysign" (f32.const -nan) (f32.const 0x1.0000000000000p+0)) (f32.const nan))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+1) (f32.const -nan)) (f32.const -0x1.0000000000000p+1))
+(assert_return (invoke "copysign" (f32.const nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const -nan:0x600000))
+(assert_return (invoke "copysign" (f32.const nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:0x600000))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+1) (f32.const nan:0x600000)) (f32.const 0x1.0000000000000p+1))
+(assert_return (invoke "copysign" (f32.const -nan:0x600000) (f32.const -0x1.0000000000000p+0)) (f32.const -nan:0x600000))
+(assert_return (invoke "copysign" (f32.const -nan:0x600000) (f32.const 0x1.0000000000000p+0)) (f32.const nan:0x600000))
+(assert_return (invoke "copysign" (f32.const 0x1.0000000000000p+1) (f32.const -nan:0x600000)) (f32.const -0x1.0000000000000p+1))
+
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const 0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const nan) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f32.const -nan) (f32.const -inf)) (i32.const 0))
+
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x0p+0) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x0p+0) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-149) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-149) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-126) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-126) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p-1) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p-1) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.0000000000000p+0) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.0000000000000p+0) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const 0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const inf) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const nan) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -inf) (f32.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f32.const -nan) (f32.const -inf)) (i32.const 1))
+
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const 0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const nan) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f32.const -nan) (f32.const -inf)) (i32.const 0))
+
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const 0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const inf) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "le" (f32.const -inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const nan) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f32.const -nan) (f32.const -inf)) (i32.const 0))
+
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const 0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f32.const inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const nan) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f32.const -nan) (f32.const -inf)) (i32.const 0))
+
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x0p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-149) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-126) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p-1) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.0000000000000p+0) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.921fb60000000p+2) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const 0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -0x1.fffffe0000000p+127) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const 0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -0x1.0000000000000p-149)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const 0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -0x1.0000000000000p-126)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const 0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -0x1.0000000000000p-149)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const 0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -0x1.0000000000000p-126)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const 0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -0x1.921fb60000000p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const 0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -0x1.fffffe0000000p+127)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const nan) (f32.const -inf)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -inf) (f32.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f32.const -nan) (f32.const -inf)) (i32.const 0))
+
+(assert_invalid
+  (module (func (result f32) (f32.add (i64.const 0) (f32.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result f32) (f32.neg (i64.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result i32) (f32.eq (f32.const 0))))
+  "type mismatch"
+)
@@ -0,0 +1,4182 @@
+;; f64 operations
+
+(module
+  (func (export "add") (param $x f64) (param $y f64) (result f64) (f64.add (local.get $x) (local.get $y)))
+  (func (export "sub") (param $x f64) (param $y f64) (result f64) (f64.sub (local.get $x) (local.get $y)))
+  (func (export "mul") (param $x f64) (param $y f64) (result f64) (f64.mul (local.get $x) (local.get $y)))
+  (func (export "div") (param $x f64) (param $y f64) (result f64) (f64.div (local.get $x) (local.get $y)))
+  (func (export "min") (param $x f64) (param $y f64) (result f64) (f64.min (local.get $x) (local.get $y)))
+  (func (export "max") (param $x f64) (param $y f64) (result f64) (f64.max (local.get $x) (local.get $y)))
+  (func (export "copysign") (param $x f64) (param $y f64) (result f64) (f64.copysign (local.get $x) (local.get $y)))
+  (func (export "sqrt") (param $x f64) (result f64) (f64.sqrt (local.get $x)))
+  (func (export "floor") (param $x f64) (result f64) (f64.floor (local.get $x)))
+  (func (export "ceil") (param $x f64) (result f64) (f64.ceil (local.get $x)))
+  (func (export "trunc") (param $x f64) (result f64) (f64.trunc (local.get $x)))
+  (func (export "nearest") (param $x f64) (result f64) (f64.nearest (local.get $x)))
+  (func (export "abs") (param $x f64) (result f64) (f64.abs (local.get $x)))
+  (func (export "neg") (param $x f64) (result f64) (f64.neg (local.get $x)))
+  (func (export "eq") (param $x f64) (param $y f64) (result i32) (f64.eq (local.get $x) (local.get $y)))
+  (func (export "ne") (param $x f64) (param $y f64) (result i32) (f64.ne (local.get $x) (local.get $y)))
+  (func (export "lt") (param $x f64) (param $y f64) (result i32) (f64.lt (local.get $x) (local.get $y)))
+  (func (export "le") (param $x f64) (param $y f64) (result i32) (f64.le (local.get $x) (local.get $y)))
+  (func (export "gt") (param $x f64) (param $y f64) (result i32) (f64.gt (local.get $x) (local.get $y)))
+  (func (export "ge") (param $x f64) (param $y f64) (result i32) (f64.ge (local.get $x) (local.get $y)))
+)
+
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000002p-1022))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0.fffffffffffffp-1022))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000002p-1022))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0.fffffffffffffp-1022))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.fffffffffffffp-1022))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1021))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.fffffffffffffp-1022))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000001p-1022))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1021))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.8000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.b21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.721fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.8000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.721fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.b21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.8000000000000p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.d21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.521fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.8000000000000p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.521fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.d21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.b21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.721fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.d21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.521fb54442d18p+2))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+3))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.721fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.b21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.521fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.d21fb54442d18p+2))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+3))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const inf) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "add" (f64.const inf) (f64.const -inf)) (f64.const nan:canonical))
+(assert_return (invoke "add" (f64.const inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const inf)) (f64.const nan:canonical))
+(assert_return (invoke "add" (f64.const -inf) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "add" (f64.const -inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan) (f64.const -inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const -inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "add" (f64.const nan:0xc000000000000) (f64.const -inf)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000002p-1022))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0.fffffffffffffp-1022))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.0000000000002p-1022))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0.fffffffffffffp-1022))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.fffffffffffffp-1022))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1021))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000001p-1022))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.fffffffffffffp-1022))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1021))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.721fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.b21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.b21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.721fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.521fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.d21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.8000000000000p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.d21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.521fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.721fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.b21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.521fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.d21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+3))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.b21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.721fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.d21fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.521fb54442d18p+2))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+3))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const inf)) (f64.const nan:canonical))
+(assert_return (invoke "sub" (f64.const inf) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "sub" (f64.const inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const -inf)) (f64.const nan:canonical))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan) (f64.const -inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const -inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "sub" (f64.const nan:0xc000000000000) (f64.const -inf)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const inf)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const -inf)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const inf)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const -inf)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0.8000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-2))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.3bd3cc9be45dep+5))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.3bd3cc9be45dep+5))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000006p-1022))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p-1020))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.921fb54442d18p+1))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.3bd3cc9be45dep+5))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.3bd3cc9be45dep+5))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp-51))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1022))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const inf) (f64.const 0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const 0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan) (f64.const -inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const -inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "mul" (f64.const nan:0xc000000000000) (f64.const -inf)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const 0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const 0x0p+0)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-52))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-52))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0.0000000000002p-1022))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x0.0000000000002p-1022))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-52))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-52))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x0.0000000000002p-1022))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0.0000000000002p-1022))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+52))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+52))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1021))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1021))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0.28be60db93910p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x0.28be60db93910p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+52))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+52))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1021))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1021))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x0.28be60db93910p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0.28be60db93910p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+1021))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+1021))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.45f306dc9c883p-4))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.45f306dc9c883p-4))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0.2000000000000p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0.2000000000000p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+1021))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+1021))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.45f306dc9c883p-4))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.45f306dc9c883p-4))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0.2000000000000p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0.2000000000000p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.45f306dc9c883p-3))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.45f306dc9c883p-3))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0.4000000000000p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0.4000000000000p-1022))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.45f306dc9c883p-3))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.45f306dc9c883p-3))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0.4000000000000p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0.4000000000000p-1022))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.921fb54442d18p+3))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.921fb54442d18p+3))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.921fb54442d19p-1022))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.921fb54442d19p-1022))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.921fb54442d18p+3))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.921fb54442d18p+3))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.921fb54442d19p-1022))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.921fb54442d19p-1022))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.45f306dc9c882p+1021))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.45f306dc9c882p+1021))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.45f306dc9c882p+1021))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.45f306dc9c882p+1021))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const inf) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const inf) (f64.const inf)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const inf) (f64.const -inf)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "div" (f64.const -inf) (f64.const inf)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const -inf) (f64.const -inf)) (f64.const nan:canonical))
+(assert_return (invoke "div" (f64.const -inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan) (f64.const -inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const -inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "div" (f64.const nan:0xc000000000000) (f64.const -inf)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const inf)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const inf) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "min" (f64.const inf) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "min" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "min" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "min" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "min" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "min" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "min" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "min" (f64.const inf) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "min" (f64.const inf) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const 0x0p+0)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "min" (f64.const -inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan) (f64.const -inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const -inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "min" (f64.const nan:0xc000000000000) (f64.const -inf)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const -inf)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x0p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const 0x0p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const 0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x0.0000000000001p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -0x0.0000000000001p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1022) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1022)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p-1) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p-1)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.0000000000000p+0) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const 0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.921fb54442d18p+2) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const 0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const inf) (f64.const -0x0p+0)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "max" (f64.const -inf) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "max" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "max" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "max" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "max" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "max" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "max" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "max" (f64.const -inf) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "max" (f64.const -inf) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "max" (f64.const -inf) (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan) (f64.const -inf)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const -inf) (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+(assert_return (invoke "max" (f64.const nan:0xc000000000000) (f64.const -inf)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "add" (f64.const 0x1p+0) (f64.const 0x1p-53)) (f64.const 0x1p+0))
+(assert_return (invoke "add" (f64.const 0x1p+0) (f64.const 0x1.0000000000001p-53)) (f64.const 0x1.0000000000001p+0))
+(assert_return (invoke "add" (f64.const 0x1.0000000000001p+0) (f64.const 0x1p-53)) (f64.const 0x1.0000000000002p+0))
+(assert_return (invoke "mul" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000001p+0)) (f64.const inf))
+(assert_return (invoke "mul" (f64.const 0x1p-1022) (f64.const 0x1p-52)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "div" (f64.const 0x1p+0) (f64.const 0x1.8p+1)) (f64.const 0x1.5555555555555p-2))
+(assert_return (invoke "sub" (f64.const 0x1.0000000000001p+0) (f64.const 0x1p+0)) (f64.const 0x1p-52))
+
+(assert_return (invoke "sqrt" (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "sqrt" (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "sqrt" (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p-537))
+(assert_return (invoke "sqrt" (f64.const -0x0.0000000000001p-1022)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-511))
+(assert_return (invoke "sqrt" (f64.const -0x1.0000000000000p-1022)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.6a09e667f3bcdp-1))
+(assert_return (invoke "sqrt" (f64.const -0x1.0000000000000p-1)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "sqrt" (f64.const -0x1.0000000000000p+0)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.40d931ff62705p+1))
+(assert_return (invoke "sqrt" (f64.const -0x1.921fb54442d18p+2)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+511))
+(assert_return (invoke "sqrt" (f64.const -0x1.fffffffffffffp+1023)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const inf)) (f64.const inf))
+(assert_return (invoke "sqrt" (f64.const -inf)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.8000000000000p+0)) (f64.const 0x1.3988e1409212ep+0))
+(assert_return (invoke "sqrt" (f64.const -0x1.8000000000000p+0)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.4000000000000p+1)) (f64.const 0x1.94c583ada5b53p+0))
+(assert_return (invoke "sqrt" (f64.const -0x1.4000000000000p+1)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.0000000000000p-2)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "sqrt" (f64.const -0x1.8000000000000p-1)) (f64.const nan:canonical))
+(assert_return (invoke "sqrt" (f64.const 0x1.2000000000000p+2)) (f64.const 0x1.0f876ccdf6cd9p+1))
+(assert_return (invoke "sqrt" (f64.const 0x1.0000000000000p+52)) (f64.const 0x1.0000000000000p+26))
+(assert_return (invoke "sqrt" (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "sqrt" (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "floor" (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "floor" (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "floor" (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "floor" (f64.const -0x0.0000000000001p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "floor" (f64.const -0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "floor" (f64.const -0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.8000000000000p+2))
+(assert_return (invoke "floor" (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.c000000000000p+2))
+(assert_return (invoke "floor" (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "floor" (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "floor" (f64.const inf)) (f64.const inf))
+(assert_return (invoke "floor" (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "floor" (f64.const 0x1.8000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f64.const -0x1.8000000000000p+0)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "floor" (f64.const 0x1.4000000000000p+1)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "floor" (f64.const -0x1.4000000000000p+1)) (f64.const -0x1.8000000000000p+1))
+(assert_return (invoke "floor" (f64.const 0x1.0000000000000p-2)) (f64.const 0x0p+0))
+(assert_return (invoke "floor" (f64.const -0x1.8000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "floor" (f64.const 0x1.2000000000000p+2)) (f64.const 0x1.0000000000000p+2))
+(assert_return (invoke "floor" (f64.const 0x1.0000000000000p+52)) (f64.const 0x1.0000000000000p+52))
+(assert_return (invoke "floor" (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "floor" (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "ceil" (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "ceil" (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "ceil" (f64.const 0x0.0000000000001p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "ceil" (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "ceil" (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f64.const -0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "ceil" (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.c000000000000p+2))
+(assert_return (invoke "ceil" (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.8000000000000p+2))
+(assert_return (invoke "ceil" (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "ceil" (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "ceil" (f64.const inf)) (f64.const inf))
+(assert_return (invoke "ceil" (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "ceil" (f64.const 0x1.8000000000000p+0)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "ceil" (f64.const -0x1.8000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f64.const 0x1.4000000000000p+1)) (f64.const 0x1.8000000000000p+1))
+(assert_return (invoke "ceil" (f64.const -0x1.4000000000000p+1)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "ceil" (f64.const 0x1.0000000000000p-2)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "ceil" (f64.const -0x1.8000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "ceil" (f64.const 0x1.2000000000000p+2)) (f64.const 0x1.4000000000000p+2))
+(assert_return (invoke "ceil" (f64.const 0x1.0000000000000p+52)) (f64.const 0x1.0000000000000p+52))
+(assert_return (invoke "ceil" (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "ceil" (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "trunc" (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "trunc" (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "trunc" (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "trunc" (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "trunc" (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "trunc" (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "trunc" (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "trunc" (f64.const -0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "trunc" (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.8000000000000p+2))
+(assert_return (invoke "trunc" (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.8000000000000p+2))
+(assert_return (invoke "trunc" (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "trunc" (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "trunc" (f64.const inf)) (f64.const inf))
+(assert_return (invoke "trunc" (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "trunc" (f64.const 0x1.8000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f64.const -0x1.8000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "trunc" (f64.const 0x1.4000000000000p+1)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "trunc" (f64.const -0x1.4000000000000p+1)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "trunc" (f64.const 0x1.0000000000000p-2)) (f64.const 0x0p+0))
+(assert_return (invoke "trunc" (f64.const -0x1.8000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "trunc" (f64.const 0x1.2000000000000p+2)) (f64.const 0x1.0000000000000p+2))
+(assert_return (invoke "trunc" (f64.const 0x1.0000000000000p+52)) (f64.const 0x1.0000000000000p+52))
+(assert_return (invoke "trunc" (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "trunc" (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "nearest" (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "nearest" (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "nearest" (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "nearest" (f64.const -0x0.0000000000001p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "nearest" (f64.const 0x1.0000000000000p-1022)) (f64.const 0x0p+0))
+(assert_return (invoke "nearest" (f64.const -0x1.0000000000000p-1022)) (f64.const -0x0p+0))
+(assert_return (invoke "nearest" (f64.const 0x1.0000000000000p-1)) (f64.const 0x0p+0))
+(assert_return (invoke "nearest" (f64.const -0x1.0000000000000p-1)) (f64.const -0x0p+0))
+(assert_return (invoke "nearest" (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "nearest" (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "nearest" (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.8000000000000p+2))
+(assert_return (invoke "nearest" (f64.const -0x1.921fb54442d18p+2)) (f64.const -0x1.8000000000000p+2))
+(assert_return (invoke "nearest" (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "nearest" (f64.const -0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "nearest" (f64.const inf)) (f64.const inf))
+(assert_return (invoke "nearest" (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "nearest" (f64.const 0x1.8000000000000p+0)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f64.const -0x1.8000000000000p+0)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f64.const 0x1.4000000000000p+1)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f64.const -0x1.4000000000000p+1)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "nearest" (f64.const 0x1.0000000000000p-2)) (f64.const 0x0p+0))
+(assert_return (invoke "nearest" (f64.const -0x1.8000000000000p-1)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "nearest" (f64.const 0x1.2000000000000p+2)) (f64.const 0x1.0000000000000p+2))
+(assert_return (invoke "nearest" (f64.const 0x1.0000000000000p+52)) (f64.const 0x1.0000000000000p+52))
+(assert_return (invoke "nearest" (f64.const nan)) (f64.const nan:arithmetic))
+(assert_return (invoke "nearest" (f64.const nan:0xc000000000000)) (f64.const nan:arithmetic))
+
+(assert_return (invoke "abs" (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "neg" (f64.const -0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "abs" (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "neg" (f64.const 0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "abs" (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "neg" (f64.const 0x0.0000000000001p-1022)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "abs" (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "neg" (f64.const -0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "abs" (f64.const 0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "neg" (f64.const 0x1.0000000000000p-1022)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "abs" (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "neg" (f64.const -0x1.0000000000000p-1022)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "abs" (f64.const 0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "neg" (f64.const 0x1.0000000000000p-1)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "abs" (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "neg" (f64.const -0x1.0000000000000p-1)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "abs" (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "neg" (f64.const 0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "abs" (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "neg" (f64.const -0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "abs" (f64.const 0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "neg" (f64.const 0x1.921fb54442d18p+2)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "abs" (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "neg" (f64.const -0x1.921fb54442d18p+2)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "abs" (f64.const 0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "neg" (f64.const 0x1.fffffffffffffp+1023)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "abs" (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "neg" (f64.const -0x1.fffffffffffffp+1023)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "abs" (f64.const inf)) (f64.const inf))
+(assert_return (invoke "neg" (f64.const inf)) (f64.const -inf))
+(assert_return (invoke "abs" (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "neg" (f64.const -inf)) (f64.const inf))
+(assert_return (invoke "abs" (f64.const nan)) (f64.const nan))
+(assert_return (invoke "neg" (f64.const nan)) (f64.const -nan))
+(assert_return (invoke "abs" (f64.const -nan)) (f64.const nan))
+(assert_return (invoke "neg" (f64.const -nan)) (f64.const nan))
+(assert_return (invoke "abs" (f64.const nan:0xc000000000000)) (f64.const nan:0xc000000000000))
+(assert_return (invoke "neg" (f64.const nan:0xc000000000000)) (f64.const -nan:0xc000000000000))
+(assert_return (invoke "abs" (f64.const -nan:0xc000000000000)) (f64.const nan:0xc000000000000))
+(assert_return (invoke "neg" (f64.const -nan:0xc000000000000)) (f64.const nan:0xc000000000000))
+
+(assert_return (invoke "copysign" (f64.const -0x0p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "copysign" (f64.const -0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "copysign" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "copysign" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "copysign" (f64.const -0x0p+0) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "copysign" (f64.const -0x0p+0) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "copysign" (f64.const 0x0p+0) (f64.const -0x0p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "copysign" (f64.const 0x0p+0) (f64.const 0x0p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "copysign" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0p+0))
+(assert_return (invoke "copysign" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0p+0))
+(assert_return (invoke "copysign" (f64.const 0x0p+0) (f64.const -inf)) (f64.const -0x0p+0))
+(assert_return (invoke "copysign" (f64.const 0x0p+0) (f64.const inf)) (f64.const 0x0p+0))
+(assert_return (invoke "copysign" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (f64.const -0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (f64.const -0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (f64.const 0x1.0000000000000p-1022))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (f64.const -0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (f64.const 0x1.0000000000000p-1))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (f64.const -0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (f64.const 0x1.0000000000000p+0))
+(assert_return (invoke "copysign" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (f64.const -0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (f64.const 0x1.921fb54442d18p+2))
+(assert_return (invoke "copysign" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (f64.const -0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (f64.const 0x1.fffffffffffffp+1023))
+(assert_return (invoke "copysign" (f64.const inf) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "copysign" (f64.const inf) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "copysign" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "copysign" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "copysign" (f64.const inf) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "copysign" (f64.const inf) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "copysign" (f64.const -inf) (f64.const -0x0p+0)) (f64.const -inf))
+(assert_return (invoke "copysign" (f64.const -inf) (f64.const 0x0p+0)) (f64.const inf))
+(assert_return (invoke "copysign" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (f64.const -inf))
+(assert_return (invoke "copysign" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (f64.const inf))
+(assert_return (invoke "copysign" (f64.const -inf) (f64.const -inf)) (f64.const -inf))
+(assert_return (invoke "copysign" (f64.const -inf) (f64.const inf)) (f64.const inf))
+(assert_return (invoke "copysign" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (f64.const -nan))
+(assert_return (invoke "copysign" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+1) (f64.const nan)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "copysign" (f64.const -nan) (f64.const -0x1.0000000000000p+0)) (f64.const -nan))
+(assert_return (invoke "copysign" (f64.const -nan) (f64.const 0x1.0000000000000p+0)) (f64.const nan))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+1) (f64.const -nan)) (f64.const -0x1.0000000000000p+1))
+(assert_return (invoke "copysign" (f64.const nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const -nan:0xc000000000000))
+(assert_return (invoke "copysign" (f64.const nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:0xc000000000000))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+1) (f64.const nan:0xc000000000000)) (f64.const 0x1.0000000000000p+1))
+(assert_return (invoke "copysign" (f64.const -nan:0xc000000000000) (f64.const -0x1.0000000000000p+0)) (f64.const -nan:0xc000000000000))
+(assert_return (invoke "copysign" (f64.const -nan:0xc000000000000) (f64.const 0x1.0000000000000p+0)) (f64.const nan:0xc000000000000))
+(assert_return (invoke "copysign" (f64.const 0x1.0000000000000p+1) (f64.const -nan:0xc000000000000)) (f64.const -0x1.0000000000000p+1))
+
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const 0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const nan) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "eq" (f64.const -nan) (f64.const -inf)) (i32.const 0))
+
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0p+0) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0p+0) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p-1) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p-1) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.0000000000000p+0) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.0000000000000p+0) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const 0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const inf) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const nan) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -inf) (f64.const -nan)) (i32.const 1))
+(assert_return (invoke "ne" (f64.const -nan) (f64.const -inf)) (i32.const 1))
+
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const nan) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "lt" (f64.const -nan) (f64.const -inf)) (i32.const 0))
+
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const 0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const inf) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "le" (f64.const -inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const nan) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "le" (f64.const -nan) (f64.const -inf)) (i32.const 0))
+
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const 0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "gt" (f64.const inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const nan) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "gt" (f64.const -nan) (f64.const -inf)) (i32.const 0))
+
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x0.0000000000001p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1022) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p-1) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.0000000000000p+0) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.921fb54442d18p+2) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const 0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -0x1.fffffffffffffp+1023) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const 0x0p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const 0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -0x1.0000000000000p-1)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const 0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -0x1.0000000000000p+0)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const 0x0p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const 0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -0x0.0000000000001p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const 0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -0x1.0000000000000p-1022)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const 0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -0x1.0000000000000p-1)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const 0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -0x1.0000000000000p+0)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const 0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -0x1.921fb54442d18p+2)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const 0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -0x1.fffffffffffffp+1023)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -inf)) (i32.const 1))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const nan) (f64.const -inf)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -inf) (f64.const -nan)) (i32.const 0))
+(assert_return (invoke "ge" (f64.const -nan) (f64.const -inf)) (i32.const 0))
+
+(assert_invalid
+  (module (func (result f64) (f64.add (i32.const 0) (f64.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result f64) (f64.neg (i32.const 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result i32) (f64.eq (f64.const 0))))
+  "type mismatch"
+)
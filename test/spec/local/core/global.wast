@@ -0,0 +1,144 @@
+;; Test globals
+
+(module
+  (global (import "spectest" "global_i32") i32)
+  (global (import "spectest" "global_i64") i64)
+
+  (global $a i32 (i32.const -2))
+  (global (;3;) f32 (f32.const -3))
+  (global (;4;) f64 (f64.const -4))
+  (global $b i64 (i64.const -5))
+
+  (global $x (mut i32) (i32.const -12))
+  (global (;7;) (mut f32) (f32.const -13))
+  (global (;8;) (mut f64) (f64.const -14))
+  (global $y (mut i64) (i64.const -15))
+
+  (global $z1 i32 (global.get 0))
+  (global $z2 i64 (global.get 1))
+
+  (global (export "exported-i32") i32 (i32.const 42))
+  (global (export "exported-mut") (mut i64) (i64.const 0x123456789a))
+
+  (func (export "get-a") (result i32) (global.get $a))
+  (func (export "get-b") (result i64) (global.get $b))
+  (func (export "get-x") (result i32) (global.get $x))
+  (func (export "get-y") (result i64) (global.get $y))
+  (func (export "get-z1") (result i32) (global.get $z1))
+  (func (export "get-z2") (result i64) (global.get $z2))
+  (func (export "set-x") (param i32) (global.set $x (local.get 0)))
+  (func (export "set-y") (param i64) (global.set $y (local.get 0)))
+
+  (func (export "get-3") (result f32) (global.get 3))
+  (func (export "get-4") (result f64) (global.get 4))
+  (func (export "get-7") (result f32) (global.get 7))
+  (func (export "get-8") (result f64) (global.get 8))
+  (func (export "set-7") (param f32) (global.set 7 (local.get 0)))
+  (func (export "set-8") (param f64) (global.set 8 (local.get 0)))
+
+  (func (export "set-exported") (param i64) (global.set 13 (local.get 0)))
+
+  (memory 1)
+
+  (func $dummy)
+
+  (func (export "as-loop-first") (result i32)
+    (loop (result i32)
+      (global.get $x) (call $dummy) (call $dummy)
+    )
+  )
+  (func (export "as-if-condition") (result i32)
+    (if (result i32) (global.get $x)
+      (then (call $dummy) (i32.const 2))
+      (else (call $dummy) (i32.const 3))
+    )
+  )
+  (func (export "as-store-first")
+    (global.get $x) (i32.const 1) (i32.store)
+  )
+  (func (export "as-load-operand") (result i32)
+    (i32.load (global.set $x (i32.const 0)) (global.get $x))
+  )
+  (func (export "as-binary-operand") (result i32)
+    (i32.mul
+      (global.get $x) (global.get $x)
+    )
+  )
+)
+
+(assert_return (invoke "get-a") (i32.const -2))
+(assert_return (invoke "get-b") (i64.const -5))
+(assert_return (invoke "get-x") (i32.const -12))
+(assert_return (invoke "get-y") (i64.const -15))
+(assert_return (invoke "get-z1") (i32.const 666))
+(assert_return (invoke "get-z2") (i64.const 666))
+
+(assert_return (invoke "get-3") (f32.const -3))
+(assert_return (invoke "get-4") (f64.const -4))
+(assert_return (invoke "get-7") (f32.const -13))
+(assert_return (invoke "get-8") (f64.const -14))
+
+(assert_return (invoke "set-x" (i32.const 6)))
+(assert_return (invoke "set-y" (i64.const 7)))
+(assert_return (invoke "set-7" (f32.const 8)))
+(assert_return (invoke "set-8" (f64.const 9)))
+
+(assert_return (invoke "get-x") (i32.const 6))
+(assert_return (invoke "get-y") (i64.const 7))
+(assert_return (invoke "get-7") (f32.const 8))
+(assert_return (invoke "get-8") (f64.const 9))
+
+(assert_return (get "exported-i32") (i32.const 42))
+(assert_return (get "exported-mut") (i64.const 0x123456789a))
+(assert_return (invoke "set-exported" (i64.const -1)))
+(assert_return (get "exported-mut") (i64.const -1))
+
+(assert_return (invoke "as-loop-first") (i32.const 6))
+(assert_return (invoke "as-if-condition") (i32.const 2))
+(assert_return (invoke "as-store-first"))
+(assert_return (invoke "as-load-operand") (i32.const 0))
+(assert_return (invoke "as-binary-operand") (i32.const 0))
+
+(assert_invalid
+  (module (global f32 (f32.const 0)) (func (global.set 0 (f32.const 1))))
+  "global is immutable"
+)
+(assert_invalid
+  (module (global i32 (i32.const 0)) (func (result i64) (global.get 0)))
+  "type mismatch"
+)
+(assert_invalid
+  (module (global (mut i32) (i32.const 0)) (func (global.set 0 (i64.const 1))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (global i32 (i64.const 0)))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (result i32) (global.get 1)) (global i32 (i32.const 0)))
+  "unknown global"
+)
+
+;; NaN payloads survive a global set and get that stays inside WebAssembly
+(module
+  (global $f32 (mut f32) (f32.const 0))
+  (global $f64 (mut f64) (f64.const 0))
+  (global $snan f32 (f32.const nan:0x200001))
+  (func (export "f32_global_bits") (param $bits i32) (result i32)
+    (global.set $f32 (f32.reinterpret_i32 (local.get $bits)))
+    (i32.reinterpret_f32 (global.get $f32))
+  )
+  (func (export "f64_global_bits") (param $bits i64) (result i64)
+    (global.set $f64 (f64.reinterpret_i64 (local.get $bits)))
+    (i64.reinterpret_f64 (global.get $f64))
+  )
+  (func (export "f32_const_global_bits") (result i32)
+    (i32.reinterpret_f32 (global.get $snan))
+  )
+)
+
+(assert_return (invoke "f32_global_bits" (i32.const 0x7fa00001)) (i32.const 0x7fa00001))
+(assert_return (invoke "f32_global_bits" (i32.const 0xffc00001)) (i32.const 0xffc00001))
+(assert_return (invoke "f64_global_bits" (i64.const 0x7ff4000000000001)) (i64.const 0x7ff4000000000001))
+(assert_return (invoke "f32_const_global_bits") (i32.const 0x7fa00001))
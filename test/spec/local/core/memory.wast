@@ -0,0 +1,305 @@
+;; Test memory section, data segments and load/store operators
+
+(module (memory 0 0))
+(module (memory 0 1))
+(module (memory 1 256))
+(module (memory 0 65536))
+
+(module (memory 0) (memory 0))
+(assert_invalid (module (data (i32.const 0))) "unknown memory")
+(assert_invalid (module (func (drop (memory.size)))) "unknown memory")
+(assert_invalid (module (func (drop (i32.load (i32.const 0))))) "unknown memory")
+(assert_invalid (module (func (i32.store (i32.const 0) (i32.const 0)))) "unknown memory")
+(assert_invalid (module (memory 1 0)) "size minimum must not be greater than maximum")
+(assert_invalid (module (memory 65537)) "memory size must be at most 65536 pages (4GiB)")
+
+(module (memory 0) (func (export "memsize") (result i32) (memory.size)))
+(assert_return (invoke "memsize") (i32.const 0))
+(module (memory 0) (data (i32.const 0)) (func (export "memsize") (result i32) (memory.size)))
+(assert_return (invoke "memsize") (i32.const 0))
+(module (memory 1) (data (i32.const 0) "x") (func (export "memsize") (result i32) (memory.size)))
+(assert_return (invoke "memsize") (i32.const 1))
+
+(assert_invalid
+  (module (memory 1) (func (drop (f32.load align=8 (i32.const 0)))))
+  "alignment must not be larger than natural"
+)
+(assert_invalid
+  (module (memory 1) (func (i32.store8 align=2 (i32.const 0) (i32.const 0))))
+  "alignment must not be larger than natural"
+)
+
+(module
+  (memory 1)
+  (data (i32.const 0) "ABC\a7D") (data (i32.const 20) "WASM")
+
+  ;; Data section
+  (func (export "data") (result i32)
+    (i32.and
+      (i32.and
+        (i32.and
+          (i32.eq (i32.load8_u (i32.const 0)) (i32.const 65))
+          (i32.eq (i32.load8_u (i32.const 3)) (i32.const 167))
+        )
+        (i32.and
+          (i32.eq (i32.load8_u (i32.const 6)) (i32.const 0))
+          (i32.eq (i32.load8_u (i32.const 19)) (i32.const 0))
+        )
+      )
+      (i32.and
+        (i32.and
+          (i32.eq (i32.load8_u (i32.const 20)) (i32.const 87))
+          (i32.eq (i32.load8_u (i32.const 23)) (i32.const 77))
+        )
+        (i32.and
+          (i32.eq (i32.load8_u (i32.const 24)) (i32.const 0))
+          (i32.eq (i32.load8_u (i32.const 1023)) (i32.const 0))
+        )
+      )
+    )
+  )
+
+  ;; Memory cast
+  (func (export "cast") (result f64)
+    (i64.store (i32.const 8) (i64.const -12345))
+    (if
+      (f64.eq
+        (f64.load (i32.const 8))
+        (f64.reinterpret_i64 (i64.const -12345))
+      )
+      (then (return (f64.const 0)))
+    )
+    (i64.store align=1 (i32.const 9) (i64.const 0))
+    (i32.store16 align=1 (i32.const 15) (i32.const 16453))
+    (f64.load align=1 (i32.const 9))
+  )
+
+  ;; Sign and zero extending memory loads
+  (func (export "i32_load8_s") (param $i i32) (result i32)
+    (i32.store8 (i32.const 8) (local.get $i))
+    (i32.load8_s (i32.const 8))
+  )
+  (func (export "i32_load8_u") (param $i i32) (result i32)
+    (i32.store8 (i32.const 8) (local.get $i))
+    (i32.load8_u (i32.const 8))
+  )
+  (func (export "i32_load16_s") (param $i i32) (result i32)
+    (i32.store16 (i32.const 8) (local.get $i))
+    (i32.load16_s (i32.const 8))
+  )
+  (func (export "i32_load16_u") (param $i i32) (result i32)
+    (i32.store16 (i32.const 8) (local.get $i))
+    (i32.load16_u (i32.const 8))
+  )
+  (func (export "i64_load8_s") (param $i i64) (result i64)
+    (i64.store8 (i32.const 8) (local.get $i))
+    (i64.load8_s (i32.const 8))
+  )
+  (func (export "i64_load8_u") (param $i i64) (result i64)
+    (i64.store8 (i32.const 8) (local.get $i))
+    (i64.load8_u (i32.const 8))
+  )
+  (func (export "i64_load16_s") (param $i i64) (result i64)
+    (i64.store16 (i32.const 8) (local.get $i))
+    (i64.load16_s (i32.const 8))
+  )
+  (func (export "i64_load16_u") (param $i i64) (result i64)
+    (i64.store16 (i32.const 8) (local.get $i))
+    (i64.load16_u (i32.const 8))
+  )
+  (func (export "i64_load32_s") (param $i i64) (result i64)
+    (i64.store32 (i32.const 8) (local.get $i))
+    (i64.load32_s (i32.const 8))
+  )
+  (func (export "i64_load32_u") (param $i i64) (result i64)
+    (i64.store32 (i32.const 8) (local.get $i))
+    (i64.load32_u (i32.const 8))
+  )
+)
+
+(assert_return (invoke "data") (i32.const 1))
+(assert_return (invoke "cast") (f64.const 42.0))
+
+(assert_return (invoke "i32_load8_s" (i32.const -1)) (i32.const -1))
+(assert_return (invoke "i32_load8_u" (i32.const -1)) (i32.const 255))
+(assert_return (invoke "i32_load16_s" (i32.const -1)) (i32.const -1))
+(assert_return (invoke "i32_load16_u" (i32.const -1)) (i32.const 65535))
+
+(assert_return (invoke "i32_load8_s" (i32.const 100)) (i32.const 100))
+(assert_return (invoke "i32_load8_u" (i32.const 200)) (i32.const 200))
+(assert_return (invoke "i32_load16_s" (i32.const 20000)) (i32.const 20000))
+(assert_return (invoke "i32_load16_u" (i32.const 40000)) (i32.const 40000))
+
+(assert_return (invoke "i32_load8_s" (i32.const 0xfedc6543)) (i32.const 0x43))
+(assert_return (invoke "i32_load8_s" (i32.const 0x3456436f)) (i32.const 0x6f))
+(assert_return (invoke "i32_load8_u" (i32.const 0xfedc6543)) (i32.const 0x43))
+(assert_return (invoke "i32_load8_u" (i32.const 0x3456436f)) (i32.const 0x6f))
+(assert_return (invoke "i32_load16_s" (i32.const 0xfedc6543)) (i32.const 0x6543))
+(assert_return (invoke "i32_load16_s" (i32.const 0x34568765)) (i32.const 0xffff8765))
+(assert_return (invoke "i32_load16_u" (i32.const 0xfedc6543)) (i32.const 0x6543))
+(assert_return (invoke "i32_load16_u" (i32.const 0x34568765)) (i32.const 0x8765))
+
+(assert_return (invoke "i64_load8_s" (i64.const -1)) (i64.const -1))
+(assert_return (invoke "i64_load8_u" (i64.const -1)) (i64.const 255))
+(assert_return (invoke "i64_load16_s" (i64.const -1)) (i64.const -1))
+(assert_return (invoke "i64_load16_u" (i64.const -1)) (i64.const 65535))
+(assert_return (invoke "i64_load32_s" (i64.const -1)) (i64.const -1))
+(assert_return (invoke "i64_load32_u" (i64.const -1)) (i64.const 4294967295))
+
+(assert_return (invoke "i64_load8_s" (i64.const 100)) (i64.const 100))
+(assert_return (invoke "i64_load8_u" (i64.const 200)) (i64.const 200))
+(assert_return (invoke "i64_load16_s" (i64.const 20000)) (i64.const 20000))
+(assert_return (invoke "i64_load16_u" (i64.const 40000)) (i64.const 40000))
+(assert_return (invoke "i64_load32_s" (i64.const 20000)) (i64.const 20000))
+(assert_return (invoke "i64_load32_u" (i64.const 40000)) (i64.const 40000))
+
+(assert_return (invoke "i64_load8_s" (i64.const 0xfedcba9856346543)) (i64.const 0x43))
+(assert_return (invoke "i64_load8_s" (i64.const 0x3456436598bacdef)) (i64.const 0xffffffffffffffef))
+(assert_return (invoke "i64_load8_u" (i64.const 0xfedcba9856346543)) (i64.const 0x43))
+(assert_return (invoke "i64_load8_u" (i64.const 0x3456436598bacdef)) (i64.const 0xef))
+(assert_return (invoke "i64_load16_s" (i64.const 0xfedcba9856346543)) (i64.const 0x6543))
+(assert_return (invoke "i64_load16_s" (i64.const 0x3456436598bacdef)) (i64.const 0xffffffffffffcdef))
+(assert_return (invoke "i64_load16_u" (i64.const 0xfedcba9856346543)) (i64.const 0x6543))
+(assert_return (invoke "i64_load16_u" (i64.const 0x3456436598bacdef)) (i64.const 0xcdef))
+(assert_return (invoke "i64_load32_s" (i64.const 0xfedcba9856346543)) (i64.const 0x56346543))
+(assert_return (invoke "i64_load32_s" (i64.const 0x3456436598bacdef)) (i64.const 0xffffffff98bacdef))
+(assert_return (invoke "i64_load32_u" (i64.const 0xfedcba9856346543)) (i64.const 0x56346543))
+(assert_return (invoke "i64_load32_u" (i64.const 0x3456436598bacdef)) (i64.const 0x98bacdef))
+
+;; Endianness and round trips of every width
+
+(module
+  (memory 1)
+
+  (func (export "i32_load16_s") (param $value i32) (result i32)
+    (i32.store16 (i32.const 0) (local.get $value))
+    (i32.load16_s (i32.const 0))
+  )
+  (func (export "i32_store_bytes") (param $value i32) (result i32)
+    (i32.store (i32.const 0) (local.get $value))
+    ;; Read back as bytes, little end first
+    (i32.or
+      (i32.or
+        (i32.shl (i32.load8_u (i32.const 0)) (i32.const 24))
+        (i32.shl (i32.load8_u (i32.const 1)) (i32.const 16))
+      )
+      (i32.or
+        (i32.shl (i32.load8_u (i32.const 2)) (i32.const 8))
+        (i32.load8_u (i32.const 3))
+      )
+    )
+  )
+  (func (export "i64_store_load_unaligned") (param $value i64) (result i64)
+    (i64.store align=1 (i32.const 3) (local.get $value))
+    (i64.load align=1 (i32.const 3))
+  )
+  (func (export "i64_store_high_word") (param $value i64) (result i32)
+    (i64.store (i32.const 8) (local.get $value))
+    (i32.load (i32.const 12))
+  )
+  (func (export "f32_store_load") (param $value f32) (result f32)
+    (f32.store (i32.const 0) (local.get $value))
+    (f32.load (i32.const 0))
+  )
+  (func (export "f64_store_load") (param $value f64) (result f64)
+    (f64.store (i32.const 0) (local.get $value))
+    (f64.load (i32.const 0))
+  )
+  (func (export "f32_store_bits") (param $value f32) (result i32)
+    (f32.store (i32.const 0) (local.get $value))
+    (i32.load (i32.const 0))
+  )
+  (func (export "f64_store_bits") (param $value f64) (result i64)
+    (f64.store (i32.const 0) (local.get $value))
+    (i64.load (i32.const 0))
+  )
+  (func (export "f32_load_bits") (param $bits i32) (result i32)
+    (i32.store (i32.const 0) (local.get $bits))
+    (f32.store (i32.const 8) (f32.load (i32.const 0)))
+    (i32.load (i32.const 8))
+  )
+  (func (export "f64_load_bits") (param $bits i64) (result i64)
+    (i64.store (i32.const 0) (local.get $bits))
+    (f64.store (i32.const 8) (f64.load (i32.const 0)))
+    (i64.load (i32.const 8))
+  )
+)
+
+(assert_return (invoke "i32_load16_s" (i32.const 0x8001)) (i32.const -32767))
+(assert_return (invoke "i32_store_bytes" (i32.const 0x01020304)) (i32.const 0x04030201))
+(assert_return (invoke "i32_store_bytes" (i32.const 0xdeadbeef)) (i32.const 0xefbeadde))
+(assert_return (invoke "i64_store_load_unaligned" (i64.const 0x0123456789abcdef)) (i64.const 0x0123456789abcdef))
+(assert_return (invoke "i64_store_load_unaligned" (i64.const -2)) (i64.const -2))
+(assert_return (invoke "i64_store_high_word" (i64.const 0x0123456789abcdef)) (i32.const 0x01234567))
+(assert_return (invoke "f32_store_load" (f32.const 0x1.5p+2)) (f32.const 0x1.5p+2))
+(assert_return (invoke "f32_store_load" (f32.const -0)) (f32.const -0))
+(assert_return (invoke "f32_store_load" (f32.const -inf)) (f32.const -inf))
+(assert_return (invoke "f32_store_load" (f32.const 0x1p-149)) (f32.const 0x1p-149))
+(assert_return (invoke "f64_store_load" (f64.const 0x1.5p+2)) (f64.const 0x1.5p+2))
+(assert_return (invoke "f64_store_load" (f64.const -0)) (f64.const -0))
+(assert_return (invoke "f64_store_load" (f64.const 0x0.0000000000001p-1022)) (f64.const 0x0.0000000000001p-1022))
+(assert_return (invoke "f32_store_bits" (f32.const 1)) (i32.const 0x3f800000))
+(assert_return (invoke "f32_store_bits" (f32.const -nan:0x600000)) (i32.const 0xffe00000))
+(assert_return (invoke "f64_store_bits" (f64.const 1)) (i64.const 0x3ff0000000000000))
+(assert_return (invoke "f64_store_bits" (f64.const -nan:0xc000000000000)) (i64.const 0xfffc000000000000))
+
+;; NaN payloads survive a load and store that stays inside WebAssembly
+(assert_return (invoke "f32_load_bits" (i32.const 0x7fa00000)) (i32.const 0x7fa00000))
+(assert_return (invoke "f32_load_bits" (i32.const 0xffc00001)) (i32.const 0xffc00001))
+(assert_return (invoke "f64_load_bits" (i64.const 0x7ff4000000000000)) (i64.const 0x7ff4000000000000))
+(assert_return (invoke "f64_load_bits" (i64.const 0xfff8000000000001)) (i64.const 0xfff8000000000001))
+
+;; Bounds
+
+(module
+  (memory 1)
+  (data (i32.const 65532) "\01\02\03\04")
+  (func (export "load") (param i32) (result i32) (i32.load (local.get 0)))
+  (func (export "load8") (param i32) (result i32) (i32.load8_u (local.get 0)))
+  (func (export "load64") (param i32) (result i64) (i64.load (local.get 0)))
+  (func (export "store") (param i32 i32) (i32.store (local.get 0) (local.get 1)))
+  (func (export "store16") (param i32 i32) (i32.store16 (local.get 0) (local.get 1)))
+)
+
+(assert_return (invoke "load" (i32.const 65532)) (i32.const 0x04030201))
+(assert_return (invoke "load8" (i32.const 65535)) (i32.const 4))
+(assert_trap (invoke "load" (i32.const 65533)) "out of bounds memory access")
+(assert_trap (invoke "load" (i32.const 65536)) "out of bounds memory access")
+(assert_trap (invoke "load" (i32.const -1)) "out of bounds memory access")
+(assert_trap (invoke "load" (i32.const -4)) "out of bounds memory access")
+(assert_trap (invoke "load8" (i32.const 65536)) "out of bounds memory access")
+(assert_trap (invoke "load64" (i32.const 65529)) "out of bounds memory access")
+(assert_return (invoke "load64" (i32.const 65528)) (i64.const 0x0403020100000000))
+(assert_trap (invoke "store" (i32.const 65533) (i32.const 0)) "out of bounds memory access")
+(assert_trap (invoke "store16" (i32.const 65535) (i32.const 0)) "out of bounds memory access")
+(assert_return (invoke "store16" (i32.const 65534) (i32.const 0)))
+;; Only the store that was in bounds changed anything
+(assert_return (invoke "load" (i32.const 65532)) (i32.const 0x0201))
+
+;; Data segments out of bounds
+
+(assert_trap
+  (module (memory 1) (data (i32.const 65536) "a"))
+  "out of bounds memory access"
+)
+(assert_trap
+  (module (memory 0) (data (i32.const 0) "a"))
+  "out of bounds memory access"
+)
+(assert_trap
+  (module (memory 1) (data (i32.const -1) "a"))
+  "out of bounds memory access"
+)
+
+(module (memory 1) (data (i32.const 65536) ""))
+(module (memory 0) (data (i32.const 0) ""))
+
+;; Data segments using an imported global as offset
+
+(module
+  (global (import "spectest" "global_i32") i32)
+  (memory 1)
+  (data (global.get 0) "a")
+  (func (export "load") (result i32) (i32.load8_u (i32.const 666)))
+)
+(assert_return (invoke "load") (i32.const 97))
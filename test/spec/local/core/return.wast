@@ -0,0 +1,99 @@
+;; Test `return` operator
+
+(module
+  (func $dummy)
+
+  (func (export "type-i32") (drop (i32.ctz (return))))
+  (func (export "type-f64") (drop (f64.neg (return))))
+
+  (func (export "type-i32-value") (result i32)
+    (block (result i32) (i32.ctz (return (i32.const 1))))
+  )
+  (func (export "type-i64-value") (result i64)
+    (block (result i64) (i64.ctz (return (i64.const 2))))
+  )
+  (func (export "type-f32-value") (result f32)
+    (block (result f32) (f32.neg (return (f32.const 3))))
+  )
+  (func (export "type-f64-value") (result f64)
+    (block (result f64) (f64.neg (return (f64.const 4))))
+  )
+
+  (func (export "nullary") (return))
+  (func (export "unary") (result f64) (return (f64.const 3)))
+
+  (func (export "as-func-first") (result i32)
+    (return (i32.const 1)) (i32.const 2)
+  )
+  (func (export "as-block-mid")
+    (block (call $dummy) (return) (call $dummy))
+  )
+  (func (export "as-loop-last") (result i32)
+    (loop (result i32) (nop) (call $dummy) (return (i32.const 5)))
+  )
+  (func (export "as-br_if-cond")
+    (block (br_if 0 (return)))
+  )
+  (func (export "as-br_table-value") (result i64)
+    (block (result i64) (br_table 0 0 0 (return (i64.const 9)) (i32.const 1)) (i64.const 7))
+  )
+  (func (export "as-if-then") (param i32 i32) (result i32)
+    (if (result i32)
+      (local.get 0) (then (return (i32.const 3))) (else (local.get 1))
+    )
+  )
+  (func (export "as-select-second") (param i32 i32) (result i32)
+    (select (local.get 0) (return (i32.const 6)) (local.get 1))
+  )
+  (func $f (param i32 i32 i32) (result i32) (i32.const -1))
+  (func (export "as-call-last") (result i32)
+    (call $f (i32.const 1) (i32.const 2) (return (i32.const 14)))
+  )
+  (func (export "as-binary-left") (result i32)
+    (i32.add (return (i32.const 3)) (i32.const 10))
+  )
+  (func (export "as-compare-right") (result i32)
+    (f64.le (f64.const 10) (return (i32.const 10)))
+  )
+  (func (export "nested") (param i32) (result i32)
+    (block
+      (loop
+        (if (local.get 0) (then (return (i32.const 1))))
+        (br 1)
+      )
+    )
+    (i32.const 0)
+  )
+)
+
+(assert_return (invoke "type-i32"))
+(assert_return (invoke "type-f64"))
+(assert_return (invoke "type-i32-value") (i32.const 1))
+(assert_return (invoke "type-i64-value") (i64.const 2))
+(assert_return (invoke "type-f32-value") (f32.const 3))
+(assert_return (invoke "type-f64-value") (f64.const 4))
+(assert_return (invoke "nullary"))
+(assert_return (invoke "unary") (f64.const 3))
+(assert_return (invoke "as-func-first") (i32.const 1))
+(assert_return (invoke "as-block-mid"))
+(assert_return (invoke "as-loop-last") (i32.const 5))
+(assert_return (invoke "as-br_if-cond"))
+(assert_return (invoke "as-br_table-value") (i64.const 9))
+(assert_return (invoke "as-if-then" (i32.const 1) (i32.const 6)) (i32.const 3))
+(assert_return (invoke "as-if-then" (i32.const 0) (i32.const 6)) (i32.const 6))
+(assert_return (invoke "as-select-second" (i32.const 0) (i32.const 1)) (i32.const 6))
+(assert_return (invoke "as-select-second" (i32.const 0) (i32.const 0)) (i32.const 6))
+(assert_return (invoke "as-call-last") (i32.const 14))
+(assert_return (invoke "as-binary-left") (i32.const 3))
+(assert_return (invoke "as-compare-right") (i32.const 10))
+(assert_return (invoke "nested" (i32.const 0)) (i32.const 0))
+(assert_return (invoke "nested" (i32.const 1)) (i32.const 1))
+
+(assert_invalid
+  (module (func $type-value-empty-vs-num (result f64) (return)))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $type-value-num-vs-num (result f64) (return (i64.const 1))))
+  "type mismatch"
+)
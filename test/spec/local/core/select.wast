@@ -0,0 +1,99 @@
+;; Test `select` operator
+
+(module
+  (func $dummy)
+
+  (func (export "select-i32") (param i32 i32 i32) (result i32)
+    (select (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "select-i64") (param i64 i64 i32) (result i64)
+    (select (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "select-f32") (param f32 f32 i32) (result f32)
+    (select (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "select-f64") (param f64 f64 i32) (result f64)
+    (select (local.get 0) (local.get 1) (local.get 2))
+  )
+
+  ;; Both operands are evaluated, in order, before the condition
+  (func (export "side-effects") (param i32) (result i32)
+    (local i32)
+    (select
+      (block (result i32) (local.set 1 (i32.const 1)) (i32.const 10))
+      (block (result i32) (local.set 1 (i32.mul (local.get 1) (i32.const 3))) (i32.const 20))
+      (local.get 0)
+    )
+    (i32.add (local.get 1))
+  )
+
+  (func (export "as-if-condition") (param i32)
+    (if (select (i32.const 2) (i32.const 3) (local.get 0)) (then (call $dummy)))
+  )
+  (func (export "as-br_table-first") (param i32) (result i32)
+    (block (result i32)
+      (select (i32.const 2) (i32.const 3) (local.get 0)) (i32.const 2) (br_table 0 0)
+    )
+  )
+  (func (export "as-binary-operand") (param i32) (result i32)
+    (i32.mul
+      (select (i32.const 1) (i32.const 2) (local.get 0))
+      (select (i32.const 1) (i32.const 2) (i32.sub (i32.const 1) (local.get 0)))
+    )
+  )
+  (func (export "unreachable-num")
+    (unreachable) (select) (i32.eqz) (drop)
+  )
+)
+
+(assert_return (invoke "select-i32" (i32.const 1) (i32.const 2) (i32.const 1)) (i32.const 1))
+(assert_return (invoke "select-i64" (i64.const 2) (i64.const 1) (i32.const 1)) (i64.const 2))
+(assert_return (invoke "select-f32" (f32.const 1) (f32.const 2) (i32.const 1)) (f32.const 1))
+(assert_return (invoke "select-f64" (f64.const 1) (f64.const 2) (i32.const 1)) (f64.const 1))
+
+(assert_return (invoke "select-i32" (i32.const 1) (i32.const 2) (i32.const 0)) (i32.const 2))
+(assert_return (invoke "select-i32" (i32.const 2) (i32.const 1) (i32.const 0)) (i32.const 1))
+(assert_return (invoke "select-i32" (i32.const 2) (i32.const 1) (i32.const -1)) (i32.const 2))
+(assert_return (invoke "select-i32" (i32.const 2) (i32.const 1) (i32.const 0xf0f0f0f0)) (i32.const 2))
+(assert_return (invoke "select-i64" (i64.const 2) (i64.const 1) (i32.const -1)) (i64.const 2))
+(assert_return (invoke "select-i64" (i64.const 2) (i64.const 1) (i32.const 0)) (i64.const 1))
+(assert_return (invoke "select-i64" (i64.const -1) (i64.const 0x7fffffffffffffff) (i32.const 1)) (i64.const -1))
+
+(assert_return (invoke "select-f32" (f32.const nan) (f32.const 1) (i32.const 1)) (f32.const nan))
+(assert_return (invoke "select-f32" (f32.const nan:0x420304) (f32.const 1) (i32.const 1)) (f32.const nan:0x420304))
+(assert_return (invoke "select-f32" (f32.const nan) (f32.const 1) (i32.const 0)) (f32.const 1))
+(assert_return (invoke "select-f32" (f32.const 2) (f32.const nan) (i32.const 0)) (f32.const nan))
+(assert_return (invoke "select-f32" (f32.const -0) (f32.const 0) (i32.const 1)) (f32.const -0))
+(assert_return (invoke "select-f32" (f32.const -0) (f32.const 0) (i32.const 0)) (f32.const 0))
+
+(assert_return (invoke "select-f64" (f64.const nan) (f64.const 1) (i32.const 1)) (f64.const nan))
+(assert_return (invoke "select-f64" (f64.const nan:0x8000000020304) (f64.const 1) (i32.const 1)) (f64.const nan:0x8000000020304))
+(assert_return (invoke "select-f64" (f64.const 2) (f64.const nan) (i32.const 0)) (f64.const nan))
+(assert_return (invoke "select-f64" (f64.const -0) (f64.const 0) (i32.const 1)) (f64.const -0))
+
+(assert_return (invoke "side-effects" (i32.const 1)) (i32.const 13))
+(assert_return (invoke "side-effects" (i32.const 0)) (i32.const 23))
+
+(assert_return (invoke "as-if-condition" (i32.const 0)))
+(assert_return (invoke "as-if-condition" (i32.const 1)))
+(assert_return (invoke "as-br_table-first" (i32.const 0)) (i32.const 3))
+(assert_return (invoke "as-br_table-first" (i32.const 1)) (i32.const 2))
+(assert_return (invoke "as-binary-operand" (i32.const 0)) (i32.const 2))
+(assert_return (invoke "as-binary-operand" (i32.const 1)) (i32.const 2))
+
+(assert_trap (invoke "unreachable-num") "unreachable")
+
+(assert_invalid
+  (module (func $arity-0 (select (nop) (nop) (i32.const 1))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $type-num-vs-num (select (i32.const 1) (i64.const 1) (i32.const 1))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $type-cond-num-vs-i32 (result i32)
+    (select (i32.const 1) (i32.const 2) (i64.const 1))
+  ))
+  "type mismatch"
+)
@@ -0,0 +1,400 @@
+;; Exception handling: tags, try with catch, catch_all and delegate,
+;; throw and rethrow
+;;
+;; Traps can't be caught, by catch_all or otherwise.
+
+(module
+  (memory 1)
+
+  (tag $e0)
+  (tag $e-i32 (param i32))
+  (tag $e-i64 (param i64))
+  (tag $e-f32 (param f32))
+  (tag $e-f64 (param f64))
+  (tag $e-pair (param i32 i64))
+  (tag $e-ref (param funcref))
+
+  (func $throw-if (param i32) (result i32)
+    (if (local.get 0) (then (throw $e-i32 (local.get 0))))
+    (i32.const 0)
+  )
+  (func $throw-nested (param i32)
+    (drop (call $throw-if (local.get 0)))
+  )
+
+  (func (export "empty-catch") (try (do) (catch $e0)))
+  (func (export "empty-catch-all") (try (do) (catch_all)))
+  (func (export "no-handlers") (result i32) (try (result i32) (do (i32.const 1))))
+
+  (func (export "catch-i32") (param i32) (result i32)
+    (try (result i32)
+      (do (throw $e-i32 (local.get 0)))
+      (catch $e-i32)
+    )
+  )
+  (func (export "catch-i64") (param i64) (result i64)
+    (try (result i64)
+      (do (throw $e-i64 (local.get 0)))
+      (catch $e-i64)
+    )
+  )
+  (func (export "catch-f32") (param f32) (result f32)
+    (try (result f32)
+      (do (throw $e-f32 (local.get 0)))
+      (catch $e-f32)
+    )
+  )
+  (func (export "catch-f64") (param f64) (result f64)
+    (try (result f64)
+      (do (throw $e-f64 (local.get 0)))
+      (catch $e-f64)
+    )
+  )
+  (func (export "catch-pair") (param i32 i64) (result i32 i64)
+    (try (result i32 i64)
+      (do (throw $e-pair (local.get 0) (local.get 1)))
+      (catch $e-pair)
+    )
+  )
+  (func $target (result i32) (i32.const 42))
+  (elem declare func $target)
+  (func (export "catch-ref") (result i32)
+    (try (result i32)
+      (do (throw $e-ref (ref.func $target)))
+      (catch $e-ref (ref.is_null))
+    )
+  )
+
+  (func (export "catch-order") (param i32) (result i32)
+    (try (result i32)
+      (do
+        (if (i32.eq (local.get 0) (i32.const 0)) (then (throw $e0)))
+        (if (i32.eq (local.get 0) (i32.const 1)) (then (throw $e-i32 (i32.const 10))))
+        (if (i32.eq (local.get 0) (i32.const 2)) (then (throw $e-i64 (i64.const 20))))
+        (i32.const 3)
+      )
+      (catch $e0 (i32.const 0))
+      (catch $e-i32 (i32.add (i32.const 1)))
+      (catch_all (i32.const 2))
+    )
+  )
+
+  (func (export "catch-from-call") (param i32) (result i32)
+    (try (result i32)
+      (do (call $throw-nested (local.get 0)) (i32.const 0))
+      (catch $e-i32)
+    )
+  )
+  (func (export "uncaught") (param i32) (result i32)
+    (try (result i32)
+      (do (call $throw-if (local.get 0)))
+      (catch $e-i64 (i32.wrap_i64))
+    )
+  )
+
+  (func (export "try-param") (param i32) (result i32)
+    (local.get 0)
+    (try (param i32) (result i32)
+      (do (throw $e-i32 (i32.mul (i32.const 2))))
+      (catch $e-i32 (i32.add (i32.const 1)))
+    )
+  )
+
+  (func (export "stack-kept") (param i32) (result i32)
+    (i32.const 100)
+    (try (result i32)
+      (do (i32.const 5) (call $throw-if (local.get 0)) (drop))
+      (catch $e-i32)
+    )
+    (i32.add)
+  )
+
+  (func (export "br-out-of-try") (param i32) (result i32)
+    (block $out (result i32)
+      (try (result i32)
+        (do (br_if $out (i32.const 7) (local.get 0)) (throw $e0))
+        (catch $e0 (br $out (i32.const 8)))
+      )
+    )
+  )
+
+  (func (export "loop-in-try") (param i32) (result i32)
+    (local $n i32)
+    (try (result i32)
+      (do
+        (loop $l
+          (local.set $n (i32.add (local.get $n) (i32.const 1)))
+          (drop (call $throw-if (i32.mul (i32.eq (local.get $n) (local.get 0)) (local.get $n))))
+          (br $l)
+        )
+        (i32.const -1)
+      )
+      (catch $e-i32)
+    )
+  )
+
+  (func (export "catch-in-loop") (param i32) (result i32)
+    (local $n i32)
+    (loop $l
+      (try
+        (do (throw $e-i32 (i32.const 1)))
+        (catch $e-i32 (local.set $n (i32.add (local.get $n))))
+      )
+      (br_if $l (i32.lt_u (local.get $n) (local.get 0)))
+    )
+    (local.get $n)
+  )
+
+  (func (export "rethrow") (param i32) (result i32)
+    (try (result i32)
+      (do
+        (try
+          (do (throw $e-i32 (local.get 0)))
+          (catch_all (rethrow 0))
+        )
+        (i32.const 0)
+      )
+      (catch $e-i32)
+    )
+  )
+  (func (export "rethrow-outer") (param i32) (result i32)
+    (try (result i32)
+      (do
+        (try
+          (do (throw $e-i32 (local.get 0)))
+          (catch $e-i32
+            (drop)
+            (try
+              (do (throw $e0))
+              (catch $e0 (rethrow 1))
+            )
+          )
+        )
+        (i32.const 0)
+      )
+      (catch $e-i32)
+    )
+  )
+  (func (export "rethrow-uncaught")
+    (try (do (throw $e0)) (catch $e0 (rethrow 0)))
+  )
+
+  (func (export "delegate-outer") (param i32) (result i32)
+    (try (result i32)
+      (do
+        (try
+          (do (throw $e-i32 (local.get 0)))
+          (delegate 0)
+        )
+        (i32.const 0)
+      )
+      (catch $e-i32 (i32.add (i32.const 1)))
+    )
+  )
+  (func (export "delegate-skips") (param i32) (result i32)
+    (try (result i32)
+      (do
+        (try
+          (do
+            (block
+              (try
+                (do (throw $e-i32 (local.get 0)))
+                (delegate 2)
+              )
+            )
+          )
+          (catch_all)
+        )
+        (i32.const 0)
+      )
+      (catch $e-i32 (i32.add (i32.const 2)))
+    )
+  )
+  (func (export "delegate-past-block") (param i32) (result i32)
+    (try (result i32)
+      (do
+        (block
+          (try
+            (do (throw $e-i32 (local.get 0)))
+            (delegate 0)
+          )
+        )
+        (i32.const 0)
+      )
+      (catch $e-i32 (i32.add (i32.const 3)))
+    )
+  )
+  (func (export "delegate-from-catch") (param i32) (result i32)
+    (try (result i32)
+      (do (throw $e0))
+      (catch $e0
+        (try (result i32)
+          (do
+            (try
+              (do (throw $e-i32 (local.get 0)))
+              (delegate 0)
+            )
+            (i32.const 0)
+          )
+          (catch $e-i32 (i32.add (i32.const 4)))
+        )
+      )
+    )
+  )
+  (func $delegate-to-caller (param i32)
+    (try
+      (do
+        (try
+          (do (throw $e-i32 (local.get 0)))
+          (delegate 1)
+        )
+      )
+      (catch_all)
+    )
+  )
+  (func (export "delegate-caller") (param i32) (result i32)
+    (try (result i32)
+      (do (call $delegate-to-caller (local.get 0)) (i32.const 0))
+      (catch $e-i32 (i32.add (i32.const 5)))
+    )
+  )
+
+  (func (export "throw") (param i32) (throw $e-i32 (local.get 0)))
+
+  (func (export "trap-unreachable") (result i32)
+    (try (result i32) (do (unreachable)) (catch_all (i32.const 1)))
+  )
+  (func (export "trap-memory") (result i32)
+    (try (result i32) (do (i32.load (i32.const 65536))) (catch_all (i32.const 1)))
+  )
+  (func (export "trap-div") (param i32) (result i32)
+    (try (result i32) (do (i32.div_u (i32.const 1) (local.get 0))) (catch_all (i32.const 1)))
+  )
+  (func (export "trap-call") (result i32)
+    (try (result i32)
+      (do (drop (call 0 (i32.const 0))) (i32.load (i32.const 65536)))
+      (catch_all (i32.const 1))
+    )
+  )
+)
+
+(assert_return (invoke "empty-catch"))
+(assert_return (invoke "empty-catch-all"))
+(assert_return (invoke "no-handlers") (i32.const 1))
+
+(assert_return (invoke "catch-i32" (i32.const -3)) (i32.const -3))
+(assert_return (invoke "catch-i64" (i64.const 0x1234_5678_9abc_def0)) (i64.const 0x1234_5678_9abc_def0))
+(assert_return (invoke "catch-f32" (f32.const -1.5)) (f32.const -1.5))
+(assert_return (invoke "catch-f32" (f32.const nan:0x600000)) (f32.const nan:0x600000))
+(assert_return (invoke "catch-f64" (f64.const 0x1p-1074)) (f64.const 0x1p-1074))
+(assert_return (invoke "catch-f64" (f64.const -nan:0x8000000000004)) (f64.const -nan:0x8000000000004))
+(assert_return (invoke "catch-pair" (i32.const 1) (i64.const -2)) (i32.const 1) (i64.const -2))
+(assert_return (invoke "catch-ref") (i32.const 0))
+
+(assert_return (invoke "catch-order" (i32.const 0)) (i32.const 0))
+(assert_return (invoke "catch-order" (i32.const 1)) (i32.const 11))
+(assert_return (invoke "catch-order" (i32.const 2)) (i32.const 2))
+(assert_return (invoke "catch-order" (i32.const 3)) (i32.const 3))
+
+(assert_return (invoke "catch-from-call" (i32.const 0)) (i32.const 0))
+(assert_return (invoke "catch-from-call" (i32.const 9)) (i32.const 9))
+(assert_return (invoke "uncaught" (i32.const 0)) (i32.const 0))
+(assert_exception (invoke "uncaught" (i32.const 1)))
+
+(assert_return (invoke "try-param" (i32.const 4)) (i32.const 9))
+(assert_return (invoke "stack-kept" (i32.const 0)) (i32.const 105))
+(assert_return (invoke "stack-kept" (i32.const 3)) (i32.const 103))
+(assert_return (invoke "br-out-of-try" (i32.const 1)) (i32.const 7))
+(assert_return (invoke "br-out-of-try" (i32.const 0)) (i32.const 8))
+(assert_return (invoke "loop-in-try" (i32.const 5)) (i32.const 5))
+(assert_return (invoke "catch-in-loop" (i32.const 10)) (i32.const 10))
+
+(assert_return (invoke "rethrow" (i32.const 6)) (i32.const 6))
+(assert_return (invoke "rethrow-outer" (i32.const 7)) (i32.const 7))
+(assert_exception (invoke "rethrow-uncaught"))
+
+(assert_return (invoke "delegate-outer" (i32.const 10)) (i32.const 11))
+(assert_return (invoke "delegate-skips" (i32.const 10)) (i32.const 12))
+(assert_return (invoke "delegate-past-block" (i32.const 10)) (i32.const 13))
+(assert_return (invoke "delegate-from-catch" (i32.const 10)) (i32.const 14))
+(assert_return (invoke "delegate-caller" (i32.const 10)) (i32.const 15))
+
+(assert_exception (invoke "throw" (i32.const 0)))
+
+(assert_trap (invoke "trap-unreachable") "unreachable")
+(assert_trap (invoke "trap-memory") "out of bounds memory access")
+(assert_trap (invoke "trap-div" (i32.const 0)) "integer divide by zero")
+(assert_return (invoke "trap-div" (i32.const 1)) (i32.const 1))
+(assert_trap (invoke "trap-call") "out of bounds memory access")
+
+;; Tags from other instances
+
+(module $thrower
+  (memory 1)
+  (tag $e (export "e") (param i32))
+  (func (export "throw") (param i32) (throw $e (local.get 0)))
+)
+(register "thrower" $thrower)
+
+(module
+  (import "thrower" "e" (tag $e (param i32)))
+  (import "thrower" "throw" (func $throw (param i32)))
+  (memory 1)
+  (tag $local (param i32))
+
+  (func (export "catch-imported") (param i32) (result i32)
+    (try (result i32)
+      (do (call $throw (local.get 0)) (i32.const 0))
+      (catch $local (drop) (i32.const -1))
+      (catch $e)
+    )
+  )
+  (func (export "throw-imported") (param i32) (throw $e (local.get 0)))
+)
+
+(assert_return (invoke "catch-imported" (i32.const 3)) (i32.const 3))
+(assert_exception (invoke "throw-imported" (i32.const 3)))
+
+(assert_unlinkable
+  (module (import "thrower" "e" (tag (param i64))) (memory 1))
+  "incompatible import type"
+)
+(assert_unlinkable
+  (module (import "thrower" "throw" (tag (param i32))) (memory 1))
+  "incompatible import type"
+)
+
+;; Validation
+
+(assert_invalid
+  (module (func (throw 0)))
+  "unknown tag"
+)
+(assert_invalid
+  (module (tag (param i32)) (func (throw 0)))
+  "type mismatch"
+)
+(assert_invalid
+  (module (func (try (do (rethrow 0)))))
+  "invalid rethrow label"
+)
+(assert_invalid
+  (module (func (block (try (do) (catch_all (block (rethrow 0)))))))
+  "invalid rethrow label"
+)
+(assert_invalid
+  (module (func (try (do) (delegate 1))))
+  "unknown label"
+)
+(assert_invalid
+  (module (func (result i32) (try (result i32) (do (i32.const 0)) (catch_all))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (tag (param i64)) (func (result i32) (try (result i32) (do (i32.const 0)) (catch 0))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (tag (result i32)))
+  "non-empty tag result type"
+)
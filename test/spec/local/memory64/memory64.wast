@@ -0,0 +1,101 @@
+;; 64-bit memories: i64 addresses, sizes and offsets, with bounds
+;; checks that hold past 4 GiB instead of wrapping
+
+(module (memory i64 0))
+(module (memory i64 1 2))
+
+(module
+  (memory i64 1 3)
+  (data (i64.const 8) "abcdefgh")
+
+  (func (export "load8") (param i64) (result i32) (i32.load8_u (local.get 0)))
+  (func (export "load64") (param i64) (result i64) (i64.load (local.get 0)))
+  (func (export "load-offset") (param i64) (result i32)
+    (i32.load8_u offset=4294967296 (local.get 0))
+  )
+  (func (export "load-high-offset") (param i64) (result i32)
+    (i32.load8_u offset=0xffff_ffff_ffff_fff0 (local.get 0))
+  )
+  (func (export "store8") (param i64 i32) (i32.store8 (local.get 0) (local.get 1)))
+  (func (export "store-f64") (param i64 f64) (f64.store (local.get 0) (local.get 1)))
+  (func (export "load-f64") (param i64) (result f64) (f64.load (local.get 0)))
+
+  (func (export "size") (result i64) (memory.size))
+  (func (export "grow") (param i64) (result i64) (memory.grow (local.get 0)))
+
+  (func (export "fill") (param i64 i32 i64)
+    (memory.fill (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "copy") (param i64 i64 i64)
+    (memory.copy (local.get 0) (local.get 1) (local.get 2))
+  )
+)
+
+(assert_return (invoke "load8" (i64.const 8)) (i32.const 0x61))
+(assert_return (invoke "load64" (i64.const 8)) (i64.const 0x6867666564636261))
+(assert_return (invoke "load8" (i64.const 65535)) (i32.const 0))
+(assert_trap (invoke "load8" (i64.const 65536)) "out of bounds memory access")
+(assert_trap (invoke "load8" (i64.const 0x1_0000_0000)) "out of bounds memory access")
+(assert_trap (invoke "load8" (i64.const 0x1_0000_0008)) "out of bounds memory access")
+(assert_trap (invoke "load8" (i64.const -1)) "out of bounds memory access")
+(assert_trap (invoke "load64" (i64.const 65532)) "out of bounds memory access")
+(assert_trap (invoke "load-offset" (i64.const 8)) "out of bounds memory access")
+(assert_trap (invoke "load-high-offset" (i64.const 0x18)) "out of bounds memory access")
+(assert_trap (invoke "load-high-offset" (i64.const 0)) "out of bounds memory access")
+
+(assert_return (invoke "store8" (i64.const 100) (i32.const 0x7f)))
+(assert_return (invoke "load8" (i64.const 100)) (i32.const 0x7f))
+(assert_trap (invoke "store8" (i64.const 0x1_0000_0064) (i32.const 1)) "out of bounds memory access")
+(assert_return (invoke "load8" (i64.const 100)) (i32.const 0x7f))
+(assert_return (invoke "store-f64" (i64.const 200) (f64.const -2.5)))
+(assert_return (invoke "load-f64" (i64.const 200)) (f64.const -2.5))
+
+(assert_return (invoke "size") (i64.const 1))
+(assert_return (invoke "grow" (i64.const 1)) (i64.const 1))
+(assert_return (invoke "size") (i64.const 2))
+(assert_return (invoke "load8" (i64.const 65536)) (i32.const 0))
+(assert_return (invoke "grow" (i64.const 2)) (i64.const -1))
+(assert_return (invoke "grow" (i64.const 0x1_0000_0001)) (i64.const -1))
+(assert_return (invoke "size") (i64.const 2))
+
+(assert_return (invoke "fill" (i64.const 300) (i32.const 0x11) (i64.const 3)))
+(assert_return (invoke "load8" (i64.const 302)) (i32.const 0x11))
+(assert_return (invoke "load8" (i64.const 303)) (i32.const 0))
+(assert_trap (invoke "fill" (i64.const 0x1_0000_0000) (i32.const 0) (i64.const 0)) "out of bounds memory access")
+(assert_trap (invoke "fill" (i64.const 0) (i32.const 0) (i64.const 0x1_0000_0000)) "out of bounds memory access")
+
+(assert_return (invoke "copy" (i64.const 400) (i64.const 8) (i64.const 8)))
+(assert_return (invoke "load64" (i64.const 400)) (i64.const 0x6867666564636261))
+(assert_trap (invoke "copy" (i64.const 0) (i64.const -8) (i64.const 8)) "out of bounds memory access")
+(assert_return (invoke "copy" (i64.const 131072) (i64.const 0) (i64.const 0)))
+
+;; A 32-bit memory alongside, copied into from the 64-bit one
+(module
+  (memory $m64 i64 1)
+  (memory $m32 1)
+  (data (memory $m64) (i64.const 0) "wasm")
+
+  (func (export "copy-to-32") (param i32 i64 i32)
+    (memory.copy $m32 $m64 (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "load32") (param i32) (result i32) (i32.load8_u $m32 (local.get 0)))
+  (func (export "size32") (result i32) (memory.size $m32))
+)
+
+(assert_return (invoke "copy-to-32" (i32.const 10) (i64.const 0) (i32.const 4)))
+(assert_return (invoke "load32" (i32.const 13)) (i32.const 0x6d))
+(assert_trap (invoke "copy-to-32" (i32.const 0) (i64.const 0x1_0000_0000) (i32.const 1)) "out of bounds memory access")
+(assert_return (invoke "size32") (i32.const 1))
+
+(assert_invalid
+  (module (memory i64 1) (func (drop (i32.load (i32.const 0)))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (memory i64 1) (func (drop (i32.add (memory.size) (i32.const 0)))))
+  "type mismatch"
+)
+(assert_invalid
+  (module (memory i64 1) (data (i32.const 0) "a"))
+  "type mismatch"
+)
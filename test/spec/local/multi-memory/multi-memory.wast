@@ -0,0 +1,182 @@
+;; Multiple memories: accesses, sizes and bulk operations on each,
+;; copies between them, and imports alongside defined ones
+
+(module (memory 0) (memory 0))
+(module (memory 1) (memory 0 2) (memory 3))
+
+;; No memory at all
+(module
+  (func (export "add") (param i32 i32) (result i32)
+    (i32.add (local.get 0) (local.get 1))
+  )
+)
+(assert_return (invoke "add" (i32.const 2) (i32.const 3)) (i32.const 5))
+(assert_invalid
+  (module (func (drop (i32.load (i32.const 0)))))
+  "unknown memory 0"
+)
+
+(module $mem
+  (memory $m0 1)
+  (memory $m1 1 2)
+  (memory $m2 0)
+
+  (data (memory $m0) (i32.const 0) "abcd")
+  (data $wxyz "wxyz")
+  (data $passive "0123")
+
+  ;; Active segments for memories past the first are left out here, as
+  ;; wabt drops their memory index when encoding them
+  (func $start
+    (memory.init $m1 $wxyz (i32.const 0) (i32.const 0) (i32.const 4))
+  )
+  (start $start)
+
+  (func (export "load0") (param i32) (result i32) (i32.load8_u $m0 (local.get 0)))
+  (func (export "load1") (param i32) (result i32) (i32.load8_u $m1 (local.get 0)))
+  (func (export "load2") (param i32) (result i32) (i32.load8_u $m2 (local.get 0)))
+  (func (export "load1-i64") (param i32) (result i64) (i64.load $m1 offset=1 (local.get 0)))
+  (func (export "load1-f32") (param i32) (result f32) (f32.load $m1 (local.get 0)))
+
+  (func (export "store0") (param i32 i32) (i32.store8 $m0 (local.get 0) (local.get 1)))
+  (func (export "store1") (param i32 i32) (i32.store8 $m1 (local.get 0) (local.get 1)))
+  (func (export "store2") (param i32 i32) (i32.store8 $m2 (local.get 0) (local.get 1)))
+  (func (export "store1-i64") (param i32 i64) (i64.store $m1 (local.get 0) (local.get 1)))
+
+  (func (export "size0") (result i32) (memory.size $m0))
+  (func (export "size1") (result i32) (memory.size $m1))
+  (func (export "size2") (result i32) (memory.size $m2))
+  (func (export "grow1") (param i32) (result i32) (memory.grow $m1 (local.get 0)))
+  (func (export "grow2") (param i32) (result i32) (memory.grow $m2 (local.get 0)))
+
+  (func (export "copy-0-1") (param i32 i32 i32)
+    (memory.copy $m1 $m0 (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "copy-1-1") (param i32 i32 i32)
+    (memory.copy $m1 $m1 (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "fill2") (param i32 i32 i32)
+    (memory.fill $m2 (local.get 0) (local.get 1) (local.get 2))
+  )
+  (func (export "init1") (param i32 i32 i32)
+    (memory.init $m1 $passive (local.get 0) (local.get 1) (local.get 2))
+  )
+
+  ;; Growing one memory leaves the others' views in place
+  (func (export "grow-then-load") (result i32)
+    (drop (memory.grow $m2 (i32.const 1)))
+    (i32.store8 $m2 (i32.const 100) (i32.const 7))
+    (i32.add
+      (i32.load8_u $m0 (i32.const 0))
+      (i32.load8_u $m2 (i32.const 100))
+    )
+  )
+)
+
+(assert_return (invoke "load0" (i32.const 0)) (i32.const 0x61))
+(assert_return (invoke "load1" (i32.const 0)) (i32.const 0x77))
+(assert_return (invoke "load1" (i32.const 3)) (i32.const 0x7a))
+(assert_return (invoke "load1-i64" (i32.const 0)) (i64.const 0x7a7978))
+(assert_trap (invoke "load2" (i32.const 0)) "out of bounds memory access")
+
+(assert_return (invoke "store0" (i32.const 5) (i32.const 0x42)))
+(assert_return (invoke "load0" (i32.const 5)) (i32.const 0x42))
+(assert_return (invoke "load1" (i32.const 5)) (i32.const 0))
+(assert_return (invoke "store1-i64" (i32.const 8) (i64.const 0x3fc00000_01020304)))
+(assert_return (invoke "load1-f32" (i32.const 12)) (f32.const 1.5))
+(assert_return (invoke "load0" (i32.const 12)) (i32.const 0))
+(assert_trap (invoke "store1" (i32.const 65536) (i32.const 1)) "out of bounds memory access")
+(assert_trap (invoke "store2" (i32.const 0) (i32.const 1)) "out of bounds memory access")
+
+(assert_return (invoke "size0") (i32.const 1))
+(assert_return (invoke "size1") (i32.const 1))
+(assert_return (invoke "size2") (i32.const 0))
+(assert_return (invoke "grow1" (i32.const 1)) (i32.const 1))
+(assert_return (invoke "grow1" (i32.const 1)) (i32.const -1))
+(assert_return (invoke "size1") (i32.const 2))
+(assert_return (invoke "size0") (i32.const 1))
+(assert_return (invoke "store1" (i32.const 65536) (i32.const 1)))
+(assert_return (invoke "load1" (i32.const 65536)) (i32.const 1))
+(assert_trap (invoke "load0" (i32.const 65536)) "out of bounds memory access")
+
+(assert_return (invoke "copy-0-1" (i32.const 16) (i32.const 0) (i32.const 4)))
+(assert_return (invoke "load1" (i32.const 16)) (i32.const 0x61))
+(assert_return (invoke "load1" (i32.const 19)) (i32.const 0x64))
+(assert_return (invoke "copy-1-1" (i32.const 1) (i32.const 0) (i32.const 3)))
+(assert_return (invoke "load1" (i32.const 3)) (i32.const 0x79))
+(assert_trap (invoke "copy-0-1" (i32.const 0) (i32.const 65535) (i32.const 2)) "out of bounds memory access")
+(assert_return (invoke "copy-0-1" (i32.const 131072) (i32.const 65536) (i32.const 0)))
+
+(assert_trap (invoke "fill2" (i32.const 0) (i32.const 1) (i32.const 1)) "out of bounds memory access")
+(assert_return (invoke "grow2" (i32.const 1)) (i32.const 0))
+(assert_return (invoke "fill2" (i32.const 10) (i32.const 0x55) (i32.const 2)))
+(assert_return (invoke "load2" (i32.const 11)) (i32.const 0x55))
+(assert_return (invoke "load2" (i32.const 12)) (i32.const 0))
+
+(assert_return (invoke "init1" (i32.const 32) (i32.const 1) (i32.const 3)))
+(assert_return (invoke "load1" (i32.const 32)) (i32.const 0x31))
+(assert_return (invoke "load0" (i32.const 32)) (i32.const 0))
+(assert_trap (invoke "init1" (i32.const 0) (i32.const 2) (i32.const 3)) "out of bounds memory access")
+
+(assert_return (invoke "grow-then-load") (i32.const 0x68))
+(assert_return (invoke "size2") (i32.const 2))
+
+;; Memories from other instances
+
+(module $exporter
+  (memory (export "a") 1)
+  (memory $b (export "b") 1)
+  (func (export "grow-b") (param i32) (result i32) (memory.grow $b (local.get 0)))
+  (func $start (i32.store8 $b (i32.const 0) (i32.const 0x2a)))
+  (start $start)
+)
+(register "exporter" $exporter)
+
+(module
+  (import "exporter" "b" (memory $b 1))
+  (import "exporter" "a" (memory $a 1))
+  (import "exporter" "grow-b" (func $grow (param i32) (result i32)))
+  (memory $own 1)
+
+  (func (export "load-b") (param i32) (result i32) (i32.load8_u $b (local.get 0)))
+  (func (export "load-a") (param i32) (result i32) (i32.load8_u $a (local.get 0)))
+  (func (export "size-own") (result i32) (memory.size $own))
+
+  ;; The other instance grows the memory under us
+  (func (export "grow-b-and-store") (result i32)
+    (drop (call $grow (i32.const 1)))
+    (i32.store8 $b (i32.const 65536) (i32.const 9))
+    (i32.load8_u $b (i32.const 65536))
+  )
+)
+
+(assert_return (invoke "load-b" (i32.const 0)) (i32.const 0x2a))
+(assert_return (invoke "load-a" (i32.const 0)) (i32.const 0))
+(assert_return (invoke "size-own") (i32.const 1))
+(assert_return (invoke "grow-b-and-store") (i32.const 9))
+
+(assert_unlinkable
+  (module (import "exporter" "a" (memory 2)))
+  "incompatible import type"
+)
+
+(assert_invalid
+  (module (memory 1) (func (drop (i32.load 1 (i32.const 0)))))
+  "unknown memory 1"
+)
+(assert_invalid
+  (module (memory 1) (func (drop (memory.size 1))))
+  "unknown memory 1"
+)
+(assert_invalid
+  (module (memory 1) (func (memory.copy 0 1 (i32.const 0) (i32.const 0) (i32.const 0))))
+  "unknown memory 1"
+)
+(assert_invalid
+  (module binary
+    "\00asm" "\01\00\00\00"
+    "\05\03\01\00\01"          ;; Memory section
+    "\0b\07\01\02\01"          ;; Data section, active in memory 1
+    "\41\00\0b\00"             ;; (i32.const 0), no bytes
+  )
+  "unknown memory 1")
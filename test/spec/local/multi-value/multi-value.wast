@@ -0,0 +1,130 @@
+;; Blocks, functions and calls with multiple params and results
+
+(module $M
+  (type $pair (func (param i32 i64) (result i64 i32)))
+
+  (func (export "swap") (type $pair)
+    (local.get 1) (local.get 0))
+  (func (export "f32-f64") (result f32 f64)
+    (f32.const 1.5) (f64.const -2.25))
+  (func (export "none-then-many") (result i32 i32 i32)
+    (nop) (i32.const 1) (i32.const 2) (i32.const 3))
+)
+(register "M" $M)
+
+(assert_return (invoke "swap" (i32.const 1) (i64.const -2)) (i64.const -2) (i32.const 1))
+(assert_return (invoke "swap" (i32.const -1) (i64.const 0x1234_5678_9abc_def0))
+  (i64.const 0x1234_5678_9abc_def0) (i32.const -1))
+(assert_return (invoke "f32-f64") (f32.const 1.5) (f64.const -2.25))
+(assert_return (invoke "none-then-many") (i32.const 1) (i32.const 2) (i32.const 3))
+
+(module
+  (type $pair (func (param i32 i64) (result i64 i32)))
+  (type $i32-i32 (func (param i32) (result i32 i32)))
+  (import "M" "swap" (func $imported (type $pair)))
+  (table funcref (elem $swap $dup))
+
+  (func $swap (type $pair) (local.get 1) (local.get 0))
+  (func $dup (param i32) (result i32 i32) (local.get 0) (local.get 0))
+
+  ;; Blocks take params from the stack and leave several results
+  (func (export "block") (param i32 i32) (result i32 i32)
+    (local.get 0) (local.get 1)
+    (block (param i32 i32) (result i32 i32)
+      (i32.add (i32.const 1))))
+  (func (export "block-sub") (param i32 i32) (result i32)
+    (local.get 0) (local.get 1)
+    (block (param i32 i32) (result i32) (i32.sub)))
+
+  ;; Branches carry all the label's values
+  (func (export "br") (param i32) (result i32 i64)
+    (block (result i32 i64)
+      (i32.const 1) (i64.const 2)
+      (br_if 0 (local.get 0))
+      (drop) (drop)
+      (i32.const 3) (i64.const 4)))
+  (func (export "br_table") (param i32) (result i32 i32)
+    (block (result i32 i32)
+      (block (result i32 i32)
+        (i32.const 10) (i32.const 20)
+        (br_table 0 1 (local.get 0)))
+      (i32.add) (i32.const 0)))
+
+  ;; Ifs take params too
+  (func (export "if") (param i32 i32 i32) (result i32 i32)
+    (local.get 1) (local.get 2)
+    (if (param i32 i32) (result i32 i32) (local.get 0)
+      (then)
+      (else (local.set 1) (local.set 2) (local.get 1) (local.get 2))))
+
+  ;; Loop params are what a branch back to it takes
+  (func (export "fac") (param i64) (result i64)
+    (i64.const 1) (local.get 0)
+    (loop $l (param i64 i64) (result i64)
+      (call $pick1) (call $pick1) (i64.mul)
+      (call $pick1) (i64.const 1) (i64.sub)
+      (call $pick0) (i64.const 0) (i64.gt_u)
+      (br_if $l)
+      (drop) (return)))
+  (func $pick0 (param i64) (result i64 i64)
+    (local.get 0) (local.get 0))
+  (func $pick1 (param i64 i64) (result i64 i64 i64)
+    (local.get 0) (local.get 1) (local.get 0))
+
+  ;; Calls, indirect calls and imports with several results
+  (func (export "call") (param i32 i64) (result i64 i32)
+    (call $swap (local.get 0) (local.get 1)))
+  (func (export "call-sum") (param i32) (result i32)
+    (call $dup (local.get 0)) (i32.add))
+  (func (export "call_indirect") (param i32 i64) (result i64 i32)
+    (call_indirect (type $pair) (local.get 0) (local.get 1) (i32.const 0)))
+  (func (export "call_indirect-dup") (param i32) (result i32 i32)
+    (call_indirect (type $i32-i32) (local.get 0) (i32.const 1)))
+  (func (export "call-import") (param i32 i64) (result i64 i32)
+    (call $imported (local.get 0) (local.get 1)))
+
+  ;; Returning several values from inside blocks
+  (func (export "return") (param i32) (result i32 i64 f64)
+    (block
+      (i32.const 1) (i64.const 2) (f64.const 3)
+      (br_if 1 (local.get 0))
+      (drop) (drop) (drop))
+    (i32.const 4) (i64.const 5) (f64.const 6) (return))
+)
+
+(assert_return (invoke "block" (i32.const 1) (i32.const 2)) (i32.const 1) (i32.const 3))
+(assert_return (invoke "block-sub" (i32.const 10) (i32.const 3)) (i32.const 7))
+(assert_return (invoke "br" (i32.const 1)) (i32.const 1) (i64.const 2))
+(assert_return (invoke "br" (i32.const 0)) (i32.const 3) (i64.const 4))
+(assert_return (invoke "br_table" (i32.const 0)) (i32.const 30) (i32.const 0))
+(assert_return (invoke "br_table" (i32.const 1)) (i32.const 10) (i32.const 20))
+(assert_return (invoke "br_table" (i32.const 9)) (i32.const 10) (i32.const 20))
+(assert_return (invoke "if" (i32.const 1) (i32.const 2) (i32.const 3)) (i32.const 2) (i32.const 3))
+(assert_return (invoke "if" (i32.const 0) (i32.const 2) (i32.const 3)) (i32.const 3) (i32.const 2))
+(assert_return (invoke "fac" (i64.const 1)) (i64.const 1))
+(assert_return (invoke "fac" (i64.const 5)) (i64.const 120))
+(assert_return (invoke "fac" (i64.const 25)) (i64.const 7034535277573963776))
+(assert_return (invoke "call" (i32.const 7) (i64.const -8)) (i64.const -8) (i32.const 7))
+(assert_return (invoke "call-sum" (i32.const 21)) (i32.const 42))
+(assert_return (invoke "call_indirect" (i32.const 7) (i64.const 0x1_0000_0000))
+  (i64.const 0x1_0000_0000) (i32.const 7))
+(assert_return (invoke "call_indirect-dup" (i32.const 5)) (i32.const 5) (i32.const 5))
+(assert_return (invoke "call-import" (i32.const 7) (i64.const -1)) (i64.const -1) (i32.const 7))
+(assert_return (invoke "return" (i32.const 1)) (i32.const 1) (i64.const 2) (f64.const 3))
+(assert_return (invoke "return" (i32.const 0)) (i32.const 4) (i64.const 5) (f64.const 6))
+
+;; Importing with the wrong results doesn't link
+(assert_unlinkable
+  (module (import "M" "swap" (func (param i32 i64) (result i32 i64))))
+  "incompatible import type")
+
+(assert_invalid
+  (module (func (result i32 i32) (i32.const 0)))
+  "type mismatch")
+(assert_invalid
+  (module (func (result i32)
+    (block (result i32 i32) (i32.const 0) (i32.const 1)) (drop) (drop) (i32.const 0) (drop)))
+  "type mismatch")
+(assert_invalid
+  (module (func (param i32) (block (param i32 i32) (drop) (drop))))
+  "type mismatch")
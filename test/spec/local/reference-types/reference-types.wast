@@ -0,0 +1,187 @@
+;; Reference values, table instructions and multiple tables
+
+(module $M
+  (func $f (export "f") (result i32) (i32.const 42))
+  (func $g (export "g") (result i32) (i32.const 7))
+  (table $t (export "table") 2 funcref)
+  (global $ext (export "ext") (mut externref) (ref.null extern))
+  (global $fn (export "fn") (mut funcref) (ref.func $f))
+)
+(register "M" $M)
+
+(assert_return (get "ext") (ref.null extern))
+
+(module
+  (import "M" "ext" (global $imported-ext (mut externref)))
+  (import "M" "fn" (global $imported-fn (mut funcref)))
+  (import "M" "table" (table $imported 2 funcref))
+  (type $ret-i32 (func (result i32)))
+  (table $funcs 3 funcref)
+  (table $externs 2 externref)
+  (elem (table $funcs) (i32.const 0) func $one $two)
+  (elem declare func $three)
+  (global $local-fn (mut funcref) (ref.null func))
+
+  (func $one (type $ret-i32) (i32.const 1))
+  (func $two (type $ret-i32) (i32.const 2))
+  (func $three (type $ret-i32) (i32.const 3))
+
+  ;; Null references and checks
+  (func (export "null-extern") (result externref) (ref.null extern))
+  (func (export "null-func") (result funcref) (ref.null func))
+  (func (export "is-null-extern") (param externref) (result i32)
+    (ref.is_null (local.get 0)))
+  (func (export "is-null-func") (param funcref) (result i32)
+    (ref.is_null (local.get 0)))
+  (func (export "ref-func") (result funcref) (ref.func $three))
+
+  ;; Externrefs flow through locals, stack vars and globals as they are
+  (func (export "identity") (param externref) (result externref)
+    (local externref)
+    (local.set 1 (local.get 0))
+    (local.get 1))
+  (func (export "select") (param externref externref i32) (result externref)
+    (select (result externref) (local.get 0) (local.get 1) (local.get 2)))
+  (func (export "set-ext") (param externref)
+    (global.set $imported-ext (local.get 0)))
+  (func (export "get-ext") (result externref)
+    (global.get $imported-ext))
+
+  ;; Funcref globals
+  (func (export "call-global") (result i32)
+    (table.set $funcs (i32.const 2) (global.get $imported-fn))
+    (call_indirect $funcs (type $ret-i32) (i32.const 2)))
+  (func (export "set-global-fn") (result i32)
+    (global.set $local-fn (ref.func $three))
+    (table.set $funcs (i32.const 2) (global.get $local-fn))
+    (call_indirect $funcs (type $ret-i32) (i32.const 2)))
+  (func (export "global-fn-is-null") (result i32)
+    (ref.is_null (global.get $local-fn)))
+
+  ;; Table instructions
+  (func (export "get-extern") (param i32) (result externref)
+    (table.get $externs (local.get 0)))
+  (func (export "set-extern") (param i32 externref)
+    (table.set $externs (local.get 0) (local.get 1)))
+  (func (export "size-funcs") (result i32) (table.size $funcs))
+  (func (export "size-externs") (result i32) (table.size $externs))
+  (func (export "grow-externs") (param i32 externref) (result i32)
+    (table.grow $externs (local.get 1) (local.get 0)))
+  (func (export "fill-externs") (param i32 externref i32)
+    (table.fill $externs (local.get 0) (local.get 1) (local.get 2)))
+  (func (export "get-func-is-null") (param i32) (result i32)
+    (ref.is_null (table.get $funcs (local.get 0))))
+  (func (export "set-func") (param i32)
+    (table.set $funcs (local.get 0) (ref.func $three)))
+  (func (export "call-funcs") (param i32) (result i32)
+    (call_indirect $funcs (type $ret-i32) (local.get 0)))
+
+  ;; Tables imported or defined, called through by index
+  (func (export "copy-imported") (param i32 i32)
+    (table.copy $imported $funcs (local.get 0) (local.get 1) (i32.const 1)))
+  (func (export "set-imported") (param i32 funcref)
+    (table.set $imported (local.get 0) (local.get 1)))
+  (func (export "call-imported") (param i32) (result i32)
+    (call_indirect $imported (type $ret-i32) (local.get 0)))
+)
+
+(assert_return (invoke "null-extern") (ref.null extern))
+(assert_return (invoke "null-func") (ref.null func))
+(assert_return (invoke "is-null-extern" (ref.null extern)) (i32.const 1))
+(assert_return (invoke "is-null-extern" (ref.extern 1)) (i32.const 0))
+(assert_return (invoke "is-null-func" (ref.null func)) (i32.const 1))
+(assert_return (invoke "ref-func") (ref.func))
+
+(assert_return (invoke "identity" (ref.extern 1)) (ref.extern 1))
+(assert_return (invoke "identity" (ref.null extern)) (ref.null extern))
+(assert_return (invoke "select" (ref.extern 1) (ref.extern 2) (i32.const 1)) (ref.extern 1))
+(assert_return (invoke "select" (ref.extern 1) (ref.extern 2) (i32.const 0)) (ref.extern 2))
+(assert_return (invoke "set-ext" (ref.extern 3)))
+(assert_return (invoke "get-ext") (ref.extern 3))
+(assert_return (get $M "ext") (ref.extern 3))
+
+(assert_return (invoke "call-global") (i32.const 42))
+(assert_return (invoke "global-fn-is-null") (i32.const 1))
+(assert_return (invoke "set-global-fn") (i32.const 3))
+(assert_return (invoke "global-fn-is-null") (i32.const 0))
+
+(assert_return (invoke "get-extern" (i32.const 0)) (ref.null extern))
+(assert_return (invoke "set-extern" (i32.const 1) (ref.extern 4)))
+(assert_return (invoke "get-extern" (i32.const 1)) (ref.extern 4))
+(assert_trap (invoke "get-extern" (i32.const 2)) "out of bounds table access")
+(assert_trap (invoke "set-extern" (i32.const 2) (ref.null extern)) "out of bounds table access")
+(assert_return (invoke "size-funcs") (i32.const 3))
+(assert_return (invoke "size-externs") (i32.const 2))
+(assert_return (invoke "grow-externs" (i32.const 3) (ref.extern 5)) (i32.const 2))
+(assert_return (invoke "size-externs") (i32.const 5))
+(assert_return (invoke "get-extern" (i32.const 4)) (ref.extern 5))
+(assert_return (invoke "grow-externs" (i32.const 0xffff_ffff) (ref.null extern)) (i32.const -1))
+(assert_return (invoke "fill-externs" (i32.const 1) (ref.extern 6) (i32.const 3)))
+(assert_return (invoke "get-extern" (i32.const 0)) (ref.null extern))
+(assert_return (invoke "get-extern" (i32.const 3)) (ref.extern 6))
+(assert_return (invoke "get-extern" (i32.const 4)) (ref.extern 5))
+(assert_return (invoke "fill-externs" (i32.const 5) (ref.null extern) (i32.const 0)))
+(assert_trap (invoke "fill-externs" (i32.const 4) (ref.null extern) (i32.const 2)) "out of bounds table access")
+
+(assert_return (invoke "get-func-is-null" (i32.const 0)) (i32.const 0))
+(assert_return (invoke "call-funcs" (i32.const 1)) (i32.const 2))
+(assert_return (invoke "set-func" (i32.const 0)))
+(assert_return (invoke "call-funcs" (i32.const 0)) (i32.const 3))
+
+(assert_trap (invoke "call-imported" (i32.const 0)) "uninitialized element")
+(assert_return (invoke "copy-imported" (i32.const 0) (i32.const 1)))
+(assert_return (invoke "call-imported" (i32.const 0)) (i32.const 2))
+(assert_return (invoke "set-imported" (i32.const 1) (ref.null func)))
+(assert_trap (invoke "call-imported" (i32.const 1)) "uninitialized element")
+
+;; Exported funcrefs can be passed back in, and called
+(module
+  (type $ret-i32 (func (result i32)))
+  (import "M" "f" (func $f (result i32)))
+  (table $t 1 funcref)
+  (elem declare func $f)
+  (func (export "get-f") (result funcref) (ref.func $f))
+  (func (export "call") (param funcref) (result i32)
+    (table.set $t (i32.const 0) (local.get 0))
+    (call_indirect $t (type $ret-i32) (i32.const 0)))
+  (func (export "call-own") (result i32)
+    (call_indirect $t (type $ret-i32)
+      (table.set $t (i32.const 0) (ref.func $f))
+      (i32.const 0)))
+)
+
+(assert_return (invoke "get-f") (ref.func))
+(assert_return (invoke "call-own") (i32.const 42))
+(assert_trap (invoke "call" (ref.null func)) "uninitialized element")
+
+;; Tables of the wrong element type don't link
+(assert_unlinkable
+  (module (import "M" "table" (table 2 externref)))
+  "incompatible import type")
+
+(assert_invalid
+  (module (func (result i32) (ref.is_null (i32.const 0))))
+  "type mismatch")
+(assert_invalid
+  (module (table 1 externref) (func (table.set 0 (i32.const 0) (ref.null func))))
+  "type mismatch")
+(assert_invalid
+  (module (table 1 externref) (func (result i32) (call_indirect (i32.const 0))))
+  "type mismatch")
+(assert_invalid
+  (module (func (result funcref) (ref.func 0)))
+  "undeclared function reference")
+(assert_invalid
+  (module (table 1 funcref) (func (table.get 1 (i32.const 0)) (drop)))
+  "unknown table")
+(assert_invalid
+  (module (func (param externref externref i32) (result externref)
+    (select (local.get 0) (local.get 1) (local.get 2))))
+  "type mismatch")
+(assert_invalid
+  (module (table 1 funcref) (table 1 externref)
+    (func (table.copy 0 1 (i32.const 0) (i32.const 0) (i32.const 0))))
+  "type mismatch")
+(assert_invalid
+  (module (table 1 externref) (elem (table 0) (i32.const 0) func 0) (func))
+  "type mismatch")
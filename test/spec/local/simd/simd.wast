@@ -0,0 +1,394 @@
+;; 128-bit SIMD: v128 values, lane operations, and memory accesses
+;;
+;; v128s can't be passed to or from JS, so vectors are taken and
+;; returned as pairs of i64s, low half first, or as lanes of floats.
+
+(module
+  (memory 1)
+  (data (i32.const 0) "\00\01\02\03\04\05\06\07\08\09\0a\0b\0c\0d\0e\0f\f0\f1\f2\f3\f4\f5\f6\f7\f8\f9\fa\fb\fc\fd\fe\ff")
+
+  (global $g (mut v128) (v128.const i32x4 1 2 3 4))
+
+  (func $v (param i64 i64) (result v128)
+    (i64x2.replace_lane 1 (i64x2.splat (local.get 0)) (local.get 1)))
+  (func $out (param v128) (result i64 i64)
+    (i64x2.extract_lane 0 (local.get 0))
+    (i64x2.extract_lane 1 (local.get 0)))
+  (func $f4 (param f32 f32 f32 f32) (result v128)
+    (f32x4.replace_lane 3
+      (f32x4.replace_lane 2
+        (f32x4.replace_lane 1 (f32x4.splat (local.get 0)) (local.get 1))
+        (local.get 2))
+      (local.get 3)))
+  (func $f4out (param v128) (result f32 f32 f32 f32)
+    (f32x4.extract_lane 0 (local.get 0))
+    (f32x4.extract_lane 1 (local.get 0))
+    (f32x4.extract_lane 2 (local.get 0))
+    (f32x4.extract_lane 3 (local.get 0)))
+
+  (func (export "const") (result i64 i64)
+    (call $out (v128.const i8x16 1 2 3 4 5 6 7 8 -1 -2 -3 -4 -5 -6 -7 -8)))
+  (func (export "const.f64") (result f64 f64)
+    (f64x2.extract_lane 0 (v128.const f64x2 1.5 -0x1p-1074))
+    (f64x2.extract_lane 1 (v128.const f64x2 1.5 -0x1p-1074)))
+  (func (export "local") (result i64 i64)
+    (local v128)
+    (call $out (local.get 0)))
+  (func (export "global") (result i64 i64)
+    (global.set $g (i32x4.add (global.get $g) (global.get $g)))
+    (call $out (global.get $g)))
+
+  (func (export "load") (param i32) (result i64 i64)
+    (call $out (v128.load (local.get 0))))
+  (func (export "load.offset") (param i32) (result i64 i64)
+    (call $out (v128.load offset=16 align=1 (local.get 0))))
+  (func (export "store") (param i32 i64 i64)
+    (v128.store (local.get 0) (call $v (local.get 1) (local.get 2))))
+  (func (export "load8x8_s") (param i32) (result i64 i64)
+    (call $out (v128.load8x8_s (local.get 0))))
+  (func (export "load16x4_u") (param i32) (result i64 i64)
+    (call $out (v128.load16x4_u (local.get 0))))
+  (func (export "load32x2_s") (param i32) (result i64 i64)
+    (call $out (v128.load32x2_s (local.get 0))))
+  (func (export "load8_splat") (param i32) (result i64 i64)
+    (call $out (v128.load8_splat (local.get 0))))
+  (func (export "load32_zero") (param i32) (result i64 i64)
+    (call $out (v128.load32_zero (local.get 0))))
+  (func (export "load16_lane") (param i32 i64 i64) (result i64 i64)
+    (call $out (v128.load16_lane 5 (local.get 0) (call $v (local.get 1) (local.get 2)))))
+  (func (export "store64_lane") (param i32 i64 i64)
+    (v128.store64_lane 1 (local.get 0) (call $v (local.get 1) (local.get 2))))
+
+  (func (export "i8x16.extract_lane_s") (param i64 i64) (result i32)
+    (i8x16.extract_lane_s 9 (call $v (local.get 0) (local.get 1))))
+  (func (export "i8x16.extract_lane_u") (param i64 i64) (result i32)
+    (i8x16.extract_lane_u 9 (call $v (local.get 0) (local.get 1))))
+  (func (export "i16x8.replace_lane") (param i64 i64 i32) (result i64 i64)
+    (call $out (i16x8.replace_lane 2 (call $v (local.get 0) (local.get 1)) (local.get 2))))
+  (func (export "i8x16.splat") (param i32) (result i64 i64)
+    (call $out (i8x16.splat (local.get 0))))
+
+  (func (export "i8x16.shuffle") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.shuffle 31 0 30 1 29 2 28 3 27 4 26 5 25 6 24 7
+      (call $v (local.get 0) (local.get 1))
+      (call $v (local.get 2) (local.get 3)))))
+  (func (export "i8x16.swizzle") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.swizzle
+      (call $v (local.get 0) (local.get 1))
+      (call $v (local.get 2) (local.get 3)))))
+
+  (func (export "v128.bitselect") (param i64 i64 i64 i64 i64 i64) (result i64 i64)
+    (call $out (v128.bitselect
+      (call $v (local.get 0) (local.get 1))
+      (call $v (local.get 2) (local.get 3))
+      (call $v (local.get 4) (local.get 5)))))
+  (func (export "v128.any_true") (param i64 i64) (result i32)
+    (v128.any_true (call $v (local.get 0) (local.get 1))))
+  (func (export "i16x8.all_true") (param i64 i64) (result i32)
+    (i16x8.all_true (call $v (local.get 0) (local.get 1))))
+  (func (export "i8x16.bitmask") (param i64 i64) (result i32)
+    (i8x16.bitmask (call $v (local.get 0) (local.get 1))))
+  (func (export "i8x16.popcnt") (param i64 i64) (result i64 i64)
+    (call $out (i8x16.popcnt (call $v (local.get 0) (local.get 1)))))
+
+  (func (export "i8x16.add") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.add (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i8x16.add_sat_s") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.add_sat_s (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i16x8.sub_sat_u") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i16x8.sub_sat_u (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i16x8.mul") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i16x8.mul (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i16x8.q15mulr_sat_s") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i16x8.q15mulr_sat_s (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i32x4.mul") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i32x4.mul (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i64x2.mul") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i64x2.mul (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i64x2.sub") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i64x2.sub (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i8x16.min_u") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.min_u (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i32x4.max_s") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i32x4.max_s (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i8x16.avgr_u") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.avgr_u (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i8x16.abs") (param i64 i64) (result i64 i64)
+    (call $out (i8x16.abs (call $v (local.get 0) (local.get 1)))))
+  (func (export "i64x2.neg") (param i64 i64) (result i64 i64)
+    (call $out (i64x2.neg (call $v (local.get 0) (local.get 1)))))
+  (func (export "i32x4.dot_i16x8_s") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i32x4.dot_i16x8_s (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+
+  (func (export "i8x16.eq") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.eq (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i16x8.lt_u") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i16x8.lt_u (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i64x2.gt_s") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i64x2.gt_s (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+
+  (func (export "i8x16.shl") (param i64 i64 i32) (result i64 i64)
+    (call $out (i8x16.shl (call $v (local.get 0) (local.get 1)) (local.get 2))))
+  (func (export "i16x8.shr_s") (param i64 i64 i32) (result i64 i64)
+    (call $out (i16x8.shr_s (call $v (local.get 0) (local.get 1)) (local.get 2))))
+  (func (export "i64x2.shr_u") (param i64 i64 i32) (result i64 i64)
+    (call $out (i64x2.shr_u (call $v (local.get 0) (local.get 1)) (local.get 2))))
+
+  (func (export "i8x16.narrow_i16x8_s") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i8x16.narrow_i16x8_s (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i16x8.narrow_i32x4_u") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i16x8.narrow_i32x4_u (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i16x8.extend_high_i8x16_s") (param i64 i64) (result i64 i64)
+    (call $out (i16x8.extend_high_i8x16_s (call $v (local.get 0) (local.get 1)))))
+  (func (export "i64x2.extend_low_i32x4_u") (param i64 i64) (result i64 i64)
+    (call $out (i64x2.extend_low_i32x4_u (call $v (local.get 0) (local.get 1)))))
+  (func (export "i32x4.extmul_low_i16x8_s") (param i64 i64 i64 i64) (result i64 i64)
+    (call $out (i32x4.extmul_low_i16x8_s (call $v (local.get 0) (local.get 1)) (call $v (local.get 2) (local.get 3)))))
+  (func (export "i16x8.extadd_pairwise_i8x16_u") (param i64 i64) (result i64 i64)
+    (call $out (i16x8.extadd_pairwise_i8x16_u (call $v (local.get 0) (local.get 1)))))
+
+  (func (export "f32x4.add") (param f32 f32 f32 f32 f32 f32 f32 f32) (result f32 f32 f32 f32)
+    (call $f4out (f32x4.add
+      (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3))
+      (call $f4 (local.get 4) (local.get 5) (local.get 6) (local.get 7)))))
+  (func (export "f32x4.min") (param f32 f32 f32 f32 f32 f32 f32 f32) (result f32 f32 f32 f32)
+    (call $f4out (f32x4.min
+      (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3))
+      (call $f4 (local.get 4) (local.get 5) (local.get 6) (local.get 7)))))
+  (func (export "f32x4.pmax") (param f32 f32 f32 f32 f32 f32 f32 f32) (result f32 f32 f32 f32)
+    (call $f4out (f32x4.pmax
+      (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3))
+      (call $f4 (local.get 4) (local.get 5) (local.get 6) (local.get 7)))))
+  (func (export "f32x4.nearest") (param f32 f32 f32 f32) (result f32 f32 f32 f32)
+    (call $f4out (f32x4.nearest (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3)))))
+  (func (export "f32x4.sqrt") (param f32 f32 f32 f32) (result f32 f32 f32 f32)
+    (call $f4out (f32x4.sqrt (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3)))))
+  (func (export "f32x4.neg") (param f32 f32 f32 f32) (result i64 i64)
+    (call $out (f32x4.neg (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3)))))
+  (func (export "f32x4.lt") (param f32 f32 f32 f32 f32 f32 f32 f32) (result i64 i64)
+    (call $out (f32x4.lt
+      (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3))
+      (call $f4 (local.get 4) (local.get 5) (local.get 6) (local.get 7)))))
+  (func (export "f64x2.div") (param f64 f64 f64 f64) (result f64 f64)
+    (local v128)
+    (local.set 4 (f64x2.div
+      (f64x2.replace_lane 1 (f64x2.splat (local.get 0)) (local.get 1))
+      (f64x2.replace_lane 1 (f64x2.splat (local.get 2)) (local.get 3))))
+    (f64x2.extract_lane 0 (local.get 4))
+    (f64x2.extract_lane 1 (local.get 4)))
+
+  (func (export "i32x4.trunc_sat_f32x4_s") (param f32 f32 f32 f32) (result i64 i64)
+    (call $out (i32x4.trunc_sat_f32x4_s (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3)))))
+  (func (export "i32x4.trunc_sat_f64x2_u_zero") (param f64 f64) (result i64 i64)
+    (call $out (i32x4.trunc_sat_f64x2_u_zero
+      (f64x2.replace_lane 1 (f64x2.splat (local.get 0)) (local.get 1)))))
+  (func (export "f32x4.convert_i32x4_u") (param i64 i64) (result f32 f32 f32 f32)
+    (call $f4out (f32x4.convert_i32x4_u (call $v (local.get 0) (local.get 1)))))
+  (func (export "f64x2.promote_low_f32x4") (param f32 f32 f32 f32) (result f64 f64)
+    (local v128)
+    (local.set 4 (f64x2.promote_low_f32x4 (call $f4 (local.get 0) (local.get 1) (local.get 2) (local.get 3))))
+    (f64x2.extract_lane 0 (local.get 4))
+    (f64x2.extract_lane 1 (local.get 4)))
+)
+
+(assert_return (invoke "const") (i64.const 0x0807060504030201) (i64.const 0xf8f9fafbfcfdfeff))
+(assert_return (invoke "const.f64") (f64.const 1.5) (f64.const -0x1p-1074))
+(assert_return (invoke "local") (i64.const 0) (i64.const 0))
+(assert_return (invoke "global") (i64.const 0x0000000400000002) (i64.const 0x0000000800000006))
+(assert_return (invoke "global") (i64.const 0x0000000800000004) (i64.const 0x000000100000000c))
+
+(assert_return (invoke "load" (i32.const 0)) (i64.const 0x0706050403020100) (i64.const 0x0f0e0d0c0b0a0908))
+(assert_return (invoke "load" (i32.const 1)) (i64.const 0x0807060504030201) (i64.const 0xf00f0e0d0c0b0a09))
+(assert_return (invoke "load.offset" (i32.const 0)) (i64.const 0xf7f6f5f4f3f2f1f0) (i64.const 0xfffefdfcfbfaf9f8))
+(assert_return (invoke "load" (i32.const 65520)) (i64.const 0) (i64.const 0))
+(assert_trap (invoke "load" (i32.const 65521)) "out of bounds memory access")
+(assert_trap (invoke "load.offset" (i32.const 65520)) "out of bounds memory access")
+(assert_trap (invoke "load" (i32.const -1)) "out of bounds memory access")
+(assert_return (invoke "load8x8_s" (i32.const 12)) (i64.const 0x000f000e000d000c) (i64.const 0xfff3fff2fff1fff0))
+(assert_return (invoke "load16x4_u" (i32.const 16)) (i64.const 0x0000f3f20000f1f0) (i64.const 0x0000f7f60000f5f4))
+(assert_return (invoke "load32x2_s" (i32.const 16)) (i64.const 0xfffffffff3f2f1f0) (i64.const 0xfffffffff7f6f5f4))
+(assert_return (invoke "load8_splat" (i32.const 31)) (i64.const -1) (i64.const -1))
+(assert_return (invoke "load32_zero" (i32.const 4)) (i64.const 0x07060504) (i64.const 0))
+(assert_trap (invoke "load32_zero" (i32.const 65533)) "out of bounds memory access")
+(assert_return (invoke "load16_lane" (i32.const 2) (i64.const 0) (i64.const -1)) (i64.const 0) (i64.const 0xffffffff0302ffff))
+(assert_trap (invoke "load16_lane" (i32.const 65535) (i64.const 0) (i64.const 0)) "out of bounds memory access")
+
+(invoke "store" (i32.const 32) (i64.const 0x1122334455667788) (i64.const 0x99aabbccddeeff00))
+(assert_return (invoke "load" (i32.const 32)) (i64.const 0x1122334455667788) (i64.const 0x99aabbccddeeff00))
+(invoke "store64_lane" (i32.const 33) (i64.const 1) (i64.const 0x0102030405060708))
+(assert_return (invoke "load" (i32.const 32)) (i64.const 0x0203040506070888) (i64.const 0x99aabbccddeeff01))
+(assert_trap (invoke "store" (i32.const 65521) (i64.const 1) (i64.const 1)) "out of bounds memory access")
+(assert_return (invoke "load" (i32.const 65520)) (i64.const 0) (i64.const 0))
+(assert_trap (invoke "store64_lane" (i32.const 65529) (i64.const 1) (i64.const 1)) "out of bounds memory access")
+
+(assert_return (invoke "i8x16.extract_lane_s" (i64.const 0) (i64.const 0x8000)) (i32.const -128))
+(assert_return (invoke "i8x16.extract_lane_u" (i64.const 0) (i64.const 0x8000)) (i32.const 128))
+(assert_return (invoke "i16x8.replace_lane" (i64.const -1) (i64.const -1) (i32.const 0x12345)) (i64.const 0xffff2345ffffffff) (i64.const -1))
+(assert_return (invoke "i8x16.splat" (i32.const 0x1ff)) (i64.const -1) (i64.const -1))
+
+(assert_return (invoke "i8x16.shuffle" (i64.const 0x0706050403020100) (i64.const 0x0f0e0d0c0b0a0908)
+                                        (i64.const 0x1716151413121110) (i64.const 0x1f1e1d1c1b1a1918))
+  (i64.const 0x031c021d011e001f) (i64.const 0x07180619051a041b))
+(assert_return (invoke "i8x16.swizzle" (i64.const 0x0706050403020100) (i64.const 0x0f0e0d0c0b0a0908)
+                                        (i64.const 0x8010ff0f00010203) (i64.const 0))
+  (i64.const 0x0000000f00010203) (i64.const 0))
+
+(assert_return (invoke "v128.bitselect" (i64.const -1) (i64.const 0) (i64.const 0) (i64.const -1)
+                                        (i64.const 0x00ff00ff00ff00ff) (i64.const 0xffff0000ffff0000))
+  (i64.const 0x00ff00ff00ff00ff) (i64.const 0x0000ffff0000ffff))
+(assert_return (invoke "v128.any_true" (i64.const 0) (i64.const 0)) (i32.const 0))
+(assert_return (invoke "v128.any_true" (i64.const 0) (i64.const 0x100)) (i32.const 1))
+(assert_return (invoke "i16x8.all_true" (i64.const 0x0001000100010001) (i64.const 0x0100010001000100)) (i32.const 1))
+(assert_return (invoke "i16x8.all_true" (i64.const 0x0001000100010001) (i64.const 0x0100010000000100)) (i32.const 0))
+(assert_return (invoke "i8x16.bitmask" (i64.const 0x80007f00ff000080) (i64.const 0x8000000000000001)) (i32.const 0x8089))
+(assert_return (invoke "i8x16.popcnt" (i64.const 0x0706050403020100) (i64.const 0xff7f0f0180402010))
+  (i64.const 0x0302020102010100) (i64.const 0x0807040101010101))
+
+(assert_return (invoke "i8x16.add" (i64.const 0x7f01ff) (i64.const 0x80) (i64.const 0x01ff01) (i64.const 0x80))
+  (i64.const 0x800000) (i64.const 0))
+(assert_return (invoke "i8x16.add_sat_s" (i64.const 0x807f01) (i64.const 0) (i64.const 0xff01ff) (i64.const 0))
+  (i64.const 0x807f00) (i64.const 0))
+(assert_return (invoke "i16x8.sub_sat_u" (i64.const 0x00010002ffff) (i64.const 0) (i64.const 0x00020001fffe) (i64.const 0))
+  (i64.const 0x000000010001) (i64.const 0))
+(assert_return (invoke "i16x8.mul" (i64.const 0x7fff01000003) (i64.const 0) (i64.const 0x000201000005) (i64.const 0))
+  (i64.const 0xfffe0000000f) (i64.const 0))
+(assert_return (invoke "i16x8.q15mulr_sat_s" (i64.const 0x800040008000) (i64.const 0) (i64.const 0x800040007fff) (i64.const 0))
+  (i64.const 0x7fff20008001) (i64.const 0))
+(assert_return (invoke "i32x4.mul" (i64.const 0x0001000080000000) (i64.const 0) (i64.const 0x0001000000000002) (i64.const 0))
+  (i64.const 0) (i64.const 0))
+(assert_return (invoke "i64x2.mul" (i64.const 0x123456789) (i64.const -1) (i64.const 0x987654321) (i64.const -1))
+  (i64.const 0xd77d742cce1833a9) (i64.const 1))
+(assert_return (invoke "i64x2.sub" (i64.const 0) (i64.const 0x100000000) (i64.const 1) (i64.const 1))
+  (i64.const -1) (i64.const 0xffffffff))
+(assert_return (invoke "i8x16.min_u" (i64.const 0x00ff7f80) (i64.const 0) (i64.const 0x01fe8001) (i64.const 0))
+  (i64.const 0x00fe7f01) (i64.const 0))
+(assert_return (invoke "i32x4.max_s" (i64.const 0x80000000ffffffff) (i64.const 5) (i64.const 0x0000000000000001) (i64.const 0x700000000))
+  (i64.const 0x0000000000000001) (i64.const 0x700000005))
+(assert_return (invoke "i8x16.avgr_u" (i64.const 0x00ff0001) (i64.const 0) (i64.const 0x01ff0002) (i64.const 0))
+  (i64.const 0x01ff0002) (i64.const 0))
+(assert_return (invoke "i8x16.abs" (i64.const 0x80ff017f) (i64.const 0)) (i64.const 0x8001017f) (i64.const 0))
+(assert_return (invoke "i64x2.neg" (i64.const 1) (i64.const 0x8000000000000000))
+  (i64.const -1) (i64.const 0x8000000000000000))
+(assert_return (invoke "i32x4.dot_i16x8_s" (i64.const 0x8000800000030002) (i64.const 0) (i64.const 0x8000800000050004) (i64.const 0))
+  (i64.const 0x8000000000000017) (i64.const 0))
+
+(assert_return (invoke "i8x16.eq" (i64.const 0x0102) (i64.const -1) (i64.const 0x0202) (i64.const 0))
+  (i64.const 0xffffffffffff00ff) (i64.const 0))
+(assert_return (invoke "i16x8.lt_u" (i64.const 0x0001ffff) (i64.const 0) (i64.const 0x00020001) (i64.const 1))
+  (i64.const 0x00000000ffff0000) (i64.const 0x000000000000ffff))
+(assert_return (invoke "i64x2.gt_s" (i64.const 0) (i64.const 1) (i64.const -1) (i64.const 0x8000000000000000))
+  (i64.const -1) (i64.const -1))
+
+(assert_return (invoke "i8x16.shl" (i64.const 0x0181) (i64.const 0) (i32.const 9)) (i64.const 0x0202) (i64.const 0))
+(assert_return (invoke "i16x8.shr_s" (i64.const 0x80000100) (i64.const 0) (i32.const 4)) (i64.const 0xf8000010) (i64.const 0))
+(assert_return (invoke "i64x2.shr_u" (i64.const -1) (i64.const 0x100) (i32.const 68)) (i64.const 0x0fffffffffffffff) (i64.const 0x10))
+
+(assert_return (invoke "i8x16.narrow_i16x8_s" (i64.const 0x0080ff7f00ff0001) (i64.const 0xff80ff7f) (i64.const 0) (i64.const 0))
+  (i64.const 0x000080807f807f01) (i64.const 0))
+(assert_return (invoke "i16x8.narrow_i32x4_u" (i64.const 0x0001000000000001) (i64.const 0xffffffff0000ffff) (i64.const 0) (i64.const 0))
+  (i64.const 0x0000ffffffff0001) (i64.const 0))
+(assert_return (invoke "i16x8.extend_high_i8x16_s" (i64.const 0) (i64.const 0x7f80))
+  (i64.const 0x007fff80) (i64.const 0))
+(assert_return (invoke "i64x2.extend_low_i32x4_u" (i64.const 0x00000001ffffffff) (i64.const -1))
+  (i64.const 0xffffffff) (i64.const 1))
+(assert_return (invoke "i32x4.extmul_low_i16x8_s" (i64.const 0x0000000280000003) (i64.const 0) (i64.const 0x0000000380007fff) (i64.const 0))
+  (i64.const 0x4000000000017ffd) (i64.const 6))
+(assert_return (invoke "i16x8.extadd_pairwise_i8x16_u" (i64.const 0x00000000ff01ffff) (i64.const 0))
+  (i64.const 0x010001fe) (i64.const 0))
+
+(assert_return (invoke "f32x4.add" (f32.const 1) (f32.const inf) (f32.const -0) (f32.const 0x1p127)
+                                   (f32.const 2) (f32.const -1) (f32.const 0) (f32.const 0x1p127))
+  (f32.const 3) (f32.const inf) (f32.const 0) (f32.const inf))
+(assert_return (invoke "f32x4.add" (f32.const inf) (f32.const 0) (f32.const 0) (f32.const 0)
+                                   (f32.const -inf) (f32.const 0) (f32.const 0) (f32.const 0))
+  (f32.const nan:arithmetic) (f32.const 0) (f32.const 0) (f32.const 0))
+(assert_return (invoke "f32x4.min" (f32.const 0) (f32.const -1) (f32.const nan) (f32.const 1)
+                                   (f32.const -0) (f32.const 1) (f32.const 1) (f32.const 1))
+  (f32.const -0) (f32.const -1) (f32.const nan:canonical) (f32.const 1))
+(assert_return (invoke "f32x4.pmax" (f32.const 0) (f32.const -1) (f32.const nan) (f32.const 1)
+                                    (f32.const -0) (f32.const 1) (f32.const 1) (f32.const nan))
+  (f32.const 0) (f32.const 1) (f32.const nan:canonical) (f32.const 1))
+(assert_return (invoke "f32x4.nearest" (f32.const 0.5) (f32.const 1.5) (f32.const -2.5) (f32.const -0.25))
+  (f32.const 0) (f32.const 2) (f32.const -2) (f32.const -0))
+(assert_return (invoke "f32x4.sqrt" (f32.const 4) (f32.const -0) (f32.const 2) (f32.const inf))
+  (f32.const 2) (f32.const -0) (f32.const 0x1.6a09e6p+0) (f32.const inf))
+(assert_return (invoke "f32x4.neg" (f32.const 0) (f32.const -1) (f32.const nan) (f32.const -nan:0x600000))
+  (i64.const 0x3f80000080000000) (i64.const 0x7fe00000ffc00000))
+(assert_return (invoke "f32x4.lt" (f32.const 0) (f32.const -1) (f32.const nan) (f32.const -inf)
+                                  (f32.const -0) (f32.const 1) (f32.const 1) (f32.const inf))
+  (i64.const 0xffffffff00000000) (i64.const 0xffffffff00000000))
+(assert_return (invoke "f64x2.div" (f64.const 1) (f64.const -1) (f64.const 3) (f64.const 0))
+  (f64.const 0x1.5555555555555p-2) (f64.const -inf))
+
+(assert_return (invoke "i32x4.trunc_sat_f32x4_s" (f32.const -1.9) (f32.const nan) (f32.const 3e9) (f32.const -3e9))
+  (i64.const 0xffffffff) (i64.const 0x800000007fffffff))
+(assert_return (invoke "i32x4.trunc_sat_f64x2_u_zero" (f64.const -1) (f64.const 5e9))
+  (i64.const 0xffffffff00000000) (i64.const 0))
+(assert_return (invoke "f32x4.convert_i32x4_u" (i64.const 0xffffffff00000001) (i64.const 0x0000000080000000))
+  (f32.const 1) (f32.const 0x1p32) (f32.const 0x1p31) (f32.const 0))
+(assert_return (invoke "f64x2.promote_low_f32x4" (f32.const 0.1) (f32.const -inf) (f32.const 1) (f32.const 1))
+  (f64.const 0x1.99999ap-4) (f64.const -inf))
+
+;; v128 values can't be passed across the JS boundary.
+(module
+  (global (export "g") v128 (v128.const i64x2 1 2))
+  (func (export "param") (param v128))
+  (func (export "result") (result v128) (v128.const i64x2 0 0))
+  (func (export "other") (param i32) (result i32) (local.get 0))
+)
+
+(assert_return (invoke "other" (i32.const 5)) (i32.const 5))
+
+;; Imported and exported between instances, they're fine.
+(module $M
+  (global (export "g") (mut v128) (v128.const i32x4 1 2 3 4))
+  (func (export "swap") (param v128) (result v128)
+    (i8x16.shuffle 8 9 10 11 12 13 14 15 0 1 2 3 4 5 6 7 (local.get 0) (local.get 0)))
+)
+(register "M" $M)
+
+(module
+  (import "M" "g" (global $g (mut v128)))
+  (import "M" "swap" (func $swap (param v128) (result v128)))
+  (func (export "run") (result i32)
+    (global.set $g (call $swap (global.get $g)))
+    (i32x4.extract_lane 0 (global.get $g)))
+)
+
+(assert_return (invoke "run") (i32.const 3))
+(assert_return (invoke "run") (i32.const 1))
+
+;; Lane indexes must be in range.
+(assert_invalid
+  (module (func (result i32) (i8x16.extract_lane_s 16 (v128.const i64x2 0 0))))
+  "invalid lane index")
+(assert_invalid
+  (module (func (result i32) (i32x4.extract_lane 4 (v128.const i64x2 0 0))))
+  "invalid lane index")
+(assert_invalid
+  (module (func (result v128) (i8x16.shuffle 0 1 2 3 4 5 6 7 8 9 10 11 12 13 14 32 (v128.const i64x2 0 0) (v128.const i64x2 0 0))))
+  "invalid lane index")
+(assert_invalid
+  (module (memory 1) (func (result v128) (v128.load32_lane 4 (i32.const 0) (v128.const i64x2 0 0))))
+  "invalid lane index")
+
+;; As must alignments.
+(assert_invalid
+  (module (memory 1) (func (result v128) (v128.load align=32 (i32.const 0))))
+  "alignment must not be larger than natural")
+(assert_invalid
+  (module (memory 1) (func (result v128) (v128.load8x8_s align=16 (i32.const 0))))
+  "alignment must not be larger than natural")
+
+;; And there must be a memory to access.
+(assert_invalid
+  (module (func (result v128) (v128.load (i32.const 0))))
+  "unknown memory")
+
+;; Types are checked.
+(assert_invalid
+  (module (func (result v128) (i8x16.add (v128.const i64x2 0 0) (i32.const 0))))
+  "type mismatch")
+(assert_invalid
+  (module (func (result i32) (i32x4.splat (i32.const 0))))
+  "type mismatch")
@@ -0,0 +1,227 @@
+;; Tail calls: return_call and return_call_indirect
+;;
+;; Recursion well past the call depth limit checks the stack doesn't
+;; grow with them.
+
+(module
+  (memory 1)
+
+  (type $proc (func))
+  (type $out-i32 (func (result i32)))
+  (type $over-i64 (func (param i64) (result i64)))
+
+  (table funcref
+    (elem
+      $const-i32 $const-i64 $id-i64 $fac-acc $even $odd
+    )
+  )
+
+  (func $const-i32 (type $out-i32) (i32.const 0x132))
+  (func $const-i64 (result i64) (i64.const 0x164))
+  (func $id-i64 (type $over-i64) (local.get 0))
+  (func $f32-i32 (param f32 i32) (result f32) (local.get 0))
+  (func $pair (param i64 i32) (result i32 i64) (local.get 1) (local.get 0))
+
+  (func (export "type-i32") (result i32) (return_call $const-i32))
+  (func (export "type-i64") (result i64) (return_call $const-i64))
+  (func (export "type-first-f32") (result f32) (return_call $f32-i32 (f32.const 1.32) (i32.const 2)))
+  (func (export "type-multi") (result i32 i64) (return_call $pair (i64.const 0x1_0000_0001) (i32.const -1)))
+
+  (func $fac-acc (export "fac-acc") (param i64 i64) (result i64)
+    (if (result i64) (i64.eqz (local.get 0))
+      (then (local.get 1))
+      (else
+        (return_call $fac-acc
+          (i64.sub (local.get 0) (i64.const 1))
+          (i64.mul (local.get 0) (local.get 1))
+        )
+      )
+    )
+  )
+
+  (func $count (export "count") (param i64) (result i64)
+    (if (result i64) (i64.eqz (local.get 0))
+      (then (local.get 0))
+      (else (return_call $count (i64.sub (local.get 0) (i64.const 1))))
+    )
+  )
+
+  (func $even (export "even") (param i64) (result i32)
+    (if (result i32) (i64.eqz (local.get 0))
+      (then (i32.const 44))
+      (else (return_call $odd (i64.sub (local.get 0) (i64.const 1))))
+    )
+  )
+  (func $odd (export "odd") (param i64) (result i32)
+    (if (result i32) (i64.eqz (local.get 0))
+      (then (i32.const 99))
+      (else (return_call $even (i64.sub (local.get 0) (i64.const 1))))
+    )
+  )
+
+  ;; Tail calls through the table, alternating with direct ones.
+  (func $even-indirect (export "even-indirect") (param i64) (result i32)
+    (if (result i32) (i64.eqz (local.get 0))
+      (then (i32.const 44))
+      (else (return_call_indirect (type $over-i32-i64) (i64.sub (local.get 0) (i64.const 1)) (i32.const 5)))
+    )
+  )
+  (type $over-i32-i64 (func (param i64) (result i32)))
+
+  (func (export "dispatch") (param i32 i64) (result i64)
+    (return_call_indirect (type $over-i64) (local.get 1) (local.get 0))
+  )
+  (func (export "dispatch-i32") (param i32) (result i32)
+    (return_call_indirect (type $out-i32) (local.get 0))
+  )
+
+  ;; Side effects before the call are kept, and ones after never happen.
+  (func $store (param i32) (i32.store (i32.const 0) (local.get 0)))
+  (func (export "effects")
+    (i32.store (i32.const 4) (i32.const 1))
+    (return_call $store (i32.const 2))
+    (i32.store (i32.const 4) (i32.const 3))
+  )
+  (func (export "load") (param i32) (result i32) (i32.load (local.get 0)))
+
+  ;; Out of a block, loop or if, the rest of the function is skipped.
+  (func (export "nested") (param i32) (result i32)
+    (block (result i32)
+      (loop (result i32)
+        (if (result i32) (local.get 0)
+          (then (return_call $const-i32))
+          (else (i32.const 7))
+        )
+      )
+    )
+  )
+)
+
+(assert_return (invoke "type-i32") (i32.const 0x132))
+(assert_return (invoke "type-i64") (i64.const 0x164))
+(assert_return (invoke "type-first-f32") (f32.const 1.32))
+(assert_return (invoke "type-multi") (i32.const -1) (i64.const 0x1_0000_0001))
+
+(assert_return (invoke "fac-acc" (i64.const 0) (i64.const 1)) (i64.const 1))
+(assert_return (invoke "fac-acc" (i64.const 5) (i64.const 1)) (i64.const 120))
+(assert_return
+  (invoke "fac-acc" (i64.const 25) (i64.const 1))
+  (i64.const 7034535277573963776)
+)
+
+(assert_return (invoke "count" (i64.const 0)) (i64.const 0))
+(assert_return (invoke "count" (i64.const 100_000)) (i64.const 0))
+
+(assert_return (invoke "even" (i64.const 0)) (i32.const 44))
+(assert_return (invoke "even" (i64.const 1)) (i32.const 99))
+(assert_return (invoke "even" (i64.const 100_000)) (i32.const 44))
+(assert_return (invoke "even" (i64.const 77_777)) (i32.const 99))
+(assert_return (invoke "odd" (i64.const 0)) (i32.const 99))
+(assert_return (invoke "odd" (i64.const 99_999)) (i32.const 44))
+(assert_return (invoke "even-indirect" (i64.const 100_000)) (i32.const 44))
+(assert_return (invoke "even-indirect" (i64.const 3)) (i32.const 99))
+
+(assert_return (invoke "dispatch" (i32.const 2) (i64.const 5)) (i64.const 5))
+(assert_return (invoke "dispatch" (i32.const 2) (i64.const 2)) (i64.const 2))
+(assert_return (invoke "dispatch-i32" (i32.const 0)) (i32.const 0x132))
+(assert_trap (invoke "dispatch" (i32.const 0) (i64.const 2)) "indirect call type mismatch")
+(assert_trap (invoke "dispatch" (i32.const 1) (i64.const 2)) "indirect call type mismatch")
+(assert_trap (invoke "dispatch" (i32.const 3) (i64.const 2)) "indirect call type mismatch")
+(assert_trap (invoke "dispatch" (i32.const 6) (i64.const 2)) "undefined element")
+(assert_trap (invoke "dispatch" (i32.const -1) (i64.const 2)) "undefined element")
+
+(assert_return (invoke "effects"))
+(assert_return (invoke "load" (i32.const 0)) (i32.const 2))
+(assert_return (invoke "load" (i32.const 4)) (i32.const 1))
+
+(assert_return (invoke "nested" (i32.const 0)) (i32.const 7))
+(assert_return (invoke "nested" (i32.const 1)) (i32.const 0x132))
+
+;; Plain calls still run out of stack.
+(module
+  (memory 1)
+  (func $count (export "count") (param i64) (result i64)
+    (if (result i64) (i64.eqz (local.get 0))
+      (then (local.get 0))
+      (else (call $count (i64.sub (local.get 0) (i64.const 1))))
+    )
+  )
+)
+
+(assert_exhaustion (invoke "count" (i64.const 100_000)) "call stack exhausted")
+
+;; Tail calls to imports, and from one module into another.
+(module $M
+  (memory 1)
+  (func $even (export "even") (param i64) (result i32)
+    (if (result i32) (i64.eqz (local.get 0))
+      (then (i32.const 44))
+      (else (return_call $odd (i64.sub (local.get 0) (i64.const 1))))
+    )
+  )
+  (func $odd (param i64) (result i32)
+    (if (result i32) (i64.eqz (local.get 0))
+      (then (i32.const 99))
+      (else (return_call $even (i64.sub (local.get 0) (i64.const 1))))
+    )
+  )
+)
+(register "M" $M)
+
+(module
+  (import "M" "even" (func $even (param i64) (result i32)))
+  (import "spectest" "print_i32" (func $print (param i32)))
+  (memory 1)
+  (func (export "even") (param i64) (result i32) (return_call $even (local.get 0)))
+  (func (export "print") (return_call $print (i32.const 42)))
+)
+
+(assert_return (invoke "even" (i64.const 10_001)) (i32.const 99))
+(assert_return (invoke "print"))
+
+;; Callees must return what the caller does.
+(assert_invalid
+  (module
+    (func $type-void-vs-num (result i32) (return_call 1) (i32.const 0))
+    (func)
+  )
+  "type mismatch"
+)
+(assert_invalid
+  (module
+    (func $type-num-vs-num (result i32) (return_call 1))
+    (func (result i64) (i64.const 1))
+  )
+  "type mismatch"
+)
+(assert_invalid
+  (module
+    (func $type-arg-num-vs-num (return_call 1 (i32.const 0)))
+    (func (param i64))
+  )
+  "type mismatch"
+)
+(assert_invalid
+  (module
+    (type (func (result i32)))
+    (table 0 funcref)
+    (func $type-indirect-vs-num (result i64) (return_call_indirect (type 0) (i32.const 0)))
+  )
+  "type mismatch"
+)
+(assert_invalid
+  (module
+    (type (func))
+    (table 0 funcref)
+    (func $type-func-index (return_call_indirect (type 0) (i64.const 0)))
+  )
+  "type mismatch"
+)
+(assert_invalid
+  (module (func $unbound-func (return_call 1)))
+  "unknown function"
+)
+(assert_invalid
+  (module (type (func)) (func $unbound-table (return_call_indirect (type 0) (i32.const 0))))
+  "unknown table"
+)
@@ -0,0 +1,173 @@
+;; Shared memory, atomic accesses, waits and notifications
+
+(module
+  (memory 1 1 shared)
+
+  (func (export "init") (param $value i64) (i64.store (i32.const 0) (local.get $value)))
+
+  (func (export "i32.atomic.load") (param $addr i32) (result i32) (i32.atomic.load (local.get $addr)))
+  (func (export "i64.atomic.load") (param $addr i32) (result i64) (i64.atomic.load (local.get $addr)))
+  (func (export "i32.atomic.load8_u") (param $addr i32) (result i32) (i32.atomic.load8_u (local.get $addr)))
+  (func (export "i32.atomic.load16_u") (param $addr i32) (result i32) (i32.atomic.load16_u (local.get $addr)))
+  (func (export "i64.atomic.load8_u") (param $addr i32) (result i64) (i64.atomic.load8_u (local.get $addr)))
+  (func (export "i64.atomic.load32_u") (param $addr i32) (result i64) (i64.atomic.load32_u (local.get $addr)))
+
+  (func (export "i32.atomic.store") (param $addr i32) (param $value i32) (i32.atomic.store (local.get $addr) (local.get $value)))
+  (func (export "i64.atomic.store") (param $addr i32) (param $value i64) (i64.atomic.store (local.get $addr) (local.get $value)))
+  (func (export "i32.atomic.store8") (param $addr i32) (param $value i32) (i32.atomic.store8 (local.get $addr) (local.get $value)))
+  (func (export "i64.atomic.store16") (param $addr i32) (param $value i64) (i64.atomic.store16 (local.get $addr) (local.get $value)))
+
+  (func (export "i32.atomic.rmw.add") (param $addr i32) (param $value i32) (result i32) (i32.atomic.rmw.add (local.get $addr) (local.get $value)))
+  (func (export "i64.atomic.rmw.add") (param $addr i32) (param $value i64) (result i64) (i64.atomic.rmw.add (local.get $addr) (local.get $value)))
+  (func (export "i32.atomic.rmw8.add_u") (param $addr i32) (param $value i32) (result i32) (i32.atomic.rmw8.add_u (local.get $addr) (local.get $value)))
+  (func (export "i64.atomic.rmw32.add_u") (param $addr i32) (param $value i64) (result i64) (i64.atomic.rmw32.add_u (local.get $addr) (local.get $value)))
+  (func (export "i32.atomic.rmw.sub") (param $addr i32) (param $value i32) (result i32) (i32.atomic.rmw.sub (local.get $addr) (local.get $value)))
+  (func (export "i64.atomic.rmw16.sub_u") (param $addr i32) (param $value i64) (result i64) (i64.atomic.rmw16.sub_u (local.get $addr) (local.get $value)))
+  (func (export "i32.atomic.rmw.and") (param $addr i32) (param $value i32) (result i32) (i32.atomic.rmw.and (local.get $addr) (local.get $value)))
+  (func (export "i64.atomic.rmw.or") (param $addr i32) (param $value i64) (result i64) (i64.atomic.rmw.or (local.get $addr) (local.get $value)))
+  (func (export "i32.atomic.rmw16.xor_u") (param $addr i32) (param $value i32) (result i32) (i32.atomic.rmw16.xor_u (local.get $addr) (local.get $value)))
+  (func (export "i32.atomic.rmw.xchg") (param $addr i32) (param $value i32) (result i32) (i32.atomic.rmw.xchg (local.get $addr) (local.get $value)))
+  (func (export "i64.atomic.rmw8.xchg_u") (param $addr i32) (param $value i64) (result i64) (i64.atomic.rmw8.xchg_u (local.get $addr) (local.get $value)))
+
+  (func (export "i32.atomic.rmw.cmpxchg") (param $addr i32) (param $expected i32) (param $value i32) (result i32)
+    (i32.atomic.rmw.cmpxchg (local.get $addr) (local.get $expected) (local.get $value)))
+  (func (export "i64.atomic.rmw.cmpxchg") (param $addr i32) (param $expected i64) (param $value i64) (result i64)
+    (i64.atomic.rmw.cmpxchg (local.get $addr) (local.get $expected) (local.get $value)))
+  (func (export "i32.atomic.rmw8.cmpxchg_u") (param $addr i32) (param $expected i32) (param $value i32) (result i32)
+    (i32.atomic.rmw8.cmpxchg_u (local.get $addr) (local.get $expected) (local.get $value)))
+
+  (func (export "wait32") (param $addr i32) (param $expected i32) (param $timeout i64) (result i32)
+    (memory.atomic.wait32 (local.get $addr) (local.get $expected) (local.get $timeout)))
+  (func (export "wait64") (param $addr i32) (param $expected i64) (param $timeout i64) (result i32)
+    (memory.atomic.wait64 (local.get $addr) (local.get $expected) (local.get $timeout)))
+  (func (export "notify") (param $addr i32) (param $count i32) (result i32)
+    (memory.atomic.notify (local.get $addr) (local.get $count)))
+  (func (export "fence") (atomic.fence))
+)
+
+(invoke "init" (i64.const 0x0706050403020100))
+(assert_return (invoke "i32.atomic.load" (i32.const 0)) (i32.const 0x03020100))
+(assert_return (invoke "i32.atomic.load" (i32.const 4)) (i32.const 0x07060504))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x0706050403020100))
+(assert_return (invoke "i32.atomic.load8_u" (i32.const 3)) (i32.const 0x03))
+(assert_return (invoke "i32.atomic.load16_u" (i32.const 6)) (i32.const 0x0706))
+(assert_return (invoke "i64.atomic.load8_u" (i32.const 5)) (i64.const 0x05))
+(assert_return (invoke "i64.atomic.load32_u" (i32.const 4)) (i64.const 0x07060504))
+
+(invoke "init" (i64.const -1))
+(assert_return (invoke "i32.atomic.load" (i32.const 0)) (i32.const -1))
+(assert_return (invoke "i32.atomic.load16_u" (i32.const 0)) (i32.const 0xffff))
+(assert_return (invoke "i64.atomic.load32_u" (i32.const 0)) (i64.const 0xffffffff))
+
+(invoke "init" (i64.const 0))
+(assert_return (invoke "i32.atomic.store" (i32.const 0) (i32.const 0xcafebabe)))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0xcafebabe))
+(assert_return (invoke "i64.atomic.store" (i32.const 0) (i64.const 0x0123456789abcdef)))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x0123456789abcdef))
+(assert_return (invoke "i32.atomic.store8" (i32.const 1) (i32.const 0x4242)))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x01234567_89ab42ef))
+(assert_return (invoke "i64.atomic.store16" (i32.const 6) (i64.const 0x11112222)))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x22224567_89ab42ef))
+
+(invoke "init" (i64.const 0x1111111111111111))
+(assert_return (invoke "i32.atomic.rmw.add" (i32.const 0) (i32.const 0x12345678)) (i32.const 0x11111111))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x11111111_23456789))
+(assert_return (invoke "i64.atomic.rmw.add" (i32.const 0) (i64.const 0x0101010101010101)) (i64.const 0x11111111_23456789))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x12121212_2446688a))
+(assert_return (invoke "i32.atomic.rmw8.add_u" (i32.const 0) (i32.const 0xff)) (i32.const 0x8a))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x12121212_24466889))
+(assert_return (invoke "i64.atomic.rmw32.add_u" (i32.const 4) (i64.const 0xffffffff_00000001)) (i64.const 0x12121212))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x12121213_24466889))
+
+(invoke "init" (i64.const 0x1111111111111111))
+(assert_return (invoke "i32.atomic.rmw.sub" (i32.const 0) (i32.const 0x11111112)) (i32.const 0x11111111))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x11111111_ffffffff))
+(assert_return (invoke "i64.atomic.rmw16.sub_u" (i32.const 0) (i64.const 1)) (i64.const 0xffff))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x11111111_fffffffe))
+
+(invoke "init" (i64.const 0x00ff00ff00ff00ff))
+(assert_return (invoke "i32.atomic.rmw.and" (i32.const 0) (i32.const 0x0f0f0f0f)) (i32.const 0x00ff00ff))
+(assert_return (invoke "i64.atomic.rmw.or" (i32.const 0) (i64.const 0xf000000000000000)) (i64.const 0x00ff00ff_000f000f))
+(assert_return (invoke "i32.atomic.rmw16.xor_u" (i32.const 0) (i32.const 0xffff)) (i32.const 0x000f))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0xf0ff00ff_000ffff0))
+
+(invoke "init" (i64.const 0x1111111111111111))
+(assert_return (invoke "i32.atomic.rmw.xchg" (i32.const 0) (i32.const 0x12345678)) (i32.const 0x11111111))
+(assert_return (invoke "i64.atomic.rmw8.xchg_u" (i32.const 7) (i64.const 0x4242)) (i64.const 0x11))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x42111111_12345678))
+
+(invoke "init" (i64.const 0x1111111111111111))
+(assert_return (invoke "i32.atomic.rmw.cmpxchg" (i32.const 0) (i32.const 0) (i32.const 0x12345678)) (i32.const 0x11111111))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x1111111111111111))
+(assert_return (invoke "i32.atomic.rmw.cmpxchg" (i32.const 0) (i32.const 0x11111111) (i32.const 0x12345678)) (i32.const 0x11111111))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0x11111111_12345678))
+(assert_return (invoke "i64.atomic.rmw.cmpxchg" (i32.const 0) (i64.const 0x11111111_12345678) (i64.const -2)) (i64.const 0x11111111_12345678))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const -2))
+;; The expected value is wrapped to the access's width
+(assert_return (invoke "i32.atomic.rmw8.cmpxchg_u" (i32.const 0) (i32.const 0x1fe) (i32.const 0x42)) (i32.const 0xfe))
+(assert_return (invoke "i64.atomic.load" (i32.const 0)) (i64.const 0xffffffff_ffffff42))
+
+(assert_trap (invoke "i32.atomic.load" (i32.const 1)) "unaligned atomic")
+(assert_trap (invoke "i64.atomic.load" (i32.const 4)) "unaligned atomic")
+(assert_trap (invoke "i32.atomic.store" (i32.const 2) (i32.const 0)) "unaligned atomic")
+(assert_trap (invoke "i32.atomic.rmw.add" (i32.const 1) (i32.const 0)) "unaligned atomic")
+(assert_trap (invoke "i32.atomic.rmw.cmpxchg" (i32.const 2) (i32.const 0) (i32.const 0)) "unaligned atomic")
+(assert_trap (invoke "notify" (i32.const 1) (i32.const 1)) "unaligned atomic")
+(assert_trap (invoke "i32.atomic.load" (i32.const 65536)) "out of bounds memory access")
+(assert_trap (invoke "i64.atomic.store" (i32.const 65536) (i64.const 0)) "out of bounds memory access")
+(assert_return (invoke "i64.atomic.store" (i32.const 65520) (i64.const 0)))
+(assert_trap (invoke "i32.atomic.rmw8.add_u" (i32.const -1) (i32.const 0)) "out of bounds memory access")
+
+;; Waits don't block when the value differs or time runs out;
+;; nothing is waiting to be notified.
+(invoke "init" (i64.const 0))
+(assert_return (invoke "wait32" (i32.const 0) (i32.const 1) (i64.const -1)) (i32.const 1))
+(assert_return (invoke "wait32" (i32.const 0) (i32.const 0) (i64.const 0)) (i32.const 2))
+(assert_return (invoke "wait32" (i32.const 0) (i32.const 0) (i64.const 1_000_000)) (i32.const 2))
+(assert_return (invoke "wait64" (i32.const 0) (i64.const 1) (i64.const -1)) (i32.const 1))
+(assert_return (invoke "wait64" (i32.const 0) (i64.const 0) (i64.const 0)) (i32.const 2))
+(assert_trap (invoke "wait64" (i32.const 4) (i64.const 0) (i64.const 0)) "unaligned atomic")
+(assert_return (invoke "notify" (i32.const 0) (i32.const 1)) (i32.const 0))
+(assert_return (invoke "fence"))
+
+;; Atomics work on unshared memory too, but only shared memory can be waited on
+(module
+  (memory 1)
+  (func (export "add") (param i32 i32) (result i32) (i32.atomic.rmw.add (local.get 0) (local.get 1)))
+  (func (export "wait32") (param i32 i32 i64) (result i32)
+    (memory.atomic.wait32 (local.get 0) (local.get 1) (local.get 2)))
+  (func (export "notify") (param i32 i32) (result i32)
+    (memory.atomic.notify (local.get 0) (local.get 1)))
+)
+
+(assert_return (invoke "add" (i32.const 0) (i32.const 5)) (i32.const 0))
+(assert_return (invoke "add" (i32.const 0) (i32.const 5)) (i32.const 5))
+(assert_return (invoke "notify" (i32.const 0) (i32.const 1)) (i32.const 0))
+(assert_trap (invoke "wait32" (i32.const 0) (i32.const 0) (i64.const 0)) "expected shared memory")
+
+;; Shared memories must match their imports
+(module $Shared (memory (export "memory") 1 1 shared))
+(register "Shared" $Shared)
+(module (import "Shared" "memory" (memory 1 1 shared)))
+(assert_unlinkable
+  (module (import "Shared" "memory" (memory 1 1)))
+  "incompatible import type")
+(assert_unlinkable
+  (module (import "spectest" "memory" (memory 1 2 shared)))
+  "incompatible import type")
+
+(assert_invalid
+  (module (memory 1 1) (func (drop (i32.atomic.load align=2 (i32.const 0)))))
+  "alignment must be equal to natural")
+(assert_invalid
+  (module (memory 1 1) (func (drop (i64.atomic.load align=4 (i32.const 0)))))
+  "alignment must be equal to natural")
+(assert_invalid
+  (module (func (drop (i32.atomic.load (i32.const 0)))))
+  "unknown memory")
+(assert_invalid
+  (module (memory 1 1) (func (result i32) (i32.atomic.rmw.add (i32.const 0) (i64.const 0))))
+  "type mismatch")
+(assert_malformed
+  (module binary "\00asm" "\01\00\00\00" "\05\03\01" "\02\01")
+  "shared memory must have maximum")
@@ -0,0 +1,123 @@
+/// Tests stepping into, over and out of calls from the `debugger`
+/// callback, and running to a location.
+///
+///   node --test test/stepping.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+// Instructions are at these offsets:
+//   inner: 37 local.get, 39 i32.const, 41 i32.add
+//   outer: 45 local.get, 47 call, 49 local.set, 51 local.get, 53 call
+const source = `
+    (module
+        (func $inner (param i32) (result i32)
+            (i32.add (local.get 0) (i32.const 1))
+        )
+        (func $outer (export "outer") (param i32) (result i32)
+            (local.set 0 (call $inner (local.get 0)))
+            (call $inner (local.get 0))
+        )
+    )
+`;
+
+async function instantiate() {
+    const {instance} = await Interpreter.instantiate(await assemble(source), {}, {debug: true});
+    return instance;
+}
+
+/// Calls `outer`, with a breakpoint at `start`, and calls `step()` at each
+/// stop. Returns where it stopped, as function names and offsets.
+async function stops(instance, start, step) {
+    const stopped = [];
+    instance.setBreakpoint(start);
+    instance.debugger = async () => {
+        const frame = instance.stackTrace(-1)[0];
+        stopped.push(`${frame.name}@${frame.sourceLocation.offset}`);
+        step();
+    };
+    assert.strictEqual(await instance.exports.outer(1), 3);
+    assert.ok(!instance.paused);
+    return stopped;
+}
+
+test('stepping into calls stops at every instruction', async () => {
+    const instance = await instantiate();
+    const stopped = await stops(instance, 45, () => instance.stepInto());
+    assert.deepStrictEqual(stopped, [
+        'outer@45', 'outer@47',
+        'inner@37', 'inner@39', 'inner@41',
+        'outer@49', 'outer@51', 'outer@53',
+        'inner@37', 'inner@39', 'inner@41'
+    ]);
+});
+
+test('stepping over calls runs through them', async () => {
+    const instance = await instantiate();
+    const stopped = await stops(instance, 45, () => instance.stepOver());
+    assert.deepStrictEqual(stopped, ['outer@45', 'outer@47', 'outer@49', 'outer@51', 'outer@53']);
+});
+
+test('stepping over a return stops in the caller', async () => {
+    const instance = await instantiate();
+    const stopped = await stops(instance, 41, () => instance.stepOver());
+    // The breakpoint is hit again in the middle of the step over the
+    // second call, which returns to JS.
+    assert.deepStrictEqual(stopped, ['inner@41', 'outer@49', 'outer@51', 'outer@53', 'inner@41']);
+});
+
+test('stepping out stops in the caller', async () => {
+    const instance = await instantiate();
+    const stopped = await stops(instance, 37, () => instance.stepOut());
+    // Stepping out of `outer` returns to JS.
+    assert.deepStrictEqual(stopped, ['inner@37', 'outer@49', 'inner@37']);
+});
+
+test('a step ends with the call it was made in', async () => {
+    const instance = await instantiate();
+    const stopped = await stops(instance, 41, () => instance.stepOver());
+    assert.strictEqual(stopped.at(-1), 'inner@41');
+
+    // The last step over returned to JS, so it doesn't carry over to
+    // the next call.
+    instance.clearBreakpoint(41);
+    assert.deepStrictEqual(await stops(instance, 39, () => {}), ['inner@39', 'inner@39']);
+});
+
+test('running to a location stops there once', async () => {
+    const instance = await instantiate();
+    const stopped = [];
+    instance.debugger = async () => {
+        stopped.push(instance.stackTrace(-1)[0].sourceLocation.offset);
+    };
+    instance.continueTo(41);
+    assert.strictEqual(await instance.exports.outer(1), 3);
+    assert.deepStrictEqual(stopped, [41]);
+});
+
+test('stepping needs execution to be paused', async () => {
+    const instance = await instantiate();
+    assert.throws(() => instance.stepInto(), /paused/);
+    assert.throws(() => instance.stepOver({granularity: 'statement'}), RangeError);
+});
+
+test('offsets within an instruction stand for it', async () => {
+    const instance = await instantiate();
+    // 40 is the i32.const's immediate, and 38 the local.get's.
+    assert.deepStrictEqual(instance.setBreakpoint(40).map((loc) => loc.offset), [39]);
+    assert.deepStrictEqual(instance.setBreakpoint({func: 0, offset: 38}).map((loc) => loc.offset), [37]);
+    assert.deepStrictEqual(instance.breakpoints().map((loc) => loc.offset).sort(), [37, 39]);
+    instance.clearBreakpoint(40);
+    assert.deepStrictEqual(instance.breakpoints().map((loc) => loc.offset), [37]);
+});
+
+test('offsets outside function bodies are rejected', async () => {
+    const instance = await instantiate();
+    assert.throws(() => instance.setBreakpoint(3), RangeError);
+    assert.throws(() => instance.setBreakpoint(1000), RangeError);
+    assert.throws(() => instance.setBreakpoint(NaN), RangeError);
+    assert.throws(() => instance.continueTo(1000), RangeError);
+    assert.deepStrictEqual(instance.breakpoints(), []);
+});
@@ -0,0 +1,66 @@
+/// Tests `call_indirect` through tables imported from native modules,
+/// which trap with the same messages as tables of interpreted ones, and
+/// the Table API.
+///
+///   node --test test/tables.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {Interpreter} = require('../index.js');
+const {assemble} = require('./wast.js');
+
+const nativeSource = `
+    (module
+        (type $v (func))
+        (table (export "table") 3 funcref)
+        (elem (i32.const 0) $takesParam $callsNull)
+        (func $takesParam (param i32))
+        ;; Traps in a call_indirect of its own
+        (func $callsNull
+            (call_indirect (type $v) (i32.const 2))
+        )
+    )
+`;
+
+const source = `
+    (module
+        (type $v (func))
+        (import "native" "table" (table 3 funcref))
+        (func (export "call") (param i32)
+            (call_indirect (type $v) (local.get 0))
+        )
+    )
+`;
+
+async function instantiate() {
+    const native = await WebAssembly.instantiate(await assemble(nativeSource));
+    const imports = {native: {table: native.instance.exports.table}};
+    const {instance} = await Interpreter.instantiate(await assemble(source), imports);
+    return instance;
+}
+
+function trap(message) {
+    return (error) => error instanceof WebAssembly.RuntimeError && error.message === message;
+}
+
+test('native tables trap like others', async () => {
+    const instance = await instantiate();
+    await assert.rejects(instance.exports.call(0), trap('indirect call type mismatch'));
+    await assert.rejects(instance.exports.call(2), trap('uninitialized element 2'));
+    await assert.rejects(instance.exports.call(3), trap('undefined element 3'));
+    await assert.rejects(instance.exports.call(-1), trap('undefined element 4294967295'));
+});
+
+test('traps in native callees are left as they are', async () => {
+    const instance = await instantiate();
+    await assert.rejects(instance.exports.call(1), trap('null function or function signature mismatch'));
+});
+
+test('growing with a value a table cannot hold leaves it as it was', () => {
+    for (let TableClass of [Interpreter.Table, WebAssembly.Table]) {
+        const table = new TableClass({element: 'anyfunc', initial: 1});
+        assert.throws(() => table.grow(2, () => {}), TypeError);
+        assert.throws(() => table.grow(0, 'not a function'), TypeError);
+        assert.strictEqual(table.length, 1);
+    }
+});
@@ -0,0 +1,519 @@
+/// Reader for the WebAssembly spec test script format (.wast).
+///
+/// Scripts are S-expressions; module definitions in them are passed
+/// through wabt's text format parser to get binaries, and the script
+/// commands are decoded into plain objects for the runner.
+
+const wabtInit = require('wabt');
+
+let wabtReady = null;
+
+/// Features to enable when parsing text modules, on top of
+/// wabt's defaults.
+const baseFeatures = {
+    mutable_globals: true,
+    sat_float_to_int: true,
+    sign_extension: true,
+    multi_value: true,
+    bulk_memory: true,
+    reference_types: true
+};
+
+class ScriptError extends Error {
+    constructor(message, line) {
+        super(line ? `${message} on line ${line}` : message);
+        this.line = line;
+    }
+}
+
+/// Find line numbers for positions in a source string.
+function lineFinder(source) {
+    const starts = [0];
+    for (let i = 0; i < source.length; i++) {
+        if (source.charCodeAt(i) === 10) {
+            starts.push(i + 1);
+        }
+    }
+    return (pos) => {
+        let low = 0;
+        let high = starts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (starts[mid] <= pos) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+        return low + 1;
+    };
+}
+
+const escapes = {
+    n: 10,
+    t: 9,
+    r: 13,
+    '"': 34,
+    "'": 39,
+    '\\': 92
+};
+
+const utf8 = new TextEncoder();
+
+/// Decode a quoted string token into bytes. Strings in the text format
+/// are byte strings, so binary modules can be written with them.
+function stringBytes(token, line) {
+    const bytes = [];
+    const body = token.slice(1, -1);
+    for (let i = 0; i < body.length; i++) {
+        if (body[i] !== '\\') {
+            // Whole code points, as surrogates don't encode alone.
+            const c = String.fromCodePoint(body.codePointAt(i));
+            bytes.push(...utf8.encode(c));
+            i += c.length - 1;
+            continue;
+        }
+        const next = body[++i];
+        if (next in escapes) {
+            bytes.push(escapes[next]);
+        } else if (next === 'u') {
+            const end = body.indexOf('}', i);
+            const codepoint = parseInt(body.slice(i + 2, end), 16);
+            bytes.push(...utf8.encode(String.fromCodePoint(codepoint)));
+            i = end;
+        } else if (/[0-9a-fA-F]/.test(next)) {
+            bytes.push(parseInt(body.slice(i, i + 2), 16));
+            i++;
+        } else {
+            throw new ScriptError(`Invalid string escape \\${next}`, line);
+        }
+    }
+    return new Uint8Array(bytes);
+}
+
+/// Read a script's S-expressions. Lists keep their position in
+/// the source, so module text can be handed off as-is.
+function read(source) {
+    const lineAt = lineFinder(source);
+    const stack = [{items: []}];
+    let pos = 0;
+    while (pos < source.length) {
+        const c = source[pos];
+        if (/\s/.test(c)) {
+            pos++;
+        } else if (source.startsWith(';;', pos)) {
+            const end = source.indexOf('\n', pos);
+            pos = end === -1 ? source.length : end;
+        } else if (source.startsWith('(;', pos)) {
+            // Block comments nest
+            let depth = 0;
+            do {
+                if (source.startsWith('(;', pos)) {
+                    depth++;
+                    pos += 2;
+                } else if (source.startsWith(';)', pos)) {
+                    depth--;
+                    pos += 2;
+                } else if (pos >= source.length) {
+                    throw new ScriptError('Unterminated block comment');
+                } else {
+                    pos++;
+                }
+            } while (depth > 0);
+        } else if (c === '(') {
+            stack.push({type: 'list', items: [], start: pos, line: lineAt(pos)});
+            pos++;
+        } else if (c === ')') {
+            const list = stack.pop();
+            if (stack.length === 0) {
+                throw new ScriptError('Unbalanced parentheses', lineAt(pos));
+            }
+            pos++;
+            list.end = pos;
+            stack[stack.length - 1].items.push(list);
+        } else if (c === '"') {
+            const start = pos++;
+            while (source[pos] !== '"') {
+                if (pos >= source.length) {
+                    throw new ScriptError('Unterminated string', lineAt(start));
+                }
+                pos += source[pos] === '\\' ? 2 : 1;
+            }
+            pos++;
+            const line = lineAt(start);
+            stack[stack.length - 1].items.push({
+                type: 'string',
+                bytes: stringBytes(source.slice(start, pos), line),
+                line
+            });
+        } else {
+            const match = /^[^\s()";]+/.exec(source.slice(pos, pos + 1024));
+            stack[stack.length - 1].items.push({
+                type: 'atom',
+                value: match[0],
+                line: lineAt(pos)
+            });
+            pos += match[0].length;
+        }
+    }
+    if (stack.length !== 1) {
+        throw new ScriptError('Unbalanced parentheses', stack[stack.length - 1].line);
+    }
+    return stack[0].items;
+}
+
+function head(list) {
+    const first = list.items[0];
+    return (first && first.type === 'atom') ? first.value : null;
+}
+
+function isName(item) {
+    return item && item.type === 'atom' && item.value.startsWith('$');
+}
+
+// Keeping any byte order mark, which can be part of a name.
+const textDecoder = new TextDecoder('utf-8', {ignoreBOM: true});
+
+function text(item) {
+    if (!item || item.type !== 'string') {
+        throw new ScriptError('Expected a string', item && item.line);
+    }
+    return textDecoder.decode(item.bytes);
+}
+
+function concatBytes(items) {
+    const length = items.reduce((sum, item) => sum + item.bytes.length, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (let item of items) {
+        bytes.set(item.bytes, offset);
+        offset += item.bytes.length;
+    }
+    return bytes;
+}
+
+/// Parse an integer literal to a BigInt, wrapped to the given bits.
+function parseInteger(str, bits) {
+    const clean = str.replace(/_/g, '');
+    const match = /^([+-]?)(0x[0-9a-fA-F]+|[0-9]+)$/.exec(clean);
+    if (!match) {
+        throw new RangeError(`Invalid integer ${str}`);
+    }
+    const value = BigInt(match[2]);
+    return BigInt.asIntN(bits, match[1] === '-' ? -value : value);
+}
+
+function bitLength(n) {
+    return n.toString(2).length;
+}
+
+/// Parse a float literal to its bit pattern, as a BigInt.
+/// Hex floats are rounded exactly; decimal floats go through
+/// JS number parsing.
+function parseFloatBits(str, mantissaBits, exponentBits) {
+    const clean = str.replace(/_/g, '');
+    const negative = clean.startsWith('-');
+    const body = clean.replace(/^[+-]/, '');
+    const bias = (1n << BigInt(exponentBits - 1)) - 1n;
+    const expMask = (1n << BigInt(exponentBits)) - 1n;
+    const mb = BigInt(mantissaBits);
+    const sign = negative ? 1n << BigInt(mantissaBits + exponentBits) : 0n;
+
+    if (body === 'inf') {
+        return sign | (expMask << mb);
+    }
+    if (body === 'nan') {
+        return sign | (expMask << mb) | (1n << (mb - 1n));
+    }
+    if (body.startsWith('nan:0x')) {
+        return sign | (expMask << mb) | BigInt(body.slice(4));
+    }
+
+    const hex = /^0x([0-9a-fA-F]*)(?:\.([0-9a-fA-F]*))?(?:[pP]([+-]?[0-9]+))?$/.exec(body);
+    if (!hex) {
+        const value = negative ? -Number(body) : Number(body);
+        if (Number.isNaN(value)) {
+            throw new RangeError(`Invalid float ${str}`);
+        }
+        const view = new DataView(new ArrayBuffer(8));
+        if (mantissaBits === 23) {
+            view.setFloat32(0, value);
+            return BigInt(view.getUint32(0));
+        }
+        view.setFloat64(0, value);
+        return view.getBigUint64(0);
+    }
+
+    const [, whole, fraction='', exponent='0'] = hex;
+    let m = BigInt('0x0' + whole + fraction);
+    let e = BigInt(exponent) - BigInt(4 * fraction.length);
+    if (m === 0n) {
+        return sign;
+    }
+    // Keep the significand's bits, or fewer for subnormals
+    const emin = 1n - bias;
+    const top = e + BigInt(bitLength(m)) - 1n;
+    const lsb = top < emin ? emin - mb : top - mb;
+    const shift = lsb - e;
+    if (shift > 0n) {
+        const rem = m & ((1n << shift) - 1n);
+        const half = 1n << (shift - 1n);
+        m >>= shift;
+        if (rem > half || (rem === half && (m & 1n))) {
+            m++;
+        }
+    } else {
+        m <<= -shift;
+    }
+    e = lsb;
+    if (m === 0n) {
+        return sign;
+    }
+    if (bitLength(m) > mantissaBits + 1) {
+        m >>= 1n;
+        e++;
+    }
+    if (m < (1n << mb)) {
+        // Subnormal
+        return sign | m;
+    }
+    const biased = e + mb + bias;
+    if (biased >= expMask) {
+        return sign | (expMask << mb);
+    }
+    return sign | (biased << mb) | (m - (1n << mb));
+}
+
+/// Decode a `(type.const value)` form, as an argument or expected result.
+function parseValue(item) {
+    if (!item || item.type !== 'list') {
+        throw new ScriptError('Expected a value', item && item.line);
+    }
+    const op = head(item);
+    const arg = item.items[1] ? item.items[1].value : undefined;
+    switch (op) {
+        case 'i32.const':
+            return {type: 'i32', value: Number(parseInteger(arg, 32))};
+        case 'i64.const':
+            return {type: 'i64', value: parseInteger(arg, 64)};
+        case 'f32.const':
+        case 'f64.const': {
+            const type = op.slice(0, 3);
+            if (arg === 'nan:canonical' || arg === 'nan:arithmetic') {
+                return {type, nan: arg.slice(4)};
+            }
+            const bits = type === 'f32'
+                ? parseFloatBits(arg, 23, 8)
+                : parseFloatBits(arg, 52, 11);
+            return {type, bits};
+        }
+        case 'ref.null':
+            return {type: 'ref', null: true};
+        case 'ref.extern':
+            return {type: 'externref', value: arg === undefined ? null : Number(arg)};
+        case 'ref.func':
+            return {type: 'funcref'};
+        default:
+            throw new ScriptError(`Unsupported value ${op}`, item.line);
+    }
+}
+
+function parseAction(item) {
+    const op = head(item);
+    let index = 1;
+    const module = isName(item.items[index]) ? item.items[index++].value : null;
+    const field = text(item.items[index++]);
+    switch (op) {
+        case 'invoke':
+            return {
+                type: 'invoke',
+                module,
+                field,
+                args: item.items.slice(index).map(parseValue),
+                line: item.line
+            };
+        case 'get':
+            return {type: 'get', module, field, line: item.line};
+        default:
+            throw new ScriptError(`Unknown action ${op}`, item.line);
+    }
+}
+
+/// Instruction and type names from before the 2019 renaming, which
+/// older testsuite scripts use and wabt no longer accepts.
+const legacyNames = {
+    get_local: 'local.get',
+    set_local: 'local.set',
+    tee_local: 'local.tee',
+    get_global: 'global.get',
+    set_global: 'global.set',
+    current_memory: 'memory.size',
+    grow_memory: 'memory.grow',
+    anyfunc: 'funcref'
+};
+
+/// Rename legacy instructions in module text, leaving strings alone.
+/// Conversions like `i32.trunc_s/f32` became `i32.trunc_f32_s`.
+function modernize(text) {
+    const pattern = /("(?:[^"\\]|\\.)*")|\b([if](?:32|64)\.[a-z]+?)(?:_([su]))?\/([if](?:32|64))\b|\b([a-z_]+)\b/g;
+    return text.replace(pattern, (match, string, op, sign, from, word) => {
+        if (string) {
+            return string;
+        }
+        if (op) {
+            return sign ? `${op}_${from}_${sign}` : `${op}_${from}`;
+        }
+        return legacyNames[word] || match;
+    });
+}
+
+/// Text for wabt, which only copies strings' ASCII characters, and
+/// copies a view's whole buffer, so it gets UTF-8 in a buffer of its own.
+function watBytes(text) {
+    return utf8.encode(text);
+}
+
+/// Decode a module definition, assembling text modules with wabt.
+/// Modules wabt can't handle get an `error` instead of a `binary`;
+/// those given as quoted text are left for text format parsers.
+function parseModule(item, source, wabt, features) {
+    let index = 1;
+    const name = isName(item.items[index]) ? item.items[index++].value : null;
+    const kind = item.items[index] && item.items[index].type === 'atom' ? item.items[index].value : null;
+    const result = {name, line: item.line, binary: null, error: null, quote: false};
+    if (kind === 'binary') {
+        result.binary = concatBytes(item.items.slice(index + 1));
+    } else if (kind === 'quote') {
+        result.quote = true;
+    } else {
+        let wat = null;
+        try {
+            wat = wabt.parseWat(`line ${item.line}`, watBytes(modernize(source.slice(item.start, item.end))), features);
+            wat.resolveNames();
+            result.binary = wat.toBinary({write_debug_names: false}).buffer;
+        } catch (e) {
+            result.error = e.message;
+        } finally {
+            if (wat) {
+                wat.destroy();
+            }
+        }
+    }
+    return result;
+}
+
+function loadWabt() {
+    if (!wabtReady) {
+        wabtReady = wabtInit();
+    }
+    return wabtReady;
+}
+
+/// Assemble a module in the text format to a binary, for tests.
+async function assemble(text, features={}) {
+    const wabt = await loadWabt();
+    const wat = wabt.parseWat('test.wat', watBytes(text), Object.assign({}, baseFeatures, features));
+    try {
+        wat.resolveNames();
+        wat.validate();
+        return wat.toBinary({write_debug_names: true}).buffer;
+    } finally {
+        wat.destroy();
+    }
+}
+
+const moduleFields = new Set(['type', 'import', 'func', 'table', 'memory', 'global', 'export', 'start', 'elem', 'data']);
+
+/// Parse a .wast script into a list of commands.
+async function parseScript(source, features={}) {
+    const wabt = await loadWabt();
+    features = Object.assign({}, baseFeatures, features);
+    const commands = [];
+    let items = read(source);
+    if (items.length && moduleFields.has(head(items[0]))) {
+        // A script of just the fields of a module is that module,
+        // which keeps the line numbers.
+        source = `(module ${source}\n)`;
+        items = read(source);
+    }
+    for (let item of items) {
+        if (item.type !== 'list') {
+            throw new ScriptError('Expected a command', item.line);
+        }
+        const op = head(item);
+        const line = item.line;
+        switch (op) {
+            case 'module':
+                commands.push({type: 'module', line, module: parseModule(item, source, wabt, features)});
+                break;
+            case 'register':
+                commands.push({
+                    type: 'register',
+                    line,
+                    as: text(item.items[1]),
+                    name: isName(item.items[2]) ? item.items[2].value : null
+                });
+                break;
+            case 'invoke':
+            case 'get':
+                commands.push({type: 'action', line, action: parseAction(item)});
+                break;
+            case 'assert_return':
+                commands.push({
+                    type: op,
+                    line,
+                    action: parseAction(item.items[1]),
+                    expected: item.items.slice(2).map(parseValue)
+                });
+                break;
+            case 'assert_return_canonical_nan':
+            case 'assert_return_arithmetic_nan':
+                // The older form of `(f32.const nan:canonical)` etc.,
+                // which doesn't say which type of float.
+                commands.push({
+                    type: 'assert_return',
+                    line,
+                    action: parseAction(item.items[1]),
+                    expected: [{type: 'float', nan: op.split('_')[2]}]
+                });
+                break;
+            case 'assert_exception':
+                commands.push({type: op, line, action: parseAction(item.items[1])});
+                break;
+            case 'assert_trap':
+            case 'assert_exhaustion': {
+                const target = item.items[1];
+                const command = {type: op, line, message: text(item.items[2])};
+                if (head(target) === 'module') {
+                    // A trap while instantiating, from the start function
+                    command.module = parseModule(target, source, wabt, features);
+                } else {
+                    command.action = parseAction(target);
+                }
+                commands.push(command);
+                break;
+            }
+            case 'assert_invalid':
+            case 'assert_malformed':
+            case 'assert_unlinkable':
+            case 'assert_uninstantiable':
+                commands.push({
+                    type: op,
+                    line,
+                    module: parseModule(item.items[1], source, wabt, features),
+                    message: text(item.items[2])
+                });
+                break;
+            default:
+                throw new ScriptError(`Unknown command ${op}`, line);
+        }
+    }
+    return commands;
+}
+
+module.exports = {
+    assemble,
+    parseScript,
+    parseFloatBits,
+    ScriptError
+};